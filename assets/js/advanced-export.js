@@ -20,6 +20,12 @@ class AdvancedExport {
             svg: { name: 'SVG', extension: '.svg', mimeType: 'image/svg+xml', quality: 1.0, supportsTransparency: true }
         };
         
+        // Animation formats, written by exportAnimation from rendered frames
+        this.animationFormats = {
+            gif: { name: 'Animated GIF', extension: '.gif', mimeType: 'image/gif' },
+            apng: { name: 'Animated PNG', extension: '.png', mimeType: 'image/apng' }
+        };
+        
         // Export presets
         this.presets = {
             clinical: {
@@ -86,9 +92,13 @@ class AdvancedExport {
             defaultDPI: 300,
             includeAnnotations: true,
             includeMetadata: true,
+            anonymizeMetadata: false,
             watermark: false,
             compression: 'medium',
-            colorProfile: 'sRGB'
+            colorProfile: 'sRGB',
+            tiffCompression: 'lzw',
+            tiffBitDepth: 8,
+            multiPageTiff: true
         };
         
         this.initialize();
@@ -114,7 +124,7 @@ class AdvancedExport {
             const exportCanvas = this.createExportCanvas(imageData, settings);
             
             // Convert to desired format
-            const blob = await this.convertToFormat(exportCanvas, settings.format, settings.quality);
+            const blob = await this.convertToFormat(exportCanvas, settings.format, settings.quality, settings);
             
             // Generate filename
             const filename = this.generateFilename(settings);
@@ -156,7 +166,7 @@ class AdvancedExport {
         
         // Scale and draw image
         ctx.scale(scale, scale);
-        ctx.drawImage(imageData, 0, 0);
+        ctx.drawImage(this.imageDataToCanvas(imageData), 0, 0);
         
         // Add annotations if enabled
         if (settings.annotations) {
@@ -172,8 +182,15 @@ class AdvancedExport {
     }
 
     // Convert canvas to desired format
-    async convertToFormat(canvas, format, quality) {
-        return new Promise((resolve, reject) => {
+    async convertToFormat(canvas, format, quality, settings = this.settings) {
+        // Browsers fall back to PNG for these MIME types, so encode them ourselves
+        if (format === 'tiff' || format === 'bmp') {
+            const ctx = canvas.getContext('2d');
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            return this.encodeImageData([imageData], format, settings);
+        }
+        
+        const blob = await new Promise((resolve, reject) => {
             canvas.toBlob((blob) => {
                 if (blob) {
                     resolve(blob);
@@ -182,13 +199,60 @@ class AdvancedExport {
                 }
             }, this.exportFormats[format].mimeType, quality);
         });
+        
+        return settings.includeMetadata ? this.embedMetadata(blob, settings) : blob;
+    }
+
+    // Write source EXIF and clinical XMP into JPEG/PNG output
+    async embedMetadata(blob, settings) {
+        if (typeof ImageMetadataWriter === 'undefined') {
+            return blob;
+        }
+        
+        const source = settings.sourceMetadata || window.currentImageMetadata || {};
+        
+        try {
+            return await new ImageMetadataWriter().embed(blob, source, {
+                anonymize: settings.anonymizeMetadata,
+                clinical: settings.clinical
+            });
+        } catch (error) {
+            console.warn('Metadata embedding failed:', error);
+            return blob;
+        }
+    }
+
+    // Encode ImageData pages with the pure-JS encoders (multiple pages: TIFF only)
+    async encodeImageData(pages, format, settings) {
+        const dpi = settings.dpi || this.settings.defaultDPI;
+        
+        if (format === 'bmp') {
+            if (typeof BMPEncoder === 'undefined') {
+                throw new Error('BMP encoder not loaded');
+            }
+            
+            const buffer = new BMPEncoder().encode(pages[0], { dpi });
+            return new Blob([buffer], { type: this.exportFormats.bmp.mimeType });
+        }
+        
+        if (typeof TIFFEncoder === 'undefined') {
+            throw new Error('TIFF encoder not loaded');
+        }
+        
+        const buffer = await new TIFFEncoder().encode(pages, {
+            dpi: dpi,
+            compression: settings.tiffCompression || this.settings.tiffCompression,
+            bitsPerSample: settings.tiffBitDepth || this.settings.tiffBitDepth,
+            alpha: this.exportFormats.tiff.supportsTransparency
+        });
+        return new Blob([buffer], { type: this.exportFormats.tiff.mimeType });
     }
 
     // Generate filename
     generateFilename(settings) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const prefix = settings.prefix || 'dental-photo';
-        const format = this.exportFormats[settings.format].extension;
+        const format = (this.exportFormats[settings.format] || this.animationFormats[settings.format]).extension;
         
         return `${prefix}-${timestamp}${format}`;
     }
@@ -244,10 +308,10 @@ class AdvancedExport {
     async exportToDICOM(imageData, metadata = {}) {
         try {
             // Create DICOM file
-            const dicomData = this.createDICOMFile(imageData, metadata);
+            const dicomFile = this.createDICOMFile(imageData, metadata);
             
             // Convert to blob
-            const blob = new Blob([dicomData], { type: 'application/dicom' });
+            const blob = new Blob([dicomFile.buffer], { type: 'application/dicom' });
             
             // Generate filename
             const filename = this.generateFilename({ format: 'dicom', prefix: 'dental-dicom' });
@@ -258,7 +322,11 @@ class AdvancedExport {
             return {
                 success: true,
                 filename: filename,
-                format: 'dicom'
+                format: 'dicom',
+                size: blob.size,
+                studyInstanceUID: dicomFile.studyInstanceUID,
+                seriesInstanceUID: dicomFile.seriesInstanceUID,
+                sopInstanceUID: dicomFile.sopInstanceUID
             };
             
         } catch (error) {
@@ -272,80 +340,18 @@ class AdvancedExport {
 
     // Create DICOM file
     createDICOMFile(imageData, metadata) {
-        // Simplified DICOM creation
-        // In a real implementation, you'd use a DICOM library like dcmjs
-        
-        const dicomHeader = {
-            patientName: metadata.patientName || 'Anonymous',
-            patientID: metadata.patientID || 'UNKNOWN',
-            studyDate: metadata.studyDate || new Date().toISOString().split('T')[0],
-            modality: 'XC', // External Photography
-            bodyPart: 'MOUTH', // Mouth
-            manufacturer: 'Dental Photo Editor',
-            institutionName: metadata.institutionName || 'Unknown'
-        };
-        
-        // Create DICOM dataset (simplified)
-        const dataset = {
-            pixelData: imageData.data,
-            width: imageData.width,
-            height: imageData.height,
-            rows: imageData.height,
-            columns: imageData.width,
-            samplesPerPixel: 4,
-            bitsAllocated: 8,
-            highBit: 7,
-            photometricInterpretation: 'RGB',
-            planarConfiguration: '0'
-        };
-        
-        // Convert to DICOM binary format (simplified)
-        const encoder = new TextEncoder();
-        const headerString = JSON.stringify(dicomHeader);
-        const datasetString = JSON.stringify(dataset);
-        
-        const headerBytes = encoder.encode(headerString);
-        const datasetBytes = encoder.encode(datasetString);
-        
-        // Create binary DICOM file (simplified structure)
-        const totalLength = 128 + 4 + headerBytes.length + 4 + datasetBytes.length + 4;
-        const buffer = new ArrayBuffer(totalLength);
-        const view = new DataView(buffer);
-        
-        let offset = 0;
-        
-        // Write DICOM preamble (128 bytes)
-        const preamble = 'DICM';
-        for (let i = 0; i < 128; i++) {
-            view.setUint8(offset++, preamble.charCodeAt(i) || 0);
+        if (typeof DICOMWriter === 'undefined') {
+            throw new Error('DICOM writer not loaded');
         }
         
-        // Write DICOM magic number
-        view.setUint32(offset, 0x42434242);
-        offset += 4;
-        
-        // Write header length
-        view.setUint32(offset, headerBytes.length);
-        offset += 4;
-        
-        // Write header data
-        for (let i = 0; i < headerBytes.length; i++) {
-            view.setUint8(offset++, headerBytes[i]);
+        // Join the study of the currently opened DICOM unless told otherwise
+        if (!metadata.sourceStudy && window.currentDICOMStudy) {
+            metadata = { ...metadata, sourceStudy: window.currentDICOMStudy };
         }
         
-        // Write dataset length
-        view.setUint32(offset, datasetBytes.length);
-        offset += 4;
-        
-        // Write dataset data
-        for (let i = 0; i < datasetBytes.length; i++) {
-            view.setUint8(offset++, datasetBytes[i]);
-        }
-        
-        // Write end marker
-        view.setUint32(offset, 0x0);
-        
-        return buffer;
+        // Explicit VR Little Endian Part 10 file with RGB pixel data
+        const writer = new DICOMWriter();
+        return writer.encode(imageData, metadata);
     }
 
     // Batch export
@@ -354,7 +360,14 @@ class AdvancedExport {
         this.batchResults = [];
         this.isProcessingBatch = true;
         
+        const settings = { ...this.settings, ...options };
+        
         try {
+            // All images as pages of one TIFF file
+            if (settings.format === 'tiff' && settings.multiPageTiff && images.length > 1) {
+                return await this.exportMultiPageTIFF(images, settings);
+            }
+            
             for (let i = 0; i < images.length; i++) {
                 const image = images[i];
                 const result = await this.exportImage(image.data, {
@@ -393,6 +406,94 @@ class AdvancedExport {
         }
     }
 
+    // Animated GIF or APNG from frames [{ imageData, delay }], or the frames as numbered PNGs.
+    // GIF options: quantizer ('median-cut' | 'octree') and dither
+    async exportAnimation(frames, options = {}) {
+        const format = options.format || 'gif';
+        const prefix = options.prefix || 'dental-animation';
+        
+        if (format === 'frames') {
+            return this.batchExport(frames.map(frame => ({ data: frame.imageData })), {
+                format: 'png',
+                quality: 1.0,
+                dpi: 72,
+                annotations: false,
+                includeMetadata: false,
+                prefix
+            });
+        }
+        
+        try {
+            let bytes;
+            if (format === 'gif') {
+                if (typeof GIFEncoder === 'undefined') {
+                    throw new Error('GIF encoder not loaded');
+                }
+                bytes = new GIFEncoder().encode(frames, {
+                    quantizer: options.quantizer || 'median-cut',
+                    dither: options.dither !== false,
+                    loop: options.loop || 0
+                });
+            } else if (format === 'apng') {
+                if (typeof APNGEncoder === 'undefined') {
+                    throw new Error('APNG encoder not loaded');
+                }
+                bytes = await new APNGEncoder().encode(frames, { loop: options.loop || 0 });
+            } else {
+                throw new Error(`Unsupported animation format: ${format}`);
+            }
+            
+            const blob = new Blob([bytes], { type: this.animationFormats[format].mimeType });
+            const filename = this.generateFilename({ prefix, format });
+            this.downloadFile(blob, filename);
+            
+            return {
+                success: true,
+                filename: filename,
+                size: blob.size,
+                format: format,
+                frames: frames.length
+            };
+        } catch (error) {
+            console.error('Animation export failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Export a batch as a single multi-page TIFF
+    async exportMultiPageTIFF(images, settings) {
+        const pages = images.map((image, i) => {
+            const exportCanvas = this.createExportCanvas(image.data, settings);
+            this.updateBatchProgress(i + 1, images.length);
+            return exportCanvas.getContext('2d').getImageData(0, 0, exportCanvas.width, exportCanvas.height);
+        });
+        
+        const blob = await this.encodeImageData(pages, 'tiff', settings);
+        const filename = this.generateFilename({ ...settings, prefix: settings.prefix || 'batch' });
+        this.downloadFile(blob, filename);
+        
+        images.forEach((image, i) => {
+            this.batchResults.push({
+                index: i,
+                filename: filename,
+                page: i + 1,
+                success: true,
+                size: blob.size
+            });
+        });
+        
+        return {
+            success: true,
+            results: this.batchResults,
+            total: images.length,
+            filename: filename,
+            size: blob.size
+        };
+    }
+
     // Update batch progress
     updateBatchProgress(current, total) {
         // Update UI with progress
@@ -416,13 +517,20 @@ class AdvancedExport {
             
             // Add title page
             pdf.setFontSize(20);
-            pdf.text('Dental Photo Report', 105, 20);
+            pdf.text(options.title || 'Dental Photo Report', 105, 20);
             pdf.setFontSize(12);
             pdf.text(`Generated: ${new Date().toLocaleString()}`, 105, 30);
             pdf.text(`Total Images: ${images.length}`, 105, 40);
             
+            // Extra header lines, e.g. patient, visit and missing series views
+            let yPosition = 50;
+            (options.notes || []).forEach(line => {
+                pdf.text(line, 105, yPosition);
+                yPosition += 10;
+            });
+            
             // Add images
-            let yPosition = 60;
+            yPosition += 10;
             images.forEach((image, index) => {
                 if (yPosition > 250) {
                     pdf.addPage();
@@ -436,6 +544,16 @@ class AdvancedExport {
                     pdf.addImage(imgData, 20, yPosition + 10, 80, 60);
                     yPosition += 80;
                 }
+                
+                // Measurement rows from MeasurementTools.getMeasurementReport, each with its uncertainty
+                (image.measurements || []).forEach(row => {
+                    if (yPosition > 280) {
+                        pdf.addPage();
+                        yPosition = 20;
+                    }
+                    pdf.text(`${row.label}: ${row.text}`, 25, yPosition);
+                    yPosition += 7;
+                });
             });
             
             // Save PDF
@@ -456,6 +574,15 @@ class AdvancedExport {
         }
     }
 
+    // Convert ImageData to a canvas that can be drawn
+    imageDataToCanvas(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
     // Convert ImageData to DataURL
     imageDataToDataURL(imageData) {
         const canvas = document.createElement('canvas');
@@ -506,7 +633,7 @@ class AdvancedExport {
             const comparisonCanvas = await this.createComparisonImage(original, enhanced, mode);
             
             const settings = { ...this.settings, ...options };
-            const blob = await this.convertToFormat(comparisonCanvas, settings.format, settings.quality);
+            const blob = await this.convertToFormat(comparisonCanvas, settings.format, settings.quality, settings);
             
             const filename = this.generateFilename({ 
                 format: settings.format, 
@@ -679,6 +806,11 @@ class AdvancedExport {
                                 <span class="text-sm font-medium text-gray-700">Include Metadata</span>
                             </label>
                             
+                            <label class="flex items-center">
+                                <input type="checkbox" id="anonymizeMetadata" class="mr-2">
+                                <span class="text-sm font-medium text-gray-700">Anonymize Metadata (strip GPS and serial numbers)</span>
+                            </label>
+                            
                             <label class="flex items-center">
                                 <input type="checkbox" id="addWatermark" class="mr-2">
                                 <span class="text-sm font-medium text-gray-700">Add Watermark</span>
@@ -837,6 +969,7 @@ class AdvancedExport {
         const colorSpace = document.getElementById('colorSpace')?.value || 'sRGB';
         const includeAnnotations = document.getElementById('includeAnnotations')?.checked;
         const includeMetadata = document.getElementById('includeMetadata')?.checked;
+        const anonymizeMetadata = document.getElementById('anonymizeMetadata')?.checked;
         const addWatermark = document.getElementById('addWatermark')?.checked;
         
         const options = {
@@ -846,6 +979,7 @@ class AdvancedExport {
             colorSpace,
             includeAnnotations,
             includeMetadata,
+            anonymizeMetadata,
             addWatermark
         };
         
@@ -0,0 +1,209 @@
+// Color Calibration for Dental Photo Editor
+// White balance and exposure correction from a grey card, white target or photographed VITA tab
+
+class ColorCalibration {
+    constructor(shadeGuide = null) {
+        this.shadeGuide = shadeGuide || new VITAShadeGuide('classical');
+        this.colorScience = this.shadeGuide.colorScience;
+
+        // Known references
+        this.references = {
+            'grey-card': { name: '18% Grey Card', correctsExposure: true },
+            'white-balance': { name: 'White Balance Target', correctsExposure: false },
+            'shade-tab': { name: 'VITA Shade Tab', correctsExposure: true },
+            'color-checker': { name: 'Color Checker', correctsExposure: true }
+        };
+
+        this.sampleRadius = 5;
+
+        // sRGB decoding table and fine-grained encoding table
+        this.toLinear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            this.toLinear[i] = this.colorScience.srgbToLinear(i);
+        }
+
+        this.encodeSize = 4096;
+        this.toSrgb = new Uint8ClampedArray(this.encodeSize + 1);
+        for (let i = 0; i <= this.encodeSize; i++) {
+            this.toSrgb[i] = Math.round(this.colorScience.linearToSrgb(i / this.encodeSize));
+        }
+    }
+
+    // Mean linear RGB of a square patch around a point
+    sampleReference(imageData, point, radius = this.sampleRadius) {
+        const { width, height, data } = imageData;
+        const cx = Math.round(point.x);
+        const cy = Math.round(point.y);
+        let r = 0, g = 0, b = 0, count = 0, clipped = 0;
+
+        for (let y = Math.max(0, cy - radius); y <= Math.min(height - 1, cy + radius); y++) {
+            for (let x = Math.max(0, cx - radius); x <= Math.min(width - 1, cx + radius); x++) {
+                const i = (y * width + x) * 4;
+                if (data[i] >= 250 || data[i + 1] >= 250 || data[i + 2] >= 250) clipped++;
+
+                r += this.toLinear[data[i]];
+                g += this.toLinear[data[i + 1]];
+                b += this.toLinear[data[i + 2]];
+                count++;
+            }
+        }
+
+        if (count === 0) {
+            throw new Error('Reference point is outside the image');
+        }
+
+        if (clipped > count / 4) {
+            throw new Error('Reference patch is overexposed - pick an area without highlights');
+        }
+
+        const sample = { r: r / count, g: g / count, b: b / count };
+        if (Math.max(sample.r, sample.g, sample.b) < 0.003) {
+            throw new Error('Reference patch is too dark');
+        }
+
+        return sample;
+    }
+
+    // Linear RGB the reference should have under neutral, correctly exposed lighting
+    getReferenceTarget(reference, sample, options = {}) {
+        if (reference === 'grey-card') {
+            return { r: 0.18, g: 0.18, b: 0.18 };
+        }
+
+        if (reference === 'white-balance') {
+            // Neutralize the cast but keep the measured luminance
+            const luminance = 0.2126729 * sample.r + 0.7151522 * sample.g + 0.0721750 * sample.b;
+            return { r: luminance, g: luminance, b: luminance };
+        }
+
+        if (reference === 'shade-tab') {
+            const system = options.shadeSystem || this.shadeGuide.system;
+            const lab = this.shadeGuide.getShades(system)[options.shade];
+            if (!lab) {
+                throw new Error(`Unknown shade '${options.shade}' for ${system}`);
+            }
+
+            const xyz = this.colorScience.labToXyz(lab.L, lab.a, lab.b);
+            return this.colorScience.xyzToLinearRgb(xyz.x, xyz.y, xyz.z);
+        }
+
+        throw new Error(`Unknown calibration reference '${reference}'`);
+    }
+
+    // Diagonal (von Kries) correction in linear RGB mapping the sample onto the target
+    computeCalibration(imageData, point, reference, options = {}) {
+        if (!this.references[reference]) {
+            throw new Error(`Unknown calibration reference '${reference}'`);
+        }
+
+        const sample = this.sampleReference(imageData, point, options.radius);
+        const target = this.getReferenceTarget(reference, sample, options);
+
+        const gains = {
+            r: target.r / sample.r,
+            g: target.g / sample.g,
+            b: target.b / sample.b
+        };
+
+        // Extreme gains mean the wrong patch was picked
+        const maxGain = Math.max(gains.r, gains.g, gains.b);
+        const minGain = Math.min(gains.r, gains.g, gains.b);
+        if (!isFinite(maxGain) || minGain <= 0 || maxGain / minGain > 4) {
+            throw new Error('Reference color is too far from the expected target');
+        }
+
+        return {
+            reference,
+            shade: reference === 'shade-tab' ? options.shade : null,
+            shadeSystem: reference === 'shade-tab' ? (options.shadeSystem || this.shadeGuide.system) : null,
+            matrix: [
+                [gains.r, 0, 0],
+                [0, gains.g, 0],
+                [0, 0, gains.b]
+            ],
+            sample,
+            target,
+            point: { x: Math.round(point.x), y: Math.round(point.y) },
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Terms a correction matrix row is applied to: RGB, plus the
+    // degree-2 root-polynomial terms for 3x6 matrices
+    expandTerms(r, g, b, terms = 3) {
+        if (terms === 3) {
+            return [r, g, b];
+        }
+
+        return [r, g, b, Math.sqrt(r * g), Math.sqrt(g * b), Math.sqrt(r * b)];
+    }
+
+    // Apply a 3x3 (or 3x6 root-polynomial) linear-RGB correction matrix, returning new ImageData
+    applyCorrection(imageData, matrix) {
+        const source = imageData.data;
+        const output = new Uint8ClampedArray(source.length);
+        const [m0, m1, m2] = matrix;
+        const rootPolynomial = m0.length === 6;
+        const scale = this.encodeSize;
+
+        for (let i = 0; i < source.length; i += 4) {
+            const r = this.toLinear[source[i]];
+            const g = this.toLinear[source[i + 1]];
+            const b = this.toLinear[source[i + 2]];
+
+            let lr = m0[0] * r + m0[1] * g + m0[2] * b;
+            let lg = m1[0] * r + m1[1] * g + m1[2] * b;
+            let lb = m2[0] * r + m2[1] * g + m2[2] * b;
+
+            if (rootPolynomial) {
+                const rg = Math.sqrt(r * g), gb = Math.sqrt(g * b), rb = Math.sqrt(r * b);
+                lr += m0[3] * rg + m0[4] * gb + m0[5] * rb;
+                lg += m1[3] * rg + m1[4] * gb + m1[5] * rb;
+                lb += m2[3] * rg + m2[4] * gb + m2[5] * rb;
+            }
+
+            output[i] = this.toSrgb[Math.max(0, Math.min(scale, Math.round(lr * scale)))];
+            output[i + 1] = this.toSrgb[Math.max(0, Math.min(scale, Math.round(lg * scale)))];
+            output[i + 2] = this.toSrgb[Math.max(0, Math.min(scale, Math.round(lb * scale)))];
+            output[i + 3] = source[i + 3];
+        }
+
+        return new ImageData(output, imageData.width, imageData.height);
+    }
+
+    // Calibrations are kept per camera profile so each device keeps its own correction
+    saveCalibration(profileId, calibration) {
+        if (!window.dataPersistenceManager) return false;
+
+        window.dataPersistenceManager.saveColorCalibration(profileId || 'default', calibration);
+        return true;
+    }
+
+    loadCalibration(profileId) {
+        if (!window.dataPersistenceManager) return null;
+
+        return window.dataPersistenceManager.getColorCalibration(profileId || 'default');
+    }
+
+    clearCalibration(profileId) {
+        if (window.dataPersistenceManager) {
+            window.dataPersistenceManager.deleteColorCalibration(profileId || 'default');
+        }
+    }
+
+    describeCalibration(calibration) {
+        const reference = this.references[calibration.reference];
+        const name = calibration.shade ? `${reference.name} ${calibration.shade}` : reference.name;
+
+        if (calibration.error) {
+            return `${name} (${calibration.patchCount} patches, mean ΔE ${calibration.error.mean.toFixed(1)})`;
+        }
+
+        const [r, g, b] = [calibration.matrix[0][0], calibration.matrix[1][1], calibration.matrix[2][2]];
+
+        return `${name} (gains R ${r.toFixed(2)}, G ${g.toFixed(2)}, B ${b.toFixed(2)})`;
+    }
+}
+
+// Export for use in main application
+window.ColorCalibration = ColorCalibration;
@@ -0,0 +1,484 @@
+// Color Checker Calibration for Dental Photo Editor
+// Locates a 24-patch color checker and solves a color correction matrix against its reference values
+
+class ColorCheckerChart {
+    constructor(calibrator = null) {
+        this.calibrator = calibrator || new ColorCalibration();
+        this.colorScience = this.calibrator.colorScience;
+
+        // Classic 24-patch chart, 6 columns x 4 rows, sRGB (D65) reference values
+        this.columns = 6;
+        this.rows = 4;
+        this.patches = [
+            { name: 'Dark Skin', rgb: [115, 82, 68] },
+            { name: 'Light Skin', rgb: [194, 150, 130] },
+            { name: 'Blue Sky', rgb: [98, 122, 157] },
+            { name: 'Foliage', rgb: [87, 108, 67] },
+            { name: 'Blue Flower', rgb: [133, 128, 177] },
+            { name: 'Bluish Green', rgb: [103, 189, 170] },
+            { name: 'Orange', rgb: [214, 126, 44] },
+            { name: 'Purplish Blue', rgb: [80, 91, 166] },
+            { name: 'Moderate Red', rgb: [193, 90, 99] },
+            { name: 'Purple', rgb: [94, 60, 108] },
+            { name: 'Yellow Green', rgb: [157, 188, 64] },
+            { name: 'Orange Yellow', rgb: [224, 163, 46] },
+            { name: 'Blue', rgb: [56, 61, 150] },
+            { name: 'Green', rgb: [70, 148, 73] },
+            { name: 'Red', rgb: [175, 54, 60] },
+            { name: 'Yellow', rgb: [231, 199, 31] },
+            { name: 'Magenta', rgb: [187, 86, 149] },
+            { name: 'Cyan', rgb: [8, 133, 161] },
+            { name: 'White', rgb: [243, 243, 242] },
+            { name: 'Neutral 8', rgb: [200, 200, 200] },
+            { name: 'Neutral 6.5', rgb: [160, 160, 160] },
+            { name: 'Neutral 5', rgb: [122, 122, 121] },
+            { name: 'Neutral 3.5', rgb: [85, 85, 85] },
+            { name: 'Black', rgb: [52, 52, 52] }
+        ];
+
+        // Correction models: plain 3x3, or 3x6 over root-polynomial terms (exposure invariant)
+        this.models = {
+            'linear': { name: '3x3 Matrix', terms: 3 },
+            'root-polynomial': { name: 'Root-Polynomial', terms: 6 }
+        };
+
+        this.minimumPatches = 12;
+        this.workingSize = 400;
+    }
+
+    // Patch centers from the centers of the four corner patches, clicked in chart order:
+    // dark skin, bluish green, black, white
+    getPatchCenters(corners) {
+        const mapping = this.createQuadMapping(corners);
+        const centers = [];
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                centers.push(mapping(column / (this.columns - 1), row / (this.rows - 1)));
+            }
+        }
+
+        return centers;
+    }
+
+    // Projective map from the unit square onto a quadrilateral (Heckbert)
+    createQuadMapping(corners) {
+        const [p0, p1, p2, p3] = corners;
+        const sx = p0.x - p1.x + p2.x - p3.x;
+        const sy = p0.y - p1.y + p2.y - p3.y;
+        const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+        const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+
+        if (Math.abs(denominator) < 1e-9) {
+            throw new Error('Chart corners must not be collinear');
+        }
+
+        const g = (sx * dy2 - dx2 * sy) / denominator;
+        const h = (dx1 * sy - sx * dy1) / denominator;
+        const a = p1.x - p0.x + g * p1.x, b = p3.x - p0.x + h * p3.x, c = p0.x;
+        const d = p1.y - p0.y + g * p1.y, e = p3.y - p0.y + h * p3.y, f = p0.y;
+
+        return (u, v) => {
+            const w = g * u + h * v + 1;
+            return { x: (a * u + b * v + c) / w, y: (d * u + e * v + f) / w };
+        };
+    }
+
+    // Mean linear RGB per patch; clipped or out-of-frame patches are excluded, not fatal
+    samplePatches(imageData, corners) {
+        const centers = this.getPatchCenters(corners);
+        const spacing = Math.min(
+            Math.hypot(centers[1].x - centers[0].x, centers[1].y - centers[0].y),
+            Math.hypot(centers[this.columns].x - centers[0].x, centers[this.columns].y - centers[0].y)
+        );
+        const radius = Math.max(1, Math.floor(spacing * 0.2));
+
+        return centers.map((center, index) => {
+            const patch = { index, name: this.patches[index].name, center, sample: null };
+
+            try {
+                patch.sample = this.calibrator.sampleReference(imageData, center, radius);
+            } catch (error) {
+                patch.excluded = error.message;
+            }
+
+            return patch;
+        });
+    }
+
+    // Least-squares correction matrix mapping sampled patches onto the chart references
+    solve(patches, model = 'linear') {
+        if (!this.models[model]) {
+            throw new Error(`Unknown correction model '${model}'`);
+        }
+
+        const usable = patches.filter(patch => patch.sample);
+        if (usable.length < this.minimumPatches) {
+            throw new Error(`Only ${usable.length} of 24 patches could be sampled`);
+        }
+
+        const terms = this.models[model].terms;
+        const normal = Array.from({ length: terms }, () => new Array(terms).fill(0));
+        const rhs = [new Array(terms).fill(0), new Array(terms).fill(0), new Array(terms).fill(0)];
+
+        usable.forEach(patch => {
+            const phi = this.calibrator.expandTerms(patch.sample.r, patch.sample.g, patch.sample.b, terms);
+            const target = this.patches[patch.index].rgb.map(value => this.calibrator.toLinear[value]);
+
+            for (let i = 0; i < terms; i++) {
+                for (let j = 0; j < terms; j++) {
+                    normal[i][j] += phi[i] * phi[j];
+                }
+                for (let channel = 0; channel < 3; channel++) {
+                    rhs[channel][i] += phi[i] * target[channel];
+                }
+            }
+        });
+
+        const matrix = rhs.map(column => this.solveLinearSystem(normal, column));
+        return { matrix, error: this.measureError(usable, matrix), patchCount: usable.length };
+    }
+
+    // Gaussian elimination with partial pivoting
+    solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+            }
+
+            if (Math.abs(a[pivot][column]) < 1e-12) {
+                throw new Error('Patch samples do not constrain the color matrix');
+            }
+
+            [a[column], a[pivot]] = [a[pivot], a[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = a[row][column] / a[column][column];
+                for (let k = column; k <= n; k++) {
+                    a[row][k] -= factor * a[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= a[row][k] * solution[k];
+            }
+            solution[row] = sum / a[row][row];
+        }
+
+        return solution;
+    }
+
+    // CIEDE2000 between corrected patches and the chart references
+    measureError(patches, matrix) {
+        const cs = this.colorScience;
+        const deltas = patches.map(patch => {
+            const phi = this.calibrator.expandTerms(patch.sample.r, patch.sample.g, patch.sample.b, matrix[0].length);
+            const corrected = matrix.map(row => {
+                const linear = row.reduce((sum, weight, i) => sum + weight * phi[i], 0);
+                return Math.max(0, Math.min(255, cs.linearToSrgb(Math.max(0, linear))));
+            });
+            const reference = this.patches[patch.index].rgb;
+
+            return cs.deltaE2000(cs.rgbToLab(...corrected), cs.rgbToLab(...reference));
+        });
+
+        return {
+            mean: deltas.reduce((sum, value) => sum + value, 0) / deltas.length,
+            max: Math.max(...deltas)
+        };
+    }
+
+    // Full calibration from four corner-patch centers; same shape as ColorCalibration results
+    calibrate(imageData, corners, model = 'linear') {
+        const patches = this.samplePatches(imageData, corners);
+        const result = this.solve(patches, model);
+
+        return {
+            reference: 'color-checker',
+            model,
+            matrix: result.matrix,
+            corners: corners.map(point => ({ x: Math.round(point.x), y: Math.round(point.y) })),
+            patchCount: result.patchCount,
+            excluded: patches.filter(patch => !patch.sample).map(patch => patch.name),
+            error: {
+                mean: Math.round(result.error.mean * 100) / 100,
+                max: Math.round(result.error.max * 100) / 100
+            },
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Locate the chart automatically; returns corner-patch centers in chart order, or null
+    detect(imageData) {
+        const small = this.downsample(imageData);
+        const candidates = this.findPatchCandidates(small);
+        const cluster = this.findLargestCluster(candidates);
+
+        if (cluster.length < 16) return null;
+
+        const lattice = this.fitLattice(cluster);
+        if (!lattice) return null;
+
+        const at = (i, j) => ({
+            x: (lattice.origin.x + i * lattice.u.x + j * lattice.v.x) / small.scale,
+            y: (lattice.origin.y + i * lattice.u.y + j * lattice.v.y) / small.scale
+        });
+        const last = { i: this.columns - 1, j: this.rows - 1 };
+
+        // The fitted grid has four readings (as shot, rotated 180, either mirror);
+        // the right one is the reading the chart references fit best
+        const orientations = {
+            'normal': [at(0, 0), at(last.i, 0), at(last.i, last.j), at(0, last.j)],
+            'rotated': [at(last.i, last.j), at(0, last.j), at(0, 0), at(last.i, 0)],
+            'mirrored-horizontal': [at(last.i, 0), at(0, 0), at(0, last.j), at(last.i, last.j)],
+            'mirrored-vertical': [at(0, last.j), at(last.i, last.j), at(last.i, 0), at(0, 0)]
+        };
+
+        let best = null;
+        for (const [orientation, corners] of Object.entries(orientations)) {
+            try {
+                const result = this.solve(this.samplePatches(imageData, corners), 'linear');
+                if (!best || result.error.mean < best.error) {
+                    best = {
+                        corners,
+                        orientation,
+                        mirrored: orientation.startsWith('mirrored'),
+                        error: result.error.mean,
+                        patchesFound: cluster.length
+                    };
+                }
+            } catch (error) {
+                // Orientation leaves too few usable patches
+            }
+        }
+
+        return best;
+    }
+
+    // Box-averaged copy no larger than workingSize on its long side
+    downsample(imageData) {
+        const { width, height, data } = imageData;
+        const scale = Math.min(1, this.workingSize / Math.max(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const pixels = new Float32Array(w * h * 3);
+
+        for (let y = 0; y < h; y++) {
+            const y0 = Math.floor(y / scale), y1 = Math.max(y0 + 1, Math.floor((y + 1) / scale));
+            for (let x = 0; x < w; x++) {
+                const x0 = Math.floor(x / scale), x1 = Math.max(x0 + 1, Math.floor((x + 1) / scale));
+                let r = 0, g = 0, b = 0, count = 0;
+
+                for (let sy = y0; sy < Math.min(y1, height); sy++) {
+                    for (let sx = x0; sx < Math.min(x1, width); sx++) {
+                        const i = (sy * width + sx) * 4;
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                        count++;
+                    }
+                }
+
+                const o = (y * w + x) * 3;
+                pixels[o] = r / count;
+                pixels[o + 1] = g / count;
+                pixels[o + 2] = b / count;
+            }
+        }
+
+        return { width: w, height: h, pixels, scale: w / width };
+    }
+
+    // Uniform, roughly square regions the size of a chart patch
+    findPatchCandidates(image) {
+        const { width, height, pixels } = image;
+        const total = width * height;
+        const labels = new Int32Array(total).fill(-1);
+        const tolerance = 18;
+        const candidates = [];
+        const stack = [];
+
+        for (let start = 0; start < total; start++) {
+            if (labels[start] !== -1) continue;
+
+            const seed = [pixels[start * 3], pixels[start * 3 + 1], pixels[start * 3 + 2]];
+            let area = 0, sumX = 0, sumY = 0;
+            let minX = width, maxX = 0, minY = height, maxY = 0;
+
+            labels[start] = start;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                const y = (index - x) / width;
+
+                area++;
+                sumX += x;
+                sumY += y;
+                minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+
+                const neighbors = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    y > 0 ? index - width : -1,
+                    y < height - 1 ? index + width : -1
+                ];
+
+                for (const neighbor of neighbors) {
+                    if (neighbor < 0 || labels[neighbor] !== -1) continue;
+
+                    const o = neighbor * 3;
+                    if (Math.abs(pixels[o] - seed[0]) <= tolerance &&
+                        Math.abs(pixels[o + 1] - seed[1]) <= tolerance &&
+                        Math.abs(pixels[o + 2] - seed[2]) <= tolerance) {
+                        labels[neighbor] = start;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+
+            const boxWidth = maxX - minX + 1;
+            const boxHeight = maxY - minY + 1;
+            const aspect = boxWidth / boxHeight;
+
+            if (area >= Math.max(12, total * 0.0003) && area <= total * 0.03 &&
+                area / (boxWidth * boxHeight) >= 0.5 && aspect >= 0.5 && aspect <= 2) {
+                candidates.push({ x: sumX / area, y: sumY / area, size: Math.sqrt(area) });
+            }
+        }
+
+        return candidates;
+    }
+
+    // Largest group of similar-sized candidates that sit next to each other
+    findLargestCluster(candidates) {
+        const visited = new Array(candidates.length).fill(false);
+        let largest = [];
+
+        for (let start = 0; start < candidates.length; start++) {
+            if (visited[start]) continue;
+
+            const cluster = [];
+            const queue = [start];
+            visited[start] = true;
+
+            while (queue.length > 0) {
+                const current = candidates[queue.pop()];
+                cluster.push(current);
+
+                candidates.forEach((other, index) => {
+                    if (visited[index]) return;
+
+                    const ratio = other.size / current.size;
+                    const distance = Math.hypot(other.x - current.x, other.y - current.y);
+                    if (ratio > 0.6 && ratio < 1.6 && distance < 2.2 * Math.max(current.size, other.size)) {
+                        visited[index] = true;
+                        queue.push(index);
+                    }
+                });
+            }
+
+            if (cluster.length > largest.length) {
+                largest = cluster;
+            }
+        }
+
+        return largest;
+    }
+
+    // Fit center = origin + i*u + j*v with u along the 6-patch side
+    fitLattice(cluster) {
+        const nearest = cluster.map(point => {
+            let best = null;
+            cluster.forEach(other => {
+                if (other === point) return;
+                const distance = Math.hypot(other.x - point.x, other.y - point.y);
+                if (!best || distance < best.distance) {
+                    best = { distance, dx: other.x - point.x, dy: other.y - point.y };
+                }
+            });
+            return best;
+        });
+
+        const distances = nearest.map(n => n.distance).sort((a, b) => a - b);
+        const step = distances[Math.floor(distances.length / 2)];
+
+        // Grid angle from nearest-neighbour directions, folded modulo 90 degrees
+        let sin = 0, cos = 0;
+        nearest.forEach(n => {
+            const angle = 4 * Math.atan2(n.dy, n.dx);
+            sin += Math.sin(angle);
+            cos += Math.cos(angle);
+        });
+        const angle = Math.atan2(sin, cos) / 4;
+        let axisU = { x: Math.cos(angle), y: Math.sin(angle) };
+        let axisV = { x: -Math.sin(angle), y: Math.cos(angle) };
+
+        const index = (axisA, axisB) => {
+            const s = cluster.map(p => p.x * axisA.x + p.y * axisA.y);
+            const t = cluster.map(p => p.x * axisB.x + p.y * axisB.y);
+            const minS = Math.min(...s), minT = Math.min(...t);
+            return cluster.map((p, k) => ({
+                point: p,
+                i: Math.round((s[k] - minS) / step),
+                j: Math.round((t[k] - minT) / step)
+            }));
+        };
+
+        let cells = index(axisU, axisV);
+        let spanI = Math.max(...cells.map(c => c.i)) + 1;
+        let spanJ = Math.max(...cells.map(c => c.j)) + 1;
+
+        if (spanI === this.rows && spanJ === this.columns) {
+            [axisU, axisV] = [axisV, axisU];
+            cells = index(axisU, axisV);
+            [spanI, spanJ] = [spanJ, spanI];
+        }
+
+        if (spanI !== this.columns || spanJ !== this.rows) return null;
+
+        const occupied = new Set(cells.map(c => `${c.i},${c.j}`));
+        if (occupied.size !== cells.length) return null;
+
+        // Least squares over [1, i, j] for x and y separately
+        const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rhsX = [0, 0, 0], rhsY = [0, 0, 0];
+        cells.forEach(cell => {
+            const basis = [1, cell.i, cell.j];
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) normal[a][b] += basis[a] * basis[b];
+                rhsX[a] += basis[a] * cell.point.x;
+                rhsY[a] += basis[a] * cell.point.y;
+            }
+        });
+
+        try {
+            const [ox, ux, vx] = this.solveLinearSystem(normal, rhsX);
+            const [oy, uy, vy] = this.solveLinearSystem(normal, rhsY);
+
+            // Keep the grid right-handed in image space so a mirrored reading means a mirrored chart
+            if (ux * vy - uy * vx < 0) {
+                const last = this.rows - 1;
+                return { origin: { x: ox + last * vx, y: oy + last * vy }, u: { x: ux, y: uy }, v: { x: -vx, y: -vy } };
+            }
+
+            return { origin: { x: ox, y: oy }, u: { x: ux, y: uy }, v: { x: vx, y: vy } };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for use in main application
+window.ColorCheckerChart = ColorCheckerChart;
@@ -0,0 +1,321 @@
+// Color Science for Dental Photo Editor
+// sRGB/CIELAB conversion, CIEDE2000 color difference and VITA shade guide reference data
+
+// CIE D65 reference white (2° observer)
+const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+class ColorScience {
+    // sRGB channel (0-255) to linear light (0-1)
+    srgbToLinear(value) {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    // Linear light (0-1) to sRGB channel (0-255, unclamped)
+    linearToSrgb(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
+    }
+
+    rgbToXyz(r, g, b) {
+        const lr = this.srgbToLinear(r);
+        const lg = this.srgbToLinear(g);
+        const lb = this.srgbToLinear(b);
+
+        return {
+            x: 0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+            y: 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb,
+            z: 0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb
+        };
+    }
+
+    // XYZ to linear-light sRGB primaries (unclamped)
+    xyzToLinearRgb(x, y, z) {
+        return {
+            r: 3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            g: -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+            b: 0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+        };
+    }
+
+    xyzToRgb(x, y, z) {
+        const linear = this.xyzToLinearRgb(x, y, z);
+
+        return {
+            r: this.linearToSrgb(linear.r),
+            g: this.linearToSrgb(linear.g),
+            b: this.linearToSrgb(linear.b)
+        };
+    }
+
+    xyzToLab(x, y, z) {
+        const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+
+        const fx = f(x / D65_WHITE.x);
+        const fy = f(y / D65_WHITE.y);
+        const fz = f(z / D65_WHITE.z);
+
+        return {
+            L: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    labToXyz(L, a, b) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inverse = (t) => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+
+        return {
+            x: inverse(fx) * D65_WHITE.x,
+            y: inverse(fy) * D65_WHITE.y,
+            z: inverse(fz) * D65_WHITE.z
+        };
+    }
+
+    rgbToLab(r, g, b) {
+        const xyz = this.rgbToXyz(r, g, b);
+        return this.xyzToLab(xyz.x, xyz.y, xyz.z);
+    }
+
+    // L*a*b* to 8-bit sRGB, clamped to the gamut
+    labToRgb(L, a, b) {
+        const xyz = this.labToXyz(L, a, b);
+        const rgb = this.xyzToRgb(xyz.x, xyz.y, xyz.z);
+        const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+        return { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) };
+    }
+
+    // CIEDE2000 color difference (Sharma, Wu & Dalal 2005), kL = kC = kH = 1
+    deltaE2000(lab1, lab2) {
+        const { L: L1, a: a1, b: b1 } = lab1;
+        const { L: L2, a: a2, b: b2 } = lab2;
+        const rad = Math.PI / 180;
+
+        const C1 = Math.hypot(a1, b1);
+        const C2 = Math.hypot(a2, b2);
+        const meanC = (C1 + C2) / 2;
+        const meanC7 = Math.pow(meanC, 7);
+        const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+
+        const a1p = (1 + G) * a1;
+        const a2p = (1 + G) * a2;
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+
+        const hueAngle = (b, ap) => {
+            if (b === 0 && ap === 0) return 0;
+            const h = Math.atan2(b, ap) / rad;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hueAngle(b1, a1p);
+        const h2p = hueAngle(b2, a2p);
+
+        const deltaLp = L2 - L1;
+        const deltaCp = C2p - C1p;
+
+        let deltahp = 0;
+        if (C1p * C2p !== 0) {
+            deltahp = h2p - h1p;
+            if (deltahp > 180) deltahp -= 360;
+            else if (deltahp < -180) deltahp += 360;
+        }
+        const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(deltahp * rad / 2);
+
+        const meanLp = (L1 + L2) / 2;
+        const meanCp = (C1p + C2p) / 2;
+
+        let meanhp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) {
+                meanhp = (h1p + h2p) / 2;
+            } else {
+                meanhp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+            }
+        }
+
+        const T = 1 -
+            0.17 * Math.cos((meanhp - 30) * rad) +
+            0.24 * Math.cos(2 * meanhp * rad) +
+            0.32 * Math.cos((3 * meanhp + 6) * rad) -
+            0.20 * Math.cos((4 * meanhp - 63) * rad);
+
+        const deltaTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+        const meanCp7 = Math.pow(meanCp, 7);
+        const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+        const SL = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+        const SC = 1 + 0.045 * meanCp;
+        const SH = 1 + 0.015 * meanCp * T;
+        const RT = -Math.sin(2 * deltaTheta * rad) * RC;
+
+        const lTerm = deltaLp / SL;
+        const cTerm = deltaCp / SC;
+        const hTerm = deltaHp / SH;
+
+        return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + RT * cTerm * hTerm);
+    }
+}
+
+class VITAShadeGuide {
+    constructor(system = 'classical') {
+        this.colorScience = new ColorScience();
+        this.systems = this.loadShadeSystems();
+        this.setSystem(system);
+    }
+
+    // Approximate reference L*a*b* (D65, 2° observer) of the middle third of each tab,
+    // in line with published spectrophotometric measurements. Physical guides differ
+    // by 1-2 ΔE00 between batches.
+    loadShadeSystems() {
+        const classical = {
+            B1: { L: 80.9, a: -0.6, b: 11.9 },
+            A1: { L: 79.6, a: 0.2, b: 15.7 },
+            B2: { L: 79.2, a: 0.1, b: 18.6 },
+            D2: { L: 75.8, a: 0.4, b: 14.4 },
+            A2: { L: 77.2, a: 1.6, b: 19.6 },
+            C1: { L: 75.7, a: -0.2, b: 14.2 },
+            C2: { L: 72.6, a: 0.8, b: 18.9 },
+            D4: { L: 72.8, a: 0.6, b: 20.6 },
+            A3: { L: 75.0, a: 2.3, b: 22.6 },
+            D3: { L: 72.5, a: 1.3, b: 19.0 },
+            B3: { L: 75.5, a: 1.4, b: 25.9 },
+            'A3.5': { L: 71.9, a: 3.3, b: 25.4 },
+            B4: { L: 74.3, a: 1.9, b: 27.4 },
+            C3: { L: 69.2, a: 1.3, b: 20.2 },
+            A4: { L: 67.6, a: 3.9, b: 26.4 },
+            C4: { L: 64.4, a: 2.6, b: 22.4 }
+        };
+
+        const bleachedTabs = {
+            '0M1': { L: 86.4, a: -0.9, b: 5.8 },
+            '0M2': { L: 85.6, a: -0.7, b: 8.9 },
+            '0M3': { L: 84.9, a: -0.4, b: 12.1 }
+        };
+
+        const threeDMaster = {
+            ...bleachedTabs,
+            '1M1': { L: 82.3, a: -0.6, b: 10.8 },
+            '1M2': { L: 81.6, a: -0.2, b: 15.7 },
+            '2L1.5': { L: 78.6, a: -1.2, b: 14.6 },
+            '2L2.5': { L: 78.1, a: -1.1, b: 19.8 },
+            '2M1': { L: 78.9, a: -0.1, b: 12.3 },
+            '2M2': { L: 78.2, a: 0.5, b: 17.4 },
+            '2M3': { L: 77.4, a: 1.0, b: 22.6 },
+            '2R1.5': { L: 78.4, a: 1.4, b: 14.8 },
+            '2R2.5': { L: 77.8, a: 2.1, b: 19.9 },
+            '3L1.5': { L: 74.8, a: -0.9, b: 16.1 },
+            '3L2.5': { L: 74.2, a: -0.7, b: 21.4 },
+            '3M1': { L: 75.1, a: 0.3, b: 13.9 },
+            '3M2': { L: 74.4, a: 1.0, b: 19.0 },
+            '3M3': { L: 73.6, a: 1.7, b: 24.2 },
+            '3R1.5': { L: 74.6, a: 2.0, b: 16.3 },
+            '3R2.5': { L: 73.9, a: 2.8, b: 21.6 },
+            '4L1.5': { L: 70.9, a: -0.5, b: 17.6 },
+            '4L2.5': { L: 70.2, a: -0.2, b: 22.9 },
+            '4M1': { L: 71.2, a: 0.8, b: 15.3 },
+            '4M2': { L: 70.4, a: 1.6, b: 20.6 },
+            '4M3': { L: 69.5, a: 2.4, b: 25.8 },
+            '4R1.5': { L: 70.6, a: 2.6, b: 17.8 },
+            '4R2.5': { L: 69.8, a: 3.5, b: 23.1 },
+            '5M1': { L: 67.2, a: 1.4, b: 16.9 },
+            '5M2': { L: 66.3, a: 2.3, b: 22.1 },
+            '5M3': { L: 65.4, a: 3.2, b: 27.3 }
+        };
+
+        return {
+            classical: { name: 'VITA Classical', shades: classical },
+            '3d_master': { name: 'VITA 3D-Master', shades: threeDMaster },
+            // Classical guide extended with the 3D-Master bleached tabs
+            bleached: { name: 'VITA Classical + Bleached', shades: { ...bleachedTabs, ...classical } }
+        };
+    }
+
+    setSystem(system) {
+        if (!this.systems[system]) {
+            throw new Error(`Unknown VITA shade system '${system}'`);
+        }
+
+        this.system = system;
+        this.cache = new Map();
+    }
+
+    getShades(system = this.system) {
+        return this.systems[system].shades;
+    }
+
+    // Shade names ordered from darkest to lightest (by L*)
+    getValueOrder(system = this.system) {
+        const shades = this.getShades(system);
+        return Object.keys(shades).sort((a, b) => shades[a].L - shades[b].L);
+    }
+
+    getShadeRGB(name, system = this.system) {
+        const lab = this.getShades(system)[name];
+        return lab ? this.colorScience.labToRgb(lab.L, lab.a, lab.b) : null;
+    }
+
+    // Rank shades by ΔE2000 against an L*a*b* color
+    rankShades(lab, count = 3, system = this.system) {
+        const shades = this.getShades(system);
+
+        return Object.entries(shades)
+            .map(([name, reference]) => ({
+                shade: name,
+                deltaE: this.colorScience.deltaE2000(lab, reference),
+                lab: reference
+            }))
+            .sort((a, b) => a.deltaE - b.deltaE)
+            .slice(0, count);
+    }
+
+    // Closest shade for an sRGB pixel, cached since tooth regions repeat colors
+    matchRGB(r, g, b) {
+        const key = (r << 16) | (g << 8) | b;
+        let match = this.cache.get(key);
+
+        if (!match) {
+            match = this.rankShades(this.colorScience.rgbToLab(r, g, b), 1)[0];
+            if (this.cache.size > 65536) this.cache.clear();
+            this.cache.set(key, match);
+        }
+
+        return match;
+    }
+
+    // Mean L*a*b* of the pixels accepted by the predicate, with top candidates
+    measure(imageData, predicate = () => true, count = 3) {
+        const data = imageData.data;
+        let sumL = 0, sumA = 0, sumB = 0;
+        let pixelCount = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (!predicate(data[i], data[i + 1], data[i + 2], i / 4)) continue;
+
+            const lab = this.colorScience.rgbToLab(data[i], data[i + 1], data[i + 2]);
+            sumL += lab.L;
+            sumA += lab.a;
+            sumB += lab.b;
+            pixelCount++;
+        }
+
+        if (pixelCount === 0) {
+            return { pixelCount: 0, lab: null, candidates: [] };
+        }
+
+        const lab = { L: sumL / pixelCount, a: sumA / pixelCount, b: sumB / pixelCount };
+
+        return {
+            pixelCount,
+            lab,
+            system: this.system,
+            candidates: this.rankShades(lab, count)
+        };
+    }
+}
+
+// Export for use in main application
+window.ColorScience = ColorScience;
+window.VITAShadeGuide = VITAShadeGuide;
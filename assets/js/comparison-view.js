@@ -2,14 +2,36 @@
 // Side-by-side, overlay, slider, and professional comparison modes
 
 class ComparisonView {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        // Shortcuts listen on the whole document, so embedded views can opt out
+        this.keyboardShortcuts = options.keyboardShortcuts !== false;
         
         // Images
         this.originalImage = null;
         this.enhancedImage = null;
         
+        // Registration: the "after" image warped onto the "before" frame, and the
+        // landmark pairs placed in side-by-side mode, in each image's own pixels
+        this.registrar = options.registrar || new ImageRegistration();
+        this.registration = null;
+        this.registeredImage = null;
+        this.landmarks = [];
+        this.pendingLandmark = null;
+        this.isPlacingLandmarks = false;
+        
+        // Timeline: photos of one view from several visits, registered onto the earliest.
+        // position runs from 0 to frames.length - 1; fractions cross-fade into the next visit
+        this.timeline = {
+            frames: [],
+            position: 0,
+            onionSkin: true,
+            onionOpacity: 0.35,
+            showScrubber: true
+        };
+        this.isDraggingScrubber = false;
+        
         // Comparison modes
         this.modes = {
             sideBySide: { name: 'Side by Side', icon: 'fa-columns' },
@@ -17,7 +39,8 @@ class ComparisonView {
             overlay: { name: 'Overlay', icon: 'fa-layer-group' },
             diff: { name: 'Difference', icon: 'fa-exchange-alt' },
             mirror: { name: 'Mirror', icon: 'fa-clone' },
-            fade: { name: 'Fade', icon: 'fa-adjust' }
+            fade: { name: 'Fade', icon: 'fa-adjust' },
+            timeline: { name: 'Timeline', icon: 'fa-film' }
         };
         
         this.currentMode = 'sideBySide';
@@ -37,10 +60,13 @@ class ComparisonView {
         // View settings
         this.settings = {
             showLabels: true,
+            labels: { before: 'Original', after: 'Enhanced' },
             showGrid: false,
             syncZoom: true,
             autoPlay: false,
-            playSpeed: 2000
+            playSpeed: 2000,
+            timelineFrameDuration: 1000, // ms each visit is shown during playback
+            scrubberHeight: 48
         };
         
         this.initialize();
@@ -49,7 +75,9 @@ class ComparisonView {
     // Initialize comparison view
     initialize() {
         this.setupEventListeners();
-        this.setupKeyboardShortcuts();
+        if (this.keyboardShortcuts) {
+            this.setupKeyboardShortcuts();
+        }
         
         console.log('Comparison view initialized');
     }
@@ -99,6 +127,10 @@ class ComparisonView {
                         e.preventDefault();
                         this.setMode('fade');
                         break;
+                    case '7':
+                        e.preventDefault();
+                        this.setMode('timeline');
+                        break;
                     case ' ':
                         e.preventDefault();
                         this.toggleAutoPlay();
@@ -107,10 +139,18 @@ class ComparisonView {
             } else {
                 switch(e.key) {
                     case 'ArrowLeft':
-                        this.adjustSlider(-0.05);
+                        if (this.currentMode === 'timeline') {
+                            this.stepTimeline(-1);
+                        } else {
+                            this.adjustSlider(-0.05);
+                        }
                         break;
                     case 'ArrowRight':
-                        this.adjustSlider(0.05);
+                        if (this.currentMode === 'timeline') {
+                            this.stepTimeline(1);
+                        } else {
+                            this.adjustSlider(0.05);
+                        }
                         break;
                     case ' ':
                         this.toggleAutoPlay();
@@ -123,10 +163,217 @@ class ComparisonView {
         });
     }
 
-    // Set images for comparison
+    // Set images for comparison; ImageData is accepted alongside anything drawImage takes
     setImages(original, enhanced) {
-        this.originalImage = original;
-        this.enhancedImage = enhanced;
+        this.originalImage = this.toDrawable(original);
+        this.enhancedImage = this.toDrawable(enhanced);
+        
+        // A new pair needs its own landmarks and alignment, and replaces any timeline
+        this.landmarks = [];
+        this.pendingLandmark = null;
+        this.registration = null;
+        this.registeredImage = null;
+        this.timeline.frames = [];
+        this.timeline.position = 0;
+        if (this.currentMode === 'timeline') {
+            this.currentMode = 'sideBySide';
+        }
+        this.redrawComparison();
+    }
+
+    // entries: [{ image, date, label, landmarks }] showing one view at different visits.
+    // Every later photo is registered onto the earliest; one that cannot be aligned is kept as is
+    async setTimeline(entries, options = {}) {
+        if (entries.length < 2) {
+            throw new Error('A timeline needs at least two photos');
+        }
+        
+        const sorted = [...entries].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        const reference = this.toDrawable(sorted[0].image);
+        const referenceData = this.getImageData(reference);
+        const frames = [];
+        
+        for (let i = 0; i < sorted.length; i++) {
+            const entry = sorted[i];
+            const image = i === 0 ? reference : this.toDrawable(entry.image);
+            const frame = {
+                image,
+                registered: image,
+                date: entry.date,
+                label: entry.label || String(entry.date),
+                registration: null,
+                error: null
+            };
+            
+            if (i > 0 && options.register !== false) {
+                try {
+                    frame.registration = await this.registrar.register(referenceData, this.getImageData(image), {
+                        model: options.model,
+                        landmarks: entry.landmarks || []
+                    });
+                    frame.registered = this.registrar.warpImage(image, frame.registration.transform, referenceData.width, referenceData.height);
+                } catch (error) {
+                    frame.error = error.message;
+                }
+            }
+            
+            frames.push(frame);
+            if (options.onProgress) {
+                options.onProgress(i + 1, sorted.length);
+            }
+        }
+        
+        // The two-image modes compare the earliest and the latest visit
+        const latest = frames[frames.length - 1];
+        this.originalImage = reference;
+        this.enhancedImage = latest.image;
+        this.registration = latest.registration;
+        this.registeredImage = latest.registration ? latest.registered : null;
+        this.landmarks = [];
+        this.pendingLandmark = null;
+        this.isPlacingLandmarks = false;
+        
+        this.timeline.frames = frames;
+        this.timeline.position = 0;
+        this.setMode('timeline');
+        
+        return frames.map(({ date, label, registration, error }) => ({ date, label, registration, error }));
+    }
+
+    setTimelinePosition(position) {
+        const last = Math.max(0, this.timeline.frames.length - 1);
+        this.timeline.position = Math.max(0, Math.min(last, position));
+        this.redrawComparison();
+    }
+
+    // Move to the previous or next visit
+    stepTimeline(delta) {
+        this.setTimelinePosition(Math.round(this.timeline.position) + delta);
+    }
+
+    setOnionSkin(enabled, opacity = this.timeline.onionOpacity) {
+        this.timeline.onionSkin = enabled;
+        this.timeline.onionOpacity = opacity;
+        this.redrawComparison();
+    }
+
+    // Scrubber track ends, in canvas pixels
+    getScrubberTrack() {
+        return {
+            left: 30,
+            right: this.canvas.width - 30,
+            top: this.canvas.height - this.settings.scrubberHeight
+        };
+    }
+
+    scrubTo(x) {
+        const track = this.getScrubberTrack();
+        const fraction = (x - track.left) / (track.right - track.left);
+        this.setTimelinePosition(fraction * (this.timeline.frames.length - 1));
+    }
+
+    toDrawable(image) {
+        if (!(image instanceof ImageData)) return image;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    getImageData(image) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    // The "after" image as the comparison modes draw it: registered when aligned
+    getAfterImage() {
+        return this.registeredImage || this.enhancedImage;
+    }
+
+    // Landmarks are placed in side-by-side mode: a click on each half makes a pair
+    startLandmarkPlacement() {
+        this.isPlacingLandmarks = true;
+        this.pendingLandmark = null;
+        this.setMode('sideBySide');
+    }
+
+    stopLandmarkPlacement() {
+        this.isPlacingLandmarks = false;
+        this.pendingLandmark = null;
+        this.redrawComparison();
+    }
+
+    clearLandmarks() {
+        this.landmarks = [];
+        this.pendingLandmark = null;
+        this.redrawComparison();
+    }
+
+    // side is 'before' or 'after'; point is in that image's pixels
+    addLandmark(side, point) {
+        if (this.pendingLandmark && this.pendingLandmark.side !== side) {
+            const other = this.pendingLandmark.point;
+            this.landmarks.push(side === 'after'
+                ? { before: other, after: point }
+                : { before: point, after: other });
+            this.pendingLandmark = null;
+        } else {
+            // A second click on the same side moves the unpaired point
+            this.pendingLandmark = { side, point };
+        }
+        this.redrawComparison();
+    }
+
+    // Canvas position in side-by-side mode to the image point under it
+    getLandmarkTarget(x, y) {
+        const halfWidth = this.canvas.width / 2;
+        const side = x < halfWidth ? 'before' : 'after';
+        const image = side === 'before' ? this.originalImage : this.enhancedImage;
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        
+        return {
+            side,
+            point: {
+                x: ((side === 'before' ? x : x - halfWidth) / halfWidth) * width,
+                y: (y / this.canvas.height) * height
+            }
+        };
+    }
+
+    // Align the "after" image onto the "before" image; options.model is 'similarity' or 'affine'
+    async registerImages(options = {}) {
+        if (!this.originalImage || !this.enhancedImage) {
+            throw new Error('Set the before and after images first');
+        }
+        
+        const before = this.getImageData(this.originalImage);
+        const after = this.getImageData(this.enhancedImage);
+        const registration = await this.registrar.register(before, after, {
+            ...options,
+            landmarks: this.landmarks
+        });
+        
+        this.registration = registration;
+        this.registeredImage = this.registrar.warpImage(this.enhancedImage, registration.transform, before.width, before.height);
+        this.isPlacingLandmarks = false;
+        this.pendingLandmark = null;
+        this.redrawComparison();
+        
+        return registration;
+    }
+
+    clearRegistration() {
+        this.registration = null;
+        this.registeredImage = null;
         this.redrawComparison();
     }
 
@@ -150,7 +397,17 @@ class ComparisonView {
         const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
         const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
         
-        if (this.currentMode === 'slider') {
+        if (this.isPlacingLandmarks && this.currentMode === 'sideBySide') {
+            const target = this.getLandmarkTarget(x, y);
+            this.addLandmark(target.side, target.point);
+        } else if (this.currentMode === 'timeline') {
+            if (this.timeline.showScrubber && y >= this.getScrubberTrack().top) {
+                this.stopAutoPlay();
+                this.isDraggingScrubber = true;
+                this.canvas.style.cursor = 'ew-resize';
+                this.scrubTo(x);
+            }
+        } else if (this.currentMode === 'slider') {
             // Check if clicking on slider
             const sliderX = this.canvas.width * this.sliderPosition;
             if (Math.abs(x - sliderX) < 10) {
@@ -168,6 +425,8 @@ class ComparisonView {
         if (this.isDraggingSlider) {
             this.sliderPosition = Math.max(0, Math.min(1, x / this.canvas.width));
             this.redrawComparison();
+        } else if (this.isDraggingScrubber) {
+            this.scrubTo(x);
         } else {
             // Update cursor
             if (this.currentMode === 'slider') {
@@ -185,6 +444,12 @@ class ComparisonView {
     handleMouseUp(e) {
         this.isDraggingSlider = false;
         this.canvas.style.cursor = 'default';
+        
+        // A released scrubber settles on the nearest visit
+        if (this.isDraggingScrubber) {
+            this.isDraggingScrubber = false;
+            this.setTimelinePosition(Math.round(this.timeline.position));
+        }
     }
 
     // Handle touch events
@@ -223,7 +488,7 @@ class ComparisonView {
 
     // Redraw comparison view
     redrawComparison() {
-        if (!this.originalImage || !this.enhancedImage) return;
+        if (this.currentMode === 'timeline' ? this.timeline.frames.length === 0 : !this.originalImage || !this.enhancedImage) return;
         
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -247,6 +512,9 @@ class ComparisonView {
             case 'fade':
                 this.drawFade();
                 break;
+            case 'timeline':
+                this.drawTimeline();
+                break;
         }
         
         // Draw labels if enabled
@@ -269,9 +537,9 @@ class ComparisonView {
         this.ctx.drawImage(this.originalImage, 0, 0, halfWidth, this.canvas.height);
         this.ctx.restore();
         
-        // Draw enhanced image (right)
+        // Draw enhanced image (right); landmarks are placed on the unregistered image
         this.ctx.save();
-        this.ctx.drawImage(this.enhancedImage, halfWidth, 0, halfWidth, this.canvas.height);
+        this.ctx.drawImage(this.isPlacingLandmarks ? this.enhancedImage : this.getAfterImage(), halfWidth, 0, halfWidth, this.canvas.height);
         this.ctx.restore();
         
         // Draw divider line
@@ -281,6 +549,48 @@ class ComparisonView {
         this.ctx.moveTo(halfWidth, 0);
         this.ctx.lineTo(halfWidth, this.canvas.height);
         this.ctx.stroke();
+        
+        if (this.isPlacingLandmarks) {
+            this.drawLandmarks();
+        }
+    }
+
+    // Numbered markers on both halves; an unpaired point is drawn hollow
+    drawLandmarks() {
+        const halfWidth = this.canvas.width / 2;
+        const toCanvas = (side, point) => {
+            const image = side === 'before' ? this.originalImage : this.enhancedImage;
+            const width = image.naturalWidth || image.width;
+            const height = image.naturalHeight || image.height;
+            return {
+                x: (point.x / width) * halfWidth + (side === 'after' ? halfWidth : 0),
+                y: (point.y / height) * this.canvas.height
+            };
+        };
+        const drawMarker = (position, label, filled) => {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.arc(position.x, position.y, 6, 0, 2 * Math.PI);
+            this.ctx.fillStyle = '#f59e0b';
+            if (filled) this.ctx.fill();
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(label, position.x + 8, position.y - 8);
+            this.ctx.restore();
+        };
+        
+        this.landmarks.forEach((pair, index) => {
+            drawMarker(toCanvas('before', pair.before), String(index + 1), true);
+            drawMarker(toCanvas('after', pair.after), String(index + 1), true);
+        });
+        
+        if (this.pendingLandmark) {
+            drawMarker(toCanvas(this.pendingLandmark.side, this.pendingLandmark.point), String(this.landmarks.length + 1), false);
+        }
     }
 
     // Draw slider comparison
@@ -300,7 +610,7 @@ class ComparisonView {
         this.ctx.beginPath();
         this.ctx.rect(sliderX, 0, this.canvas.width - sliderX, this.canvas.height);
         this.ctx.clip();
-        this.ctx.drawImage(this.enhancedImage, 0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(this.getAfterImage(), 0, 0, this.canvas.width, this.canvas.height);
         this.ctx.restore();
         
         // Draw slider line
@@ -329,7 +639,7 @@ class ComparisonView {
         // Draw enhanced image (top layer) with opacity
         this.ctx.save();
         this.ctx.globalAlpha = this.overlayOpacity;
-        this.ctx.drawImage(this.enhancedImage, 0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(this.getAfterImage(), 0, 0, this.canvas.width, this.canvas.height);
         this.ctx.restore();
         
         // Draw opacity slider
@@ -348,8 +658,8 @@ class ComparisonView {
         tempCtx.drawImage(this.originalImage, 0, 0, this.canvas.width, this.canvas.height);
         const originalData = tempCtx.getImageData(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw enhanced image
-        tempCtx.drawImage(this.enhancedImage, 0, 0, this.canvas.width, this.canvas.height);
+        // Draw enhanced image; where a registered image leaves gaps the original shows, so they read as unchanged
+        tempCtx.drawImage(this.getAfterImage(), 0, 0, this.canvas.width, this.canvas.height);
         const enhancedData = tempCtx.getImageData(0, 0, this.canvas.width, this.canvas.height);
         
         // Calculate difference
@@ -369,7 +679,7 @@ class ComparisonView {
         // Draw mirrored enhanced image (right)
         this.ctx.save();
         this.ctx.scale(-1, 1);
-        this.ctx.drawImage(this.enhancedImage, -this.canvas.width, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(this.getAfterImage(), -this.canvas.width, 0, this.canvas.width, this.canvas.height);
         this.ctx.restore();
         
         // Draw divider line
@@ -395,14 +705,16 @@ class ComparisonView {
         // Draw original image
         this.ctx.drawImage(this.originalImage, 0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw enhanced image with gradient mask
-        this.ctx.save();
-        this.ctx.globalCompositeOperation = 'source-over';
-        this.ctx.drawImage(this.enhancedImage, 0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.globalCompositeOperation = 'destination-in';
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.restore();
+        // Mask the enhanced image on its own layer so the original underneath is kept
+        const layer = document.createElement('canvas');
+        layer.width = this.canvas.width;
+        layer.height = this.canvas.height;
+        const layerCtx = layer.getContext('2d');
+        layerCtx.drawImage(this.getAfterImage(), 0, 0, this.canvas.width, this.canvas.height);
+        layerCtx.globalCompositeOperation = 'destination-in';
+        layerCtx.fillStyle = gradient;
+        layerCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(layer, 0, 0);
         
         // Draw fade line
         this.ctx.strokeStyle = '#ffffff';
@@ -415,6 +727,70 @@ class ComparisonView {
         this.ctx.setLineDash([]);
     }
 
+    // Draw the visit at the timeline position, cross-fading into the next one for fractional
+    // positions; onion skin ghosts the previous visit over it
+    drawTimeline() {
+        const { frames, position, onionSkin, onionOpacity } = this.timeline;
+        const index = Math.floor(position);
+        const blend = position - index;
+        const draw = (frame, alpha) => {
+            this.ctx.save();
+            this.ctx.globalAlpha = alpha;
+            this.ctx.drawImage(frame.registered, 0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.restore();
+        };
+        
+        draw(frames[index], 1);
+        if (blend > 0 && frames[index + 1]) {
+            draw(frames[index + 1], blend);
+        }
+        if (onionSkin && index > 0) {
+            draw(frames[index - 1], onionOpacity * (1 - blend));
+        }
+        
+        if (this.timeline.showScrubber) {
+            this.drawScrubber();
+        }
+    }
+
+    // Track with a tick and date per visit, and the handle at the current position
+    drawScrubber() {
+        const { frames, position } = this.timeline;
+        const track = this.getScrubberTrack();
+        const lineY = track.top + 16;
+        const xAt = (i) => track.left + (track.right - track.left) * (frames.length > 1 ? i / (frames.length - 1) : 0);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        this.ctx.fillRect(0, track.top, this.canvas.width, this.settings.scrubberHeight);
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(track.left, lineY);
+        this.ctx.lineTo(track.right, lineY);
+        this.ctx.stroke();
+        
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+        frames.forEach((frame, i) => {
+            const current = i === Math.round(position);
+            this.ctx.fillStyle = current ? '#ffffff' : 'rgba(255, 255, 255, 0.6)';
+            this.ctx.beginPath();
+            this.ctx.arc(xAt(i), lineY, 4, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.fillText(frame.label, xAt(i), lineY + 22);
+        });
+        
+        this.ctx.fillStyle = '#3b82f6';
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.beginPath();
+        this.ctx.arc(xAt(position), lineY, 8, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     // Draw opacity slider
     drawOpacitySlider() {
         const sliderY = this.canvas.height - 30;
@@ -474,50 +850,67 @@ class ComparisonView {
         return diffData;
     }
 
-    // Draw labels
+    // Draw labels; a label is left out when the part of the view it names is too narrow for it
     drawLabels() {
+        const { before, after } = this.settings.labels;
+        const fontSize = Math.max(14, Math.round(this.canvas.width / 55));
+        const y = fontSize + 16;
+        
+        this.ctx.save();
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
         this.ctx.lineWidth = 3;
-        this.ctx.font = 'bold 14px Arial';
+        this.ctx.font = `bold ${fontSize}px Arial`;
+        this.ctx.textAlign = 'center';
+        
+        const label = (text, x, room = this.canvas.width) => {
+            if (this.ctx.measureText(text).width + 16 > room) return;
+            this.ctx.strokeText(text, x, y);
+            this.ctx.fillText(text, x, y);
+        };
         
         switch (this.currentMode) {
             case 'sideBySide':
-                this.ctx.strokeText('Original', this.canvas.width / 4, 30);
-                this.ctx.fillText('Original', this.canvas.width / 4, 30);
-                this.ctx.strokeText('Enhanced', this.canvas.width * 3 / 4, 30);
-                this.ctx.fillText('Enhanced', this.canvas.width * 3 / 4, 30);
+                label(before, this.canvas.width / 4);
+                label(after, this.canvas.width * 3 / 4);
                 break;
                 
-            case 'slider':
-                this.ctx.strokeText('Original', this.canvas.width * this.sliderPosition / 2, 30);
-                this.ctx.fillText('Original', this.canvas.width * this.sliderPosition / 2, 30);
-                this.ctx.strokeText('Enhanced', this.canvas.width * (this.sliderPosition + 1) / 2, 30);
-                this.ctx.fillText('Enhanced', this.canvas.width * (this.sliderPosition + 1) / 2, 30);
+            case 'slider': {
+                const sliderX = this.canvas.width * this.sliderPosition;
+                label(before, sliderX / 2, sliderX);
+                label(after, (sliderX + this.canvas.width) / 2, this.canvas.width - sliderX);
                 break;
+            }
                 
             case 'overlay':
-                this.ctx.strokeText('Overlay Mode', this.canvas.width / 2, 30);
-                this.ctx.fillText('Overlay Mode', this.canvas.width / 2, 30);
+                label('Overlay Mode', this.canvas.width / 2);
                 break;
                 
             case 'diff':
-                this.ctx.strokeText('Difference View', this.canvas.width / 2, 30);
-                this.ctx.fillText('Difference View', this.canvas.width / 2, 30);
+                label('Difference View', this.canvas.width / 2);
                 break;
                 
             case 'mirror':
-                this.ctx.strokeText('Original', this.canvas.width / 4, 30);
-                this.ctx.fillText('Original', this.canvas.width / 4, 30);
-                this.ctx.strokeText('Mirrored', this.canvas.width * 3 / 4, 30);
-                this.ctx.fillText('Mirrored', this.canvas.width * 3 / 4, 30);
+                label(before, this.canvas.width / 4);
+                label('Mirrored', this.canvas.width * 3 / 4);
                 break;
                 
-            case 'fade':
-                this.ctx.strokeText('Fade Mode', this.canvas.width / 2, 30);
-                this.ctx.fillText('Fade Mode', this.canvas.width / 2, 30);
+            case 'fade': {
+                // The after image shows left of the fade line
+                const fadeX = this.canvas.width * this.fadePosition;
+                label(after, fadeX / 2, fadeX);
+                label(before, (fadeX + this.canvas.width) / 2, this.canvas.width - fadeX);
                 break;
+            }
+                
+            case 'timeline': {
+                const index = Math.round(this.timeline.position);
+                label(`${this.timeline.frames[index].label} (${index + 1} of ${this.timeline.frames.length})`, this.canvas.width / 2);
+                break;
+            }
         }
+        
+        this.ctx.restore();
     }
 
     // Draw grid
@@ -565,13 +958,14 @@ class ComparisonView {
 
     // Stop auto play animation
     stopAutoPlay() {
+        const wasAnimating = this.isAnimating;
         this.isAnimating = false;
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
         
-        if (typeof showToast === 'function') {
+        if (wasAnimating && typeof showToast === 'function') {
             showToast('Auto play stopped');
         }
     }
@@ -593,6 +987,9 @@ class ComparisonView {
             case 'fade':
                 this.fadePosition = progress;
                 break;
+            case 'timeline':
+                this.timeline.position = this.getTimelinePlaybackPosition(time);
+                break;
         }
         
         this.redrawComparison();
@@ -600,6 +997,145 @@ class ComparisonView {
         this.animationId = requestAnimationFrame(() => this.animate());
     }
 
+    // Each visit is held, then cross-fades into the next over the last part of its slot;
+    // the latest visit holds before the loop starts again
+    getTimelinePlaybackPosition(time, transition = 0.3) {
+        const count = this.timeline.frames.length;
+        const duration = this.settings.timelineFrameDuration;
+        const elapsed = (time % (duration * count)) / duration;
+        const index = Math.floor(elapsed);
+        const phase = elapsed - index;
+        
+        return index < count - 1 ? index + Math.max(0, (phase - (1 - transition)) / transition) : index;
+    }
+
+    // Draw the current mode onto an off-screen canvas of the given size
+    renderOffscreen(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        
+        const visible = { canvas: this.canvas, ctx: this.ctx };
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        try {
+            this.redrawComparison();
+            return this.ctx.getImageData(0, 0, width, height);
+        } finally {
+            this.canvas = visible.canvas;
+            this.ctx = visible.ctx;
+        }
+    }
+
+    // Frames [{ imageData, delay }] for animated export: each visit as one held frame, with
+    // cross-fade frames at options.fps between visits
+    renderTimelineFrames(options = {}) {
+        if (this.timeline.frames.length < 2) {
+            throw new Error('Load a timeline first');
+        }
+        
+        const width = options.width || this.canvas.width;
+        const height = options.height || Math.round(width * this.canvas.height / this.canvas.width);
+        const duration = options.frameDuration || this.settings.timelineFrameDuration;
+        const transition = options.transition !== undefined ? options.transition : 0.3;
+        const fps = options.fps || 12;
+        const steps = Math.max(1, Math.round(duration * transition / 1000 * fps));
+        
+        const saved = { mode: this.currentMode, position: this.timeline.position, showScrubber: this.timeline.showScrubber };
+        this.currentMode = 'timeline';
+        this.timeline.showScrubber = options.scrubber !== false;
+        
+        try {
+            const frames = [];
+            const count = this.timeline.frames.length;
+            for (let i = 0; i < count; i++) {
+                this.timeline.position = i;
+                const last = i === count - 1;
+                frames.push({
+                    imageData: this.renderOffscreen(width, height),
+                    delay: last ? duration : Math.max(1000 / fps, duration * (1 - transition))
+                });
+                
+                if (!last) {
+                    for (let step = 1; step < steps; step++) {
+                        this.timeline.position = i + step / steps;
+                        frames.push({ imageData: this.renderOffscreen(width, height), delay: 1000 / fps });
+                    }
+                }
+            }
+            return frames;
+        } finally {
+            this.currentMode = saved.mode;
+            this.timeline.position = saved.position;
+            this.timeline.showScrubber = saved.showScrubber;
+        }
+    }
+
+    // Frames [{ imageData, delay }] of an animated before/after for GIF/APNG export.
+    // options.animation: 'slider' sweeps the divider across and back, 'fade' moves the fade
+    // line across and back, 'timeline' plays the visits; duration (ms) covers one loop.
+    // options.labels: false hides the labels, { before, after } renames them
+    renderAnimation(options = {}) {
+        const animation = options.animation || 'slider';
+        if (!['slider', 'fade', 'timeline'].includes(animation)) {
+            throw new Error(`Unknown animation '${animation}'`);
+        }
+        
+        const saved = { showLabels: this.settings.showLabels, labels: this.settings.labels };
+        this.settings.showLabels = options.labels !== false;
+        if (options.labels && typeof options.labels === 'object') {
+            this.settings.labels = { ...this.settings.labels, ...options.labels };
+        }
+        
+        try {
+            if (animation === 'timeline') {
+                return this.renderTimelineFrames({
+                    ...options,
+                    frameDuration: options.duration ? options.duration / Math.max(1, this.timeline.frames.length) : undefined
+                });
+            }
+            
+            if (!this.originalImage || !this.enhancedImage) {
+                throw new Error('Set the before and after images first');
+            }
+            
+            const width = options.width || this.canvas.width;
+            const height = options.height || Math.round(width * this.canvas.height / this.canvas.width);
+            const duration = options.duration || this.settings.playSpeed;
+            const fps = options.fps || 15;
+            const count = Math.max(2, Math.round(duration / 1000 * fps));
+            const delay = duration / count;
+            
+            const savedView = { mode: this.currentMode, sliderPosition: this.sliderPosition, fadePosition: this.fadePosition };
+            this.currentMode = animation;
+            
+            try {
+                const frames = [];
+                for (let i = 0; i < count; i++) {
+                    // There and back with easing, so the loop has no jump and pauses at each end
+                    const phase = i / count;
+                    const t = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+                    const position = t * t * (3 - 2 * t);
+                    
+                    if (animation === 'slider') {
+                        this.sliderPosition = position;
+                    } else {
+                        this.fadePosition = position;
+                    }
+                    frames.push({ imageData: this.renderOffscreen(width, height), delay });
+                }
+                return frames;
+            } finally {
+                this.currentMode = savedView.mode;
+                this.sliderPosition = savedView.sliderPosition;
+                this.fadePosition = savedView.fadePosition;
+            }
+        } finally {
+            this.settings.showLabels = saved.showLabels;
+            this.settings.labels = saved.labels;
+        }
+    }
+
     // Update mode UI
     updateModeUI() {
         document.querySelectorAll('[data-comparison-mode]').forEach(btn => {
@@ -639,7 +1175,7 @@ class ComparisonView {
         this.redrawComparison();
     }
 
-    // Export comparison as image
+    // Export the current view as a PNG data URL; see renderAnimation for animated exports
     exportComparison() {
         return this.canvas.toDataURL('image/png');
     }
@@ -649,6 +1185,10 @@ class ComparisonView {
         return {
             mode: this.currentMode,
             hasImages: !!(this.originalImage && this.enhancedImage),
+            isRegistered: !!this.registration,
+            landmarks: this.landmarks.length,
+            timelineFrames: this.timeline.frames.length,
+            timelinePosition: this.timeline.position,
             sliderPosition: this.sliderPosition,
             overlayOpacity: this.overlayOpacity,
             fadePosition: this.fadePosition,
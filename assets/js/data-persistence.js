@@ -45,6 +45,8 @@ class DataPersistenceManager {
                 lastPreset: null,
                 customPresets: []
             },
+            cameraProfiles: {},
+            colorCalibrations: {},
             usageStats: {
                 totalSessions: 0,
                 totalImagesProcessed: 0,
@@ -70,8 +72,9 @@ class DataPersistenceManager {
         try {
             const stored = localStorage.getItem(this.storageKey);
             
+            // A copy, since callers change the settings they load before saving them
             if (!stored) {
-                return this.defaultSettings;
+                return this.getDefaultSettings();
             }
             
             const data = JSON.parse(stored);
@@ -86,7 +89,7 @@ class DataPersistenceManager {
             
         } catch (error) {
             console.error('Failed to load settings:', error);
-            return this.defaultSettings;
+            return this.getDefaultSettings();
         }
     }
 
@@ -335,6 +338,57 @@ class DataPersistenceManager {
         }
     }
 
+    // Save user-registered camera profiles (keyed by profile id)
+    saveCameraProfiles(profiles) {
+        const settings = this.loadSettings();
+        
+        settings.cameraProfiles = { ...(settings.cameraProfiles || {}), ...profiles };
+        
+        this.saveSettings(settings);
+    }
+
+    // Get user-registered camera profiles
+    getCameraProfiles() {
+        const settings = this.loadSettings();
+        return settings.cameraProfiles || {};
+    }
+
+    // Delete a user-registered camera profile
+    deleteCameraProfile(profileId) {
+        const settings = this.loadSettings();
+        
+        if (settings.cameraProfiles && settings.cameraProfiles[profileId]) {
+            delete settings.cameraProfiles[profileId];
+            this.saveSettings(settings);
+        }
+    }
+
+    // Save a color calibration for a camera profile
+    saveColorCalibration(profileId, calibration) {
+        const settings = this.loadSettings();
+        
+        settings.colorCalibrations = settings.colorCalibrations || {};
+        settings.colorCalibrations[profileId] = calibration;
+        
+        this.saveSettings(settings);
+    }
+
+    // Get the color calibration for a camera profile
+    getColorCalibration(profileId) {
+        const settings = this.loadSettings();
+        return (settings.colorCalibrations || {})[profileId] || null;
+    }
+
+    // Delete the color calibration for a camera profile
+    deleteColorCalibration(profileId) {
+        const settings = this.loadSettings();
+        
+        if (settings.colorCalibrations && settings.colorCalibrations[profileId]) {
+            delete settings.colorCalibrations[profileId];
+            this.saveSettings(settings);
+        }
+    }
+
     // Cache performance profile
     cachePerformanceProfile(profile) {
         const settings = this.loadSettings();
@@ -408,22 +462,49 @@ class DataPersistenceManager {
         }
     }
 
-    // Get storage usage
-    getStorageUsage() {
+    // Get storage usage: settings in localStorage, the IndexedDB patient library and the origin quota
+    async getStorageUsage() {
+        let usage;
         try {
             const data = localStorage.getItem(this.storageKey);
             const size = data ? data.length : 0;
             const percentage = (size / this.maxStorageSize) * 100;
-            
-            return {
+
+            usage = {
                 used: size,
                 max: this.maxStorageSize,
                 percentage: percentage,
                 status: percentage > 80 ? 'warning' : 'normal'
             };
         } catch (error) {
-            return { used: 0, max: this.maxStorageSize, percentage: 0, status: 'error' };
+            usage = { used: 0, max: this.maxStorageSize, percentage: 0, status: 'error' };
+        }
+
+        usage.library = null;
+        if (window.patientLibrary && window.patientLibrary.isSupported()) {
+            try {
+                usage.library = await window.patientLibrary.getUsage();
+            } catch (error) {
+                console.warn('Failed to measure patient library:', error);
+            }
         }
+
+        // Photos count against the browser's per-origin quota, not the 5MB settings budget
+        usage.quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                const percentage = estimate.quota ? (estimate.usage / estimate.quota) * 100 : 0;
+                usage.quota = { used: estimate.usage, max: estimate.quota, percentage };
+                if (percentage > 80 && usage.status === 'normal') {
+                    usage.status = 'warning';
+                }
+            } catch (error) {
+                console.warn('Storage estimate unavailable:', error);
+            }
+        }
+
+        return usage;
     }
 
     // Initialize on page load
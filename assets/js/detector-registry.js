@@ -0,0 +1,127 @@
+// Detector Registry for Dental Photo Editor
+// Plugin contract for dental feature detectors, so new ones can be added from their own script:
+//
+//   dentalDetectors.register({
+//       id: 'caries',                        // key of its output in the merged detection results
+//       version: '1.0.0',
+//       modelId: 'caries-detection',         // optional ML manifest entry, loaded before the first run
+//       inputs: ['imageData'],               // what detect() reads: 'imageData' plus any option names
+//       outputs: { areas: 'array', confidence: 'number' },
+//       timeout: 5000,                       // optional, ms
+//       async detect(imageData, { signal, onProgress, model, ...options }) { ... }
+//   });
+//
+// detect() should stop when signal is aborted and may report onProgress(0..1). Pixel loops can go
+// through DetectorRegistry.scanRows, which yields between chunks of rows so the timeout can fire.
+
+const DETECTOR_OUTPUT_TYPES = ['array', 'number', 'string', 'boolean', 'object'];
+
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+    }
+
+    register(detector) {
+        this.validate(detector);
+        if (this.detectors.has(detector.id)) {
+            throw new Error(`A detector with id "${detector.id}" is already registered`);
+        }
+
+        this.detectors.set(detector.id, {
+            inputs: ['imageData'],
+            modelId: null,
+            timeout: null,
+            ...detector
+        });
+        return detector.id;
+    }
+
+    unregister(id) {
+        return this.detectors.delete(id);
+    }
+
+    get(id) {
+        return this.detectors.get(id) || null;
+    }
+
+    // In registration order, which is also the order of the merged results
+    list() {
+        return [...this.detectors.values()];
+    }
+
+    validate(detector) {
+        if (!detector || typeof detector.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(detector.id)) {
+            throw new Error('A detector needs an id of letters, digits, - and _');
+        }
+        if (['timestamp', 'detectors'].includes(detector.id)) {
+            throw new Error(`"${detector.id}" is reserved in the detection results`);
+        }
+        if (!/^\d+\.\d+\.\d+$/.test(detector.version || '')) {
+            throw new Error(`Detector ${detector.id} needs an exact version`);
+        }
+        if (typeof detector.detect !== 'function') {
+            throw new Error(`Detector ${detector.id} needs a detect(imageData, options) function`);
+        }
+        if (detector.inputs && (!Array.isArray(detector.inputs) || !detector.inputs.includes('imageData'))) {
+            throw new Error(`Detector ${detector.id} inputs must list imageData`);
+        }
+        if (!detector.outputs || typeof detector.outputs !== 'object') {
+            throw new Error(`Detector ${detector.id} needs an outputs schema`);
+        }
+        for (const [field, type] of Object.entries(detector.outputs)) {
+            if (!DETECTOR_OUTPUT_TYPES.includes(String(type).replace(/\?$/, ''))) {
+                throw new Error(`Detector ${detector.id} output ${field} has unknown type ${type}`);
+            }
+        }
+    }
+
+    // Call visitRow(y) for rows 0, step, 2 * step... below height, a chunk of about chunkMs at a time.
+    // Between chunks it reports progress and yields, and rejects once options.signal is aborted.
+    static async scanRows(height, step, visitRow, options = {}) {
+        const { signal = null, onProgress = null, chunkMs = 16 } = options;
+        const yieldChunk = async () => {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (signal && signal.aborted) {
+                throw new Error('Detection cancelled');
+            }
+        };
+
+        await yieldChunk();
+        let chunkStart = performance.now();
+        for (let y = 0; y < height; y += step) {
+            visitRow(y);
+            if (performance.now() - chunkStart >= chunkMs) {
+                if (onProgress) onProgress((y + 1) / height);
+                await yieldChunk();
+                chunkStart = performance.now();
+            }
+        }
+    }
+
+    // Check a result against the detector's outputs schema; a trailing ? marks a field optional
+    checkOutput(detector, output) {
+        if (!output || typeof output !== 'object') {
+            throw new Error(`Detector ${detector.id} returned no result object`);
+        }
+
+        for (const [field, schemaType] of Object.entries(detector.outputs)) {
+            const optional = schemaType.endsWith('?');
+            const type = schemaType.replace(/\?$/, '');
+            const value = output[field];
+
+            if (value === undefined || value === null) {
+                if (optional) continue;
+                throw new Error(`Detector ${detector.id} output is missing ${field}`);
+            }
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (actual !== type) {
+                throw new Error(`Detector ${detector.id} output ${field} should be ${type}, not ${actual}`);
+            }
+        }
+        return output;
+    }
+}
+
+// Shared registry; ml-integration.js registers the built-in detectors into it
+window.DetectorRegistry = DetectorRegistry;
+window.dentalDetectors = new DetectorRegistry();
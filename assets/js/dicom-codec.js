@@ -0,0 +1,733 @@
+// DICOM Codec for Dental Photo Editor
+// Part 10 reading and writing of clinical photographs and radiographs for PACS and hospital archives
+
+class DICOMWriter {
+    constructor() {
+        // Explicit VR Little Endian
+        this.transferSyntaxUID = '1.2.840.10008.1.2.1';
+        this.implementationClassUID = '2.25.80247981797767220492507127282711247009';
+        this.implementationVersionName = 'DENTALPHOTO_1_0';
+
+        this.sopClasses = {
+            photographic: {
+                uid: '1.2.840.10008.5.1.4.1.1.77.1.4',
+                name: 'VL Photographic Image Storage',
+                modality: 'XC'
+            },
+            secondaryCapture: {
+                uid: '1.2.840.10008.5.1.4.1.1.7',
+                name: 'Secondary Capture Image Storage',
+                modality: 'XC'
+            }
+        };
+
+        // VRs encoded with a 2-byte reserved field and a 4-byte length
+        this.longLengthVRs = ['OB', 'OD', 'OF', 'OL', 'OW', 'SQ', 'UC', 'UN', 'UR', 'UT'];
+
+        this.textEncoder = new TextEncoder();
+    }
+
+    // Encode ImageData as a Part 10 file
+    encode(imageData, options = {}) {
+        const metadata = this.inheritStudyFields(options);
+        const sopClass = this.sopClasses[metadata.sopClass || 'photographic'];
+        if (!sopClass) {
+            throw new Error(`Unsupported DICOM SOP class: ${metadata.sopClass}`);
+        }
+
+        const uids = {
+            sopClassUID: sopClass.uid,
+            studyInstanceUID: metadata.studyInstanceUID || this.generateUID(),
+            seriesInstanceUID: metadata.seriesInstanceUID || this.generateUID(),
+            sopInstanceUID: this.generateUID()
+        };
+
+        const dataset = this.createDataset(imageData, metadata, sopClass, uids);
+        const fileMeta = this.createFileMetaInformation(uids);
+
+        const preamble = new Uint8Array(128);
+        const prefix = this.textEncoder.encode('DICM');
+        const metaBytes = this.encodeElements(fileMeta);
+        const datasetBytes = this.encodeElements(dataset);
+
+        const buffer = this.concatBytes([preamble, prefix, metaBytes, datasetBytes]).buffer;
+
+        return {
+            buffer: buffer,
+            ...uids
+        };
+    }
+
+    // Carry patient and study tags over from an imported DICOM so the export joins that study as a new series
+    inheritStudyFields(metadata) {
+        const source = metadata.sourceStudy;
+        if (!source) return metadata;
+
+        const inherited = {};
+        const studyFields = [
+            'patientName', 'patientID', 'patientBirthDate', 'patientSex',
+            'studyInstanceUID', 'studyDate', 'studyTime', 'studyID', 'accessionNumber',
+            'studyDescription', 'referringPhysicianName', 'institutionName'
+        ];
+
+        studyFields.forEach(field => {
+            if (source[field]) inherited[field] = source[field];
+        });
+
+        // Number derived series apart from the acquisition series
+        inherited.seriesNumber = (source.seriesNumber || 0) + 1000;
+
+        return { ...inherited, ...metadata };
+    }
+
+    // File Meta Information group (0002)
+    createFileMetaInformation(uids) {
+        const elements = [
+            { tag: 0x00020001, vr: 'OB', value: new Uint8Array([0x00, 0x01]) },
+            { tag: 0x00020002, vr: 'UI', value: uids.sopClassUID },
+            { tag: 0x00020003, vr: 'UI', value: uids.sopInstanceUID },
+            { tag: 0x00020010, vr: 'UI', value: this.transferSyntaxUID },
+            { tag: 0x00020012, vr: 'UI', value: this.implementationClassUID },
+            { tag: 0x00020013, vr: 'SH', value: this.implementationVersionName }
+        ];
+
+        // Group length covers every element after itself
+        const groupLength = this.encodeElements(elements).length;
+        elements.unshift({ tag: 0x00020000, vr: 'UL', value: groupLength });
+
+        return elements;
+    }
+
+    // Build the main dataset (patient, study, series, equipment, image and pixel modules)
+    createDataset(imageData, metadata, sopClass, uids) {
+        const now = new Date();
+        const studyDate = metadata.studyDate ? this.formatDate(metadata.studyDate) : this.formatDate(now);
+        const studyTime = metadata.studyTime ? this.formatTime(metadata.studyTime) : this.formatTime(now);
+        const contentDate = this.formatDate(now);
+        const contentTime = this.formatTime(now);
+
+        const elements = [
+            // SOP Common
+            { tag: 0x00080005, vr: 'CS', value: 'ISO_IR 192' },
+            { tag: 0x00080008, vr: 'CS', value: metadata.imageType || ['DERIVED', 'PRIMARY'] },
+            { tag: 0x00080016, vr: 'UI', value: uids.sopClassUID },
+            { tag: 0x00080018, vr: 'UI', value: uids.sopInstanceUID },
+
+            // General Study
+            { tag: 0x00080020, vr: 'DA', value: studyDate },
+            { tag: 0x00080030, vr: 'TM', value: studyTime },
+            { tag: 0x00080050, vr: 'SH', value: metadata.accessionNumber || '' },
+            { tag: 0x00080090, vr: 'PN', value: metadata.referringPhysicianName || '' },
+            { tag: 0x00081030, vr: 'LO', value: metadata.studyDescription || '' },
+            { tag: 0x0020000D, vr: 'UI', value: uids.studyInstanceUID },
+            { tag: 0x00200010, vr: 'SH', value: metadata.studyID || '' },
+
+            // General Series
+            { tag: 0x00080060, vr: 'CS', value: metadata.modality || sopClass.modality },
+            { tag: 0x0008103E, vr: 'LO', value: metadata.seriesDescription || 'Dental Photo Editor export' },
+            { tag: 0x0020000E, vr: 'UI', value: uids.seriesInstanceUID },
+            { tag: 0x00200011, vr: 'IS', value: String(metadata.seriesNumber || 1) },
+            { tag: 0x00180015, vr: 'CS', value: metadata.bodyPart || 'MOUTH' },
+
+            // General Equipment
+            { tag: 0x00080070, vr: 'LO', value: 'Dental Photo Editor' },
+            { tag: 0x00080080, vr: 'LO', value: metadata.institutionName || '' },
+
+            // Patient
+            { tag: 0x00100010, vr: 'PN', value: metadata.patientName || 'Anonymous' },
+            { tag: 0x00100020, vr: 'LO', value: metadata.patientID || 'UNKNOWN' },
+            { tag: 0x00100030, vr: 'DA', value: metadata.patientBirthDate ? this.formatDate(metadata.patientBirthDate) : '' },
+            { tag: 0x00100040, vr: 'CS', value: metadata.patientSex || '' },
+
+            // General Image
+            { tag: 0x00080023, vr: 'DA', value: contentDate },
+            { tag: 0x00080033, vr: 'TM', value: contentTime },
+            { tag: 0x00200013, vr: 'IS', value: String(metadata.instanceNumber || 1) },
+            { tag: 0x00200020, vr: 'CS', value: metadata.patientOrientation || '' },
+            { tag: 0x00282110, vr: 'CS', value: '00' },
+
+            // Image Pixel
+            { tag: 0x00280002, vr: 'US', value: 3 },
+            { tag: 0x00280004, vr: 'CS', value: 'RGB' },
+            { tag: 0x00280006, vr: 'US', value: 0 },
+            { tag: 0x00280010, vr: 'US', value: imageData.height },
+            { tag: 0x00280011, vr: 'US', value: imageData.width },
+            { tag: 0x00280100, vr: 'US', value: 8 },
+            { tag: 0x00280101, vr: 'US', value: 8 },
+            { tag: 0x00280102, vr: 'US', value: 7 },
+            { tag: 0x00280103, vr: 'US', value: 0 },
+            { tag: 0x7FE00010, vr: 'OB', value: this.extractRGBPixels(imageData) }
+        ];
+
+        if (sopClass === this.sopClasses.photographic) {
+            // VL Image module: empty Acquisition Context Sequence (type 2)
+            elements.push({ tag: 0x00400555, vr: 'SQ', value: [] });
+        } else {
+            // SC Equipment module: captured on a workstation
+            elements.push({ tag: 0x00080064, vr: 'CS', value: 'WSD' });
+        }
+
+        return elements;
+    }
+
+    // Drop the alpha channel and pack pixels as interleaved RGB
+    extractRGBPixels(imageData) {
+        const data = imageData.data;
+        const pixelCount = imageData.width * imageData.height;
+        const rgb = new Uint8Array(pixelCount * 3);
+
+        for (let i = 0, j = 0; i < pixelCount * 4; i += 4, j += 3) {
+            rgb[j] = data[i];
+            rgb[j + 1] = data[i + 1];
+            rgb[j + 2] = data[i + 2];
+        }
+
+        return rgb;
+    }
+
+    // Encode a list of elements in ascending tag order
+    encodeElements(elements) {
+        const sorted = [...elements].sort((a, b) => a.tag - b.tag);
+        return this.concatBytes(sorted.map(element => this.encodeElement(element)));
+    }
+
+    // Encode one Explicit VR Little Endian data element
+    encodeElement(element) {
+        const valueBytes = this.encodeValue(element.vr, element.value);
+        const isLong = this.longLengthVRs.includes(element.vr);
+        const headerLength = isLong ? 12 : 8;
+
+        if (!isLong && valueBytes.length > 0xFFFF) {
+            throw new Error(`DICOM value too long for VR ${element.vr}`);
+        }
+
+        const bytes = new Uint8Array(headerLength + valueBytes.length);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint16(0, element.tag >>> 16, true);
+        view.setUint16(2, element.tag & 0xFFFF, true);
+        bytes[4] = element.vr.charCodeAt(0);
+        bytes[5] = element.vr.charCodeAt(1);
+
+        if (isLong) {
+            view.setUint16(6, 0, true);
+            view.setUint32(8, valueBytes.length, true);
+        } else {
+            view.setUint16(6, valueBytes.length, true);
+        }
+
+        bytes.set(valueBytes, headerLength);
+        return bytes;
+    }
+
+    // Encode an element value, padded to even length
+    encodeValue(vr, value) {
+        switch (vr) {
+            case 'US': {
+                const values = Array.isArray(value) ? value : [value];
+                const bytes = new Uint8Array(values.length * 2);
+                const view = new DataView(bytes.buffer);
+                values.forEach((v, i) => view.setUint16(i * 2, v, true));
+                return bytes;
+            }
+            case 'UL': {
+                const values = Array.isArray(value) ? value : [value];
+                const bytes = new Uint8Array(values.length * 4);
+                const view = new DataView(bytes.buffer);
+                values.forEach((v, i) => view.setUint32(i * 4, v, true));
+                return bytes;
+            }
+            case 'OB':
+                return this.padBytes(value, 0x00);
+            case 'SQ':
+                return this.encodeSequence(value);
+            default: {
+                const text = Array.isArray(value) ? value.join('\\') : String(value);
+                return this.padBytes(this.textEncoder.encode(text), vr === 'UI' ? 0x00 : 0x20);
+            }
+        }
+    }
+
+    // Encode sequence items with explicit lengths
+    encodeSequence(items) {
+        const encodedItems = items.map(item => {
+            const content = this.encodeElements(item);
+            const header = new Uint8Array(8);
+            const view = new DataView(header.buffer);
+            view.setUint16(0, 0xFFFE, true);
+            view.setUint16(2, 0xE000, true);
+            view.setUint32(4, content.length, true);
+            return this.concatBytes([header, content]);
+        });
+
+        return this.concatBytes(encodedItems);
+    }
+
+    padBytes(bytes, padValue) {
+        if (bytes.length % 2 === 0) return bytes;
+
+        const padded = new Uint8Array(bytes.length + 1);
+        padded.set(bytes);
+        padded[bytes.length] = padValue;
+        return padded;
+    }
+
+    concatBytes(chunks) {
+        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const result = new Uint8Array(totalLength);
+
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return result;
+    }
+
+    // Generate a UUID-derived UID under the 2.25 root (ISO/IEC 9834-8)
+    generateUID() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+
+        // Mark as a version 4 (random) UUID
+        bytes[6] = (bytes[6] & 0x0F) | 0x40;
+        bytes[8] = (bytes[8] & 0x3F) | 0x80;
+
+        let value = 0n;
+        for (const byte of bytes) {
+            value = (value << 8n) | BigInt(byte);
+        }
+
+        return `2.25.${value.toString()}`;
+    }
+
+    // Format a Date or ISO date string as DICOM DA (YYYYMMDD)
+    formatDate(date) {
+        if (typeof date === 'string') {
+            return date.replace(/-/g, '').slice(0, 8);
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    }
+
+    // Format a Date or HH:MM:SS string as DICOM TM (HHMMSS)
+    formatTime(time) {
+        if (typeof time === 'string') {
+            return time.replace(/:/g, '').slice(0, 6);
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(time.getHours())}${pad(time.getMinutes())}${pad(time.getSeconds())}`;
+    }
+}
+
+// DICOM Part 10 reader for uncompressed RGB and grayscale images
+class DICOMParser {
+    constructor() {
+        this.transferSyntaxes = {
+            '1.2.840.10008.1.2': { name: 'Implicit VR Little Endian', explicitVR: false, littleEndian: true },
+            '1.2.840.10008.1.2.1': { name: 'Explicit VR Little Endian', explicitVR: true, littleEndian: true },
+            '1.2.840.10008.1.2.2': { name: 'Explicit VR Big Endian', explicitVR: true, littleEndian: false }
+        };
+
+        this.longLengthVRs = ['OB', 'OD', 'OF', 'OL', 'OW', 'SQ', 'UC', 'UN', 'UR', 'UT'];
+
+        // Specific Character Set to TextDecoder label
+        this.characterSets = {
+            '': 'iso-8859-1',
+            'ISO_IR 6': 'iso-8859-1',
+            'ISO_IR 100': 'iso-8859-1',
+            'ISO_IR 127': 'iso-8859-6',
+            'ISO_IR 192': 'utf-8'
+        };
+
+        // Tags kept with the image so exports can join the same study
+        this.studyTags = {
+            patientName: 0x00100010,
+            patientID: 0x00100020,
+            patientBirthDate: 0x00100030,
+            patientSex: 0x00100040,
+            studyInstanceUID: 0x0020000D,
+            studyDate: 0x00080020,
+            studyTime: 0x00080030,
+            studyID: 0x00200010,
+            accessionNumber: 0x00080050,
+            studyDescription: 0x00081030,
+            referringPhysicianName: 0x00080090,
+            institutionName: 0x00080080,
+            seriesInstanceUID: 0x0020000E,
+            seriesNumber: 0x00200011,
+            seriesDescription: 0x0008103E,
+            modality: 0x00080060,
+            sopClassUID: 0x00080016,
+            sopInstanceUID: 0x00080018
+        };
+    }
+
+    // Check file name and type before reading (PACS exports often have no extension)
+    static isLikelyDICOMFile(file) {
+        return file.type === 'application/dicom' ||
+               /\.(dcm|dicom)$/i.test(file.name) ||
+               (file.type === '' && !/\.[a-z0-9]{2,4}$/i.test(file.name));
+    }
+
+    // Check for the DICM prefix after the 128-byte preamble
+    static isDICOMBuffer(buffer) {
+        if (buffer.byteLength < 132) return false;
+
+        const bytes = new Uint8Array(buffer, 128, 4);
+        return String.fromCharCode(...bytes) === 'DICM';
+    }
+
+    // Parse a Part 10 file into displayable ImageData plus study tags
+    parse(buffer) {
+        if (!DICOMParser.isDICOMBuffer(buffer)) {
+            throw new Error('Not a DICOM Part 10 file (missing DICM prefix)');
+        }
+
+        const view = new DataView(buffer);
+        const elements = {};
+
+        // File Meta Information is always Explicit VR Little Endian
+        const metaSyntax = this.transferSyntaxes['1.2.840.10008.1.2.1'];
+        let offset = 132;
+
+        while (offset < view.byteLength && view.getUint16(offset, true) === 0x0002) {
+            const element = this.readElement(view, offset, metaSyntax);
+            elements[element.tag] = element;
+            offset = element.nextOffset;
+        }
+
+        const metaDataset = new DICOMDataset(view, elements, metaSyntax, 'iso-8859-1');
+        const transferSyntaxUID = metaDataset.string(0x00020010);
+        const syntax = this.transferSyntaxes[transferSyntaxUID];
+
+        if (!syntax) {
+            throw new Error(`Unsupported DICOM transfer syntax: ${transferSyntaxUID || 'unknown'} (compressed images are not supported)`);
+        }
+
+        while (offset < view.byteLength) {
+            const element = this.readElement(view, offset, syntax);
+            elements[element.tag] = element;
+            offset = element.nextOffset;
+        }
+
+        const charset = new DICOMDataset(view, elements, syntax, 'iso-8859-1').string(0x00080005);
+        const dataset = new DICOMDataset(view, elements, syntax, this.characterSets[charset] || 'utf-8');
+
+        const image = this.decodePixelData(dataset);
+
+        return {
+            ...image,
+            transferSyntaxUID: transferSyntaxUID,
+            study: this.extractStudy(dataset),
+            dataset: dataset
+        };
+    }
+
+    // Read one data element header and locate its value
+    readElement(view, offset, syntax) {
+        const littleEndian = syntax.littleEndian;
+        const group = view.getUint16(offset, littleEndian);
+        const elementNumber = view.getUint16(offset + 2, littleEndian);
+        const tag = ((group << 16) | elementNumber) >>> 0;
+
+        let vr = null;
+        let length;
+        let headerLength;
+
+        if (syntax.explicitVR && group !== 0xFFFE) {
+            vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+
+            if (this.longLengthVRs.includes(vr)) {
+                length = view.getUint32(offset + 8, littleEndian);
+                headerLength = 12;
+            } else {
+                length = view.getUint16(offset + 6, littleEndian);
+                headerLength = 8;
+            }
+        } else {
+            length = view.getUint32(offset + 4, littleEndian);
+            headerLength = 8;
+        }
+
+        const valueOffset = offset + headerLength;
+
+        if (length === 0xFFFFFFFF) {
+            if (tag === 0x7FE00010) {
+                throw new Error('Encapsulated (compressed) DICOM pixel data is not supported');
+            }
+
+            // Undefined-length UN sequences are always encoded as Implicit VR Little Endian
+            const sequenceSyntax = vr === 'UN' ? this.transferSyntaxes['1.2.840.10008.1.2'] : syntax;
+            const nextOffset = this.skipUndefinedLengthSequence(view, valueOffset, sequenceSyntax);
+
+            return { tag, vr: 'SQ', length: nextOffset - valueOffset, valueOffset, nextOffset };
+        }
+
+        if (valueOffset + length > view.byteLength) {
+            throw new Error('DICOM file is truncated');
+        }
+
+        return { tag, vr, length, valueOffset, nextOffset: valueOffset + length };
+    }
+
+    // Walk items of an undefined-length sequence and return the offset after its delimiter
+    skipUndefinedLengthSequence(view, offset, syntax) {
+        const littleEndian = syntax.littleEndian;
+        let position = offset;
+
+        while (position + 8 <= view.byteLength) {
+            const group = view.getUint16(position, littleEndian);
+            const element = view.getUint16(position + 2, littleEndian);
+            const length = view.getUint32(position + 4, littleEndian);
+            position += 8;
+
+            if (group === 0xFFFE && element === 0xE0DD) {
+                return position;
+            }
+
+            if (group !== 0xFFFE || element !== 0xE000) {
+                throw new Error('Malformed DICOM sequence');
+            }
+
+            if (length !== 0xFFFFFFFF) {
+                position += length;
+                continue;
+            }
+
+            // Undefined-length item: read nested elements until the item delimiter
+            while (position + 8 <= view.byteLength) {
+                if (view.getUint16(position, littleEndian) === 0xFFFE &&
+                    view.getUint16(position + 2, littleEndian) === 0xE00D) {
+                    position += 8;
+                    break;
+                }
+                position = this.readElement(view, position, syntax).nextOffset;
+            }
+        }
+
+        throw new Error('Unterminated DICOM sequence');
+    }
+
+    // Decode the first frame of uncompressed pixel data
+    decodePixelData(dataset) {
+        const rows = dataset.uint16(0x00280010);
+        const columns = dataset.uint16(0x00280011);
+        const samplesPerPixel = dataset.uint16(0x00280002) || 1;
+        const photometric = dataset.string(0x00280004) || 'MONOCHROME2';
+        const bitsAllocated = dataset.uint16(0x00280100) || 8;
+        const pixelElement = dataset.elements[0x7FE00010];
+
+        if (!rows || !columns) {
+            throw new Error('DICOM image dimensions missing');
+        }
+
+        if (!pixelElement) {
+            throw new Error('DICOM file contains no pixel data');
+        }
+
+        const frameLength = rows * columns * samplesPerPixel * (bitsAllocated / 8);
+        if (pixelElement.length < frameLength) {
+            throw new Error('DICOM pixel data is truncated');
+        }
+
+        const info = {
+            width: columns,
+            height: rows,
+            photometricInterpretation: photometric,
+            bitsAllocated: bitsAllocated,
+            numberOfFrames: dataset.number(0x00280008) || 1
+        };
+
+        if (photometric === 'RGB' && samplesPerPixel === 3 && bitsAllocated === 8) {
+            return {
+                ...info,
+                imageData: this.decodeRGB(dataset, pixelElement, columns, rows),
+                window: null,
+                modalityValues: null
+            };
+        }
+
+        if ((photometric === 'MONOCHROME1' || photometric === 'MONOCHROME2') &&
+            samplesPerPixel === 1 && (bitsAllocated === 8 || bitsAllocated === 16)) {
+            const modalityValues = this.decodeGrayscale(dataset, pixelElement, columns, rows, bitsAllocated);
+            const windowLevel = this.getDefaultWindow(dataset, modalityValues);
+
+            return {
+                ...info,
+                imageData: this.applyWindow(modalityValues, columns, rows, windowLevel.center, windowLevel.width, photometric === 'MONOCHROME1'),
+                window: windowLevel,
+                modalityValues: modalityValues
+            };
+        }
+
+        throw new Error(`Unsupported DICOM image: ${photometric}, ${samplesPerPixel} sample(s), ${bitsAllocated}-bit`);
+    }
+
+    // Interleaved (planar 0) or planar (planar 1) 8-bit RGB to RGBA
+    decodeRGB(dataset, pixelElement, width, height) {
+        const source = new Uint8Array(dataset.view.buffer, pixelElement.valueOffset, width * height * 3);
+        const planar = dataset.uint16(0x00280006) === 1;
+        const pixelCount = width * height;
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const idx = i * 4;
+            if (planar) {
+                data[idx] = source[i];
+                data[idx + 1] = source[pixelCount + i];
+                data[idx + 2] = source[2 * pixelCount + i];
+            } else {
+                data[idx] = source[i * 3];
+                data[idx + 1] = source[i * 3 + 1];
+                data[idx + 2] = source[i * 3 + 2];
+            }
+            data[idx + 3] = 255;
+        }
+
+        return imageData;
+    }
+
+    // Stored values to modality values (Rescale Slope/Intercept applied)
+    decodeGrayscale(dataset, pixelElement, width, height, bitsAllocated) {
+        const view = dataset.view;
+        const littleEndian = dataset.syntax.littleEndian;
+        const bitsStored = dataset.uint16(0x00280101) || bitsAllocated;
+        const signed = dataset.uint16(0x00280103) === 1;
+        const slope = dataset.number(0x00281053) || 1;
+        const intercept = dataset.number(0x00281052) || 0;
+        const mask = bitsStored >= 32 ? 0xFFFFFFFF : (1 << bitsStored) - 1;
+        const signBit = 1 << (bitsStored - 1);
+
+        const pixelCount = width * height;
+        const values = new Float32Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            let stored = bitsAllocated === 8
+                ? view.getUint8(pixelElement.valueOffset + i)
+                : view.getUint16(pixelElement.valueOffset + i * 2, littleEndian);
+
+            stored &= mask;
+            if (signed && (stored & signBit)) {
+                stored -= mask + 1;
+            }
+
+            values[i] = stored * slope + intercept;
+        }
+
+        return values;
+    }
+
+    // Window from the file, or the full value range when none is stored
+    getDefaultWindow(dataset, modalityValues) {
+        const center = dataset.number(0x00281050);
+        const width = dataset.number(0x00281051);
+
+        if (center !== null && width !== null && width >= 1) {
+            return { center, width };
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < modalityValues.length; i++) {
+            if (modalityValues[i] < min) min = modalityValues[i];
+            if (modalityValues[i] > max) max = modalityValues[i];
+        }
+
+        return {
+            center: (min + max + 1) / 2,
+            width: Math.max(1, max - min + 1)
+        };
+    }
+
+    // Linear VOI LUT (PS3.3 C.11.2.1.2) mapped to 8-bit grayscale
+    applyWindow(modalityValues, width, height, center, windowWidth, invert = false) {
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+        const lower = center - 0.5 - (windowWidth - 1) / 2;
+        const upper = center - 0.5 + (windowWidth - 1) / 2;
+
+        for (let i = 0; i < modalityValues.length; i++) {
+            const value = modalityValues[i];
+            let gray;
+
+            if (value <= lower) {
+                gray = 0;
+            } else if (value > upper) {
+                gray = 255;
+            } else {
+                gray = ((value - (center - 0.5)) / (windowWidth - 1) + 0.5) * 255;
+            }
+
+            if (invert) gray = 255 - gray;
+
+            const idx = i * 4;
+            data[idx] = gray;
+            data[idx + 1] = gray;
+            data[idx + 2] = gray;
+            data[idx + 3] = 255;
+        }
+
+        return imageData;
+    }
+
+    // Collect patient/study/series tags
+    extractStudy(dataset) {
+        const study = {};
+
+        for (const [key, tag] of Object.entries(this.studyTags)) {
+            study[key] = dataset.string(tag);
+        }
+
+        study.seriesNumber = dataset.number(0x00200011);
+        return study;
+    }
+}
+
+// Parsed DICOM data elements with typed value accessors
+class DICOMDataset {
+    constructor(view, elements, syntax, encoding) {
+        this.view = view;
+        this.elements = elements;
+        this.syntax = syntax;
+        this.textDecoder = new TextDecoder(encoding);
+    }
+
+    has(tag) {
+        return !!this.elements[tag];
+    }
+
+    // String value with DICOM padding removed, or null if absent
+    string(tag) {
+        const element = this.elements[tag];
+        if (!element) return null;
+
+        const bytes = new Uint8Array(this.view.buffer, element.valueOffset, element.length);
+        return this.textDecoder.decode(bytes).replace(/^\s+|[\s\0]+$/g, '');
+    }
+
+    // First value of an IS/DS element as a number, or null
+    number(tag, index = 0) {
+        const value = this.string(tag);
+        if (!value) return null;
+
+        const parsed = parseFloat(value.split('\\')[index]);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    uint16(tag) {
+        const element = this.elements[tag];
+        if (!element || element.length < 2) return null;
+
+        return this.view.getUint16(element.valueOffset, this.syntax.littleEndian);
+    }
+}
+
+// Export for use in main application
+window.DICOMWriter = DICOMWriter;
+window.DICOMParser = DICOMParser;
+window.DICOMDataset = DICOMDataset;
@@ -838,6 +838,27 @@ class DrawingTools {
         this.redrawAnnotations();
     }
 
+    // Draw annotations onto another context, e.g. when the edit stack flattens them into the image
+    drawAnnotationsTo(ctx, annotations = this.annotations) {
+        const layerCtx = this.annotationCtx;
+        this.annotationCtx = ctx;
+
+        try {
+            annotations.forEach(annotation => this.drawAnnotation(annotation));
+        } finally {
+            this.annotationCtx = layerCtx;
+        }
+    }
+
+    // Parameters for an 'annotations' edit stack step
+    getEditStepParams() {
+        return {
+            annotations: JSON.parse(JSON.stringify(this.annotations)),
+            sourceWidth: this.annotationCanvas ? this.annotationCanvas.width : null,
+            sourceHeight: this.annotationCanvas ? this.annotationCanvas.height : null
+        };
+    }
+
     // Resize annotation canvas
     resize(newWidth, newHeight) {
         const oldWidth = this.annotationCanvas.width;
@@ -0,0 +1,686 @@
+// Edit Stack for Dental Photo Editor
+// Ordered, non-destructive edit steps re-rendered from the original image and saved as JSON recipes
+
+class EditStack {
+    constructor(options = {}) {
+        this.original = null;
+        this.steps = [];
+        this.operations = {};
+        this.nextId = 1;
+        this.onChange = options.onChange || null;
+
+        // A few rendered steps, reused while the steps up to them are unchanged: the first
+        // step, the step before the last edited one and the last. Keeping every step's output
+        // would hold a full-size copy of the image per step.
+        this.checkpoints = [];
+        this.renderedSignatures = null;
+
+        // History of the whole stack replaces the per-tool undo histories
+        this.history = [];
+        this.historyStep = -1;
+        this.historyKey = null;
+        this.maxHistory = 50;
+
+        this.recipeFormat = 'dental-edit-recipe';
+        this.recipeVersion = 1;
+
+        // New steps are placed by category; users may reorder afterwards
+        this.categoryOrder = ['transform', 'color-calibration', 'filters', 'smart-enhancement', 'annotations'];
+
+        this.registerDefaultOperations();
+        this.saveHistory();
+    }
+
+    // operation: { label(params), apply(imageData, params, context), single, tileHalo(params) }
+    // apply may modify the ImageData it is given or return a new one, sync or async;
+    // context: { original, step, signal, onPreview, tile, fullResolution }. Operations with
+    // tileHalo can run tile by tile in renderTiled: it gives the pixels of context each output
+    // pixel reads. fullResolution is set for exports, which must keep every pixel.
+    registerOperation(type, operation) {
+        if (typeof operation.apply !== 'function') {
+            throw new Error(`Edit operation '${type}' needs an apply function`);
+        }
+
+        this.operations[type] = {
+            label: () => type,
+            single: false,
+            ...operation
+        };
+    }
+
+    registerDefaultOperations() {
+        this.registerOperation('transform', {
+            single: true,
+            label: (params) => {
+                const parts = [];
+                if (params.straightenAngle) parts.push(`straighten ${params.straightenAngle}°`);
+                if (params.rotation) parts.push(`rotate ${params.rotation}°`);
+                if (params.flipHorizontal) parts.push('flip H');
+                if (params.flipVertical) parts.push('flip V');
+                if (params.crop) parts.push('crop');
+                return `Transform${parts.length ? ': ' + parts.join(', ') : ''}`;
+            },
+            apply: (imageData, params) => this.transformImageData(imageData, params)
+        });
+
+        this.registerOperation('color-calibration', {
+            single: true,
+            label: (params) => `Color calibration (${params.reference || 'matrix'})`,
+            apply: (imageData, params) => {
+                if (!this.calibrator) {
+                    this.calibrator = new ColorCalibration();
+                }
+                return this.calibrator.applyCorrection(imageData, params.matrix);
+            },
+            tileHalo: () => 0
+        });
+
+        this.registerOperation('annotations', {
+            label: (params) => `Annotations (${params.annotations.length})`,
+            apply: (imageData, params) => this.drawAnnotations(imageData, params)
+        });
+    }
+
+    // New image: steps are kept only when replaying the same edits on it
+    setOriginal(imageData, keepSteps = false) {
+        this.original = imageData;
+        this.checkpoints = [];
+        this.renderedSignatures = null;
+        this.lastRender = null;
+
+        if (!keepSteps) {
+            this.steps = [];
+            this.history = [];
+            this.historyStep = -1;
+            this.historyKey = null;
+            this.saveHistory();
+        }
+
+        this.notifyChange();
+    }
+
+    addStep(type, params = {}, options = {}) {
+        const operation = this.operations[type];
+        if (!operation) {
+            throw new Error(`Unknown edit step type '${type}'`);
+        }
+
+        if (operation.single) {
+            const existing = this.findStep(type);
+            if (existing) {
+                return this.updateStep(existing.id, params);
+            }
+        }
+
+        const step = {
+            id: this.nextId++,
+            type,
+            enabled: options.enabled !== false,
+            params: JSON.parse(JSON.stringify(params))
+        };
+
+        const index = options.index !== undefined ? options.index : this.getDefaultIndex(type);
+        this.steps.splice(index, 0, step);
+        this.commit();
+
+        return step;
+    }
+
+    // Insert after every step of the same or an earlier category
+    getDefaultIndex(type) {
+        const rank = this.getCategoryRank(type);
+        let index = 0;
+
+        this.steps.forEach((step, i) => {
+            if (this.getCategoryRank(step.type) <= rank) {
+                index = i + 1;
+            }
+        });
+
+        return index;
+    }
+
+    getCategoryRank(type) {
+        const rank = this.categoryOrder.indexOf(type);
+        return rank === -1 ? this.categoryOrder.length : rank;
+    }
+
+    // Create, update or (with null params) remove the step of a single-instance type
+    setStep(type, params) {
+        const existing = this.findStep(type);
+
+        if (params === null || params === undefined) {
+            if (existing) this.removeStep(existing.id);
+            return null;
+        }
+
+        return existing ? this.updateStep(existing.id, params) : this.addStep(type, params);
+    }
+
+    updateStep(id, params) {
+        const step = this.getStep(id);
+        step.params = JSON.parse(JSON.stringify(params));
+
+        // Consecutive updates of one step (slider drags) collapse into one undo entry
+        this.commit(`update:${id}`);
+        return step;
+    }
+
+    removeStep(id) {
+        const index = this.steps.findIndex(step => step.id === id);
+        if (index === -1) return;
+
+        this.steps.splice(index, 1);
+        this.commit();
+    }
+
+    toggleStep(id, enabled = null) {
+        const step = this.getStep(id);
+        step.enabled = enabled === null ? !step.enabled : enabled;
+        this.commit();
+        return step;
+    }
+
+    moveStep(id, newIndex) {
+        const index = this.steps.findIndex(step => step.id === id);
+        if (index === -1) return;
+
+        const target = Math.max(0, Math.min(this.steps.length - 1, newIndex));
+        const [step] = this.steps.splice(index, 1);
+        this.steps.splice(target, 0, step);
+        this.commit();
+    }
+
+    clear() {
+        this.steps = [];
+        this.commit();
+    }
+
+    getStep(id) {
+        const step = this.steps.find(candidate => candidate.id === id);
+        if (!step) {
+            throw new Error(`Edit step ${id} not found`);
+        }
+        return step;
+    }
+
+    findStep(type) {
+        return this.steps.find(step => step.type === type) || null;
+    }
+
+    describeStep(step) {
+        const operation = this.operations[step.type];
+        return operation ? operation.label(step.params) : step.type;
+    }
+
+    // Render the enabled steps over the original. options.only limits rendering to some
+    // step types (e.g. transform + calibration for measurements) and bypasses the checkpoints.
+    // options.signal abandons the render between steps and is handed to each operation;
+    // options.onPreview(imageData) is offered to the last step, whose preview is the final image.
+    // options.fullResolution is handed to each operation.
+    async render(options = {}) {
+        if (!this.original) {
+            throw new Error('No original image to render');
+        }
+
+        const filtered = Array.isArray(options.only);
+        const rendered = (step) => step.enabled && (!filtered || options.only.includes(step.type));
+        const lastStep = this.steps.filter(rendered).pop();
+        let current = this.original;
+        let start = 0;
+
+        // A step's signature covers it and every rendered step before it
+        const signatures = [];
+        let signature = '';
+        this.steps.forEach(step => {
+            if (rendered(step)) signature += JSON.stringify([step.type, step.params]);
+            signatures.push(signature);
+        });
+
+        // Resume from the furthest checkpoint still valid
+        const keep = filtered ? [] : this.getCheckpointIndexes(signatures, rendered);
+        const valid = filtered ? [] : this.checkpoints.filter(checkpoint => checkpoint.signature === signatures[checkpoint.index]);
+        valid.forEach(checkpoint => {
+            if (checkpoint.index >= start) {
+                current = checkpoint.imageData;
+                start = checkpoint.index + 1;
+            }
+        });
+        const checkpoints = valid.filter(checkpoint => keep.includes(checkpoint.index));
+
+        for (let index = start; index < this.steps.length; index++) {
+            const step = this.steps[index];
+            if (!rendered(step)) continue;
+
+            if (options.signal && options.signal.aborted) {
+                const error = new Error('Render cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+
+            current = await this.applyStep(step, current, {
+                signal: options.signal || null,
+                onPreview: step === lastStep ? options.onPreview || null : null,
+                fullResolution: Boolean(options.fullResolution)
+            });
+
+            if (keep.includes(index)) {
+                checkpoints.push({ index, signature: signatures[index], imageData: current });
+            }
+        }
+
+        if (!filtered) {
+            this.checkpoints = checkpoints;
+            this.renderedSignatures = signatures;
+            this.lastRender = current;
+        }
+
+        return current;
+    }
+
+    // Steps whose output render keeps: the first, the last, and the one before the first step
+    // that changed since the previous render, so re-rendering while a slider moves starts there
+    getCheckpointIndexes(signatures, rendered) {
+        const indexes = this.steps.map((step, index) => index).filter(index => rendered(this.steps[index]));
+        const previous = this.renderedSignatures || [];
+        const changed = signatures.findIndex((signature, index) => signature !== previous[index]);
+        const beforeChange = indexes.filter(index => changed === -1 || index < changed).pop();
+
+        return [indexes[0], beforeChange, indexes[indexes.length - 1]].filter(index => index !== undefined);
+    }
+
+    async applyStep(step, imageData, context = {}) {
+        const operation = this.operations[step.type];
+        if (!operation) {
+            throw new Error(`Unknown edit step type '${step.type}'`);
+        }
+
+        const input = this.cloneImageData(imageData);
+        const result = await operation.apply(input, step.params, { ...context, original: this.original, step });
+        return result || input;
+    }
+
+    cloneImageData(imageData) {
+        return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+    }
+
+    // Recipe: the ordered steps without any pixel data, replayable on another photo.
+    // options.annotations = false leaves out the annotation steps, whose drawn points can
+    // outgrow the space metadata has; omittedAnnotations then counts them.
+    toRecipe(options = {}) {
+        const steps = options.annotations === false
+            ? this.steps.filter(step => step.type !== 'annotations')
+            : this.steps;
+        const recipe = {
+            format: this.recipeFormat,
+            version: this.recipeVersion,
+            createdAt: new Date().toISOString(),
+            source: this.original ? { width: this.original.width, height: this.original.height } : null,
+            steps: steps.map(step => ({
+                type: step.type,
+                enabled: step.enabled,
+                params: JSON.parse(JSON.stringify(step.params))
+            }))
+        };
+
+        if (steps.length < this.steps.length) {
+            recipe.omittedAnnotations = this.steps.length - steps.length;
+        }
+        return recipe;
+    }
+
+    exportRecipe() {
+        return JSON.stringify(this.toRecipe(), null, 2);
+    }
+
+    // Replace the steps with a recipe (object or JSON text); the original image is kept
+    loadRecipe(definition) {
+        const recipe = typeof definition === 'string' ? JSON.parse(definition) : definition;
+
+        if (!recipe || recipe.format !== this.recipeFormat || !Array.isArray(recipe.steps)) {
+            throw new Error('Not an edit recipe');
+        }
+
+        if (recipe.version > this.recipeVersion) {
+            throw new Error(`Recipe version ${recipe.version} is newer than supported (${this.recipeVersion})`);
+        }
+
+        const unknown = recipe.steps.filter(step => !this.operations[step.type]).map(step => step.type);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown edit step type(s): ${[...new Set(unknown)].join(', ')}`);
+        }
+
+        this.steps = recipe.steps.map(step => ({
+            id: this.nextId++,
+            type: step.type,
+            enabled: step.enabled !== false,
+            params: JSON.parse(JSON.stringify(step.params || {}))
+        }));
+        this.commit();
+    }
+
+    // Full-resolution render of the stack from source (an image or canvas the original was
+    // scaled from) into a new canvas, tile by tile through processor (a TiledProcessor). The
+    // transform is drawn straight from the source and annotations are painted over the result.
+    // Returns null when a step needs the whole image at once.
+    // options: { concurrency, signal, onProgress }
+    async renderTiled(source, processor, options = {}) {
+        const steps = this.steps.filter(step => step.enabled);
+        const transform = steps.length > 0 && steps[0].type === 'transform' ? steps.shift() : null;
+        const annotations = [];
+        while (steps.length > 0 && steps[steps.length - 1].type === 'annotations') {
+            annotations.unshift(steps.pop());
+        }
+        if (steps.some(step => typeof this.operations[step.type].tileHalo !== 'function')) {
+            return null;
+        }
+
+        const geometry = this.getTransformGeometry(transform ? transform.params : {}, source.width, source.height);
+        const output = document.createElement('canvas');
+        output.width = geometry.width;
+        output.height = geometry.height;
+        const outputCtx = output.getContext('2d');
+        const [a, b, c, d, e, f] = geometry.matrix;
+
+        const target = {
+            width: geometry.width,
+            height: geometry.height,
+            read: (x, y, width, height) => {
+                const tileCanvas = document.createElement('canvas');
+                tileCanvas.width = width;
+                tileCanvas.height = height;
+                const tileCtx = tileCanvas.getContext('2d');
+                tileCtx.imageSmoothingQuality = 'high';
+                tileCtx.setTransform(a, b, c, d, e - x, f - y);
+                tileCtx.drawImage(source, 0, 0);
+                return tileCtx.getImageData(0, 0, width, height);
+            },
+            write: (imageData, tile) => {
+                outputCtx.putImageData(imageData, tile.readX, tile.readY,
+                    tile.x - tile.readX, tile.y - tile.readY, tile.width, tile.height);
+            }
+        };
+
+        await processor.process(target, async (imageData, tile) => {
+            let current = imageData;
+            for (const step of steps) {
+                const result = await this.operations[step.type].apply(current, step.params, {
+                    original: null,
+                    step,
+                    signal: options.signal || null,
+                    tile: { ...tile, imageWidth: geometry.width, imageHeight: geometry.height },
+                    fullResolution: true
+                });
+                current = result || current;
+            }
+            return current;
+        }, {
+            halo: steps.reduce((halo, step) => halo + this.operations[step.type].tileHalo(step.params), 0),
+            concurrency: options.concurrency || 1,
+            // The decoded source and the output canvas
+            reservedBytes: (source.width * source.height + geometry.width * geometry.height) * 4,
+            signal: options.signal,
+            onProgress: options.onProgress
+        });
+
+        annotations.forEach(step => this.paintAnnotations(outputCtx, geometry.width, geometry.height, step.params));
+        return output;
+    }
+
+    // The transform step as one affine map [a, b, c, d, e, f] (canvas setTransform order) from
+    // source pixels to the transformed image, with the transformed size
+    getTransformGeometry(params, width, height) {
+        const compose = (m, n) => [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+        let matrix = [1, 0, 0, 1, 0, 0];
+
+        if (params.straightenAngle) {
+            const angle = params.straightenAngle * Math.PI / 180;
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            const cx = width / 2, cy = height / 2;
+            matrix = compose([cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy], matrix);
+        }
+
+        const quarterTurns = ((Math.round((params.rotation || 0) / 90) % 4) + 4) % 4;
+        for (let turn = 0; turn < quarterTurns; turn++) {
+            matrix = compose([0, 1, -1, 0, height, 0], matrix);
+            [width, height] = [height, width];
+        }
+
+        if (params.flipHorizontal || params.flipVertical) {
+            matrix = compose([
+                params.flipHorizontal ? -1 : 1, 0, 0, params.flipVertical ? -1 : 1,
+                params.flipHorizontal ? width : 0, params.flipVertical ? height : 0
+            ], matrix);
+        }
+
+        if (params.crop) {
+            // Same rounding as crop()
+            const x0 = Math.max(0, Math.round(params.crop.x * width));
+            const y0 = Math.max(0, Math.round(params.crop.y * height));
+            const cropWidth = Math.max(1, Math.min(width - x0, Math.round(params.crop.width * width)));
+            const cropHeight = Math.max(1, Math.min(height - y0, Math.round(params.crop.height * height)));
+            matrix = compose([1, 0, 0, 1, -x0, -y0], matrix);
+            width = cropWidth;
+            height = cropHeight;
+        }
+
+        return { matrix, width, height };
+    }
+
+    // Render a recipe on another image without touching this stack. Replays feed exports,
+    // so the steps run at full resolution.
+    async replay(recipe, imageData) {
+        const stack = new EditStack();
+        stack.operations = this.operations;
+        stack.setOriginal(imageData);
+        stack.loadRecipe(recipe);
+        return stack.render({ fullResolution: true });
+    }
+
+    commit(historyKey = null) {
+        this.saveHistory(historyKey);
+        this.notifyChange();
+    }
+
+    saveHistory(historyKey = null) {
+        const snapshot = JSON.parse(JSON.stringify(this.steps));
+
+        if (historyKey && historyKey === this.historyKey && this.historyStep === this.history.length - 1) {
+            this.history[this.historyStep] = snapshot;
+            return;
+        }
+
+        this.historyKey = historyKey;
+        this.historyStep++;
+        this.history = this.history.slice(0, this.historyStep);
+        this.history.push(snapshot);
+
+        // Limit history size
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+            this.historyStep--;
+        }
+    }
+
+    canUndo() {
+        return this.historyStep > 0;
+    }
+
+    canRedo() {
+        return this.historyStep < this.history.length - 1;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.historyStep--;
+        this.restoreState(this.history[this.historyStep]);
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.historyStep++;
+        this.restoreState(this.history[this.historyStep]);
+        return true;
+    }
+
+    restoreState(snapshot) {
+        this.steps = JSON.parse(JSON.stringify(snapshot));
+        this.historyKey = null;
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    // Straighten, quarter-turn rotation, flips, then a crop given as fractions of the result
+    transformImageData(imageData, params) {
+        let result = imageData;
+
+        if (params.straightenAngle) {
+            result = this.rotateArbitrary(result, params.straightenAngle);
+        }
+
+        const quarterTurns = ((Math.round((params.rotation || 0) / 90) % 4) + 4) % 4;
+        for (let turn = 0; turn < quarterTurns; turn++) {
+            result = this.rotateClockwise(result);
+        }
+
+        if (params.flipHorizontal || params.flipVertical) {
+            result = this.flip(result, params.flipHorizontal, params.flipVertical);
+        }
+
+        if (params.crop) {
+            result = this.crop(result, params.crop);
+        }
+
+        return result;
+    }
+
+    rotateClockwise(imageData) {
+        const { width, height, data } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const source = (y * width + x) * 4;
+                const target = (x * height + (height - 1 - y)) * 4;
+                output[target] = data[source];
+                output[target + 1] = data[source + 1];
+                output[target + 2] = data[source + 2];
+                output[target + 3] = data[source + 3];
+            }
+        }
+
+        return new ImageData(output, height, width);
+    }
+
+    flip(imageData, horizontal, vertical) {
+        const { width, height, data } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+
+        for (let y = 0; y < height; y++) {
+            const sy = vertical ? height - 1 - y : y;
+            for (let x = 0; x < width; x++) {
+                const sx = horizontal ? width - 1 - x : x;
+                const source = (sy * width + sx) * 4;
+                const target = (y * width + x) * 4;
+                output[target] = data[source];
+                output[target + 1] = data[source + 1];
+                output[target + 2] = data[source + 2];
+                output[target + 3] = data[source + 3];
+            }
+        }
+
+        return new ImageData(output, width, height);
+    }
+
+    // Rotate about the center keeping the frame size; uncovered corners become transparent
+    rotateArbitrary(imageData, degrees) {
+        const { width, height, data } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const cx = (width - 1) / 2, cy = (height - 1) / 2;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Inverse mapping into the source with bilinear sampling
+                const dx = x - cx, dy = y - cy;
+                const sx = cos * dx + sin * dy + cx;
+                const sy = -sin * dx + cos * dy + cy;
+                const x0 = Math.floor(sx), y0 = Math.floor(sy);
+
+                if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) continue;
+
+                const fx = sx - x0, fy = sy - y0;
+                const i00 = (y0 * width + x0) * 4, i10 = i00 + 4;
+                const i01 = i00 + width * 4, i11 = i01 + 4;
+                const target = (y * width + x) * 4;
+
+                for (let c = 0; c < 4; c++) {
+                    const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+                    const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+                    output[target + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        return new ImageData(output, width, height);
+    }
+
+    crop(imageData, crop) {
+        const { width, height, data } = imageData;
+        const x0 = Math.max(0, Math.round(crop.x * width));
+        const y0 = Math.max(0, Math.round(crop.y * height));
+        const w = Math.max(1, Math.min(width - x0, Math.round(crop.width * width)));
+        const h = Math.max(1, Math.min(height - y0, Math.round(crop.height * height)));
+        const output = new Uint8ClampedArray(w * h * 4);
+
+        for (let y = 0; y < h; y++) {
+            const start = ((y0 + y) * width + x0) * 4;
+            output.set(data.subarray(start, start + w * 4), y * w * 4);
+        }
+
+        return new ImageData(output, w, h);
+    }
+
+    // Flatten DrawingTools annotations, scaled from the image size they were drawn on
+    drawAnnotations(imageData, params) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(imageData, 0, 0);
+
+        this.paintAnnotations(ctx, imageData.width, imageData.height, params);
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    paintAnnotations(ctx, width, height, params) {
+        if (typeof DrawingTools === 'undefined') {
+            throw new Error('Annotation steps need the drawing tools');
+        }
+
+        ctx.save();
+        ctx.scale(width / (params.sourceWidth || width), height / (params.sourceHeight || height));
+        new DrawingTools().drawAnnotationsTo(ctx, params.annotations);
+        ctx.restore();
+    }
+}
+
+// Export for use in main application
+window.EditStack = EditStack;
@@ -9,9 +9,12 @@ class SmartFeaturesErrorHandler {
         this.errorLog = [];
     }
 
-    // Handle ML initialization errors
+    // Handle ML initialization errors; a ModelLoadError names the runtime or model that failed
     handleMLError(error, context = 'ml_initialization') {
-        this.logError(error, context);
+        const model = error.modelId ? { id: error.modelId, name: error.modelName, version: error.version } : null;
+        const failed = model ? `${model.name}${model.version ? ' ' + model.version : ''} failed to load. ` : '';
+        
+        this.logError(error, context, model);
         this.incrementErrorCount(context);
         
         if (this.errorCounts[context] >= this.maxRetries) {
@@ -19,16 +22,18 @@ class SmartFeaturesErrorHandler {
             return {
                 success: false,
                 fallback: true,
-                message: 'Smart features unavailable. Using manual controls.',
-                error: error.message
+                message: `${failed}Smart features unavailable. Using manual controls.`,
+                error: error.message,
+                model
             };
         }
         
         return {
             success: false,
             fallback: false,
-            message: `AI features temporarily unavailable. Retrying... (${this.errorCounts[context]}/${this.maxRetries})`,
-            error: error.message
+            message: `${failed}AI features temporarily unavailable. Retrying... (${this.errorCounts[context]}/${this.maxRetries})`,
+            error: error.message,
+            model
         };
     }
 
@@ -201,11 +206,12 @@ class SmartFeaturesErrorHandler {
         this.errorCounts[context] = (this.errorCounts[context] || 0) + 1;
     }
 
-    // Log error
-    logError(error, context) {
+    // Log error, with the runtime or model it concerns when known
+    logError(error, context, model = null) {
         const errorEntry = {
             timestamp: new Date().toISOString(),
             context: context,
+            model: model,
             error: error.message,
             stack: error.stack,
             userAgent: navigator.userAgent,
@@ -0,0 +1,567 @@
+// Gingival Analysis for Dental Photo Editor
+// Per-tooth gingival margins and zeniths of the maxillary teeth, gingival display below the upper lip
+// and left/right asymmetry, keyed by tooth number
+
+class GingivalAnalysis {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        // Gum colour classification is shared with the gum line detector
+        this.gumDetector = options.gumDetector || new GumDetector();
+        this.colorScience = options.colorScience || new ColorScience();
+        this.measurementTools = options.measurementTools || null;
+        this.toothNumbering = options.toothNumbering || null;
+        this.onChange = options.onChange || null;
+
+        // Overlay canvas stacked on top of the image
+        this.overlay = null;
+        this.overlayCtx = null;
+        this.isActive = false;
+
+        this.result = null;
+        // Upper lip border marked by hand, replacing the detected one
+        this.lipLine = [];
+
+        this.settings = {
+            toothBrightness: 120,     // tooth pixels: brighter than this and nearly unsaturated
+            toothSaturation: 0.3,
+            minGumRun: 3,             // px of gum directly above a margin
+            minToothRun: 3,           // px of tooth directly below it
+            smoothing: 5,             // median window along the margin, px
+            papillaWindow: 0.02,      // fractions of the analysed width/height
+            minPapillaHeight: 0.004,
+            minToothWidth: 0.025,
+            lipDeltaE: 15,            // the gingiva ends where the colour leaves its own by more than this
+            asymmetryTolerance: { mm: 0.5, px: 5 },
+            marginColor: '#22c55e',
+            flagColor: '#ef4444',
+            lipColor: '#a855f7',
+            lineWidth: 2,
+            fontSize: 12,
+            fontFamily: 'Arial',
+            ...options.settings
+        };
+
+        this.handlers = {
+            down: (e) => this.handlePointerDown(e)
+        };
+    }
+
+    // Trace the maxillary margins in imageData (or options.region of it). options.midlineX puts the
+    // centrals either side of a known dental midline instead of guessing it from the widest pair
+    analyze(imageData, options = {}) {
+        const region = options.region || { x: 0, y: 0, width: imageData.width, height: imageData.height };
+        const classes = this.classifyPixels(imageData, region);
+        const margin = this.traceMargin(classes, region);
+        const segments = this.segmentTeeth(margin, region);
+
+        if (segments.length === 0) {
+            throw new Error('No gingival margin found - the gum above the teeth needs to be visible');
+        }
+
+        const teeth = this.numberTeeth(segments, options.midlineX !== undefined ? options.midlineX : region.x + region.width / 2)
+            .map(segment => {
+                const points = [];
+                for (let x = segment.start; x <= segment.end; x++) {
+                    if (margin[x - region.x] !== null) {
+                        points.push({ x, y: margin[x - region.x] });
+                    }
+                }
+                const zenith = points.reduce((best, point) => (point.y < best.y ? point : best), points[0]);
+                // Middle of an apical plateau rather than its first column
+                const plateau = points.filter(point => point.y === zenith.y);
+                const zenithPoint = plateau[Math.floor(plateau.length / 2)];
+
+                return {
+                    fdi: segment.fdi,
+                    margin: points,
+                    zenith: { x: zenithPoint.x, y: zenithPoint.y },
+                    bounds: { start: segment.start, end: segment.end },
+                    detectedLip: this.findLipBorder(imageData, region, points, zenithPoint)
+                };
+            });
+
+        this.result = { teeth, imageWidth: imageData.width, imageHeight: imageData.height };
+        this.measure();
+        this.render();
+        this.notifyChange();
+        return this.result;
+    }
+
+    // 0 other, 1 gum, 2 tooth for every pixel of the region
+    classifyPixels(imageData, region) {
+        const { data, width } = imageData;
+        const classes = new Uint8Array(region.width * region.height);
+
+        for (let y = 0; y < region.height; y++) {
+            for (let x = 0; x < region.width; x++) {
+                const i = ((region.y + y) * width + region.x + x) * 4;
+                const r = data[i], g = data[i + 1], b = data[i + 2];
+
+                if (this.gumDetector.isGumColor(r, g, b)) {
+                    classes[y * region.width + x] = 1;
+                } else if ((r + g + b) / 3 > this.settings.toothBrightness &&
+                           this.gumDetector.rgbToSaturation(r, g, b) < this.settings.toothSaturation) {
+                    classes[y * region.width + x] = 2;
+                }
+            }
+        }
+
+        return classes;
+    }
+
+    // Per column, the first gum-to-tooth transition from the top (image y, or null), median smoothed
+    traceMargin(classes, region) {
+        const { minGumRun, minToothRun } = this.settings;
+        const raw = new Array(region.width).fill(null);
+
+        for (let x = 0; x < region.width; x++) {
+            let gumRun = 0;
+            for (let y = 0; y < region.height; y++) {
+                const value = classes[y * region.width + x];
+                if (value === 1) {
+                    gumRun++;
+                    continue;
+                }
+                if (value === 2 && gumRun >= minGumRun) {
+                    let toothRun = 0;
+                    while (toothRun < minToothRun && y + toothRun < region.height &&
+                           classes[(y + toothRun) * region.width + x] === 2) {
+                        toothRun++;
+                    }
+                    if (toothRun >= minToothRun) {
+                        raw[x] = region.y + y;
+                        break;
+                    }
+                }
+                gumRun = 0;
+            }
+        }
+
+        const half = Math.floor(this.settings.smoothing / 2);
+        return raw.map((value, x) => {
+            if (value === null) return null;
+            const window = raw.slice(Math.max(0, x - half), x + half + 1).filter(v => v !== null).sort((a, b) => a - b);
+            return window[Math.floor(window.length / 2)];
+        });
+    }
+
+    // Teeth between papillae: the margin is most coronal (largest y) between two teeth
+    segmentTeeth(margin, region) {
+        const window = Math.max(4, Math.round(region.width * this.settings.papillaWindow));
+        const minHeight = Math.max(2, Math.round(region.height * this.settings.minPapillaHeight));
+        const minWidth = Math.max(4, Math.round(region.width * this.settings.minToothWidth));
+
+        // Runs of columns with a margin; gaps wider than the smoothing window split them
+        const runs = [];
+        let run = null;
+        margin.forEach((value, x) => {
+            if (value === null) {
+                if (run && x - run.end > this.settings.smoothing) {
+                    runs.push(run);
+                    run = null;
+                }
+                return;
+            }
+            if (!run) run = { start: x, end: x };
+            run.end = x;
+        });
+        if (run) runs.push(run);
+
+        const segments = [];
+        runs.forEach(({ start, end }) => {
+            const cuts = [start];
+            for (let x = start; x <= end; x++) {
+                if (margin[x] === null) continue;
+                const around = margin.slice(Math.max(start, x - window), Math.min(end, x + window) + 1).filter(v => v !== null);
+                const highest = Math.max(...around);
+                const lowest = Math.min(...around);
+                if (margin[x] !== highest || highest - lowest < minHeight) continue;
+
+                // Middle of a flat papilla tip, once per tip
+                let tipEnd = x;
+                while (tipEnd + 1 <= end && margin[tipEnd + 1] === highest) tipEnd++;
+                const tip = Math.round((x + tipEnd) / 2);
+                if (tip - cuts[cuts.length - 1] >= minWidth) {
+                    cuts.push(tip);
+                }
+                x = tipEnd;
+            }
+            if (end - cuts[cuts.length - 1] >= minWidth) {
+                cuts.push(end);
+            } else {
+                cuts[cuts.length - 1] = end;
+            }
+
+            for (let i = 0; i < cuts.length - 1; i++) {
+                segments.push({ start: region.x + cuts[i], end: region.x + cuts[i + 1] });
+            }
+        });
+
+        return segments.filter(segment => segment.end - segment.start >= minWidth);
+    }
+
+    // Frontal view: the patient's right (1x) is on the image left. The midline is the boundary
+    // nearest midlineX, favouring a wide pair of teeth either side as the centrals
+    numberTeeth(segments, midlineX) {
+        const halfSpan = Math.max(1, (segments[segments.length - 1].end - segments[0].start) / 2);
+        let midline = 0;
+        let best = -Infinity;
+
+        for (let i = 1; i < segments.length; i++) {
+            const boundary = (segments[i - 1].end + segments[i].start) / 2;
+            const pairWidth = (segments[i - 1].end - segments[i - 1].start) + (segments[i].end - segments[i].start);
+            const score = pairWidth * (1 - 0.5 * Math.min(1, Math.abs(boundary - midlineX) / halfSpan));
+            if (score > best) {
+                best = score;
+                midline = i;
+            }
+        }
+        if (segments.length === 1) {
+            midline = (segments[0].start + segments[0].end) / 2 < midlineX ? 1 : 0;
+        }
+
+        return segments
+            .map((segment, i) => ({
+                ...segment,
+                fdi: i < midline ? 10 + (midline - i) : 20 + (i - midline + 1)
+            }))
+            .filter(segment => segment.fdi % 10 <= 8);
+    }
+
+    // Upper lip border above a tooth: climb from the margin while the colour stays that of the gingiva
+    findLipBorder(imageData, region, margin, zenith) {
+        const { data, width } = imageData;
+        const lab = (x, y) => {
+            const i = (y * width + x) * 4;
+            return this.colorScience.rgbToLab(data[i], data[i + 1], data[i + 2]);
+        };
+
+        // Reference gingiva colour just above the margin, across the tooth
+        const samples = [];
+        margin.forEach(point => {
+            for (let dy = 2; dy <= 4; dy++) {
+                if (point.y - dy >= region.y) samples.push(lab(point.x, point.y - dy));
+            }
+        });
+        if (samples.length === 0) {
+            return { x: zenith.x, y: zenith.y };
+        }
+        const reference = ['L', 'a', 'b'].reduce((mean, channel) => {
+            mean[channel] = samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length;
+            return mean;
+        }, {});
+
+        // Up to two off-colour pixels (a vessel, a highlight) do not end the gingiva
+        let top = zenith.y;
+        let misses = 0;
+        for (let y = zenith.y - 1; y >= region.y; y--) {
+            if (this.colorScience.deltaE2000(lab(zenith.x, y), reference) <= this.settings.lipDeltaE) {
+                top = y;
+                misses = 0;
+            } else if (++misses > 2) {
+                break;
+            }
+        }
+
+        return { x: zenith.x, y: top };
+    }
+
+    // Lip border at a column: the marked line when there is one, else what was detected
+    getLipPoint(tooth) {
+        if (this.lipLine.length < 2) {
+            return tooth.detectedLip;
+        }
+
+        const line = [...this.lipLine].sort((a, b) => a.x - b.x);
+        const x = tooth.zenith.x;
+        let i = line.findIndex(point => point.x >= x);
+        if (i <= 0) i = i === 0 ? 1 : line.length - 1;
+        const a = line[i - 1], b = line[i];
+        const t = b.x === a.x ? 0 : (x - a.x) / (b.x - a.x);
+        return { x, y: a.y + (b.y - a.y) * t };
+    }
+
+    // Distances in the measurement tools' units, display per tooth and contralateral comparison
+    measure() {
+        if (!this.result) return;
+
+        const unit = this.measurementTools ? this.measurementTools.getLengthUnit() : 'px';
+        const toUnits = (point) => this.measurementTools ? this.measurementTools.toMeasurementUnits(point) : point;
+        const distance = (p, q) => {
+            const a = toUnits(p), b = toUnits(q);
+            return Math.hypot(b.x - a.x, b.y - a.y);
+        };
+
+        this.result.unit = unit;
+        this.result.teeth.forEach(tooth => {
+            const lip = this.getLipPoint(tooth);
+            const center = { x: (tooth.bounds.start + tooth.bounds.end) / 2, y: tooth.zenith.y };
+            // Distal is away from the midline: image left for the patient's right
+            const distalSign = Math.floor(tooth.fdi / 10) === 1 ? Math.sign(center.x - tooth.zenith.x) : Math.sign(tooth.zenith.x - center.x);
+
+            tooth.lip = lip;
+            tooth.toothNumber = this.formatToothNumber(tooth.fdi);
+            // Gingiva shown between the lip and the zenith; none when the lip reaches the margin
+            tooth.display = lip.y < tooth.zenith.y ? distance(lip, tooth.zenith) : 0;
+            tooth.zenithOffset = distalSign * distance(center, tooth.zenith);
+            tooth.zenithHeight = toUnits(tooth.zenith).y;
+        });
+
+        const tolerance = this.settings.asymmetryTolerance[unit] !== undefined
+            ? this.settings.asymmetryTolerance[unit]
+            : this.settings.asymmetryTolerance.mm;
+        const byFdi = new Map(this.result.teeth.map(tooth => [tooth.fdi, tooth]));
+
+        this.result.asymmetries = [];
+        this.result.teeth.forEach(tooth => { tooth.asymmetric = false; });
+        for (let position = 1; position <= 8; position++) {
+            const right = byFdi.get(10 + position);
+            const left = byFdi.get(20 + position);
+            if (!right || !left) continue;
+
+            const heightDifference = right.zenithHeight - left.zenithHeight;
+            const displayDifference = right.display - left.display;
+            const flagged = Math.abs(heightDifference) > tolerance || Math.abs(displayDifference) > tolerance;
+            right.asymmetric = left.asymmetric = flagged;
+            this.result.asymmetries.push({
+                teeth: [right.toothNumber, left.toothNumber],
+                heightDifference,
+                displayDifference,
+                flagged
+            });
+        }
+    }
+
+    formatToothNumber(fdi) {
+        if (this.toothNumbering && this.toothNumbering.currentSystem !== 'fdi') {
+            return this.toothNumbering.convertToothNumber(fdi, 'fdi', this.toothNumbering.currentSystem);
+        }
+        return fdi;
+    }
+
+    // One row per tooth in arch order (patient's right to left), keyed by its number in the chart's system
+    getTable() {
+        if (!this.result) return [];
+
+        return [...this.result.teeth]
+            .sort((a, b) => this.archPosition(a.fdi) - this.archPosition(b.fdi))
+            .map(tooth => ({
+                tooth: tooth.toothNumber,
+                fdi: tooth.fdi,
+                display: tooth.display,
+                zenithOffset: tooth.zenithOffset,
+                zenithHeight: tooth.zenithHeight,
+                asymmetric: tooth.asymmetric,
+                unit: this.result.unit
+            }));
+    }
+
+    // Position along the arch from the patient's right distal to the left distal
+    archPosition(fdi) {
+        const position = fdi % 10;
+        return Math.floor(fdi / 10) === 1 ? -position : position;
+    }
+
+    // Report rows in the same shape as MeasurementTools.getMeasurementReport
+    getReport() {
+        if (!this.result) return [];
+
+        const unit = this.result.unit;
+        const rows = this.getTable().map(row => ({
+            label: `Gingiva #${row.tooth}`,
+            type: 'gingival',
+            value: row.display,
+            unit,
+            text: `display ${row.display.toFixed(2)} ${unit}, zenith ${row.zenithOffset >= 0 ? '+' : ''}${row.zenithOffset.toFixed(2)} ${unit} distal` +
+                (row.asymmetric ? ' - asymmetric' : '')
+        }));
+
+        this.result.asymmetries.forEach(pair => {
+            rows.push({
+                label: `Gingival symmetry #${pair.teeth[0]}/#${pair.teeth[1]}`,
+                type: 'gingival-asymmetry',
+                value: pair.heightDifference,
+                unit,
+                text: `zenith ${Math.abs(pair.heightDifference).toFixed(2)} ${unit}, display ${Math.abs(pair.displayDifference).toFixed(2)} ${unit}` +
+                    (pair.flagged ? ' - asymmetric' : '')
+            });
+        });
+
+        return rows;
+    }
+
+    // Mark the upper lip border by clicking along it; two or more points replace the detected border
+    activate() {
+        this.syncOverlaySize();
+        this.overlay.style.pointerEvents = 'auto';
+        this.overlay.style.cursor = 'crosshair';
+
+        if (!this.isActive) {
+            this.overlay.addEventListener('pointerdown', this.handlers.down);
+            this.isActive = true;
+        }
+
+        if (typeof showToast === 'function') {
+            showToast('Click along the lower border of the upper lip, then finish');
+        }
+    }
+
+    deactivate() {
+        if (!this.overlay || !this.isActive) return;
+
+        this.overlay.removeEventListener('pointerdown', this.handlers.down);
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.cursor = '';
+        this.isActive = false;
+        this.render();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'gingival-analysis-overlay';
+        this.overlay.style.position = 'absolute';
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.touchAction = 'none';
+        this.overlayCtx = this.overlay.getContext('2d');
+
+        this.canvas.parentNode.appendChild(this.overlay);
+    }
+
+    // Also brings the overlay up for results that arrive without activate(), e.g. a reopened photo
+    syncOverlaySize() {
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+
+        this.overlay.width = this.canvas.width;
+        this.overlay.height = this.canvas.height;
+        this.overlay.style.left = `${this.canvas.offsetLeft}px`;
+        this.overlay.style.top = `${this.canvas.offsetTop}px`;
+        this.overlay.style.width = `${this.canvas.clientWidth}px`;
+        this.overlay.style.height = `${this.canvas.clientHeight}px`;
+        this.render();
+    }
+
+    getPointerPos(e) {
+        const rect = this.overlay.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.overlay.width / rect.width),
+            y: (e.clientY - rect.top) * (this.overlay.height / rect.height)
+        };
+    }
+
+    handlePointerDown(e) {
+        e.preventDefault();
+        this.setLipLine([...this.lipLine, this.getPointerPos(e)]);
+    }
+
+    setLipLine(points) {
+        this.lipLine = points.map(point => ({ x: point.x, y: point.y }));
+        this.measure();
+        this.render();
+        this.notifyChange();
+    }
+
+    clear() {
+        this.result = null;
+        this.lipLine = [];
+        this.render();
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    render() {
+        if (!this.overlayCtx) return;
+
+        const ctx = this.overlayCtx;
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        this.drawAnalysis(ctx);
+    }
+
+    // Margins, zeniths and the lip border; asymmetric teeth in the flag colour
+    drawAnalysis(ctx) {
+        const { marginColor, flagColor, lipColor, lineWidth, fontSize, fontFamily } = this.settings;
+
+        if (this.lipLine.length > 0) {
+            ctx.save();
+            ctx.strokeStyle = lipColor;
+            ctx.fillStyle = lipColor;
+            ctx.lineWidth = lineWidth;
+            ctx.setLineDash([6, 4]);
+            this.tracePath(ctx, [...this.lipLine].sort((a, b) => a.x - b.x));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.lipLine.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+            ctx.restore();
+        }
+
+        if (!this.result) return;
+
+        this.result.teeth.forEach(tooth => {
+            const color = tooth.asymmetric ? flagColor : marginColor;
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = lineWidth;
+            this.tracePath(ctx, tooth.margin);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(tooth.zenith.x, tooth.zenith.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+
+            // Display: lip border down to the zenith
+            if (tooth.display > 0) {
+                ctx.strokeStyle = lipColor;
+                ctx.beginPath();
+                ctx.moveTo(tooth.lip.x, tooth.lip.y);
+                ctx.lineTo(tooth.zenith.x, tooth.zenith.y);
+                ctx.stroke();
+            }
+
+            ctx.font = `${fontSize}px ${fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`#${tooth.toothNumber}`, tooth.zenith.x, tooth.zenith.y + 6);
+            ctx.restore();
+        });
+    }
+
+    tracePath(ctx, points) {
+        ctx.beginPath();
+        if (points.length === 0) return;
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+    }
+
+    exportAnalysis() {
+        return {
+            result: this.result,
+            lipLine: this.lipLine,
+            table: this.getTable(),
+            report: this.getReport(),
+            timestamp: Date.now()
+        };
+    }
+
+    importAnalysis(data) {
+        this.result = data && data.result ? data.result : null;
+        this.lipLine = data && data.lipLine ? data.lipLine : [];
+        this.measure();
+        this.render();
+    }
+}
+
+// Export for use in main application
+window.GingivalAnalysis = GingivalAnalysis;
@@ -95,7 +95,7 @@ class HelpSystem {
                         position: 'center'
                     },
                     {
-                        target: '[onclick*="matchVITAShade(\'A1\')"]',
+                        target: '#vitaShadeGrid button',
                         title: 'Select a Shade',
                         content: 'Click any VITA shade to apply shade-matching enhancement that preserves natural tooth colors.',
                         position: 'top'
@@ -0,0 +1,1029 @@
+// Image Encoders for Dental Photo Editor
+// Pure-JS BMP and TIFF writers for formats canvas.toBlob cannot produce
+
+class BMPEncoder {
+    // Encode ImageData as a 24-bit bottom-up BMP
+    encode(imageData, options = {}) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const dpi = options.dpi || 72;
+        const background = options.background || { r: 255, g: 255, b: 255 };
+
+        const rowSize = Math.ceil((width * 3) / 4) * 4;
+        const pixelArraySize = rowSize * height;
+        const fileHeaderSize = 14;
+        const infoHeaderSize = 40;
+        const dataOffset = fileHeaderSize + infoHeaderSize;
+
+        const buffer = new ArrayBuffer(dataOffset + pixelArraySize);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // BITMAPFILEHEADER
+        view.setUint8(0, 0x42); // 'B'
+        view.setUint8(1, 0x4D); // 'M'
+        view.setUint32(2, buffer.byteLength, true);
+        view.setUint32(10, dataOffset, true);
+
+        // BITMAPINFOHEADER
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        view.setUint32(14, infoHeaderSize, true);
+        view.setInt32(18, width, true);
+        view.setInt32(22, height, true);
+        view.setUint16(26, 1, true);
+        view.setUint16(28, 24, true);
+        view.setUint32(30, 0, true); // BI_RGB
+        view.setUint32(34, pixelArraySize, true);
+        view.setInt32(38, pixelsPerMeter, true);
+        view.setInt32(42, pixelsPerMeter, true);
+
+        // Pixel rows, bottom-up, BGR with alpha flattened onto the background
+        const data = imageData.data;
+        for (let y = 0; y < height; y++) {
+            let offset = dataOffset + (height - 1 - y) * rowSize;
+
+            for (let x = 0; x < width; x++) {
+                const idx = (y * width + x) * 4;
+                const alpha = data[idx + 3] / 255;
+
+                bytes[offset++] = Math.round(data[idx + 2] * alpha + background.b * (1 - alpha));
+                bytes[offset++] = Math.round(data[idx + 1] * alpha + background.g * (1 - alpha));
+                bytes[offset++] = Math.round(data[idx] * alpha + background.r * (1 - alpha));
+            }
+        }
+
+        return buffer;
+    }
+}
+
+class TIFFEncoder {
+    constructor() {
+        this.compressionCodes = {
+            none: 1,
+            lzw: 5,
+            deflate: 8
+        };
+
+        // Field types
+        this.types = {
+            BYTE: 1,
+            ASCII: 2,
+            SHORT: 3,
+            LONG: 4,
+            RATIONAL: 5,
+            UNDEFINED: 7
+        };
+        this.typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1 };
+
+        // Target uncompressed strip size
+        this.stripSize = 64 * 1024;
+    }
+
+    // Encode one or more ImageData pages as a baseline RGB TIFF (little-endian)
+    async encode(pages, options = {}) {
+        const pageList = Array.isArray(pages) ? pages : [pages];
+        if (pageList.length === 0) {
+            throw new Error('No pages to encode');
+        }
+
+        const settings = {
+            bitsPerSample: options.bitsPerSample || 8,
+            compression: options.compression || 'lzw',
+            dpi: options.dpi || 72,
+            alpha: options.alpha || false,
+            software: options.software || 'Dental Photo Editor'
+        };
+
+        if (settings.bitsPerSample !== 8 && settings.bitsPerSample !== 16) {
+            throw new Error('TIFF bit depth must be 8 or 16');
+        }
+
+        if (!this.compressionCodes[settings.compression]) {
+            throw new Error(`Unsupported TIFF compression: ${settings.compression}`);
+        }
+
+        if (settings.compression === 'deflate' && typeof CompressionStream === 'undefined') {
+            throw new Error('Deflate compression is not supported in this browser');
+        }
+
+        const chunks = [];
+        let offset = 8;
+        const ifdOffsets = [];
+        const nextPointerPositions = [];
+
+        // Image file header; first IFD offset is patched below
+        const header = new Uint8Array(8);
+        const headerView = new DataView(header.buffer);
+        header[0] = 0x49; // 'I'
+        header[1] = 0x49;
+        headerView.setUint16(2, 42, true);
+        chunks.push(header);
+
+        for (let page = 0; page < pageList.length; page++) {
+            const imageData = pageList[page];
+            const samplesPerPixel = settings.alpha && this.hasTransparency(imageData) ? 4 : 3;
+            const strips = await this.encodeStrips(imageData, samplesPerPixel, settings);
+
+            const stripOffsets = [];
+            for (const strip of strips.data) {
+                stripOffsets.push(offset);
+                chunks.push(strip);
+                offset += strip.length;
+
+                if (offset % 2 !== 0) {
+                    chunks.push(new Uint8Array(1));
+                    offset += 1;
+                }
+            }
+
+            const entries = this.createIFDEntries(imageData, {
+                ...settings,
+                samplesPerPixel,
+                rowsPerStrip: strips.rowsPerStrip,
+                stripOffsets,
+                stripByteCounts: strips.data.map(strip => strip.length),
+                pageNumber: page,
+                pageCount: pageList.length
+            });
+
+            const ifd = this.encodeIFD(entries, offset);
+            ifdOffsets.push(offset);
+            nextPointerPositions.push(offset + ifd.nextPointerOffset);
+            chunks.push(ifd.bytes);
+            offset += ifd.bytes.length;
+        }
+
+        const result = this.concatBytes(chunks);
+        const view = new DataView(result.buffer);
+
+        // Link the IFD chain
+        view.setUint32(4, ifdOffsets[0], true);
+        for (let i = 0; i < nextPointerPositions.length; i++) {
+            view.setUint32(nextPointerPositions[i], ifdOffsets[i + 1] || 0, true);
+        }
+
+        return result.buffer;
+    }
+
+    // Split pixels into strips, apply the horizontal predictor and compress
+    async encodeStrips(imageData, samplesPerPixel, settings) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const bytesPerSample = settings.bitsPerSample / 8;
+        const rowBytes = width * samplesPerPixel * bytesPerSample;
+        const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(this.stripSize / rowBytes)));
+        const usePredictor = settings.compression !== 'none';
+
+        const strips = [];
+        for (let startRow = 0; startRow < height; startRow += rowsPerStrip) {
+            const rows = Math.min(rowsPerStrip, height - startRow);
+            const raw = this.packRows(imageData, startRow, rows, samplesPerPixel, settings.bitsPerSample);
+
+            if (usePredictor) {
+                this.applyHorizontalPredictor(raw, width, rows, samplesPerPixel, settings.bitsPerSample);
+            }
+
+            strips.push(await this.compress(raw, settings.compression));
+        }
+
+        return { data: strips, rowsPerStrip };
+    }
+
+    // Pack RGBA rows into contiguous RGB(A) samples (16-bit samples little-endian)
+    packRows(imageData, startRow, rows, samplesPerPixel, bitsPerSample) {
+        const width = imageData.width;
+        const data = imageData.data;
+        const sampleCount = width * rows * samplesPerPixel;
+
+        // High bit depth sources (Uint16Array data) keep their precision
+        const sourceIs16Bit = data instanceof Uint16Array;
+
+        if (bitsPerSample === 8) {
+            const out = new Uint8Array(sampleCount);
+            let o = 0;
+            for (let i = startRow * width * 4; i < (startRow + rows) * width * 4; i += 4) {
+                for (let c = 0; c < samplesPerPixel; c++) {
+                    out[o++] = sourceIs16Bit ? data[i + c] >> 8 : data[i + c];
+                }
+            }
+            return out;
+        }
+
+        const out = new Uint8Array(sampleCount * 2);
+        const view = new DataView(out.buffer);
+        let o = 0;
+        for (let i = startRow * width * 4; i < (startRow + rows) * width * 4; i += 4) {
+            for (let c = 0; c < samplesPerPixel; c++) {
+                view.setUint16(o, sourceIs16Bit ? data[i + c] : data[i + c] * 257, true);
+                o += 2;
+            }
+        }
+        return out;
+    }
+
+    // TIFF Predictor 2: store each sample as the difference from its left neighbour
+    applyHorizontalPredictor(bytes, width, rows, samplesPerPixel, bitsPerSample) {
+        if (bitsPerSample === 8) {
+            const rowLength = width * samplesPerPixel;
+            for (let y = 0; y < rows; y++) {
+                const rowStart = y * rowLength;
+                for (let i = rowLength - 1; i >= samplesPerPixel; i--) {
+                    bytes[rowStart + i] = (bytes[rowStart + i] - bytes[rowStart + i - samplesPerPixel]) & 0xFF;
+                }
+            }
+            return;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const rowLength = width * samplesPerPixel;
+        for (let y = 0; y < rows; y++) {
+            const rowStart = y * rowLength;
+            for (let i = rowLength - 1; i >= samplesPerPixel; i--) {
+                const current = view.getUint16((rowStart + i) * 2, true);
+                const left = view.getUint16((rowStart + i - samplesPerPixel) * 2, true);
+                view.setUint16((rowStart + i) * 2, (current - left) & 0xFFFF, true);
+            }
+        }
+    }
+
+    async compress(bytes, compression) {
+        switch (compression) {
+            case 'lzw':
+                return this.compressLZW(bytes);
+            case 'deflate':
+                return this.compressDeflate(bytes);
+            default:
+                return bytes;
+        }
+    }
+
+    // TIFF LZW: MSB-first codes, 9-12 bits, early code-width change
+    compressLZW(bytes) {
+        const CLEAR = 256;
+        const EOI = 257;
+        const writer = new MSBBitWriter(bytes.length);
+
+        let table = new Map();
+        let nextCode = 258;
+        let codeWidth = 9;
+
+        writer.write(CLEAR, codeWidth);
+
+        if (bytes.length === 0) {
+            writer.write(EOI, codeWidth);
+            return writer.finish();
+        }
+
+        let prefix = bytes[0];
+
+        for (let i = 1; i < bytes.length; i++) {
+            const byte = bytes[i];
+            const key = prefix * 256 + byte;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            writer.write(prefix, codeWidth);
+
+            if (nextCode === 4094) {
+                // Table full: reset before the decoder runs out of codes
+                writer.write(CLEAR, codeWidth);
+                table = new Map();
+                nextCode = 258;
+                codeWidth = 9;
+            } else {
+                table.set(key, nextCode++);
+                if (nextCode === (1 << codeWidth)) {
+                    codeWidth++;
+                }
+            }
+
+            prefix = byte;
+        }
+
+        writer.write(prefix, codeWidth);
+
+        // The decoder adds one more entry after the last code, which can widen EOI
+        nextCode++;
+        if (nextCode === 4094) {
+            writer.write(CLEAR, codeWidth);
+            codeWidth = 9;
+        } else if (nextCode === (1 << codeWidth)) {
+            codeWidth++;
+        }
+
+        writer.write(EOI, codeWidth);
+        return writer.finish();
+    }
+
+    // Adobe Deflate (zlib stream) via the browser's CompressionStream
+    async compressDeflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = await new Response(stream).arrayBuffer();
+        return new Uint8Array(compressed);
+    }
+
+    // Baseline RGB tags, in ascending tag order
+    createIFDEntries(imageData, info) {
+        const { SHORT, LONG, RATIONAL, ASCII } = this.types;
+        const bitsPerSample = new Array(info.samplesPerPixel).fill(info.bitsPerSample);
+        const multiPage = info.pageCount > 1;
+
+        const entries = [
+            { tag: 254, type: LONG, values: [multiPage ? 2 : 0] },           // NewSubfileType
+            { tag: 256, type: LONG, values: [imageData.width] },             // ImageWidth
+            { tag: 257, type: LONG, values: [imageData.height] },            // ImageLength
+            { tag: 258, type: SHORT, values: bitsPerSample },                // BitsPerSample
+            { tag: 259, type: SHORT, values: [this.compressionCodes[info.compression]] },
+            { tag: 262, type: SHORT, values: [2] },                          // PhotometricInterpretation: RGB
+            { tag: 273, type: LONG, values: info.stripOffsets },             // StripOffsets
+            { tag: 277, type: SHORT, values: [info.samplesPerPixel] },       // SamplesPerPixel
+            { tag: 278, type: LONG, values: [info.rowsPerStrip] },           // RowsPerStrip
+            { tag: 279, type: LONG, values: info.stripByteCounts },          // StripByteCounts
+            { tag: 282, type: RATIONAL, values: [[Math.round(info.dpi * 100), 100]] }, // XResolution
+            { tag: 283, type: RATIONAL, values: [[Math.round(info.dpi * 100), 100]] }, // YResolution
+            { tag: 284, type: SHORT, values: [1] },                          // PlanarConfiguration: chunky
+            { tag: 296, type: SHORT, values: [2] }                           // ResolutionUnit: inch
+        ];
+
+        if (multiPage) {
+            entries.push({ tag: 297, type: SHORT, values: [info.pageNumber, info.pageCount] }); // PageNumber
+        }
+
+        entries.push(
+            { tag: 305, type: ASCII, values: info.software },                // Software
+            { tag: 306, type: ASCII, values: this.formatDateTime(new Date()) } // DateTime
+        );
+
+        if (info.compression !== 'none') {
+            entries.push({ tag: 317, type: SHORT, values: [2] });            // Predictor: horizontal differencing
+        }
+
+        if (info.samplesPerPixel === 4) {
+            entries.push({ tag: 338, type: SHORT, values: [2] });            // ExtraSamples: unassociated alpha
+        }
+
+        return entries;
+    }
+
+    // Encode an IFD at the given file offset, with out-of-line values after it
+    encodeIFD(entries, ifdOffset) {
+        const entryBytes = 2 + entries.length * 12 + 4;
+        const values = entries.map(entry => this.encodeFieldValue(entry));
+
+        let overflowSize = 0;
+        values.forEach(value => {
+            if (value.length > 4) overflowSize += value.length + (value.length % 2);
+        });
+
+        const bytes = new Uint8Array(entryBytes + overflowSize);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, entries.length, true);
+
+        let overflowOffset = entryBytes;
+        entries.forEach((entry, i) => {
+            const position = 2 + i * 12;
+            const value = values[i];
+
+            view.setUint16(position, entry.tag, true);
+            view.setUint16(position + 2, entry.type, true);
+            view.setUint32(position + 4, value.length / this.typeSizes[entry.type], true);
+
+            if (value.length <= 4) {
+                bytes.set(value, position + 8);
+            } else {
+                view.setUint32(position + 8, ifdOffset + overflowOffset, true);
+                bytes.set(value, overflowOffset);
+                overflowOffset += value.length + (value.length % 2);
+            }
+        });
+
+        return { bytes, nextPointerOffset: 2 + entries.length * 12 };
+    }
+
+    encodeFieldValue(entry) {
+        if (entry.type === this.types.ASCII) {
+            const text = new TextEncoder().encode(entry.values);
+            const bytes = new Uint8Array(text.length + 1);
+            bytes.set(text);
+            return bytes;
+        }
+
+        if (entry.type === this.types.BYTE || entry.type === this.types.UNDEFINED) {
+            return new Uint8Array(entry.values);
+        }
+
+        const size = this.typeSizes[entry.type];
+        const bytes = new Uint8Array(entry.values.length * size);
+        const view = new DataView(bytes.buffer);
+
+        entry.values.forEach((value, i) => {
+            if (entry.type === this.types.SHORT) {
+                view.setUint16(i * size, value, true);
+            } else if (entry.type === this.types.LONG) {
+                view.setUint32(i * size, value, true);
+            } else {
+                view.setUint32(i * size, value[0], true);
+                view.setUint32(i * size + 4, value[1], true);
+            }
+        });
+
+        return bytes;
+    }
+
+    hasTransparency(imageData) {
+        const data = imageData.data;
+        const opaque = data instanceof Uint16Array ? 65535 : 255;
+
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== opaque) return true;
+        }
+        return false;
+    }
+
+    // TIFF DateTime: "YYYY:MM:DD HH:MM:SS"
+    formatDateTime(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+               `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    concatBytes(chunks) {
+        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const result = new Uint8Array(totalLength);
+
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return result;
+    }
+}
+
+// Animated GIF89a writer: one median-cut palette shared by all frames, optional Floyd-Steinberg dithering
+class GIFEncoder {
+    constructor(options = {}) {
+        this.settings = {
+            colors: 256,
+            quantizer: 'median-cut', // or 'octree'
+            dither: true,
+            loop: 0,              // 0 repeats forever
+            sampleLimit: 200000,  // pixels sampled across all frames to build the palette
+            background: { r: 0, g: 0, b: 0 },
+            ...options
+        };
+    }
+
+    // frames: [{ imageData, delay }] with delay in milliseconds; all frames share the first one's size
+    encode(frames, options = {}) {
+        const settings = { ...this.settings, ...options };
+        if (frames.length === 0) {
+            throw new Error('No frames to encode');
+        }
+
+        const { width, height } = frames[0].imageData;
+        const pixels = frames.map(frame => this.flatten(frame.imageData, settings.background));
+        const palette = this.quantize(pixels, settings);
+
+        const chunks = [this.createHeader(width, height, palette, settings.loop)];
+        pixels.forEach((rgb, index) => {
+            const indices = this.mapPixels(rgb, width, height, palette, settings.dither);
+            chunks.push(this.createFrame(indices, width, height, frames[index].delay));
+        });
+        chunks.push(new Uint8Array([0x3B])); // Trailer
+
+        return this.concatBytes(chunks);
+    }
+
+    // RGB bytes with alpha flattened onto the background; GIF frames here are fully opaque
+    flatten(imageData, background) {
+        const data = imageData.data;
+        const rgb = new Uint8Array(imageData.width * imageData.height * 3);
+
+        for (let i = 0, o = 0; i < data.length; i += 4, o += 3) {
+            const alpha = data[i + 3] / 255;
+            rgb[o] = Math.round(data[i] * alpha + background.r * (1 - alpha));
+            rgb[o + 1] = Math.round(data[i + 1] * alpha + background.g * (1 - alpha));
+            rgb[o + 2] = Math.round(data[i + 2] * alpha + background.b * (1 - alpha));
+        }
+
+        return rgb;
+    }
+
+    // Palette shared by all frames, built from an even sample of their pixels
+    quantize(pixelFrames, settings) {
+        const total = pixelFrames.reduce((sum, rgb) => sum + rgb.length / 3, 0);
+        const step = Math.max(1, Math.floor(total / settings.sampleLimit));
+        const samples = [];
+
+        pixelFrames.forEach(rgb => {
+            for (let p = 0; p < rgb.length / 3; p += step) {
+                samples.push((rgb[p * 3] << 16) | (rgb[p * 3 + 1] << 8) | rgb[p * 3 + 2]);
+            }
+        });
+
+        if (settings.quantizer === 'octree') {
+            return this.quantizeOctree(samples, settings.colors);
+        }
+        if (settings.quantizer !== 'median-cut') {
+            throw new Error(`Unknown quantizer '${settings.quantizer}'`);
+        }
+        return this.quantizeMedianCut(samples, settings.colors);
+    }
+
+    // Median cut: split the box with the widest channel at its median until there are enough boxes
+    quantizeMedianCut(samples, colorCount) {
+        const channel = (color, c) => (color >> (16 - 8 * c)) & 0xFF;
+        const describe = (colors) => {
+            const min = [255, 255, 255], max = [0, 0, 0];
+            colors.forEach(color => {
+                for (let c = 0; c < 3; c++) {
+                    const value = channel(color, c);
+                    if (value < min[c]) min[c] = value;
+                    if (value > max[c]) max[c] = value;
+                }
+            });
+            const ranges = max.map((value, c) => value - min[c]);
+            const widest = ranges.indexOf(Math.max(...ranges));
+            return { colors, widest, range: ranges[widest] };
+        };
+
+        const boxes = [describe(samples)];
+        while (boxes.length < colorCount) {
+            // Split the box that spans the most, weighted by how many pixels it holds
+            let target = -1, score = 0;
+            boxes.forEach((box, index) => {
+                const boxScore = box.range * Math.sqrt(box.colors.length);
+                if (box.colors.length > 1 && box.range > 0 && boxScore > score) {
+                    target = index;
+                    score = boxScore;
+                }
+            });
+            if (target === -1) break;
+
+            const box = boxes[target];
+            box.colors.sort((a, b) => channel(a, box.widest) - channel(b, box.widest));
+            const median = box.colors.length >> 1;
+            boxes.splice(target, 1, describe(box.colors.slice(0, median)), describe(box.colors.slice(median)));
+        }
+
+        return boxes.map(box => {
+            const sum = [0, 0, 0];
+            box.colors.forEach(color => {
+                for (let c = 0; c < 3; c++) sum[c] += channel(color, c);
+            });
+            return sum.map(value => Math.round(value / box.colors.length));
+        });
+    }
+
+    // Octree: every sampled color is a leaf 8 levels down; the least used branches of the deepest
+    // level are folded into their parents until the leaves fit the palette
+    quantizeOctree(samples, colorCount) {
+        const createNode = () => ({ children: null, r: 0, g: 0, b: 0, count: 0 });
+        const root = createNode();
+        const levels = Array.from({ length: 8 }, () => []); // branch nodes by depth
+        let leafCount = 0;
+
+        samples.forEach(color => {
+            const r = (color >> 16) & 0xFF, g = (color >> 8) & 0xFF, b = color & 0xFF;
+            let node = root;
+
+            for (let depth = 0; depth < 8; depth++) {
+                const shift = 7 - depth;
+                const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+
+                if (!node.children) {
+                    node.children = [];
+                    levels[depth].push(node);
+                }
+                if (!node.children[index]) {
+                    node.children[index] = createNode();
+                    if (depth === 7) leafCount++;
+                }
+                node = node.children[index];
+            }
+
+            node.r += r;
+            node.g += g;
+            node.b += b;
+            node.count++;
+        });
+
+        // Children of the deepest branches are always leaves, so folding one sums its children
+        for (let depth = 7; depth >= 0 && leafCount > colorCount; depth--) {
+            const branches = levels[depth].map(node => {
+                const children = node.children.filter(Boolean);
+                return { node, children, count: children.reduce((sum, child) => sum + child.count, 0) };
+            });
+            branches.sort((a, b) => a.count - b.count);
+
+            for (const { node, children } of branches) {
+                if (leafCount <= colorCount) break;
+
+                children.forEach(child => {
+                    node.r += child.r;
+                    node.g += child.g;
+                    node.b += child.b;
+                    node.count += child.count;
+                });
+                node.children = null;
+                leafCount -= children.length - 1;
+            }
+        }
+
+        const palette = [];
+        const collect = (node) => {
+            if (!node.children) {
+                if (node.count > 0) {
+                    palette.push([node.r, node.g, node.b].map(value => Math.round(value / node.count)));
+                }
+                return;
+            }
+            node.children.forEach(child => child && collect(child));
+        };
+        collect(root);
+
+        return palette;
+    }
+
+    // Palette index per pixel; nearest colors are cached on a 5-bit-per-channel grid
+    mapPixels(rgb, width, height, palette, dither) {
+        const indices = new Uint8Array(width * height);
+        const cache = new Int16Array(32768).fill(-1);
+        const nearest = (r, g, b) => {
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            if (cache[key] !== -1) return cache[key];
+
+            let best = 0, bestDistance = Infinity;
+            for (let i = 0; i < palette.length; i++) {
+                const dr = r - palette[i][0], dg = g - palette[i][1], db = b - palette[i][2];
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            cache[key] = best;
+            return best;
+        };
+
+        if (!dither) {
+            for (let p = 0; p < indices.length; p++) {
+                indices[p] = nearest(rgb[p * 3], rgb[p * 3 + 1], rgb[p * 3 + 2]);
+            }
+            return indices;
+        }
+
+        // Floyd-Steinberg: push each pixel's error onto its unvisited neighbors
+        const work = Float32Array.from(rgb);
+        const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+        const spread = (x, y, error, weight) => {
+            if (x < 0 || x >= width || y >= height) return;
+            const o = (y * width + x) * 3;
+            work[o] += error[0] * weight;
+            work[o + 1] += error[1] * weight;
+            work[o + 2] += error[2] * weight;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const r = clamp(work[p * 3]), g = clamp(work[p * 3 + 1]), b = clamp(work[p * 3 + 2]);
+                const index = nearest(r, g, b);
+                indices[p] = index;
+
+                const error = [r - palette[index][0], g - palette[index][1], b - palette[index][2]];
+                spread(x + 1, y, error, 7 / 16);
+                spread(x - 1, y + 1, error, 3 / 16);
+                spread(x, y + 1, error, 5 / 16);
+                spread(x + 1, y + 1, error, 1 / 16);
+            }
+        }
+
+        return indices;
+    }
+
+    // Header, logical screen descriptor, 256-entry global color table and NETSCAPE looping block
+    createHeader(width, height, palette, loop) {
+        const bytes = new Uint8Array(13 + 768 + 19);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // 'GIF89a'
+        view.setUint16(6, width, true);
+        view.setUint16(8, height, true);
+        bytes[10] = 0xF7; // Global color table of 2^(7+1) entries, 8-bit color resolution
+        bytes[11] = 0;
+        bytes[12] = 0;
+
+        palette.forEach((color, i) => bytes.set(color, 13 + i * 3));
+
+        bytes.set([0x21, 0xFF, 0x0B], 781);
+        bytes.set([...'NETSCAPE2.0'].map(char => char.charCodeAt(0)), 784);
+        bytes.set([0x03, 0x01], 795);
+        view.setUint16(797, loop, true);
+        bytes[799] = 0;
+
+        return bytes;
+    }
+
+    // Graphic control extension, image descriptor and LZW image data in sub-blocks
+    createFrame(indices, width, height, delay) {
+        const control = new Uint8Array([0x21, 0xF9, 0x04, 0x00, 0, 0, 0x00, 0x00]);
+        // GIF delays are in hundredths of a second
+        new DataView(control.buffer).setUint16(4, Math.max(2, Math.round((delay || 100) / 10)), true);
+
+        const descriptor = new Uint8Array(11);
+        const view = new DataView(descriptor.buffer);
+        descriptor[0] = 0x2C;
+        view.setUint16(5, width, true);
+        view.setUint16(7, height, true);
+        descriptor[9] = 0; // No local color table, not interlaced
+        descriptor[10] = 8; // LZW minimum code size
+
+        const compressed = this.compressLZW(indices, 8);
+        const blocks = [];
+        for (let offset = 0; offset < compressed.length; offset += 255) {
+            const block = compressed.subarray(offset, offset + 255);
+            blocks.push(new Uint8Array([block.length]), block);
+        }
+        blocks.push(new Uint8Array([0]));
+
+        return this.concatBytes([control, descriptor, ...blocks]);
+    }
+
+    // GIF LZW: LSB-first codes starting one bit wider than the minimum code size, no early change
+    compressLZW(indices, minCodeSize) {
+        const CLEAR = 1 << minCodeSize;
+        const EOI = CLEAR + 1;
+        const writer = new LSBBitWriter(indices.length);
+
+        let table = new Map();
+        let nextCode = EOI + 1;
+        let codeWidth = minCodeSize + 1;
+
+        writer.write(CLEAR, codeWidth);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            writer.write(prefix, codeWidth);
+
+            if (nextCode === 4096) {
+                writer.write(CLEAR, codeWidth);
+                table = new Map();
+                nextCode = EOI + 1;
+                codeWidth = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeWidth)) {
+                    codeWidth++;
+                }
+                table.set(key, nextCode++);
+            }
+
+            prefix = index;
+        }
+
+        writer.write(prefix, codeWidth);
+        writer.write(EOI, codeWidth);
+        return writer.finish();
+    }
+
+    concatBytes(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+}
+
+// Animated PNG writer: RGBA frames as IDAT/fdAT chunks behind acTL/fcTL control chunks
+class APNGEncoder {
+    constructor(options = {}) {
+        this.settings = {
+            loop: 0,  // 0 repeats forever
+            ...options
+        };
+    }
+
+    // frames: [{ imageData, delay }] with delay in milliseconds; all frames share the first one's size
+    async encode(frames, options = {}) {
+        const settings = { ...this.settings, ...options };
+        if (frames.length === 0) {
+            throw new Error('No frames to encode');
+        }
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('APNG export is not supported in this browser');
+        }
+
+        const { width, height } = frames[0].imageData;
+        const chunks = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, adaptive filtering, no interlace
+        chunks.push(this.createChunk('IHDR', header));
+
+        const animation = new Uint8Array(8);
+        new DataView(animation.buffer).setUint32(0, frames.length);
+        new DataView(animation.buffer).setUint32(4, settings.loop);
+        chunks.push(this.createChunk('acTL', animation));
+
+        let sequence = 0;
+        for (let i = 0; i < frames.length; i++) {
+            const control = new Uint8Array(26);
+            const view = new DataView(control.buffer);
+            view.setUint32(0, sequence++);
+            view.setUint32(4, width);
+            view.setUint32(8, height);
+            view.setUint16(20, Math.round(frames[i].delay || 100));
+            view.setUint16(22, 1000); // Delay in milliseconds
+            control[24] = 0; // APNG_DISPOSE_OP_NONE
+            control[25] = 0; // APNG_BLEND_OP_SOURCE
+            chunks.push(this.createChunk('fcTL', control));
+
+            const data = await this.compress(this.filterRows(frames[i].imageData));
+            if (i === 0) {
+                // The first frame doubles as the still image for viewers without APNG support
+                chunks.push(this.createChunk('IDAT', data));
+            } else {
+                const frameData = new Uint8Array(4 + data.length);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(data, 4);
+                chunks.push(this.createChunk('fdAT', frameData));
+            }
+        }
+
+        chunks.push(this.createChunk('IEND', new Uint8Array(0)));
+        return this.concatBytes(chunks);
+    }
+
+    // Each row gets whichever of the None, Sub and Up filters leaves the smallest residuals
+    filterRows(imageData) {
+        const { width, height, data } = imageData;
+        const rowLength = width * 4;
+        const output = new Uint8Array((rowLength + 1) * height);
+        const candidates = [0, 1, 2].map(() => new Uint8Array(rowLength));
+
+        for (let y = 0; y < height; y++) {
+            const row = y * rowLength;
+            let bestFilter = 0, bestScore = Infinity;
+
+            for (let filter = 0; filter < 3; filter++) {
+                const filtered = candidates[filter];
+                let score = 0;
+                for (let i = 0; i < rowLength; i++) {
+                    const value = data[row + i];
+                    const left = i >= 4 ? data[row + i - 4] : 0;
+                    const up = y > 0 ? data[row + i - rowLength] : 0;
+                    const residual = (value - (filter === 1 ? left : filter === 2 ? up : 0)) & 0xFF;
+                    filtered[i] = residual;
+                    score += residual < 128 ? residual : 256 - residual;
+                }
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestFilter = filter;
+                }
+            }
+
+            const offset = y * (rowLength + 1);
+            output[offset] = bestFilter;
+            output.set(candidates[bestFilter], offset + 1);
+        }
+
+        return output;
+    }
+
+    async compress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    createChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set([...type].map(char => char.charCodeAt(0)), 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    crc32(bytes) {
+        if (!APNGEncoder.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            APNGEncoder.crcTable = table;
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = APNGEncoder.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    concatBytes(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+}
+
+// Growable MSB-first bit writer used by LZW
+class MSBBitWriter {
+    constructor(initialSize = 1024) {
+        this.bytes = new Uint8Array(Math.max(16, initialSize));
+        this.length = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    write(code, width) {
+        this.bitBuffer = (this.bitBuffer << width) | code;
+        this.bitCount += width;
+
+        while (this.bitCount >= 8) {
+            this.bitCount -= 8;
+            this.pushByte((this.bitBuffer >>> this.bitCount) & 0xFF);
+        }
+
+        this.bitBuffer &= (1 << this.bitCount) - 1;
+    }
+
+    pushByte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    finish() {
+        if (this.bitCount > 0) {
+            this.pushByte((this.bitBuffer << (8 - this.bitCount)) & 0xFF);
+            this.bitCount = 0;
+            this.bitBuffer = 0;
+        }
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// Growable LSB-first bit writer used by GIF LZW
+class LSBBitWriter extends MSBBitWriter {
+    write(code, width) {
+        this.bitBuffer |= code << this.bitCount;
+        this.bitCount += width;
+
+        while (this.bitCount >= 8) {
+            this.pushByte(this.bitBuffer & 0xFF);
+            this.bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    finish() {
+        if (this.bitCount > 0) {
+            this.pushByte(this.bitBuffer & 0xFF);
+            this.bitCount = 0;
+            this.bitBuffer = 0;
+        }
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// Export for use in main application
+window.BMPEncoder = BMPEncoder;
+window.TIFFEncoder = TIFFEncoder;
+window.MSBBitWriter = MSBBitWriter;
+window.LSBBitWriter = LSBBitWriter;
+window.GIFEncoder = GIFEncoder;
+window.APNGEncoder = APNGEncoder;
@@ -0,0 +1,175 @@
+// Image Filters for Dental Photo Editor
+// Per-pixel filters shared by the main thread and the image workers
+
+class ImageFilters {
+    // Run [name, ...args] filter steps in order on imageData, in place; whitening uses the tooth mask
+    // (a label map of the detected teeth) when one is given
+    run(imageData, steps, toothMask = null) {
+        for (const [name, ...args] of steps) {
+            if (!ImageFilters.FILTERS.includes(name)) {
+                throw new Error(`Unknown filter '${name}'`);
+            }
+            if (name === 'shadeSafeWhitening') {
+                this.shadeSafeWhitening(imageData, args[0], toothMask);
+            } else {
+                this[name](imageData, ...args);
+            }
+        }
+        return imageData;
+    }
+
+    brightnessContrast(imageData, brightness, contrast) {
+        const data = imageData.data;
+        const brightnessAdjust = brightness * 2.55;
+        const contrastAdjust = (contrast + 100) / 100;
+
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = ((data[i] - 128) * contrastAdjust + 128) + brightnessAdjust;     // Red
+            data[i + 1] = ((data[i + 1] - 128) * contrastAdjust + 128) + brightnessAdjust; // Green
+            data[i + 2] = ((data[i + 2] - 128) * contrastAdjust + 128) + brightnessAdjust; // Blue
+        }
+    }
+
+    noiseReduction(imageData, level) {
+        if (level === 0) return;
+
+        const data = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        const factor = level / 100;
+
+        // Simple box blur for noise reduction
+        const output = new Uint8ClampedArray(data);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            sum += data[((y + dy) * width + (x + dx)) * 4 + c];
+                        }
+                    }
+
+                    const idx = (y * width + x) * 4 + c;
+                    output[idx] = data[idx] * (1 - factor) + (sum / 9) * factor;
+                }
+            }
+        }
+
+        data.set(output);
+    }
+
+    specularControl(imageData, level) {
+        if (level === 0) return;
+
+        const data = imageData.data;
+        const factor = level / 100;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
+
+            if (brightness > 200) { // Detect specular highlights
+                const reduction = factor * (brightness - 200) / 55;
+                data[i] = data[i] * (1 - reduction);
+                data[i + 1] = data[i + 1] * (1 - reduction);
+                data[i + 2] = data[i + 2] * (1 - reduction);
+            }
+        }
+    }
+
+    // Whitens the masked teeth, or tooth-like colors when there is no mask for this image
+    shadeSafeWhitening(imageData, level, toothMask = null) {
+        if (level === 0) return;
+
+        const data = imageData.data;
+        const factor = level / 100;
+        const mask = toothMask && toothMask.length === imageData.width * imageData.height ? toothMask : null;
+
+        for (let i = 0; i < data.length; i += 4) {
+            // Detect tooth-like colors (whites, yellows, light grays)
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+
+            const brightness = (r + g + b) / 3;
+            const warmth = (r + g) / 2 - b;
+            const isTooth = mask ? mask[i / 4] > 0 : brightness > 100 && warmth > -20 && warmth < 40;
+
+            // Apply whitening to tooth-like areas
+            if (isTooth) {
+                const whiteningFactor = factor * 0.3;
+                data[i] = Math.min(255, r + (255 - r) * whiteningFactor);
+                data[i + 1] = Math.min(255, g + (255 - g) * whiteningFactor);
+                data[i + 2] = Math.min(255, b + (255 - b) * whiteningFactor * 0.8); // Less blue to maintain warmth
+            }
+        }
+    }
+
+    // Box-averaged copy of at most maxPixels, for quick previews
+    downsample(imageData, maxPixels) {
+        const { width, height, data } = imageData;
+        const scale = Math.min(1, Math.sqrt(maxPixels / (width * height)));
+        const outWidth = Math.max(1, Math.floor(width * scale));
+        const outHeight = Math.max(1, Math.floor(height * scale));
+        const output = new ImageData(outWidth, outHeight);
+
+        for (let y = 0; y < outHeight; y++) {
+            const y0 = Math.floor(y * height / outHeight);
+            const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / outHeight));
+            for (let x = 0; x < outWidth; x++) {
+                const x0 = Math.floor(x * width / outWidth);
+                const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / outWidth));
+                const sums = [0, 0, 0, 0];
+
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const idx = (sy * width + sx) * 4;
+                        sums[0] += data[idx];
+                        sums[1] += data[idx + 1];
+                        sums[2] += data[idx + 2];
+                        sums[3] += data[idx + 3];
+                    }
+                }
+
+                const count = (y1 - y0) * (x1 - x0);
+                const out = (y * outWidth + x) * 4;
+                for (let c = 0; c < 4; c++) {
+                    output.data[out + c] = sums[c] / count;
+                }
+            }
+        }
+
+        return output;
+    }
+
+    // Nearest-neighbour copy of a label map at another size, so a preview or a tile keeps its
+    // tooth mask. region ({ x, y, width, height } in output pixels) takes just that part.
+    resampleMask(mask, width, height, outWidth, outHeight, region = null) {
+        const area = region || { x: 0, y: 0, width: outWidth, height: outHeight };
+        const output = new mask.constructor(area.width * area.height);
+        for (let y = 0; y < area.height; y++) {
+            const sy = Math.min(height - 1, Math.floor((area.y + y + 0.5) * height / outHeight));
+            for (let x = 0; x < area.width; x++) {
+                const sx = Math.min(width - 1, Math.floor((area.x + x + 0.5) * width / outWidth));
+                output[y * area.width + x] = mask[sy * width + sx];
+            }
+        }
+        return output;
+    }
+
+    // Pixels of context each output pixel of the steps reads on every side; tiles overlap by this
+    getHalo(steps) {
+        return steps.reduce((halo, [name, level]) => halo + (level ? ImageFilters.HALO[name] || 0 : 0), 0);
+    }
+}
+
+// Filters a pipeline step may name
+ImageFilters.FILTERS = ['brightnessContrast', 'noiseReduction', 'specularControl', 'shadeSafeWhitening'];
+
+// Neighbourhood radius of the filters that read more than their own pixel
+ImageFilters.HALO = { noiseReduction: 1 };
+
+// Export for use in main application
+window.ImageFilters = ImageFilters;
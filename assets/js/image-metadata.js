@@ -0,0 +1,661 @@
+// Image Metadata for Dental Photo Editor
+// EXIF/XMP reading on import, orientation handling, and metadata write-back on export
+
+const CLINICAL_XMP_NAMESPACE = 'https://portfoliohubs.github.io/dentalphotoeditor/ns/clinical/1.0/';
+
+// Signature that starts the APP1 segment holding a JPEG's XMP packet
+const JPEG_XMP_IDENTIFIER = 'http://ns.adobe.com/xap/1.0/\0';
+
+class ImageMetadataReader {
+    constructor() {
+        // EXIF tag names by IFD
+        this.ifd0Tags = {
+            0x010F: 'make',
+            0x0110: 'model',
+            0x0112: 'orientation',
+            0x0131: 'software',
+            0x0132: 'dateTime',
+            0x013B: 'artist',
+            0x8298: 'copyright',
+            0x8769: 'exifIFDPointer',
+            0x8825: 'gpsIFDPointer'
+        };
+
+        this.exifTags = {
+            0x829A: 'exposureTime',
+            0x829D: 'fNumber',
+            0x8827: 'iso',
+            0x9003: 'dateTimeOriginal',
+            0x9004: 'dateTimeDigitized',
+            0x920A: 'focalLength',
+            0xA405: 'focalLengthIn35mm',
+            0xA420: 'imageUniqueID',
+            0xA430: 'cameraOwnerName',
+            0xA431: 'bodySerialNumber',
+            0xA433: 'lensMake',
+            0xA434: 'lensModel',
+            0xA435: 'lensSerialNumber'
+        };
+
+        this.gpsTags = {
+            0x0001: 'latitudeRef',
+            0x0002: 'latitude',
+            0x0003: 'longitudeRef',
+            0x0004: 'longitude',
+            0x0005: 'altitudeRef',
+            0x0006: 'altitude'
+        };
+
+        this.typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    }
+
+    // Read metadata from a File or Blob
+    async readFile(file) {
+        const buffer = await file.arrayBuffer();
+        return this.read(buffer);
+    }
+
+    // Read EXIF and XMP from a JPEG, PNG or WebP buffer
+    async read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const format = this.detectFormat(bytes);
+
+        let segments = { exif: null, xmp: null };
+        if (format === 'jpeg') {
+            segments = this.extractJPEGSegments(bytes);
+        } else if (format === 'png') {
+            segments = await this.extractPNGChunks(bytes);
+        } else if (format === 'webp') {
+            segments = this.extractWebPChunks(bytes);
+        }
+
+        const exif = segments.exif ? this.parseTIFF(segments.exif) : { exif: {}, gps: null };
+        const clinical = segments.xmp ? this.parseClinicalXMP(segments.xmp) : null;
+
+        return {
+            format: format,
+            exif: exif.exif,
+            gps: exif.gps,
+            xmp: segments.xmp,
+            clinical: clinical,
+            orientation: exif.exif.orientation || 1,
+            captureTime: this.parseExifDate(exif.exif.dateTimeOriginal || exif.exif.dateTime)
+        };
+    }
+
+    detectFormat(bytes) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png';
+        if (this.readASCII(bytes, 0, 4) === 'RIFF' && this.readASCII(bytes, 8, 4) === 'WEBP') return 'webp';
+        return 'unknown';
+    }
+
+    // APP1 "Exif" and XMP segments
+    extractJPEGSegments(bytes) {
+        const result = { exif: null, xmp: null };
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+
+            // Start of scan or end of image: no more metadata
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const dataStart = offset + 4;
+
+            if (marker === 0xE1) {
+                if (this.readASCII(bytes, dataStart, 6) === 'Exif\0\0') {
+                    result.exif = bytes.subarray(dataStart + 6, offset + 2 + length);
+                } else if (this.readASCII(bytes, dataStart, JPEG_XMP_IDENTIFIER.length) === JPEG_XMP_IDENTIFIER) {
+                    result.xmp = new TextDecoder().decode(bytes.subarray(dataStart + JPEG_XMP_IDENTIFIER.length, offset + 2 + length));
+                }
+            }
+
+            offset += 2 + length;
+        }
+
+        return result;
+    }
+
+    // eXIf and iTXt (XML:com.adobe.xmp) chunks
+    async extractPNGChunks(bytes) {
+        const result = { exif: null, xmp: null };
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this.readASCII(bytes, offset + 4, 4);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'eXIf') {
+                result.exif = data;
+            } else if (type === 'iTXt') {
+                const text = await this.parsePNGInternationalText(data);
+                if (text && text.keyword === 'XML:com.adobe.xmp') {
+                    result.xmp = text.text;
+                }
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += 12 + length;
+        }
+
+        return result;
+    }
+
+    async parsePNGInternationalText(data) {
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd < 0) return null;
+
+        const keyword = this.readASCII(data, 0, keywordEnd);
+        const compressed = data[keywordEnd + 1] === 1;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = data.indexOf(0, languageEnd + 1);
+        let textBytes = data.subarray(translatedEnd + 1);
+
+        if (compressed) {
+            if (typeof DecompressionStream === 'undefined') return null;
+            const stream = new Blob([textBytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+            textBytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        return { keyword, text: new TextDecoder().decode(textBytes) };
+    }
+
+    // RIFF "EXIF" and "XMP " chunks
+    extractWebPChunks(bytes) {
+        const result = { exif: null, xmp: null };
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const type = this.readASCII(bytes, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'EXIF') {
+                // Some writers keep the JPEG "Exif\0\0" prefix
+                result.exif = this.readASCII(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+            } else if (type === 'XMP ') {
+                result.xmp = new TextDecoder().decode(data);
+            }
+
+            offset += 8 + length + (length % 2);
+        }
+
+        return result;
+    }
+
+    // Parse a TIFF-structured EXIF block (IFD0, Exif IFD, GPS IFD)
+    parseTIFF(tiffBytes) {
+        const view = new DataView(tiffBytes.buffer, tiffBytes.byteOffset, tiffBytes.byteLength);
+        const byteOrder = this.readASCII(tiffBytes, 0, 2);
+
+        if (byteOrder !== 'II' && byteOrder !== 'MM') {
+            return { exif: {}, gps: null };
+        }
+
+        const littleEndian = byteOrder === 'II';
+
+        try {
+            const ifd0 = this.readIFD(view, view.getUint32(4, littleEndian), littleEndian, this.ifd0Tags);
+            const exif = { ...ifd0 };
+
+            if (ifd0.exifIFDPointer) {
+                Object.assign(exif, this.readIFD(view, ifd0.exifIFDPointer, littleEndian, this.exifTags));
+            }
+
+            let gps = null;
+            if (ifd0.gpsIFDPointer) {
+                gps = this.convertGPS(this.readIFD(view, ifd0.gpsIFDPointer, littleEndian, this.gpsTags));
+            }
+
+            delete exif.exifIFDPointer;
+            delete exif.gpsIFDPointer;
+
+            return { exif, gps };
+        } catch (error) {
+            console.warn('Failed to parse EXIF:', error);
+            return { exif: {}, gps: null };
+        }
+    }
+
+    readIFD(view, offset, littleEndian, tagNames) {
+        const values = {};
+        const count = view.getUint16(offset, littleEndian);
+
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const tag = view.getUint16(entryOffset, littleEndian);
+            const name = tagNames[tag];
+            if (!name) continue;
+
+            const type = view.getUint16(entryOffset + 2, littleEndian);
+            const valueCount = view.getUint32(entryOffset + 4, littleEndian);
+            const size = (this.typeSizes[type] || 1) * valueCount;
+            const valueOffset = size > 4 ? view.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+
+            if (valueOffset + size > view.byteLength) continue;
+
+            values[name] = this.readValue(view, type, valueCount, valueOffset, littleEndian);
+        }
+
+        return values;
+    }
+
+    readValue(view, type, count, offset, littleEndian) {
+        if (type === 2) {
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+            return new TextDecoder().decode(bytes).replace(/\0+$/, '').trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            switch (type) {
+                case 1:
+                case 7:
+                    values.push(view.getUint8(offset + i));
+                    break;
+                case 3:
+                    values.push(view.getUint16(offset + i * 2, littleEndian));
+                    break;
+                case 4:
+                    values.push(view.getUint32(offset + i * 4, littleEndian));
+                    break;
+                case 9:
+                    values.push(view.getInt32(offset + i * 4, littleEndian));
+                    break;
+                case 5:
+                case 10: {
+                    const read = type === 5 ? 'getUint32' : 'getInt32';
+                    const numerator = view[read](offset + i * 8, littleEndian);
+                    const denominator = view[read](offset + i * 8 + 4, littleEndian);
+                    values.push(denominator ? numerator / denominator : 0);
+                    break;
+                }
+            }
+        }
+
+        return values.length === 1 ? values[0] : values;
+    }
+
+    // Degrees/minutes/seconds to signed decimal degrees
+    convertGPS(gps) {
+        const toDecimal = (dms, ref, negativeRef) => {
+            if (!Array.isArray(dms)) return null;
+            const decimal = dms[0] + (dms[1] || 0) / 60 + (dms[2] || 0) / 3600;
+            return ref === negativeRef ? -decimal : decimal;
+        };
+
+        const latitude = toDecimal(gps.latitude, gps.latitudeRef, 'S');
+        const longitude = toDecimal(gps.longitude, gps.longitudeRef, 'W');
+
+        if (latitude === null || longitude === null) return null;
+
+        return {
+            latitude,
+            longitude,
+            altitude: typeof gps.altitude === 'number' ? (gps.altitudeRef === 1 ? -gps.altitude : gps.altitude) : null
+        };
+    }
+
+    // Clinical fields from our XMP namespace
+    parseClinicalXMP(xmp) {
+        if (typeof DOMParser === 'undefined') return null;
+
+        const doc = new DOMParser().parseFromString(xmp.replace(/^[^<]*/, ''), 'application/xml');
+        const description = doc.getElementsByTagNameNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'Description')[0];
+        if (!description) return null;
+
+        const field = (name) => {
+            const attribute = description.getAttributeNS(CLINICAL_XMP_NAMESPACE, name);
+            if (attribute) return attribute;
+
+            const element = description.getElementsByTagNameNS(CLINICAL_XMP_NAMESPACE, name)[0];
+            return element ? element.textContent.trim() : null;
+        };
+
+        const toothElement = description.getElementsByTagNameNS(CLINICAL_XMP_NAMESPACE, 'ToothNumbers')[0];
+        const toothNumbers = toothElement
+            ? Array.from(toothElement.getElementsByTagNameNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'li')).map(li => li.textContent.trim())
+            : [];
+
+        const recipeText = field('EnhancementRecipe');
+        let enhancementRecipe = null;
+        if (recipeText) {
+            try {
+                enhancementRecipe = JSON.parse(recipeText);
+            } catch (error) {
+                enhancementRecipe = null;
+            }
+        }
+
+        const clinical = {
+            toothNumbers,
+            vitaShade: field('VitaShade'),
+            shadeSystem: field('ShadeSystem'),
+            enhancementRecipe
+        };
+
+        const hasData = toothNumbers.length > 0 || clinical.vitaShade || clinical.shadeSystem || enhancementRecipe;
+        return hasData ? clinical : null;
+    }
+
+    // "YYYY:MM:DD HH:MM:SS" to Date
+    parseExifDate(value) {
+        if (typeof value !== 'string') return null;
+
+        const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    // Whether the browser already rotates images by EXIF orientation when decoding
+    browserAppliesOrientation() {
+        if (this.appliesOrientation === undefined) {
+            const img = document.createElement('img');
+            document.body.appendChild(img);
+            this.appliesOrientation = getComputedStyle(img).imageOrientation === 'from-image';
+            document.body.removeChild(img);
+        }
+        return this.appliesOrientation;
+    }
+
+    // Draw an image upright according to an EXIF orientation value (1-8)
+    applyOrientation(image, orientation) {
+        const width = image.width;
+        const height = image.height;
+        const swapsAxes = orientation >= 5 && orientation <= 8;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapsAxes ? height : width;
+        canvas.height = swapsAxes ? width : height;
+        const ctx = canvas.getContext('2d');
+
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        }
+
+        ctx.drawImage(image, 0, 0);
+        return canvas;
+    }
+
+    readASCII(bytes, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[offset + i]);
+        }
+        return text;
+    }
+}
+
+class ImageMetadataWriter {
+    constructor() {
+        // Fields that identify the device or its owner
+        this.privateFields = ['bodySerialNumber', 'lensSerialNumber', 'cameraOwnerName', 'imageUniqueID', 'artist'];
+    }
+
+    // Remove GPS and device serial numbers
+    anonymize(metadata) {
+        const exif = { ...(metadata.exif || {}) };
+        this.privateFields.forEach(field => delete exif[field]);
+
+        return { ...metadata, exif, gps: null };
+    }
+
+    // Embed metadata into an exported JPEG or PNG blob
+    async embed(blob, metadata = {}, options = {}) {
+        const source = options.anonymize ? this.anonymize(metadata) : metadata;
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const exif = this.buildExif(source, options);
+        const clinical = options.clinical || source.clinical || null;
+        const xmp = this.buildXMP(clinical);
+
+        if (blob.type === 'image/jpeg') {
+            // A JPEG XMP segment holds under 64 KB; a recipe too long for it is left out
+            // so the Exif and the rest of the XMP still go in
+            if (new TextEncoder().encode(xmp).length > ImageMetadataWriter.MAX_JPEG_XMP_BYTES && clinical && clinical.enhancementRecipe) {
+                console.warn('Enhancement recipe too large for the JPEG XMP segment, exported without it');
+                return new Blob([this.embedInJPEG(bytes, exif, this.buildXMP({ ...clinical, enhancementRecipe: null }))], { type: blob.type });
+            }
+            return new Blob([this.embedInJPEG(bytes, exif, xmp)], { type: blob.type });
+        }
+
+        if (blob.type === 'image/png') {
+            return new Blob([this.embedInPNG(bytes, exif, xmp)], { type: blob.type });
+        }
+
+        // Other formats are returned untouched
+        return blob;
+    }
+
+    // Build a little-endian TIFF block with IFD0, Exif IFD and optional GPS IFD
+    buildExif(metadata, options = {}) {
+        if (typeof TIFFEncoder === 'undefined') {
+            throw new Error('TIFF encoder not loaded');
+        }
+
+        const encoder = new TIFFEncoder();
+        const { ASCII, SHORT, LONG, RATIONAL, BYTE, UNDEFINED } = encoder.types;
+        const exif = metadata.exif || {};
+        const toRational = (value) => [Math.round(value * 10000), 10000];
+        // Shutter speeds under a second are written as 1/n, which 1/10000 steps cannot hold
+        const toExposureRational = (value) => value < 1 ? [1, Math.round(1 / value)] : toRational(value);
+
+        const ifd0 = [
+            { tag: 0x0112, type: SHORT, values: [1] }, // Pixels are already upright
+            { tag: 0x0131, type: ASCII, values: options.software || 'Dental Photo Editor' },
+            { tag: 0x0132, type: ASCII, values: encoder.formatDateTime(new Date()) }
+        ];
+        if (exif.make) ifd0.push({ tag: 0x010F, type: ASCII, values: exif.make });
+        if (exif.model) ifd0.push({ tag: 0x0110, type: ASCII, values: exif.model });
+        if (exif.artist) ifd0.push({ tag: 0x013B, type: ASCII, values: exif.artist });
+        if (exif.copyright) ifd0.push({ tag: 0x8298, type: ASCII, values: exif.copyright });
+
+        const exifIFD = [
+            { tag: 0x9000, type: UNDEFINED, values: new TextEncoder().encode('0232') } // ExifVersion
+        ];
+        if (exif.dateTimeOriginal) exifIFD.push({ tag: 0x9003, type: ASCII, values: exif.dateTimeOriginal });
+        if (exif.exposureTime) exifIFD.push({ tag: 0x829A, type: RATIONAL, values: [toExposureRational(exif.exposureTime)] });
+        if (exif.fNumber) exifIFD.push({ tag: 0x829D, type: RATIONAL, values: [toRational(exif.fNumber)] });
+        if (exif.iso) exifIFD.push({ tag: 0x8827, type: SHORT, values: [Array.isArray(exif.iso) ? exif.iso[0] : exif.iso] });
+        if (exif.focalLength) exifIFD.push({ tag: 0x920A, type: RATIONAL, values: [toRational(exif.focalLength)] });
+        if (exif.focalLengthIn35mm) exifIFD.push({ tag: 0xA405, type: SHORT, values: [exif.focalLengthIn35mm] });
+        if (exif.imageUniqueID) exifIFD.push({ tag: 0xA420, type: ASCII, values: exif.imageUniqueID });
+        if (exif.cameraOwnerName) exifIFD.push({ tag: 0xA430, type: ASCII, values: exif.cameraOwnerName });
+        if (exif.bodySerialNumber) exifIFD.push({ tag: 0xA431, type: ASCII, values: exif.bodySerialNumber });
+        if (exif.lensMake) exifIFD.push({ tag: 0xA433, type: ASCII, values: exif.lensMake });
+        if (exif.lensModel) exifIFD.push({ tag: 0xA434, type: ASCII, values: exif.lensModel });
+        if (exif.lensSerialNumber) exifIFD.push({ tag: 0xA435, type: ASCII, values: exif.lensSerialNumber });
+
+        let gpsIFD = null;
+        if (metadata.gps) {
+            const toDMS = (decimal) => {
+                const value = Math.abs(decimal);
+                const degrees = Math.floor(value);
+                const minutes = Math.floor((value - degrees) * 60);
+                const seconds = (value - degrees - minutes / 60) * 3600;
+                return [[degrees, 1], [minutes, 1], [Math.round(seconds * 100), 100]];
+            };
+
+            gpsIFD = [
+                { tag: 0x0000, type: BYTE, values: new Uint8Array([2, 3, 0, 0]) },
+                { tag: 0x0001, type: ASCII, values: metadata.gps.latitude < 0 ? 'S' : 'N' },
+                { tag: 0x0002, type: RATIONAL, values: toDMS(metadata.gps.latitude) },
+                { tag: 0x0003, type: ASCII, values: metadata.gps.longitude < 0 ? 'W' : 'E' },
+                { tag: 0x0004, type: RATIONAL, values: toDMS(metadata.gps.longitude) }
+            ];
+        }
+
+        // Pointers are LONG values; lay out IFD0 first to learn where the sub-IFDs start
+        ifd0.push({ tag: 0x8769, type: LONG, values: [0] });
+        if (gpsIFD) ifd0.push({ tag: 0x8825, type: LONG, values: [0] });
+
+        const sortByTag = (entries) => entries.sort((a, b) => a.tag - b.tag);
+        sortByTag(ifd0);
+        sortByTag(exifIFD);
+        if (gpsIFD) sortByTag(gpsIFD);
+
+        const ifd0Offset = 8;
+        const ifd0Length = encoder.encodeIFD(ifd0, ifd0Offset).bytes.length;
+        const exifOffset = ifd0Offset + ifd0Length;
+        const exifBytes = encoder.encodeIFD(exifIFD, exifOffset).bytes;
+        const gpsOffset = exifOffset + exifBytes.length;
+
+        ifd0.find(entry => entry.tag === 0x8769).values = [exifOffset];
+        if (gpsIFD) ifd0.find(entry => entry.tag === 0x8825).values = [gpsOffset];
+
+        const header = new Uint8Array([0x49, 0x49, 42, 0, ifd0Offset, 0, 0, 0]);
+        const chunks = [header, encoder.encodeIFD(ifd0, ifd0Offset).bytes, exifBytes];
+        if (gpsIFD) chunks.push(encoder.encodeIFD(gpsIFD, gpsOffset).bytes);
+
+        return encoder.concatBytes(chunks);
+    }
+
+    // XMP packet with the clinical namespace
+    buildXMP(clinical) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const attributes = [`xmp:CreatorTool="Dental Photo Editor"`, `xmp:ModifyDate="${new Date().toISOString()}"`];
+        const elements = [];
+
+        if (clinical) {
+            if (clinical.vitaShade) attributes.push(`dental:VitaShade="${escape(clinical.vitaShade)}"`);
+            if (clinical.shadeSystem) attributes.push(`dental:ShadeSystem="${escape(clinical.shadeSystem)}"`);
+
+            if (clinical.toothNumbers && clinical.toothNumbers.length > 0) {
+                const items = clinical.toothNumbers.map(number => `<rdf:li>${escape(number)}</rdf:li>`).join('');
+                elements.push(`<dental:ToothNumbers><rdf:Bag>${items}</rdf:Bag></dental:ToothNumbers>`);
+            }
+
+            if (clinical.enhancementRecipe) {
+                elements.push(`<dental:EnhancementRecipe>${escape(JSON.stringify(clinical.enhancementRecipe))}</dental:EnhancementRecipe>`);
+            }
+        }
+
+        return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+            '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" ' +
+            `xmlns:dental="${CLINICAL_XMP_NAMESPACE}" ${attributes.join(' ')}>` +
+            elements.join('') +
+            '</rdf:Description></rdf:RDF></x:xmpmeta>' +
+            '<?xpacket end="w"?>';
+    }
+
+    // Insert APP1 Exif and XMP segments after SOI/APP0, replacing existing ones
+    embedInJPEG(bytes, exif, xmp) {
+        const encoder = new TextEncoder();
+        const exifSegment = this.createJPEGSegment(0xE1, [encoder.encode('Exif\0\0'), exif]);
+        const xmpSegment = this.createJPEGSegment(0xE1, [encoder.encode(JPEG_XMP_IDENTIFIER), encoder.encode(xmp)]);
+
+        const kept = [];
+        let insertAt = 0;
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            if (marker === 0xDA) break;
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const segment = bytes.subarray(offset, offset + 2 + length);
+
+            // Drop existing APP1 (Exif/XMP) segments; keep everything else
+            if (marker !== 0xE1) {
+                kept.push(segment);
+                if (marker === 0xE0) insertAt = kept.length;
+            }
+
+            offset += 2 + length;
+        }
+
+        kept.splice(insertAt, 0, exifSegment, xmpSegment);
+
+        return new TIFFEncoder().concatBytes([bytes.subarray(0, 2), ...kept, bytes.subarray(offset)]);
+    }
+
+    createJPEGSegment(marker, parts) {
+        const payloadLength = parts.reduce((sum, part) => sum + part.length, 0);
+        if (payloadLength + 2 > 0xFFFF) {
+            throw new Error('Metadata too large for a JPEG segment');
+        }
+
+        const header = new Uint8Array([0xFF, marker, (payloadLength + 2) >> 8, (payloadLength + 2) & 0xFF]);
+        return new TIFFEncoder().concatBytes([header, ...parts]);
+    }
+
+    // Insert eXIf and iTXt chunks right after IHDR
+    embedInPNG(bytes, exif, xmp) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ihdrEnd = 8 + 12 + view.getUint32(8);
+
+        const encoder = new TextEncoder();
+        const itxtData = new TIFFEncoder().concatBytes([
+            encoder.encode('XML:com.adobe.xmp'),
+            new Uint8Array([0, 0, 0, 0, 0]), // separator, uncompressed, method, empty language and translated keyword
+            encoder.encode(xmp)
+        ]);
+
+        return new TIFFEncoder().concatBytes([
+            bytes.subarray(0, ihdrEnd),
+            this.createPNGChunk('eXIf', exif),
+            this.createPNGChunk('iTXt', itxtData),
+            bytes.subarray(ihdrEnd)
+        ]);
+    }
+
+    createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+
+        return chunk;
+    }
+
+    crc32(bytes) {
+        if (!ImageMetadataWriter.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            ImageMetadataWriter.crcTable = table;
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ImageMetadataWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Largest XMP packet one APP1 segment can carry after its length field and signature
+ImageMetadataWriter.MAX_JPEG_XMP_BYTES = 0xFFFF - 2 - JPEG_XMP_IDENTIFIER.length;
+
+// Export for use in main application
+window.CLINICAL_XMP_NAMESPACE = CLINICAL_XMP_NAMESPACE;
+window.ImageMetadataReader = ImageMetadataReader;
+window.ImageMetadataWriter = ImageMetadataWriter;
@@ -0,0 +1,457 @@
+// Before/After Image Registration for Dental Photo Editor
+// Aligns an "after" photo onto a "before" photo from landmark pairs plus feature-based refinement
+
+class ImageRegistration {
+    constructor(options = {}) {
+        this.settings = {
+            workingSize: 400,        // long side of the grids used for feature matching
+            maxFeatures: 150,
+            featureGrid: 12,         // at most one corner per grid cell keeps features spread out
+            patchRadius: 6,
+            searchRadius: 16,        // working pixels around the predicted match
+            minCorrelation: 0.8,
+            inlierThreshold: 2.5,    // working pixels
+            minMatches: 12,          // features needed when landmarks alone cannot fix the model
+            landmarkWeight: 4,       // a placed landmark counts as much as several features
+            iterations: 4,
+            ...options
+        };
+
+        // Pairs needed to solve each model
+        this.minPairs = {
+            similarity: 2,
+            affine: 3
+        };
+    }
+
+    // Transforms are canvas matrices { a, b, c, d, e, f } (x' = a x + c y + e, y' = b x + d y + f)
+    // mapping "after" pixel coordinates onto the "before" photo
+    apply(matrix, point) {
+        return {
+            x: matrix.a * point.x + matrix.c * point.y + matrix.e,
+            y: matrix.b * point.x + matrix.d * point.y + matrix.f
+        };
+    }
+
+    invert(matrix) {
+        const det = matrix.a * matrix.d - matrix.b * matrix.c;
+        if (Math.abs(det) < 1e-12) {
+            throw new Error('Registration transform is not invertible');
+        }
+
+        return {
+            a: matrix.d / det,
+            b: -matrix.b / det,
+            c: -matrix.c / det,
+            d: matrix.a / det,
+            e: (matrix.c * matrix.f - matrix.d * matrix.e) / det,
+            f: (matrix.b * matrix.e - matrix.a * matrix.f) / det
+        };
+    }
+
+    // Weighted least squares over pairs [{ before: {x, y}, after: {x, y}, weight }]
+    solve(pairs, model = 'similarity') {
+        if (!this.minPairs[model]) {
+            throw new Error(`Unknown registration model '${model}'`);
+        }
+        if (pairs.length < this.minPairs[model]) {
+            throw new Error(`${model === 'affine' ? 'Affine' : 'Similarity'} registration needs at least ${this.minPairs[model]} landmark pairs`);
+        }
+
+        const rows = [];
+        const rhs = [];
+        const weights = [];
+
+        pairs.forEach(pair => {
+            const { x, y } = pair.after;
+            const weight = pair.weight || 1;
+
+            if (model === 'similarity') {
+                // Unknowns [a, b, e, f] with c = -b, d = a: rotation, uniform scale and shift
+                rows.push([x, -y, 1, 0], [y, x, 0, 1]);
+            } else {
+                // Unknowns [a, c, e, b, d, f]
+                rows.push([x, y, 1, 0, 0, 0], [0, 0, 0, x, y, 1]);
+            }
+            rhs.push(pair.before.x, pair.before.y);
+            weights.push(weight, weight);
+        });
+
+        const solution = this.solveLeastSquares(rows, rhs, weights);
+        if (!solution) {
+            throw new Error('Landmarks are too close together to register the photos');
+        }
+
+        if (model === 'similarity') {
+            const [a, b, e, f] = solution;
+            return { a, b, c: -b, d: a, e, f };
+        }
+
+        const [a, c, e, b, d, f] = solution;
+        return { a, b, c, d, e, f };
+    }
+
+    // Normal equations solved by Gaussian elimination with partial pivoting
+    solveLeastSquares(rows, rhs, weights) {
+        const n = rows[0].length;
+        const matrix = Array.from({ length: n }, () => new Float64Array(n + 1));
+
+        rows.forEach((row, r) => {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    matrix[i][j] += weights[r] * row[i] * row[j];
+                }
+                matrix[i][n] += weights[r] * row[i] * rhs[r];
+            }
+        });
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = matrix[r][col] / matrix[col][col];
+                for (let k = col; k <= n; k++) {
+                    matrix[r][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+
+        return matrix.map((row, i) => row[n] / row[i]);
+    }
+
+    // Starting point for refinement: the landmark solution, a landmark shift on top of
+    // frame-to-frame scaling, or plain frame scaling for photos framed alike
+    initialTransform(landmarks, model, beforeSize, afterSize) {
+        if (landmarks.length >= this.minPairs[model]) {
+            return this.solve(landmarks, model);
+        }
+        if (landmarks.length >= this.minPairs.similarity) {
+            return this.solve(landmarks, 'similarity');
+        }
+
+        const transform = {
+            a: beforeSize.width / afterSize.width, b: 0,
+            c: 0, d: beforeSize.height / afterSize.height,
+            e: 0, f: 0
+        };
+
+        if (landmarks.length === 1) {
+            const mapped = this.apply(transform, landmarks[0].after);
+            transform.e = landmarks[0].before.x - mapped.x;
+            transform.f = landmarks[0].before.y - mapped.y;
+        }
+
+        return transform;
+    }
+
+    // options.landmarks: [{ before: {x, y}, after: {x, y} }] in each photo's pixels
+    // options.model: 'similarity' | 'affine'; options.refine: false to trust the landmarks alone
+    async register(before, after, options = {}) {
+        const model = options.model || 'similarity';
+        const landmarks = (options.landmarks || []).map(pair => ({ ...pair, weight: this.settings.landmarkWeight }));
+        const refine = options.refine !== false;
+
+        if (!refine && landmarks.length < this.minPairs[model]) {
+            throw new Error(`${model === 'affine' ? 'Affine' : 'Similarity'} registration needs at least ${this.minPairs[model]} landmark pairs`);
+        }
+
+        let transform = this.initialTransform(landmarks, model, before, after);
+        let matches = [];
+
+        if (refine) {
+            const result = this.refine(before, after, transform, landmarks, model);
+            transform = result.transform;
+            matches = result.matches;
+
+            if (landmarks.length < this.minPairs[model] && matches.length < this.settings.minMatches) {
+                throw new Error(`Only ${matches.length} features matched; place at least ${this.minPairs[model]} landmark pairs`);
+            }
+        }
+
+        return {
+            model,
+            transform,
+            landmarks: landmarks.map(({ before: b, after: a }) => ({ before: b, after: a })),
+            matches: matches.length,
+            residual: this.getResidual(transform, landmarks),
+            beforeSize: { width: before.width, height: before.height },
+            afterSize: { width: after.width, height: after.height }
+        };
+    }
+
+    // RMS distance, in "before" pixels, between warped and placed landmarks
+    getResidual(transform, landmarks) {
+        if (landmarks.length === 0) return null;
+
+        const sum = landmarks.reduce((total, pair) => {
+            const mapped = this.apply(transform, pair.after);
+            return total + (mapped.x - pair.before.x) ** 2 + (mapped.y - pair.before.y) ** 2;
+        }, 0);
+        return Math.sqrt(sum / landmarks.length);
+    }
+
+    // Match corners of the "before" photo into the "after" photo around where the current
+    // transform predicts them, then re-solve keeping only consistent matches
+    refine(before, after, transform, landmarks, model) {
+        const beforeGrid = this.toGrayscale(before);
+        const afterGrid = this.toGrayscale(after);
+        const corners = this.findCorners(beforeGrid);
+        const { inlierThreshold, iterations } = this.settings;
+
+        // Landmarks and the transform in working-grid coordinates
+        const toWorking = (pair) => ({
+            before: { x: pair.before.x * beforeGrid.scale, y: pair.before.y * beforeGrid.scale },
+            after: { x: pair.after.x * afterGrid.scale, y: pair.after.y * afterGrid.scale },
+            weight: pair.weight
+        });
+        const workingLandmarks = landmarks.map(toWorking);
+        let working = this.scaleTransform(transform, afterGrid.scale, beforeGrid.scale);
+        let inliers = [];
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // Later passes search closer to an increasingly accurate prediction
+            const searchRadius = Math.max(3, Math.round(this.settings.searchRadius / (iteration + 1)));
+            const inverse = this.invert(working);
+            const matches = corners
+                .map(corner => this.matchFeature(beforeGrid, afterGrid, corner, working, inverse, searchRadius))
+                .filter(Boolean);
+
+            inliers = matches;
+            for (let pass = 0; pass < 3; pass++) {
+                const pairs = [...workingLandmarks, ...inliers];
+                if (pairs.length < this.minPairs[model]) break;
+
+                working = this.solve(pairs, model);
+                inliers = matches.filter(match => {
+                    const mapped = this.apply(working, match.after);
+                    return Math.hypot(mapped.x - match.before.x, mapped.y - match.before.y) <= inlierThreshold;
+                });
+            }
+        }
+
+        return {
+            transform: this.scaleTransform(working, 1 / afterGrid.scale, 1 / beforeGrid.scale),
+            matches: inliers
+        };
+    }
+
+    // Same mapping expressed for "after" coordinates scaled by afterScale and "before" by beforeScale
+    scaleTransform(matrix, afterScale, beforeScale) {
+        const ratio = beforeScale / afterScale;
+        return {
+            a: matrix.a * ratio,
+            b: matrix.b * ratio,
+            c: matrix.c * ratio,
+            d: matrix.d * ratio,
+            e: matrix.e * beforeScale,
+            f: matrix.f * beforeScale
+        };
+    }
+
+    // Luminance grid at most workingSize pixels on its long side
+    toGrayscale(imageData) {
+        const { width, height, data } = imageData;
+        const scale = Math.min(1, this.settings.workingSize / Math.max(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const gray = new Float32Array(w * h);
+
+        for (let y = 0; y < h; y++) {
+            const sy = Math.min(height - 1, Math.floor((y + 0.5) / scale));
+            for (let x = 0; x < w; x++) {
+                const sx = Math.min(width - 1, Math.floor((x + 0.5) / scale));
+                const i = (sy * width + sx) * 4;
+                gray[y * w + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            }
+        }
+
+        return { data: gray, width: w, height: h, scale };
+    }
+
+    // Harris corners, strongest per grid cell, then the strongest overall
+    findCorners(grid) {
+        const { data, width, height } = grid;
+        const margin = this.settings.patchRadius + 2;
+        const cellSize = Math.max(4, Math.ceil(Math.max(width, height) / this.settings.featureGrid));
+        const best = new Map();
+
+        const ix = new Float32Array(width * height);
+        const iy = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                ix[i] = (data[i + 1] - data[i - 1]) / 2;
+                iy[i] = (data[i + width] - data[i - width]) / 2;
+            }
+        }
+
+        for (let y = margin; y < height - margin; y++) {
+            for (let x = margin; x < width - margin; x++) {
+                let sxx = 0, syy = 0, sxy = 0;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        const i = (y + dy) * width + x + dx;
+                        sxx += ix[i] * ix[i];
+                        syy += iy[i] * iy[i];
+                        sxy += ix[i] * iy[i];
+                    }
+                }
+
+                const response = sxx * syy - sxy * sxy - 0.04 * (sxx + syy) ** 2;
+                if (response <= 0) continue;
+
+                const cell = Math.floor(y / cellSize) * width + Math.floor(x / cellSize);
+                const current = best.get(cell);
+                if (!current || response > current.response) {
+                    best.set(cell, { x, y, response });
+                }
+            }
+        }
+
+        return [...best.values()]
+            .sort((a, b) => b.response - a.response)
+            .slice(0, this.settings.maxFeatures);
+    }
+
+    // Normalized cross-correlation of the corner's patch against shifted positions in the
+    // "after" grid; the patch is sampled through the transform so rotation and scale match
+    matchFeature(beforeGrid, afterGrid, corner, transform, inverse, searchRadius) {
+        const { patchRadius, minCorrelation } = this.settings;
+        const size = (2 * patchRadius + 1) ** 2;
+        const template = new Float32Array(size);
+        const offsets = [];
+
+        let k = 0;
+        for (let dy = -patchRadius; dy <= patchRadius; dy++) {
+            for (let dx = -patchRadius; dx <= patchRadius; dx++) {
+                template[k++] = beforeGrid.data[(corner.y + dy) * beforeGrid.width + corner.x + dx];
+                // Where this patch pixel lands in the "after" grid, relative to the corner
+                offsets.push({ x: inverse.a * dx + inverse.c * dy, y: inverse.b * dx + inverse.d * dy });
+            }
+        }
+        const templateStats = this.getStats(template);
+        if (templateStats.deviation < 4) return null;
+
+        const predicted = this.apply(inverse, corner);
+        const patch = new Float32Array(size);
+        let bestScore = -1, bestX = 0, bestY = 0;
+
+        const tryPosition = (cx, cy) => {
+            for (let i = 0; i < size; i++) {
+                const value = this.sample(afterGrid, cx + offsets[i].x, cy + offsets[i].y);
+                if (value === null) return;
+                patch[i] = value;
+            }
+
+            const patchStats = this.getStats(patch);
+            if (patchStats.deviation < 1e-6) return;
+
+            let score = 0;
+            for (let i = 0; i < size; i++) {
+                score += (template[i] - templateStats.mean) * (patch[i] - patchStats.mean);
+            }
+            score /= size * templateStats.deviation * patchStats.deviation;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestX = cx;
+                bestY = cy;
+            }
+        };
+
+        // Wide searches try every other position first, then the neighbours of the best one
+        const step = searchRadius > 4 ? 2 : 1;
+        for (let sy = -searchRadius; sy <= searchRadius; sy += step) {
+            for (let sx = -searchRadius; sx <= searchRadius; sx += step) {
+                tryPosition(predicted.x + sx, predicted.y + sy);
+            }
+        }
+        if (step > 1 && bestScore > -1) {
+            const coarseX = bestX, coarseY = bestY;
+            for (let sy = -1; sy <= 1; sy++) {
+                for (let sx = -1; sx <= 1; sx++) {
+                    if (sx !== 0 || sy !== 0) tryPosition(coarseX + sx, coarseY + sy);
+                }
+            }
+        }
+
+        if (bestScore < minCorrelation) return null;
+
+        return {
+            before: { x: corner.x, y: corner.y },
+            after: { x: bestX, y: bestY },
+            weight: bestScore
+        };
+    }
+
+    getStats(values) {
+        let sum = 0, sumSq = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            sumSq += values[i] * values[i];
+        }
+        const mean = sum / values.length;
+        return { mean, deviation: Math.sqrt(Math.max(0, sumSq / values.length - mean * mean)) };
+    }
+
+    // Bilinear sample, or null outside the grid
+    sample(grid, x, y) {
+        if (x < 0 || y < 0 || x > grid.width - 1 || y > grid.height - 1) return null;
+
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const x1 = Math.min(grid.width - 1, x0 + 1), y1 = Math.min(grid.height - 1, y0 + 1);
+        const fx = x - x0, fy = y - y0;
+        const top = grid.data[y0 * grid.width + x0] * (1 - fx) + grid.data[y0 * grid.width + x1] * fx;
+        const bottom = grid.data[y1 * grid.width + x0] * (1 - fx) + grid.data[y1 * grid.width + x1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    // "After" photo redrawn in the "before" frame; uncovered areas stay transparent
+    warpImage(after, transform, width, height) {
+        let source = after;
+        if (after instanceof ImageData) {
+            source = document.createElement('canvas');
+            source.width = after.width;
+            source.height = after.height;
+            source.getContext('2d').putImageData(after, 0, 0);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.setTransform(transform.a, transform.b, transform.c, transform.d, transform.e, transform.f);
+        ctx.drawImage(source, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        return canvas;
+    }
+
+    describe(registration) {
+        const scale = Math.hypot(registration.transform.a, registration.transform.b);
+        const angle = Math.atan2(registration.transform.b, registration.transform.a) * 180 / Math.PI;
+        const parts = [
+            `${registration.model === 'affine' ? 'Affine' : 'Similarity'} fit`,
+            `scale ${scale.toFixed(2)}`,
+            `rotation ${angle.toFixed(1)}°`
+        ];
+
+        if (registration.landmarks.length) {
+            parts.push(`${registration.landmarks.length} landmarks, ${registration.residual.toFixed(1)} px error`);
+        }
+        if (registration.matches) {
+            parts.push(`${registration.matches} feature matches`);
+        }
+        return parts.join(', ');
+    }
+}
+
+// Export for use in main application
+window.ImageRegistration = ImageRegistration;
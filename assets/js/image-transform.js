@@ -2,10 +2,13 @@
 // Crop, rotate, straighten, flip, and professional image adjustments
 
 class ImageTransformTools {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         
+        // Off-screen instances must not claim the editor's Ctrl shortcuts
+        this.keyboardShortcuts = options.keyboardShortcuts !== false;
+        
         // Original image data
         this.originalImageData = null;
         this.originalWidth = 0;
@@ -41,7 +44,9 @@ class ImageTransformTools {
     // Initialize tools
     initialize() {
         this.setupEventListeners();
-        this.setupKeyboardShortcuts();
+        if (this.keyboardShortcuts) {
+            this.setupKeyboardShortcuts();
+        }
         
         console.log('Image transform tools initialized');
     }
@@ -673,6 +678,33 @@ class ImageTransformTools {
         this.saveHistory();
     }
 
+    // Undo an intraoral mirror: mirror horizontally and/or turn 180°, keeping any crop
+    // on the same part of the photo, and record it as a single history step
+    applyMirrorCorrection(correction) {
+        const mirrorCrop = (horizontal, vertical) => {
+            if (!this.cropArea) return;
+            if (horizontal) this.cropArea.x = this.canvas.width - this.cropArea.x - this.cropArea.width;
+            if (vertical) this.cropArea.y = this.canvas.height - this.cropArea.y - this.cropArea.height;
+        };
+        
+        if (correction.flip === 'horizontal') {
+            this.flipHorizontal = !this.flipHorizontal;
+            mirrorCrop(true, false);
+        } else if (correction.flip === 'vertical') {
+            this.flipVertical = !this.flipVertical;
+            mirrorCrop(false, true);
+        }
+        
+        if (correction.rotation === 180) {
+            this.rotation = (this.rotation + 180) % 360;
+            mirrorCrop(true, true);
+        }
+        
+        this.updateCropHandles();
+        this.redrawImage();
+        this.saveHistory('Mirror shot correction');
+    }
+
     // Apply crop
     applyCrop() {
         if (!this.cropArea) return null;
@@ -764,14 +796,15 @@ class ImageTransformTools {
         return tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
     }
 
-    // Save history
-    saveHistory() {
+    // Save history; the optional label names automatic corrections
+    saveHistory(label = null) {
         const state = {
             rotation: this.rotation,
             flipHorizontal: this.flipHorizontal,
             flipVertical: this.flipVertical,
             cropArea: this.cropArea ? { ...this.cropArea } : null,
-            straightenAngle: this.straightenAngle
+            straightenAngle: this.straightenAngle,
+            label
         };
         
         this.historyStep++;
@@ -831,6 +864,44 @@ class ImageTransformTools {
         }
     }
 
+    // Parameters for a 'transform' edit stack step; the crop is stored as fractions
+    // of the frame so the recipe can be replayed on photos of another size
+    getEditStepParams() {
+        const crop = this.cropArea ? {
+            x: this.cropArea.x / this.canvas.width,
+            y: this.cropArea.y / this.canvas.height,
+            width: this.cropArea.width / this.canvas.width,
+            height: this.cropArea.height / this.canvas.height
+        } : null;
+
+        return {
+            rotation: this.rotation,
+            flipHorizontal: this.flipHorizontal,
+            flipVertical: this.flipVertical,
+            straightenAngle: this.straightenAngle,
+            crop
+        };
+    }
+
+    // Load a 'transform' edit stack step; it becomes the start of the undo history
+    setEditStepParams(params) {
+        this.rotation = params.rotation || 0;
+        this.flipHorizontal = Boolean(params.flipHorizontal);
+        this.flipVertical = Boolean(params.flipVertical);
+        this.straightenAngle = params.straightenAngle || 0;
+        this.cropArea = params.crop ? {
+            x: params.crop.x * this.canvas.width,
+            y: params.crop.y * this.canvas.height,
+            width: params.crop.width * this.canvas.width,
+            height: params.crop.height * this.canvas.height
+        } : null;
+        
+        this.history = [];
+        this.historyStep = -1;
+        this.saveHistory();
+        this.redrawImage();
+    }
+
     // Get transformation summary
     getTransformationSummary() {
         return {
@@ -0,0 +1,216 @@
+// Image Worker Pool for Dental Photo Editor
+// Runs image processing off the main thread on a pool of Web Workers, moving pixel buffers as
+// transferables. Jobs can be cancelled and can post a low-resolution preview before the result.
+
+class ImageWorkerPool {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || '/assets/js/image-worker.js';
+        // Sized from MobilePerformanceOptimizer's batchSize, never more workers than cores
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        this.size = Math.max(1, Math.min(options.size || 1, cores));
+        // Previews are made only for images at least twice this size
+        this.previewPixels = options.previewPixels || 250000;
+        // Without Worker support, or once the worker script fails to start, jobs run on the main thread
+        this.threaded = typeof Worker !== 'undefined' && options.threaded !== false;
+
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    // Run a task from ImageWorkerPool.tasks on imageData, resolving to the resulting ImageData.
+    // imageData's buffer is transferred to the worker, so pass a copy the caller no longer needs.
+    // options: { signal, onPreview(previewImageData) }
+    run(task, imageData, params = {}, options = {}) {
+        const { signal = null, onPreview = null } = options;
+        if (!ImageWorkerPool.tasks[task]) {
+            return Promise.reject(new Error(`Unknown image task '${task}'`));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createCancelError());
+        }
+        if (!this.threaded) {
+            return this.runLocally(task, imageData, params, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, task, imageData, params, onPreview, signal, resolve, reject, slot: null };
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    // Main-thread run; a job cancelled while it ran is rejected like a cancelled worker job
+    async runLocally(task, imageData, params, signal = null) {
+        const result = await ImageWorkerPool.runTask(task, imageData, params);
+        if (signal && signal.aborted) {
+            throw this.createCancelError();
+        }
+        return result;
+    }
+
+    static async runTask(task, imageData, params) {
+        const result = await ImageWorkerPool.tasks[task](imageData, params);
+        return result || imageData;
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(candidate => candidate.ready && !candidate.job);
+            if (!slot) {
+                // Workers still starting up take queued jobs once they report ready
+                if (this.workers.length < this.size) {
+                    this.spawn();
+                }
+                return;
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            job.slot = slot;
+
+            const { data, width, height } = job.imageData;
+            const buffer = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength ? data.buffer : data.slice().buffer;
+            slot.worker.postMessage({
+                id: job.id,
+                task: job.task,
+                params: job.params,
+                width,
+                height,
+                buffer,
+                previewPixels: job.onPreview ? this.previewPixels : 0
+            }, [buffer]);
+            job.imageData = null;
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.workerUrl), ready: false, job: null };
+        slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+        slot.worker.onerror = (event) => this.handleFailure(slot, event);
+        this.workers.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, message) {
+        if (message.type === 'ready') {
+            slot.ready = true;
+            this.dispatch();
+            return;
+        }
+
+        const job = slot.job;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'preview') {
+            if (job.onPreview) {
+                job.onPreview(new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height));
+            }
+            return;
+        }
+
+        this.finish(job);
+        if (message.type === 'error') {
+            job.reject(new Error(message.error));
+        } else {
+            job.resolve(new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height));
+        }
+        this.dispatch();
+    }
+
+    // A worker that could not start sends the pool to the main thread; one that crashed
+    // mid-job loses that job's pixels, so the job fails and the worker is replaced
+    handleFailure(slot, event) {
+        if (event && event.preventDefault) event.preventDefault();
+        const message = (event && event.message) || 'the worker script did not load';
+        this.removeWorker(slot);
+
+        if (slot.job) {
+            const job = slot.job;
+            this.finish(job);
+            job.reject(new Error(`Image worker failed: ${message}`));
+        }
+
+        if (!slot.ready && !this.workers.some(candidate => candidate.ready)) {
+            console.warn('Image workers unavailable, processing on the main thread:', message);
+            this.threaded = false;
+            this.terminate();
+            for (const job of this.queue.splice(0)) {
+                this.finish(job);
+                this.runLocally(job.task, job.imageData, job.params, job.signal).then(job.resolve, job.reject);
+            }
+            return;
+        }
+        this.dispatch();
+    }
+
+    // A queued job is dropped; a running one can only be stopped together with its worker
+    cancel(job) {
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        } else if (job.slot) {
+            job.slot.worker.terminate();
+            this.removeWorker(job.slot);
+        }
+
+        this.finish(job);
+        job.reject(this.createCancelError());
+        this.dispatch();
+    }
+
+    finish(job) {
+        if (job.slot) {
+            job.slot.job = null;
+            job.slot = null;
+        }
+        if (job.signal && job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+    }
+
+    removeWorker(slot) {
+        this.workers = this.workers.filter(candidate => candidate !== slot);
+    }
+
+    createCancelError() {
+        const error = new Error('Image processing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    // Stop every worker; queued jobs stay queued for a later dispatch
+    terminate() {
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+            if (slot.job) {
+                const job = slot.job;
+                this.finish(job);
+                job.reject(this.createCancelError());
+            }
+        }
+        this.workers = [];
+    }
+}
+
+// Tasks a job may name; each gets the job's ImageData (its own copy) and params, and returns the
+// result or modifies the ImageData in place. The same code runs in the workers and on the main thread.
+ImageWorkerPool.tasks = {
+    // params: { steps: [[filterName, ...args]], toothMask }
+    pipeline: (imageData, params) => new ImageFilters().run(imageData, params.steps, params.toothMask),
+
+    // SmartEnhancementEngine.applySmartEnhancement, with the engine state it reads sent along
+    'smart-enhancement': (imageData, params) => {
+        const engine = new SmartEnhancementEngine(params.shadeSystem);
+        engine.setDetectionResults(params.detectionResults);
+        engine.setColorCalibration(params.colorCalibration);
+        return engine.applySmartEnhancement(imageData, params.options);
+    }
+};
+
+// Export for use in main application
+window.ImageWorkerPool = ImageWorkerPool;
@@ -0,0 +1,41 @@
+// Image Worker for Dental Photo Editor
+// Runs ImageWorkerPool jobs; pixels arrive and go back as transferred buffers
+
+// The shared scripts export onto window
+self.window = self;
+importScripts(
+    'color-science.js',
+    'color-calibration.js',
+    'tooth-segmentation.js',
+    'smart-enhancement.js',
+    'image-filters.js',
+    'image-worker-pool.js'
+);
+
+const filters = new ImageFilters();
+
+self.onmessage = async (event) => {
+    const { id, task, params, width, height, buffer, previewPixels } = event.data;
+
+    try {
+        const imageData = new ImageData(new Uint8ClampedArray(buffer), width, height);
+
+        // Low-resolution pass first so the page has something to show straight away
+        if (previewPixels && width * height >= previewPixels * 2) {
+            const small = filters.downsample(imageData, previewPixels);
+            const smallParams = { ...params };
+            if (params.toothMask) {
+                smallParams.toothMask = filters.resampleMask(params.toothMask, width, height, small.width, small.height);
+            }
+            const preview = await ImageWorkerPool.runTask(task, small, smallParams);
+            self.postMessage({ id, type: 'preview', width: preview.width, height: preview.height, buffer: preview.data.buffer }, [preview.data.buffer]);
+        }
+
+        const result = await ImageWorkerPool.runTask(task, imageData, params);
+        self.postMessage({ id, type: 'result', width: result.width, height: result.height, buffer: result.data.buffer }, [result.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,165 @@
+// Measurement Calibration for Dental Photo Editor
+// Pixel scale from known-dimension references in the photo, with a least-squares fit and its uncertainty
+
+class MeasurementCalibration {
+    constructor(options = {}) {
+        this.toothNumbering = options.toothNumbering || null;
+
+        this.settings = {
+            pointUncertainty: 1, // px, standard deviation of one placed point along each axis
+            iterations: 3,
+            ...options.settings
+        };
+
+        // lengthUncertainty is one standard deviation of the reference's true length in mm
+        this.referenceTypes = {
+            'probe': { name: 'Periodontal probe markings', defaultLength: 10, lengthUncertainty: 0.1 },
+            'ruler': { name: 'Ruler in frame', defaultLength: 10, lengthUncertainty: 0.05 },
+            'crown-width': { name: 'Crown width (tooth chart)', defaultLength: null, lengthUncertainty: 0.1 },
+            'implant': { name: 'Implant diameter', defaultLength: 4.1, lengthUncertainty: 0.02 },
+            'custom': { name: 'Known length', defaultLength: 10, lengthUncertainty: 0.1 }
+        };
+
+        // Mean mesiodistal crown widths of permanent teeth in mm with their population spread,
+        // by FDI position within the quadrant (1 = central incisor ... 8 = third molar).
+        // Only teeth facing the camera project at their full width
+        this.crownWidths = {
+            maxillary: [[8.6, 0.5], [6.6, 0.6], [7.6, 0.4], [7.0, 0.4], [6.7, 0.4], [10.4, 0.5], [9.8, 0.6], [9.0, 0.8]],
+            mandibular: [[5.4, 0.3], [5.9, 0.4], [6.9, 0.4], [7.0, 0.4], [7.2, 0.4], [11.1, 0.6], [10.5, 0.6], [10.3, 0.8]]
+        };
+    }
+
+    // Known width of a tooth: a width measured for this patient (e.g. on the study model) beats the population mean
+    getCrownWidth(toothNumber, measuredWidth = null) {
+        let fdi = parseInt(toothNumber, 10);
+        if (this.toothNumbering && this.toothNumbering.currentSystem !== 'fdi') {
+            fdi = this.toothNumbering.convertToothNumber(fdi, this.toothNumbering.currentSystem, 'fdi');
+        }
+
+        const quadrant = Math.floor(fdi / 10);
+        const position = fdi % 10;
+        if (quadrant < 1 || quadrant > 4 || position < 1 || position > 8) {
+            throw new Error(`No crown width for tooth ${toothNumber}; use a permanent tooth`);
+        }
+
+        const [mean, spread] = this.crownWidths[quadrant <= 2 ? 'maxillary' : 'mandibular'][position - 1];
+        return measuredWidth
+            ? { length: measuredWidth, lengthUncertainty: this.referenceTypes['crown-width'].lengthUncertainty, source: 'measured' }
+            : { length: mean, lengthUncertainty: spread, source: 'population mean' };
+    }
+
+    // A reference spanning two image points; options.length (mm) overrides the type's default,
+    // options.toothNumber picks the crown for 'crown-width'
+    createReference(type, points, options = {}) {
+        const referenceType = this.referenceTypes[type];
+        if (!referenceType) {
+            throw new Error(`Unknown calibration reference '${type}'`);
+        }
+
+        let length = options.length || referenceType.defaultLength;
+        let lengthUncertainty = options.lengthUncertainty || referenceType.lengthUncertainty;
+        let name = referenceType.name;
+
+        if (type === 'crown-width') {
+            if (!options.toothNumber) {
+                throw new Error('Crown width references need a tooth number');
+            }
+            const crown = this.getCrownWidth(options.toothNumber, options.length);
+            ({ length, lengthUncertainty } = crown);
+            name = `Crown width #${options.toothNumber} (${crown.source})`;
+        }
+
+        if (!(length > 0)) {
+            throw new Error(`${name} needs a length in mm`);
+        }
+
+        const [start, end] = points;
+        return {
+            type,
+            name: options.name || name,
+            points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+            pixels: Math.hypot(end.x - start.x, end.y - start.y),
+            length,
+            lengthUncertainty,
+            toothNumber: options.toothNumber || null
+        };
+    }
+
+    // Weighted least-squares scale s (px per mm) for pixels_i = s * length_i. Each reference is
+    // weighted by its placement and length uncertainty; when the references disagree by more
+    // than those allow, the scale uncertainty grows by the excess (Birge ratio)
+    solve(references) {
+        if (references.length === 0) {
+            return null;
+        }
+
+        const placementVariance = 2 * this.settings.pointUncertainty ** 2;
+        let scale = references.reduce((sum, ref) => sum + ref.pixels, 0) / references.reduce((sum, ref) => sum + ref.length, 0);
+        let weights = [];
+
+        for (let i = 0; i < this.settings.iterations; i++) {
+            weights = references.map(ref => 1 / (placementVariance + (scale * ref.lengthUncertainty) ** 2));
+            const numerator = references.reduce((sum, ref, j) => sum + weights[j] * ref.pixels * ref.length, 0);
+            const denominator = references.reduce((sum, ref, j) => sum + weights[j] * ref.length * ref.length, 0);
+            scale = numerator / denominator;
+        }
+
+        const information = references.reduce((sum, ref, j) => sum + weights[j] * ref.length * ref.length, 0);
+        const residuals = references.map(ref => ref.pixels - scale * ref.length);
+        const chiSquare = residuals.reduce((sum, residual, j) => sum + weights[j] * residual * residual, 0);
+        const consistency = references.length > 1 ? chiSquare / (references.length - 1) : null;
+        const scaleUncertainty = Math.sqrt(1 / information) * Math.sqrt(Math.max(1, consistency || 1));
+
+        return {
+            scale,
+            scaleUncertainty,
+            relativeUncertainty: scaleUncertainty / scale,
+            // Disagreement of each reference with the fit, in mm
+            residuals: residuals.map(residual => residual / scale),
+            consistency
+        };
+    }
+
+    // Pixel value with the given dimension (0 angle, 1 length, 2 area) in calibrated units.
+    // placementVariance is the pixel-space variance caused by where the points were placed
+    convert(pixelValue, dimension, placementVariance, calibration = null) {
+        if (dimension === 0) {
+            return { value: pixelValue, uncertainty: Math.sqrt(placementVariance), unit: '°' };
+        }
+
+        const suffix = dimension === 2 ? '²' : '';
+        if (!calibration || !calibration.isCalibrated) {
+            return { value: pixelValue, uncertainty: Math.sqrt(placementVariance), unit: `px${suffix}` };
+        }
+
+        const { scale, scaleUncertainty } = calibration;
+        const factor = scale ** dimension;
+        const value = pixelValue / factor;
+        // First-order propagation: the scale error grows with the dimension, placement error is independent
+        const scaleTerm = dimension * value * scaleUncertainty / scale;
+
+        return {
+            value,
+            uncertainty: Math.sqrt(scaleTerm * scaleTerm + placementVariance / (factor * factor)),
+            unit: `${calibration.unit}${suffix}`
+        };
+    }
+
+    describe(calibration) {
+        if (!calibration || !calibration.isCalibrated) {
+            return 'Not calibrated';
+        }
+
+        const count = calibration.references.length;
+        const percent = (calibration.scaleUncertainty / calibration.scale * 100).toFixed(1);
+        let text = `Calibrated from ${count} reference${count === 1 ? '' : 's'}: ${calibration.scale.toFixed(2)} px/${calibration.unit} ± ${percent}%`;
+
+        if (calibration.consistency !== null && calibration.consistency > 4) {
+            text += ' - references disagree, check their placement';
+        }
+        return text;
+    }
+}
+
+// Export for use in main application
+window.MeasurementCalibration = MeasurementCalibration;
@@ -2,18 +2,26 @@
 // Distance, angle, area measurements with calibration and professional accuracy
 
 class MeasurementTools {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        
-        // Calibration
-        this.calibration = {
-            isCalibrated: false,
-            scale: 1, // pixels per mm
-            referenceLength: null,
-            referencePixels: null,
-            unit: 'mm'
-        };
+        // Shortcuts listen on the whole document, so embedded tools can opt out
+        this.keyboardShortcuts = options.keyboardShortcuts !== false;
+        // A dedicated overlay canvas is cleared on every redraw
+        this.isOverlay = options.overlay === true;
+        this.onChange = options.onChange || null;
+        
+        // Calibration: known-dimension references placed on the photo and the scale fitted to them
+        this.calibrator = options.calibrator || new MeasurementCalibration();
+        this.calibration = this.createCalibration();
+        this.pendingReference = null;
+        
+        // Plane rectification: four corners of a known rectangle; when set, values are taken in its plane
+        this.rectifier = options.rectifier || new PlaneRectification();
+        this.rectification = null;
+        this.isRectifying = false;
+        this.rectificationPoints = [];
+        this.pendingRectangle = null;
         
         // Measurements
         this.measurements = [];
@@ -31,6 +39,16 @@ class MeasurementTools {
             diameter: { name: 'Diameter', icon: 'fa-arrows-alt-h' }
         };
         
+        // Powers of the pixel scale in each type's value: angles are scale free, areas scale twice
+        this.measurementDimensions = {
+            distance: 1,
+            angle: 0,
+            area: 2,
+            perimeter: 1,
+            radius: 1,
+            diameter: 1
+        };
+        
         // Measurement settings
         this.settings = {
             precision: 2,
@@ -61,7 +79,9 @@ class MeasurementTools {
     // Initialize measurement tools
     initialize() {
         this.setupEventListeners();
-        this.setupKeyboardShortcuts();
+        if (this.keyboardShortcuts) {
+            this.setupKeyboardShortcuts();
+        }
         
         console.log('Measurement tools initialized');
     }
@@ -135,7 +155,9 @@ class MeasurementTools {
     handleMouseDown(e) {
         const pos = this.getMousePos(e);
         
-        if (this.calibration.isCalibrating) {
+        if (this.isRectifying) {
+            this.handleRectificationClick(pos);
+        } else if (this.calibration.isCalibrating) {
             this.handleCalibrationClick(pos);
         } else {
             this.startMeasurement(pos);
@@ -184,17 +206,37 @@ class MeasurementTools {
         this.handleMouseUp({});
     }
 
-    // Start calibration
-    startCalibration() {
+    // Empty calibration state; plain data so history and photo records can store it
+    createCalibration() {
+        return {
+            isCalibrated: false,
+            scale: 1, // pixels per mm
+            scaleUncertainty: 0, // pixels per mm, one standard deviation
+            references: [],
+            residuals: [],
+            consistency: null,
+            unit: 'mm'
+        };
+    }
+
+    // Start calibration: the next two clicks span a reference of the given type
+    // (see MeasurementCalibration.referenceTypes); options.length overrides its known length
+    startCalibration(referenceType = 'custom', options = {}) {
+        if (!this.calibrator.referenceTypes[referenceType]) {
+            throw new Error(`Unknown calibration reference '${referenceType}'`);
+        }
+        
         this.calibration.isCalibrating = true;
         this.calibration.calibrationPoints = [];
+        this.pendingReference = { type: referenceType, options };
         
+        const name = this.calibrator.referenceTypes[referenceType].name;
         if (typeof showToast === 'function') {
-            showToast('Click two points to set calibration reference');
+            showToast(`Click both ends of the ${name.toLowerCase()}`);
         }
         
         if (window.accessibilityManager) {
-            window.accessibilityManager.announce('Calibration mode: Click two points to set reference length');
+            window.accessibilityManager.announce(`Calibration mode: Click both ends of the ${name}`);
         }
     }
 
@@ -210,32 +252,149 @@ class MeasurementTools {
         this.drawCalibrationPoint(pos, this.calibration.calibrationPoints.length);
         
         if (this.calibration.calibrationPoints.length === 2) {
-            // Complete calibration
-            const length = this.calculateDistance(
-                this.calibration.calibrationPoints[0],
-                this.calibration.calibrationPoints[1]
-            );
+            const pending = this.pendingReference || { type: 'custom', options: {} };
+            const points = this.calibration.calibrationPoints;
+            this.calibration.isCalibrating = false;
+            this.calibration.calibrationPoints = [];
+            this.pendingReference = null;
             
-            const referenceLength = prompt('Enter reference length (mm):', '10');
-            if (referenceLength && !isNaN(referenceLength)) {
-                this.calibration.scale = length / parseFloat(referenceLength);
-                this.calibration.referenceLength = parseFloat(referenceLength);
-                this.calibration.referencePixels = length;
-                this.calibration.isCalibrated = true;
-                this.calibration.isCalibrating = false;
+            try {
+                const reference = this.calibrator.createReference(pending.type, points, pending.options);
+                this.addCalibrationReference(reference);
                 
                 if (typeof showToast === 'function') {
-                    showToast(`Calibrated: ${referenceLength}mm = ${length.toFixed(1)}px`);
+                    showToast(`${reference.name}: ${reference.length}mm = ${reference.pixels.toFixed(1)}px`);
                 }
-                
-                this.saveHistory();
-            } else {
-                // Cancel calibration
-                this.calibration.isCalibrating = false;
-                this.calibration.calibrationPoints = [];
+            } catch (error) {
+                if (typeof showToast === 'function') {
+                    showToast('Calibration failed: ' + error.message);
+                }
+                this.redrawMeasurements();
             }
+        }
+    }
+
+    addCalibrationReference(reference) {
+        this.calibration.references.push(reference);
+        this.applyCalibration();
+    }
+
+    removeCalibrationReference(index) {
+        this.calibration.references.splice(index, 1);
+        this.applyCalibration();
+    }
+
+    clearCalibration() {
+        this.calibration.references = [];
+        this.applyCalibration();
+    }
+
+    // Refit the scale to all references and bring every measurement's value and uncertainty in line
+    applyCalibration() {
+        const fit = this.calibrator.solve(this.calibration.references);
+        
+        this.calibration.isCalibrated = fit !== null;
+        this.calibration.scale = fit ? fit.scale : 1;
+        this.calibration.scaleUncertainty = fit ? fit.scaleUncertainty : 0;
+        this.calibration.residuals = fit ? fit.residuals : [];
+        this.calibration.consistency = fit ? fit.consistency : null;
+        
+        this.refreshMeasurements();
+    }
+
+    // Start rectification: the next four clicks are the corners of a width x height mm rectangle
+    // lying in the measured surface, in order top-left, top-right, bottom-right, bottom-left
+    startRectification(width, height) {
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('The rectangle needs a width and height in mm');
+        }
+        
+        this.isRectifying = true;
+        this.rectificationPoints = [];
+        this.pendingRectangle = { width, height };
+        
+        if (typeof showToast === 'function') {
+            showToast('Click the rectangle corners: top-left, top-right, bottom-right, bottom-left');
+        }
+        
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('Rectification mode: Click the four corners of the rectangle in order');
+        }
+    }
+
+    // Handle rectification click
+    handleRectificationClick(pos) {
+        this.rectificationPoints.push(pos);
+        this.drawCalibrationPoint(pos, this.rectificationPoints.length);
+        
+        if (this.rectificationPoints.length === 4) {
+            const corners = this.rectificationPoints;
+            const { width, height } = this.pendingRectangle;
+            this.isRectifying = false;
+            this.rectificationPoints = [];
+            this.pendingRectangle = null;
             
-            this.redrawMeasurements();
+            try {
+                this.setRectification(this.rectifier.create(corners, width, height));
+                
+                if (typeof showToast === 'function') {
+                    showToast(this.rectifier.describe(this.rectification));
+                }
+            } catch (error) {
+                if (typeof showToast === 'function') {
+                    showToast('Rectification failed: ' + error.message);
+                }
+                this.redrawMeasurements();
+            }
+        }
+    }
+
+    // Rectification from PlaneRectification.create, or null to measure in the photo again
+    setRectification(rectification) {
+        this.rectification = rectification;
+        this.refreshMeasurements();
+    }
+
+    clearRectification() {
+        this.setRectification(null);
+    }
+
+    // Plane position (mm) of an image point when rectified, the point itself otherwise
+    mapPoint(point) {
+        return this.rectification ? this.rectifier.apply(this.rectification.matrix, point) : point;
+    }
+
+    // Point in the units lengths are reported in: the rectified plane, calibrated units or pixels
+    toMeasurementUnits(point) {
+        if (this.rectification) {
+            return this.mapPoint(point);
+        }
+        if (this.calibration.isCalibrated) {
+            return { x: point.x / this.calibration.scale, y: point.y / this.calibration.scale };
+        }
+        return point;
+    }
+
+    getLengthUnit() {
+        if (this.rectification) {
+            return this.rectification.unit;
+        }
+        return this.calibration.isCalibrated ? this.calibration.unit : 'px';
+    }
+
+    // Bring every measurement's value and uncertainty in line with the current calibration and plane
+    refreshMeasurements() {
+        this.measurements.forEach(measurement => this.updateMeasurementValues(measurement));
+        
+        this.saveHistory();
+        this.redrawMeasurements();
+        this.updateCalibrationUI();
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
         }
     }
 
@@ -307,12 +466,16 @@ class MeasurementTools {
                 break;
             case 'radius':
             case 'diameter':
+                this.currentMeasurement.edgePoint = pos;
                 this.currentMeasurement.radius = this.calculateDistance(
                     this.currentMeasurement.center, pos
                 );
                 break;
         }
         
+        // Live value for the label while dragging
+        this.updateMeasurementValues(this.currentMeasurement);
+        
         this.redrawMeasurements();
         this.drawCurrentMeasurement();
     }
@@ -324,70 +487,185 @@ class MeasurementTools {
         // Calculate measurement value
         this.calculateMeasurementValue();
         
-        // Add to measurements list
-        this.measurements.push(this.currentMeasurement);
-        
-        // Save history
-        this.saveHistory();
+        // A click without a drag measures nothing
+        const measured = this.currentMeasurement.value !== undefined;
+        if (measured) {
+            this.measurements.push(this.currentMeasurement);
+            this.saveHistory();
+        }
         
         // Reset current measurement
         this.currentMeasurement = null;
         this.isMeasuring = false;
         
         this.redrawMeasurements();
+        
+        if (measured) {
+            this.notifyChange();
+        }
     }
 
     // Calculate measurement value
     calculateMeasurementValue() {
         if (!this.currentMeasurement) return;
         
-        switch (this.measurementType) {
+        this.updateMeasurementValues(this.currentMeasurement);
+    }
+
+    // Pixel value, calibrated value and its uncertainty (one standard deviation).
+    // Rectified values are already in plane millimetres, so the rectification replaces the scale
+    updateMeasurementValues(measurement) {
+        const value = this.measureValue(measurement);
+        if (value === undefined) return;
+        
+        measurement.value = value;
+        let variance = this.getPlacementVariance(measurement);
+        let calibration = this.calibration;
+        if (this.rectification) {
+            variance += this.getRectificationVariance(measurement);
+            calibration = { isCalibrated: true, scale: 1, scaleUncertainty: 0, unit: this.rectification.unit };
+        }
+        
+        const result = this.calibrator.convert(
+            value,
+            this.measurementDimensions[measurement.type],
+            variance,
+            calibration
+        );
+        measurement.realValue = result.value;
+        measurement.uncertainty = result.uncertainty;
+        measurement.unit = result.unit;
+    }
+
+    // Value in pixels (degrees for angles) from the measurement's geometry, or in the rectified
+    // plane's units when there is one; undefined until it is complete
+    measureValue(measurement) {
+        const map = (point) => this.mapPoint(point);
+        
+        switch (measurement.type) {
             case 'distance':
-                this.currentMeasurement.value = this.calculateDistance(
-                    this.currentMeasurement.startPoint,
-                    this.currentMeasurement.endPoint
-                );
-                break;
+                if (!measurement.startPoint || !measurement.endPoint) return undefined;
+                return this.calculateDistance(map(measurement.startPoint), map(measurement.endPoint));
                 
             case 'angle':
-                if (this.currentMeasurement.points.length >= 2) {
-                    this.currentMeasurement.value = this.calculateAngle(
-                        this.currentMeasurement.points[0],
-                        this.currentMeasurement.points[1],
-                        this.currentMeasurement.points[2] || this.currentMeasurement.points[1]
-                    );
-                }
-                break;
+                if (measurement.points.length < 2) return undefined;
+                return this.calculateAngle(
+                    map(measurement.points[0]),
+                    map(measurement.points[1]),
+                    map(measurement.points[2] || measurement.points[1])
+                );
                 
             case 'area':
-                if (this.currentMeasurement.polygon && this.currentMeasurement.polygon.length >= 3) {
-                    this.currentMeasurement.value = this.calculateArea(this.currentMeasurement.polygon);
-                }
-                break;
+                if (!measurement.polygon || measurement.polygon.length < 3) return undefined;
+                return this.calculateArea(measurement.polygon.map(map));
                 
             case 'perimeter':
-                if (this.currentMeasurement.polygon && this.currentMeasurement.polygon.length >= 2) {
-                    this.currentMeasurement.value = this.calculatePerimeter(this.currentMeasurement.polygon);
-                }
-                break;
+                if (!measurement.polygon || measurement.polygon.length < 2) return undefined;
+                return this.calculatePerimeter(measurement.polygon.map(map));
                 
             case 'radius':
-                this.currentMeasurement.value = this.currentMeasurement.radius;
-                break;
-                
+            case 'diameter': {
+                if (!measurement.radius) return undefined;
+                // Measurements saved without their edge point only know the radius in pixels
+                const radius = measurement.edgePoint
+                    ? this.calculateDistance(map(measurement.center), map(measurement.edgePoint))
+                    : measurement.radius;
+                return measurement.type === 'diameter' ? radius * 2 : radius;
+            }
+        }
+        
+        return undefined;
+    }
+
+    // Points the value depends on; null for a radius or diameter saved without its edge point
+    getMeasurementPoints(measurement) {
+        switch (measurement.type) {
+            case 'distance':
+                return [measurement.startPoint, measurement.endPoint];
+            case 'angle':
+                return [...new Set(measurement.points)];
+            case 'area':
+            case 'perimeter':
+                return [...new Set(measurement.polygon)];
+            case 'radius':
             case 'diameter':
-                this.currentMeasurement.value = this.currentMeasurement.radius * 2;
-                break;
+                return measurement.edgePoint ? [measurement.center, measurement.edgePoint] : null;
+        }
+        return null;
+    }
+
+    // Variance of the pixel value from point placement: each point is off by
+    // pointUncertainty along each axis, propagated through numerical derivatives
+    getPlacementVariance(measurement) {
+        const sigma = this.calibrator.settings.pointUncertainty;
+        const points = this.getMeasurementPoints(measurement);
+        
+        if (!points) {
+            // Center and edge point each shift the radius
+            const factor = measurement.type === 'diameter' ? 2 : 1;
+            return 2 * (factor * sigma) ** 2;
         }
         
-        // Convert to real units if calibrated
-        if (this.calibration.isCalibrated) {
-            this.currentMeasurement.realValue = this.currentMeasurement.value / this.calibration.scale;
-            this.currentMeasurement.unit = this.calibration.unit;
-        } else {
-            this.currentMeasurement.realValue = this.currentMeasurement.value;
-            this.currentMeasurement.unit = 'px';
+        const step = 0.5;
+        let variance = 0;
+        points.forEach(point => {
+            ['x', 'y'].forEach(axis => {
+                const original = point[axis];
+                point[axis] = original + step;
+                const above = this.measureValue(measurement);
+                point[axis] = original - step;
+                const below = this.measureValue(measurement);
+                point[axis] = original;
+                
+                const derivative = (above - below) / (2 * step);
+                variance += derivative * derivative * sigma * sigma;
+            });
+        });
+        
+        return variance;
+    }
+
+    // Variance of the rectified value from where the rectangle's corners were placed: the plane
+    // is refitted with each corner coordinate nudged, like the measurement's own points
+    getRectificationVariance(measurement) {
+        const sigma = this.calibrator.settings.pointUncertainty;
+        const rectification = this.rectification;
+        const step = 0.5;
+        let variance = 0;
+        
+        const valueWithCorner = (index, axis, offset) => {
+            const corners = rectification.corners.map((corner, i) =>
+                i === index ? { ...corner, [axis]: corner[axis] + offset } : corner
+            );
+            this.rectification = this.rectifier.create(corners, rectification.width, rectification.height);
+            return this.measureValue(measurement);
+        };
+        
+        try {
+            rectification.corners.forEach((corner, index) => {
+                ['x', 'y'].forEach(axis => {
+                    const derivative = (valueWithCorner(index, axis, step) - valueWithCorner(index, axis, -step)) / (2 * step);
+                    variance += derivative * derivative * sigma * sigma;
+                });
+            });
+        } finally {
+            this.rectification = rectification;
         }
+        
+        return variance;
+    }
+
+    // Label text such as "8.52 ± 0.12 mm"
+    formatMeasurement(measurement) {
+        const precision = this.settings.precision;
+        const value = measurement.realValue !== undefined ? measurement.realValue : measurement.value;
+        const unit = measurement.unit || 'px';
+        const separator = unit === '°' ? '' : ' ';
+        const uncertainty = measurement.uncertainty !== undefined
+            ? ` ± ${measurement.uncertainty.toFixed(precision)}`
+            : '';
+        
+        return `${value.toFixed(precision)}${uncertainty}${separator}${unit}`;
     }
 
     // Calculate distance between two points
@@ -486,9 +764,7 @@ class MeasurementTools {
         const midX = (measurement.startPoint.x + measurement.endPoint.x) / 2;
         const midY = (measurement.startPoint.y + measurement.endPoint.y) / 2;
         
-        const value = measurement.realValue || measurement.value;
-        const unit = measurement.unit || 'px';
-        const label = `${value.toFixed(this.settings.precision)} ${unit}`;
+        const label = this.formatMeasurement(measurement);
         
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
@@ -531,9 +807,7 @@ class MeasurementTools {
         this.ctx.stroke();
         
         // Draw angle label
-        const value = measurement.realValue || measurement.value;
-        const unit = measurement.unit || 'px';
-        const label = `${value.toFixed(this.settings.precision)}°`;
+        const label = this.formatMeasurement(measurement);
         
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
@@ -579,9 +853,7 @@ class MeasurementTools {
         const centerX = measurement.polygon.reduce((sum, p) => sum + p.x, 0) / measurement.polygon.length;
         const centerY = measurement.polygon.reduce((sum, p) => sum + p.y, 0) / measurement.polygon.length;
         
-        const value = measurement.realValue || measurement.value;
-        const unit = measurement.unit || 'px²';
-        const label = `${value.toFixed(this.settings.precision)} ${unit}`;
+        const label = this.formatMeasurement(measurement);
         
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
@@ -609,7 +881,7 @@ class MeasurementTools {
         this.drawPoint(measurement.center);
         
         // Draw radius line
-        const edgePoint = {
+        const edgePoint = measurement.edgePoint || {
             x: measurement.center.x + measurement.radius,
             y: measurement.center.y
         };
@@ -622,9 +894,7 @@ class MeasurementTools {
         this.drawPoint(edgePoint);
         
         // Draw label
-        const value = measurement.realValue || measurement.radius;
-        const unit = measurement.unit || 'px';
-        const label = `${value.toFixed(this.settings.precision)} ${unit}`;
+        const label = this.formatMeasurement(measurement);
         
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
@@ -636,7 +906,7 @@ class MeasurementTools {
         
         this.ctx.fillStyle = '#000000';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(label, edgePoint.x + 10, edgePoint);
+        this.ctx.fillText(label, edgePoint.x + 10, edgePoint.y);
     }
 
     // Draw point
@@ -649,19 +919,84 @@ class MeasurementTools {
     // Redraw all measurements
     redrawMeasurements() {
         // Clear measurement layer (if separate canvas)
-        // For now, we'll assume measurements are drawn on main canvas
+        if (this.isOverlay) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
         
         // Draw grid if enabled
         if (this.grid.visible) {
             this.drawGrid();
         }
         
+        // Draw calibration references
+        this.calibration.references.forEach(reference => {
+            this.drawCalibrationReference(reference);
+        });
+        
+        if (this.rectification) {
+            this.drawRectification(this.rectification);
+        }
+        
         // Draw all saved measurements
         this.measurements.forEach(measurement => {
             this.drawMeasurement(measurement);
         });
     }
 
+    // Draw calibration reference
+    drawCalibrationReference(reference) {
+        const [start, end] = reference.points;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00ff00';
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.lineWidth = this.settings.lineWidth;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        this.drawPoint(start);
+        this.drawPoint(end);
+        
+        this.ctx.font = `${this.settings.fontSize}px ${this.settings.fontFamily}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`${reference.length} mm`, (start.x + end.x) / 2, Math.min(start.y, end.y) - 6);
+        this.ctx.restore();
+    }
+
+    // Draw the rectangle the plane was fitted to
+    drawRectification(rectification) {
+        const corners = rectification.corners;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00bfff';
+        this.ctx.fillStyle = '#00bfff';
+        this.ctx.lineWidth = this.settings.lineWidth;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach(corner => this.ctx.lineTo(corner.x, corner.y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        corners.forEach(corner => this.drawPoint(corner));
+        
+        this.ctx.font = `${this.settings.fontSize}px ${this.settings.fontFamily}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(
+            `${rectification.width} × ${rectification.height} ${rectification.unit}`,
+            (corners[0].x + corners[1].x) / 2,
+            Math.min(corners[0].y, corners[1].y) - 6
+        );
+        this.ctx.restore();
+    }
+
     // Draw individual measurement
     drawMeasurement(measurement) {
         this.ctx.save();
@@ -713,9 +1048,7 @@ class MeasurementTools {
         const centerX = measurement.polygon.reduce((sum, p) => sum + p.x, 0) / measurement.polygon.length;
         const centerY = measurement.polygon.reduce((sum, p) => sum + p.y, 0) / measurement.polygon.length;
         
-        const value = measurement.realValue || measurement.value;
-        const unit = measurement.unit || 'px';
-        const label = `${value.toFixed(this.settings.precision)} ${unit}`;
+        const label = this.formatMeasurement(measurement);
         
         this.ctx.fillStyle = '#ffffff';
         this.ctx.strokeStyle = '#000000';
@@ -757,7 +1090,7 @@ class MeasurementTools {
 
     // Update cursor
     updateCursor(pos) {
-        if (this.calibration.isCalibrating) {
+        if (this.calibration.isCalibrating || this.isRectifying) {
             this.canvas.style.cursor = 'crosshair';
         } else if (this.isMeasuring) {
             this.canvas.style.cursor = 'crosshair';
@@ -774,7 +1107,12 @@ class MeasurementTools {
             let y = pos.y;
             let unit = 'px';
             
-            if (this.calibration.isCalibrated) {
+            if (this.rectification) {
+                const point = this.mapPoint(pos);
+                x = point.x.toFixed(1);
+                y = point.y.toFixed(1);
+                unit = this.rectification.unit;
+            } else if (this.calibration.isCalibrated) {
                 x = (pos.x / this.calibration.scale).toFixed(1);
                 y = (pos.y / this.calibration.scale).toFixed(1);
                 unit = this.calibration.unit;
@@ -832,11 +1170,30 @@ class MeasurementTools {
         }
     }
 
+    // Forget the previous photo's measurements, calibration, plane and history
+    reset() {
+        this.measurements = [];
+        this.currentMeasurement = null;
+        this.isMeasuring = false;
+        this.calibration = this.createCalibration();
+        this.pendingReference = null;
+        this.rectification = null;
+        this.isRectifying = false;
+        this.rectificationPoints = [];
+        this.pendingRectangle = null;
+        this.history = [];
+        this.historyStep = -1;
+        
+        this.redrawMeasurements();
+        this.updateCalibrationUI();
+    }
+
     // Save history
     saveHistory() {
         const state = {
             measurements: JSON.parse(JSON.stringify(this.measurements)),
-            calibration: JSON.parse(JSON.stringify(this.calibration))
+            calibration: JSON.parse(JSON.stringify(this.calibration)),
+            rectification: JSON.parse(JSON.stringify(this.rectification))
         };
         
         this.historyStep++;
@@ -870,6 +1227,7 @@ class MeasurementTools {
     restoreState(state) {
         this.measurements = JSON.parse(JSON.stringify(state.measurements));
         this.calibration = JSON.parse(JSON.stringify(state.calibration));
+        this.rectification = state.rectification ? JSON.parse(JSON.stringify(state.rectification)) : null;
         this.redrawMeasurements();
         this.updateCalibrationUI();
     }
@@ -892,13 +1250,10 @@ class MeasurementTools {
     updateCalibrationUI() {
         const calibrationStatus = document.getElementById('calibrationStatus');
         if (calibrationStatus) {
-            if (this.calibration.isCalibrated) {
-                calibrationStatus.textContent = `Calibrated: ${this.calibration.referenceLength}${this.calibration.unit} = ${this.calibration.referencePixels.toFixed(1)}px`;
-                calibrationStatus.className = 'text-green-600';
-            } else {
-                calibrationStatus.textContent = 'Not calibrated';
-                calibrationStatus.className = 'text-red-600';
-            }
+            calibrationStatus.textContent = this.rectification
+                ? this.rectifier.describe(this.rectification)
+                : this.calibrator.describe(this.calibration);
+            calibrationStatus.className = this.calibration.isCalibrated || this.rectification ? 'text-green-600' : 'text-red-600';
         }
     }
 
@@ -909,6 +1264,9 @@ class MeasurementTools {
             byType: {},
             calibrated: this.calibration.isCalibrated,
             scale: this.calibration.scale,
+            scaleUncertainty: this.calibration.scaleUncertainty,
+            references: this.calibration.references.length,
+            rectified: this.rectification !== null,
             unit: this.calibration.unit
         };
         
@@ -919,22 +1277,39 @@ class MeasurementTools {
         return summary;
     }
 
+    // Report rows, every value with its uncertainty, for exported reports
+    getMeasurementReport() {
+        return this.measurements.map((measurement, index) => ({
+            label: `${this.measurementTypes[measurement.type].name} ${index + 1}`,
+            type: measurement.type,
+            value: measurement.realValue,
+            uncertainty: measurement.uncertainty,
+            unit: measurement.unit,
+            text: this.formatMeasurement(measurement)
+        }));
+    }
+
     // Export measurements
     exportMeasurements() {
+        const { isCalibrating, calibrationPoints, ...calibration } = this.calibration;
         return {
             measurements: this.measurements,
-            calibration: this.calibration,
+            calibration: calibration,
+            rectification: this.rectification,
+            report: this.getMeasurementReport(),
             settings: this.settings,
             timestamp: Date.now()
         };
     }
 
-    // Import measurements
+    // Import measurements; the stored calibration and plane come back with them, so the values stay valid
     importMeasurements(data) {
         this.measurements = data.measurements || [];
-        this.calibration = data.calibration || this.calibration;
+        this.calibration = { ...this.createCalibration(), ...data.calibration };
+        this.rectification = data.rectification || null;
         this.settings = { ...this.settings, ...data.settings };
         
+        this.measurements.forEach(measurement => this.updateMeasurementValues(measurement));
         this.redrawMeasurements();
         this.updateCalibrationUI();
     }
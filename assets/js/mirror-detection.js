@@ -0,0 +1,314 @@
+// Mirror Shot Detection for Dental Photo Editor
+// Recognizes occlusal and buccal views photographed through an intraoral mirror and suggests the flip/rotation
+
+class MirrorShotDetector {
+    constructor(options = {}) {
+        this.toothDetector = options.toothDetector || new ToothDetector();
+        this.smileZoneClassifier = options.smileZoneClassifier || new SmileZoneClassifier();
+        this.colorScience = options.colorScience || new ColorScience();
+
+        this.settings = {
+            workingSize: 200,
+            maxEdgeAngle: 20,      // degrees a mirror rim may be tilted from the frame
+            edgeAngleStep: 2,
+            minEdgeSupport: 0.55,  // fraction of the frame the rim must run across
+            edgeBand: 0.4,         // rims are searched in the outer 40% of the frame
+            minToothPixels: 40,
+            minArchDepth: 0.15,    // U depth, as a fraction of the frame, for an occlusal arch
+            maxBandFraction: 0.75, // frontal views keep most tooth pixels in the smile zones
+            minConfidence: 0.5
+        };
+
+        // Where the incisors belong once an occlusal view is presented correctly
+        this.incisorSide = {
+            maxillary: 'top',
+            mandibular: 'bottom'
+        };
+    }
+
+    // options.arch ('maxillary' | 'mandibular') tells which occlusal view is expected
+    async analyze(imageData, options = {}) {
+        const small = this.downsample(imageData);
+        const edges = this.toothDetector.detectEdges(this.toothDetector.convertToGrayscale(small));
+
+        const mirrorEdge = this.findMirrorEdge(edges);
+        const toothPixels = this.findToothPixels(small);
+        const zones = await this.smileZoneClassifier.classify(small);
+        const bandFraction = this.getZoneFraction(toothPixels, zones, small.width, small.height);
+        const arch = toothPixels.length >= this.settings.minToothPixels
+            ? this.fitArch(toothPixels)
+            : null;
+
+        const view = this.classifyView(arch, bandFraction, mirrorEdge);
+        const reasons = [];
+        let confidence = 0;
+
+        const edgeScore = mirrorEdge ? Math.min(1, mirrorEdge.support) : 0;
+        const archScore = arch ? Math.min(1, arch.depth / (2 * this.settings.minArchDepth)) : 0;
+
+        if (mirrorEdge) {
+            reasons.push(`straight mirror rim along the ${mirrorEdge.side} (${Math.round(mirrorEdge.support * 100)}% of the frame)`);
+        }
+
+        if (view === 'occlusal') {
+            reasons.push(`U-shaped arch with incisors at the ${arch.incisorSide}`);
+            confidence = 0.5 + 0.25 * archScore + 0.25 * edgeScore;
+        } else if (view === 'buccal') {
+            reasons.push('teeth run along the frame beside a side rim');
+            confidence = 0.4 + 0.4 * edgeScore;
+        } else if (mirrorEdge) {
+            confidence = 0.2 + 0.3 * edgeScore;
+        }
+
+        const isMirrorShot = confidence >= this.settings.minConfidence;
+
+        return {
+            isMirrorShot,
+            confidence,
+            view,
+            arch,
+            mirrorEdge,
+            bandFraction,
+            reasons,
+            suggestion: isMirrorShot ? this.suggestCorrection(view, arch, mirrorEdge, options) : null
+        };
+    }
+
+    // Box-filtered copy at most workingSize pixels on its long side
+    downsample(imageData) {
+        const { width, height, data } = imageData;
+        const scale = Math.min(1, this.settings.workingSize / Math.max(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const output = new Uint8ClampedArray(w * h * 4);
+
+        for (let y = 0; y < h; y++) {
+            const y0 = Math.floor(y / scale), y1 = Math.max(y0 + 1, Math.floor((y + 1) / scale));
+            for (let x = 0; x < w; x++) {
+                const x0 = Math.floor(x / scale), x1 = Math.max(x0 + 1, Math.floor((x + 1) / scale));
+                let r = 0, g = 0, b = 0, count = 0;
+
+                for (let sy = y0; sy < Math.min(y1, height); sy++) {
+                    for (let sx = x0; sx < Math.min(x1, width); sx++) {
+                        const i = (sy * width + sx) * 4;
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                        count++;
+                    }
+                }
+
+                const o = (y * w + x) * 4;
+                output[o] = r / count;
+                output[o + 1] = g / count;
+                output[o + 2] = b / count;
+                output[o + 3] = 255;
+            }
+        }
+
+        return new ImageData(output, w, h);
+    }
+
+    // Strongest nearly straight edge crossing the frame near one of its borders,
+    // found with a small Hough transform over near-horizontal and near-vertical lines
+    findMirrorEdge(edges) {
+        const { data, width, height } = edges;
+        const { maxEdgeAngle, edgeAngleStep, minEdgeSupport, edgeBand } = this.settings;
+        let best = null;
+
+        [['horizontal', width, height], ['vertical', height, width]].forEach(([orientation, length, extent]) => {
+            for (let angle = -maxEdgeAngle; angle <= maxEdgeAngle; angle += edgeAngleStep) {
+                const slope = Math.tan(angle * Math.PI / 180);
+                const votes = new Float32Array(extent);
+
+                // Each position along the line counts once, so a thick edge cannot exceed full support
+                for (let t = 0; t < length; t++) {
+                    const hit = new Uint8Array(extent);
+                    for (let s = 1; s < extent - 1; s++) {
+                        const x = orientation === 'horizontal' ? t : s;
+                        const y = orientation === 'horizontal' ? s : t;
+                        if (data[y * width + x] !== 255) continue;
+
+                        const offset = Math.round(s - slope * (t - length / 2));
+                        for (let d = -1; d <= 1; d++) {
+                            const bin = offset + d;
+                            if (bin >= 0 && bin < extent && !hit[bin]) {
+                                hit[bin] = 1;
+                                votes[bin]++;
+                            }
+                        }
+                    }
+                }
+
+                for (let bin = 2; bin < extent - 2; bin++) {
+                    const position = bin / extent;
+                    if (position > edgeBand && position < 1 - edgeBand) continue;
+
+                    const support = votes[bin] / length;
+                    if (support >= minEdgeSupport && (!best || support > best.support)) {
+                        best = {
+                            orientation,
+                            side: orientation === 'horizontal'
+                                ? (position < 0.5 ? 'top' : 'bottom')
+                                : (position < 0.5 ? 'left' : 'right'),
+                            position,
+                            angle,
+                            support
+                        };
+                    }
+                }
+            }
+        });
+
+        return best;
+    }
+
+    // Light, low-chroma, yellowish pixels as [x, y] in frame fractions
+    findToothPixels(imageData) {
+        const { width, height, data } = imageData;
+        const points = [];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const lab = this.colorScience.rgbToLab(data[i], data[i + 1], data[i + 2]);
+                const chroma = Math.hypot(lab.a, lab.b);
+
+                if (lab.L >= 60 && lab.L <= 98 && chroma <= 35 && lab.b >= -5 && lab.a <= 12) {
+                    points.push([(x + 0.5) / width, (y + 0.5) / height]);
+                }
+            }
+        }
+
+        return points;
+    }
+
+    // Share of tooth pixels inside the anterior and posterior smile zones
+    getZoneFraction(points, zones, width, height) {
+        if (points.length === 0) return 0;
+
+        const rects = [zones.anterior, zones.posterior.left, zones.posterior.right];
+        const inside = points.filter(([x, y]) => rects.some(rect =>
+            x * width >= rect.x && x * width <= rect.x + rect.width &&
+            y * height >= rect.y && y * height <= rect.y + rect.height
+        ));
+
+        return inside.length / points.length;
+    }
+
+    // Least-squares parabola y = a x^2 + b x + c through the tooth pixels;
+    // a deep U is an arch seen from above with the incisors at its vertex
+    fitArch(points) {
+        const sums = new Float64Array(5);
+        const rhs = new Float64Array(3);
+        let minX = Infinity, maxX = -Infinity;
+
+        points.forEach(([x, y]) => {
+            let power = 1;
+            for (let k = 0; k < 5; k++) {
+                sums[k] += power;
+                if (k < 3) rhs[k] += power * y;
+                power *= x;
+            }
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+        });
+
+        // Normal equations for [c, b, a]
+        const coefficients = this.solve3([
+            [sums[0], sums[1], sums[2]],
+            [sums[1], sums[2], sums[3]],
+            [sums[2], sums[3], sums[4]]
+        ], rhs);
+        if (!coefficients) return null;
+
+        const [c, b, a] = coefficients;
+        const halfWidth = (maxX - minX) / 2;
+        const vertexX = a !== 0 ? Math.max(minX, Math.min(maxX, -b / (2 * a))) : (minX + maxX) / 2;
+
+        return {
+            coefficients: { a, b, c },
+            depth: Math.abs(a) * halfWidth * halfWidth,
+            vertex: { x: vertexX, y: a * vertexX * vertexX + b * vertexX + c },
+            // In image coordinates y grows downward, so a > 0 puts the vertex on top
+            incisorSide: a > 0 ? 'top' : 'bottom',
+            span: maxX - minX
+        };
+    }
+
+    solve3(matrix, rhs) {
+        const det = (m) =>
+            m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+        const d = det(matrix);
+        if (Math.abs(d) < 1e-12) return null;
+
+        // Cramer's rule
+        return [0, 1, 2].map(column => det(matrix.map((row, i) => row.map((value, j) => (j === column ? rhs[i] : value)))) / d);
+    }
+
+    classifyView(arch, bandFraction, mirrorEdge) {
+        if (arch && arch.depth >= this.settings.minArchDepth && bandFraction <= this.settings.maxBandFraction) {
+            return 'occlusal';
+        }
+
+        if (mirrorEdge && mirrorEdge.orientation === 'vertical' && arch && arch.depth < this.settings.minArchDepth) {
+            return 'buccal';
+        }
+
+        if (arch && bandFraction > this.settings.maxBandFraction) {
+            return 'frontal';
+        }
+
+        return 'unknown';
+    }
+
+    // Mirror horizontally, then turn 180° when the incisors would still face the wrong way.
+    // (Mirroring horizontally and turning 180° is the same as a vertical flip.)
+    suggestCorrection(view, arch, mirrorEdge, options = {}) {
+        let rotation = 0;
+
+        if (view === 'occlusal') {
+            // Without a known arch assume the usual shot: incisors end up opposite to where the mirror showed them
+            const target = options.arch ? this.incisorSide[options.arch] : (arch.incisorSide === 'top' ? 'bottom' : 'top');
+            rotation = arch.incisorSide === target ? 0 : 180;
+        } else if (view !== 'buccal' && mirrorEdge && mirrorEdge.orientation === 'horizontal') {
+            // A rim above or below the teeth means the mirror reflected top to bottom
+            rotation = 180;
+        }
+
+        return {
+            flip: 'horizontal',
+            rotation,
+            description: rotation ? 'Flip vertically (mirror and rotate 180°)' : 'Flip horizontally (mirror)'
+        };
+    }
+
+    // Correction still needed on top of an existing 'transform' step. Flips and half turns
+    // reduce to "mirrored or not" plus a half turn, so a photo is never corrected twice
+    getCorrection(suggestion, transform = {}) {
+        const mirrored = Boolean(transform.flipHorizontal) !== Boolean(transform.flipVertical);
+        const halfTurn = (((transform.rotation || 0) + (transform.flipVertical ? 180 : 0)) % 360 + 360) % 360;
+
+        const flip = mirrored ? null : 'horizontal';
+        const rotation = halfTurn === 0 || halfTurn === 180
+            ? (halfTurn === suggestion.rotation ? 0 : 180)
+            : 0;
+
+        return flip || rotation ? { flip, rotation } : null;
+    }
+
+    describe(result) {
+        if (!result.isMirrorShot) {
+            return 'No mirror shot detected';
+        }
+
+        const view = { occlusal: 'Occlusal', buccal: 'Buccal' }[result.view] || 'Likely';
+        return `${view} mirror shot (${Math.round(result.confidence * 100)}%): ${result.suggestion.description}`;
+    }
+}
+
+// Export for use in main application
+window.MirrorShotDetector = MirrorShotDetector;
@@ -1,22 +1,27 @@
 // ML Integration Layer for Dental Photo Editor
-// Integrates TensorFlow.js and OpenCV.js for smart dental features
+// Loads the dental models from the pinned, locally hosted registry and runs smart detection
 
 class MLIntegration {
-    constructor() {
-        this.models = {};
+    constructor(options = {}) {
         this.isInitialized = false;
         this.detectionResults = null;
+        this.modelLoader = options.modelLoader || new ModelLoader();
+        // Detector plugins; teams add their own to the shared registry from their own scripts
+        this.detectorRegistry = options.detectorRegistry || window.dentalDetectors;
+        this.detectorTimeout = options.detectorTimeout || 10000;
+        this.toothNumbering = options.toothNumbering || null;
+        // Registry entries (version, input size, labels) of the loaded models, by detector id
+        this.modelInfo = {};
     }
 
     async initialize() {
         try {
-            // Load TensorFlow.js
-            await this.loadTensorFlow();
+            await this.modelLoader.loadManifest();
             
-            // Load OpenCV.js
-            await this.loadOpenCV();
+            // Cache runtimes and models for offline use
+            this.modelLoader.registerServiceWorker();
             
-            // Initialize dental-specific models
+            // Initialize dental-specific models, with whichever runtimes they need
             await this.loadDentalModels();
             
             this.isInitialized = true;
@@ -27,73 +32,130 @@ class MLIntegration {
         }
     }
 
+    // Pinned TensorFlow.js from the site, not a CDN
     async loadTensorFlow() {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest/dist/tf.min.js';
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
+        return this.modelLoader.loadRuntime('tfjs');
     }
 
+    // Pinned OpenCV.js from the site, resolved once its WebAssembly is ready
     async loadOpenCV() {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://docs.opencv.org/4.5.0/opencv.js';
-            script.onload = () => {
-                // Wait for OpenCV to be fully loaded
-                setTimeout(() => {
-                    if (typeof cv !== 'undefined') {
-                        resolve();
-                    } else {
-                        reject(new Error('OpenCV.js failed to load'));
-                    }
-                }, 1000);
-            };
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
+        return this.modelLoader.loadRuntime('opencv');
     }
 
+    // Load the model behind every registered detector up front, so a failure names it at startup
     async loadDentalModels() {
-        // Initialize lightweight models for dental detection
-        // These will be custom-trained models for dental features
-        
-        // Tooth detection model (simplified edge detection + classification)
-        this.models.toothDetector = new ToothDetector();
-        
-        // Gum line detection model
-        this.models.gumDetector = new GumDetector();
-        
-        // Smile zone classifier
-        this.models.smileZoneClassifier = new SmileZoneClassifier();
-        
-        // Plaque detection model
-        this.models.plaqueDetector = new PlaqueDetector();
-        
-        // Restoration detection model
-        this.models.restorationDetector = new RestorationDetector();
+        for (const detector of this.detectorRegistry.list()) {
+            if (!detector.modelId) continue;
+            await this.modelLoader.loadModel(detector.modelId);
+            this.modelInfo[detector.id] = this.modelLoader.getModel(detector.modelId);
+        }
     }
 
-    async detectDentalFeatures(imageData) {
+    getModelInfo() {
+        return this.modelInfo;
+    }
+
+    // Run the registered detectors in parallel, each under its own timeout, and merge their outputs
+    // under their ids. results.detectors holds each one's version, status ('ok', 'timeout', 'error'
+    // or 'cancelled'), duration and error; a detector that did not finish leaves its key null.
+    // options.signal cancels the run, options.onProgress receives { detector, progress, overall },
+    // options.only limits it to some detector ids; the rest (midlineX, arch...) go to every detector
+    async detectDentalFeatures(imageData, options = {}) {
         if (!this.isInitialized) {
             throw new Error('ML Integration not initialized');
         }
 
-        const results = {
-            teeth: await this.models.toothDetector.detect(imageData),
-            gums: await this.models.gumDetector.detect(imageData),
-            smileZones: await this.models.smileZoneClassifier.classify(imageData),
-            plaque: await this.models.plaqueDetector.detect(imageData),
-            restorations: await this.models.restorationDetector.detect(imageData),
-            timestamp: Date.now()
+        const { signal, onProgress, only, ...detectorOptions } = options;
+        const detectors = this.detectorRegistry.list().filter(detector => !only || only.includes(detector.id));
+        const progress = {};
+        const report = (id, value) => {
+            progress[id] = Math.max(0, Math.min(1, value));
+            if (onProgress) {
+                const overall = detectors.reduce((sum, detector) => sum + (progress[detector.id] || 0), 0) / detectors.length;
+                onProgress({ detector: id, progress: progress[id], overall });
+            }
         };
 
+        const outcomes = await Promise.all(detectors.map(detector =>
+            this.runDetector(detector, imageData, detectorOptions, signal, (value) => report(detector.id, value))
+        ));
+
+        if (signal && signal.aborted) {
+            throw new Error('Detection cancelled');
+        }
+
+        const results = { timestamp: Date.now(), detectors: {} };
+        outcomes.forEach(outcome => {
+            results[outcome.id] = outcome.output;
+            results.detectors[outcome.id] = {
+                version: outcome.version,
+                status: outcome.status,
+                duration: outcome.duration,
+                error: outcome.error
+            };
+        });
+
         this.detectionResults = results;
         return results;
     }
 
+    // One detector under its timeout; never rejects, so one failure leaves the others' results
+    async runDetector(detector, imageData, options, signal, onProgress) {
+        const controller = new AbortController();
+        const start = performance.now();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, detector.timeout || this.detectorTimeout);
+        const cancel = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', cancel);
+        }
+
+        // Detectors that ignore the signal are abandoned rather than waited for
+        const stopped = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(new Error(timedOut ? 'Timed out' : 'Cancelled')));
+        });
+
+        const outcome = { id: detector.id, version: detector.version, output: null, status: 'ok', error: null };
+        try {
+            if (controller.signal.aborted) {
+                throw new Error('Cancelled');
+            }
+            const model = detector.modelId ? (await this.modelLoader.loadModel(detector.modelId)).model : null;
+            const output = await Promise.race([
+                detector.detect(imageData, {
+                    ...options,
+                    model,
+                    toothNumbering: this.toothNumbering,
+                    signal: controller.signal,
+                    onProgress
+                }),
+                stopped
+            ]);
+            outcome.output = this.detectorRegistry.checkOutput(detector, output);
+            onProgress(1);
+        } catch (error) {
+            outcome.status = timedOut ? 'timeout' : controller.signal.aborted ? 'cancelled' : 'error';
+            outcome.error = error.message;
+            if (outcome.status === 'error') {
+                console.error(`Detector ${detector.id} failed:`, error);
+            }
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+            // The losing side of the race must not surface as an unhandled rejection
+            stopped.catch(() => {});
+            controller.abort();
+        }
+
+        outcome.duration = performance.now() - start;
+        return outcome;
+    }
+
     getDetectionResults() {
         return this.detectionResults;
     }
@@ -103,32 +165,41 @@ class MLIntegration {
     }
 }
 
-// Tooth Detection using Edge Detection + ML
+// Tooth Detection: per-tooth polygon masks from ToothSegmentation, numbered by ToothNumberingSystem
 class ToothDetector {
-    async detect(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        ctx.putImageData(imageData, 0, 0);
+    constructor(options = {}) {
+        this.options = options;
+        this.segmentation = options.segmentation || null;
+    }
 
-        // Convert to grayscale for edge detection
-        const grayImageData = this.convertToGrayscale(imageData);
-        
-        // Apply Canny edge detection
-        const edges = this.detectEdges(grayImageData);
-        
-        // Find contours that could be teeth
-        const contours = this.findContours(edges);
-        
-        // Filter contours based on tooth characteristics
-        const teeth = this.filterToothContours(contours, imageData);
+    getSegmentation() {
+        if (!this.segmentation) {
+            this.segmentation = new ToothSegmentation(this.options);
+        }
+        return this.segmentation;
+    }
+
+    // Boundaries keep their points as [x, y] pairs, now the tooth's mask outline rather than an edge contour
+    async detect(imageData, options = {}) {
+        const segmentation = await this.getSegmentation().segment(imageData, options);
+        const teeth = segmentation.teeth.map(tooth => ({
+            points: tooth.polygon.map(point => [point.x, point.y]),
+            boundingBox: tooth.boundingBox,
+            center: [tooth.center.x, tooth.center.y],
+            area: tooth.area,
+            fdi: tooth.fdi,
+            toothNumber: tooth.toothNumber,
+            confidence: tooth.confidence
+        }));
         
         return {
             boundaries: teeth,
             count: teeth.length,
-            confidence: this.calculateConfidence(teeth)
+            confidence: segmentation.confidence,
+            method: segmentation.method,
+            // Size of the image the masks belong to
+            width: imageData.width,
+            height: imageData.height
         };
     }
 
@@ -177,127 +248,20 @@ class ToothDetector {
         
         return { data: edges, width, height };
     }
-
-    findContours(edges) {
-        // Simplified contour detection
-        const contours = [];
-        const visited = new Uint8Array(edges.data.length);
-        
-        for (let y = 0; y < edges.height; y++) {
-            for (let x = 0; x < edges.width; x++) {
-                const idx = y * edges.width + x;
-                if (edges.data[idx] === 255 && !visited[idx]) {
-                    const contour = this.traceContour(edges, x, y, visited);
-                    if (contour.length > 10) {
-                        contours.push(contour);
-                    }
-                }
-            }
-        }
-        
-        return contours;
-    }
-
-    traceContour(edges, startX, startY, visited) {
-        const contour = [];
-        const stack = [[startX, startY]];
-        
-        while (stack.length > 0) {
-            const [x, y] = stack.pop();
-            const idx = y * edges.width + x;
-            
-            if (x < 0 || x >= edges.width || y < 0 || y >= edges.height || 
-                edges.data[idx] !== 255 || visited[idx]) {
-                continue;
-            }
-            
-            visited[idx] = 1;
-            contour.push([x, y]);
-            
-            // Add neighbors
-            stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
-        }
-        
-        return contour;
-    }
-
-    filterToothContours(contours, imageData) {
-        const teeth = [];
-        
-        for (const contour of contours) {
-            if (this.isToothLike(contour, imageData)) {
-                teeth.push(this.contourToBoundary(contour));
-            }
-        }
-        
-        return teeth;
-    }
-
-    isToothLike(contour, imageData) {
-        // Check if contour has tooth-like characteristics
-        const area = this.calculateArea(contour);
-        const perimeter = this.calculatePerimeter(contour);
-        const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
-        
-        // Teeth are typically somewhat rectangular/oval
-        return area > 500 && area < 50000 && circularity > 0.3 && circularity < 0.8;
-    }
-
-    calculateArea(contour) {
-        // Shoelace formula
-        let area = 0;
-        for (let i = 0; i < contour.length; i++) {
-            const [x1, y1] = contour[i];
-            const [x2, y2] = contour[(i + 1) % contour.length];
-            area += x1 * y2 - x2 * y1;
-        }
-        return Math.abs(area) / 2;
-    }
-
-    calculatePerimeter(contour) {
-        let perimeter = 0;
-        for (let i = 0; i < contour.length; i++) {
-            const [x1, y1] = contour[i];
-            const [x2, y2] = contour[(i + 1) % contour.length];
-            perimeter += Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-        }
-        return perimeter;
-    }
-
-    contourToBoundary(contour) {
-        // Convert contour points to boundary format
-        const minX = Math.min(...contour.map(p => p[0]));
-        const maxX = Math.max(...contour.map(p => p[0]));
-        const minY = Math.min(...contour.map(p => p[1]));
-        const maxY = Math.max(...contour.map(p => p[1]));
-        
-        return {
-            points: contour,
-            boundingBox: { minX, maxX, minY, maxY },
-            center: [(minX + maxX) / 2, (minY + maxY) / 2]
-        };
-    }
-
-    calculateConfidence(teeth) {
-        // Simple confidence calculation based on detection quality
-        if (teeth.length === 0) return 0;
-        if (teeth.length < 4) return 0.6;
-        if (teeth.length < 8) return 0.8;
-        return 0.9;
-    }
 }
 
 // Gum Line Detection using Color Segmentation
 class GumDetector {
-    async detect(imageData) {
-        const gumLine = this.detectGumLine(imageData);
+    // options.signal stops the pixel scan between chunks of rows; options.onProgress gets 0..1
+    async detect(imageData, options = {}) {
+        const gumLine = await this.detectGumLine(imageData, options);
         return {
             line: gumLine,
             confidence: 0.85
         };
     }
 
-    detectGumLine(imageData) {
+    async detectGumLine(imageData, options = {}) {
         // Detect gum line using color segmentation
         // Gums typically have pinkish-red color
         const data = imageData.data;
@@ -306,7 +270,7 @@ class GumDetector {
         
         const gumPoints = [];
         
-        for (let y = 0; y < height; y++) {
+        await DetectorRegistry.scanRows(height, 1, (y) => {
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
                 const r = data[idx];
@@ -318,7 +282,7 @@ class GumDetector {
                     gumPoints.push([x, y]);
                 }
             }
-        }
+        }, options);
         
         return this.fitGumLine(gumPoints);
     }
@@ -414,15 +378,16 @@ class SmileZoneClassifier {
 
 // Plaque Detection
 class PlaqueDetector {
-    async detect(imageData) {
-        const plaque = this.detectPlaque(imageData);
+    // options.signal stops the pixel scan between chunks of rows; options.onProgress gets 0..1
+    async detect(imageData, options = {}) {
+        const plaque = await this.detectPlaque(imageData, options);
         return {
             areas: plaque,
             confidence: 0.7
         };
     }
 
-    detectPlaque(imageData) {
+    async detectPlaque(imageData, options = {}) {
         // Detect plaque based on color and texture
         // Plaque typically appears as yellowish/whitish deposits
         const data = imageData.data;
@@ -431,7 +396,7 @@ class PlaqueDetector {
         
         const plaqueAreas = [];
         
-        for (let y = 0; y < height; y += 10) {
+        await DetectorRegistry.scanRows(height, 10, (y) => {
             for (let x = 0; x < width; x += 10) {
                 const idx = (y * width + x) * 4;
                 const r = data[idx];
@@ -442,7 +407,7 @@ class PlaqueDetector {
                     plaqueAreas.push({ x, y, radius: 5 });
                 }
             }
-        }
+        }, options);
         
         return plaqueAreas;
     }
@@ -458,15 +423,16 @@ class PlaqueDetector {
 
 // Restoration Detection
 class RestorationDetector {
-    async detect(imageData) {
-        const restorations = this.detectRestorations(imageData);
+    // options.signal stops the pixel scan between chunks of rows; options.onProgress gets 0..1
+    async detect(imageData, options = {}) {
+        const restorations = await this.detectRestorations(imageData, options);
         return {
             areas: restorations,
             confidence: 0.6
         };
     }
 
-    detectRestorations(imageData) {
+    async detectRestorations(imageData, options = {}) {
         // Detect restorations based on metallic/unnatural colors
         const data = imageData.data;
         const width = imageData.width;
@@ -474,7 +440,7 @@ class RestorationDetector {
         
         const restorationAreas = [];
         
-        for (let y = 0; y < height; y += 10) {
+        await DetectorRegistry.scanRows(height, 10, (y) => {
             for (let x = 0; x < width; x += 10) {
                 const idx = (y * width + x) * 4;
                 const r = data[idx];
@@ -485,7 +451,7 @@ class RestorationDetector {
                     restorationAreas.push({ x, y, radius: 5 });
                 }
             }
-        }
+        }, options);
         
         return restorationAreas;
     }
@@ -502,6 +468,48 @@ class RestorationDetector {
     }
 }
 
+// Built-in detectors, registered under the keys the detection results have always used
+dentalDetectors.register({
+    id: 'teeth',
+    version: '2.0.0',
+    modelId: 'tooth-segmentation',
+    inputs: ['imageData', 'midlineX', 'arch', 'toothNumbering'],
+    outputs: { boundaries: 'array', count: 'number', confidence: 'number', method: 'string', width: 'number', height: 'number' },
+    detect: (imageData, options) => new ToothDetector({ toothNumbering: options.toothNumbering }).detect(imageData, options)
+});
+
+dentalDetectors.register({
+    id: 'gums',
+    version: '1.0.0',
+    modelId: 'gum-detection',
+    outputs: { line: 'object?', confidence: 'number' },
+    detect: (imageData, options) => new GumDetector().detect(imageData, options)
+});
+
+dentalDetectors.register({
+    id: 'smileZones',
+    version: '1.0.0',
+    modelId: 'smile-zones',
+    outputs: { anterior: 'object', posterior: 'object', confidence: 'number' },
+    detect: (imageData) => new SmileZoneClassifier().classify(imageData)
+});
+
+dentalDetectors.register({
+    id: 'plaque',
+    version: '1.0.0',
+    modelId: 'plaque-detection',
+    outputs: { areas: 'array', confidence: 'number' },
+    detect: (imageData, options) => new PlaqueDetector().detect(imageData, options)
+});
+
+dentalDetectors.register({
+    id: 'restorations',
+    version: '1.0.0',
+    modelId: 'restoration-detection',
+    outputs: { areas: 'array', confidence: 'number' },
+    detect: (imageData, options) => new RestorationDetector().detect(imageData, options)
+});
+
 // Export for use in main application
 window.MLIntegration = MLIntegration;
 window.ToothDetector = ToothDetector;
@@ -0,0 +1,231 @@
+// Model Loader for Dental Photo Editor
+// Pinned, locally hosted ML runtimes and model files from the site's manifest, integrity-checked
+// and cached by the service worker for offline use
+
+// A runtime or model that could not be loaded, named so the error handler can report it
+class ModelLoadError extends Error {
+    constructor(message, modelId, options = {}) {
+        super(message);
+        this.name = 'ModelLoadError';
+        this.modelId = modelId;
+        this.modelName = options.modelName || modelId;
+        this.version = options.version || null;
+        this.cause = options.cause || null;
+    }
+}
+
+class ModelLoader {
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || '/ml/manifest.json';
+        this.serviceWorkerUrl = options.serviceWorkerUrl || '/sw.js';
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.runtimeTimeout = options.runtimeTimeout || 30000;
+
+        this.manifest = null;
+        // Promises, so concurrent requests for one runtime or model share a single load
+        this.runtimes = new Map();
+        this.models = new Map();
+    }
+
+    // Fetch and check the manifest; every entry must pin an exact version
+    async loadManifest() {
+        let manifest;
+        try {
+            const response = await this.fetch(this.manifestUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            throw new ModelLoadError(`Model manifest could not be loaded: ${error.message}`, 'manifest', { modelName: 'Model manifest', cause: error });
+        }
+
+        if (manifest.format !== 'dental-ml-manifest') {
+            throw new ModelLoadError('Not a model manifest', 'manifest');
+        }
+        for (const [kind, entries] of [['runtime', manifest.runtimes || {}], ['model', manifest.models || {}]]) {
+            for (const [id, entry] of Object.entries(entries)) {
+                if (!/^\d+\.\d+\.\d+$/.test(entry.version || '')) {
+                    throw new ModelLoadError(`The ${kind} ${id} must pin an exact version, not "${entry.version}"`, id);
+                }
+                if (kind === 'model' && entry.runtime !== 'builtin' && !(manifest.runtimes || {})[entry.runtime]) {
+                    throw new ModelLoadError(`The model ${id} needs the unknown runtime ${entry.runtime}`, id, { version: entry.version });
+                }
+            }
+        }
+
+        this.manifest = manifest;
+        return manifest;
+    }
+
+    // Registry of models: id, name, version, runtime, input size and labels
+    listModels() {
+        this.requireManifest();
+        return Object.entries(this.manifest.models || {}).map(([id, entry]) => this.describeModel(id, entry));
+    }
+
+    getModel(id) {
+        this.requireManifest();
+        const entry = (this.manifest.models || {})[id];
+        return entry ? this.describeModel(id, entry) : null;
+    }
+
+    describeModel(id, entry) {
+        return {
+            id,
+            name: entry.name || id,
+            version: entry.version,
+            runtime: entry.runtime,
+            inputSize: entry.inputSize || null,
+            labels: entry.labels || []
+        };
+    }
+
+    requireManifest() {
+        if (!this.manifest) {
+            throw new ModelLoadError('Model manifest not loaded', 'manifest');
+        }
+    }
+
+    // Cache the runtimes and model files for offline use; the page works without it
+    async registerServiceWorker() {
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+            return null;
+        }
+        try {
+            return await navigator.serviceWorker.register(this.serviceWorkerUrl);
+        } catch (error) {
+            console.warn('ML service worker not registered:', error);
+            return null;
+        }
+    }
+
+    // Inject a runtime's script with its integrity hash and wait for its global
+    loadRuntime(id) {
+        if (!this.runtimes.has(id)) {
+            const loading = this.injectRuntime(id);
+            this.runtimes.set(id, loading);
+            // A failed load can be retried
+            loading.catch(() => this.runtimes.delete(id));
+        }
+        return this.runtimes.get(id);
+    }
+
+    async injectRuntime(id) {
+        this.requireManifest();
+        const entry = (this.manifest.runtimes || {})[id];
+        if (!entry) {
+            throw new ModelLoadError(`Unknown runtime ${id}`, id);
+        }
+        const details = { modelName: entry.name, version: entry.version };
+        this.checkIntegrity(entry.integrity, id, details, entry.url);
+
+        if (window[entry.global] && this.isRuntimeReady(window[entry.global])) {
+            return window[entry.global];
+        }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = entry.url;
+            script.integrity = entry.integrity;
+            script.crossOrigin = 'anonymous';
+            script.onload = resolve;
+            // Missing file, network failure or an integrity mismatch
+            script.onerror = () => reject(new ModelLoadError(
+                `${entry.name} ${entry.version} failed to load or did not match its integrity hash`, id, details
+            ));
+            document.head.appendChild(script);
+        });
+
+        return this.waitForRuntime(window[entry.global], id, details);
+    }
+
+    // OpenCV.js compiles its WebAssembly after the script runs
+    isRuntimeReady(runtime) {
+        return typeof runtime.getBuildInformation === 'function' || typeof runtime.Mat === 'function' || typeof runtime.tensor === 'function';
+    }
+
+    waitForRuntime(runtime, id, details) {
+        if (!runtime) {
+            return Promise.reject(new ModelLoadError(`${details.modelName} ${details.version} did not start`, id, details));
+        }
+        if (this.isRuntimeReady(runtime)) {
+            return Promise.resolve(runtime);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new ModelLoadError(`${details.modelName} ${details.version} did not initialize in time`, id, details));
+            }, this.runtimeTimeout);
+            runtime.onRuntimeInitialized = () => {
+                clearTimeout(timer);
+                resolve(runtime);
+            };
+        });
+    }
+
+    // Resolve a model from the registry, loading its runtime and (for TensorFlow.js graph models)
+    // its files, each fetched against the hash the manifest lists for it
+    loadModel(id) {
+        if (!this.models.has(id)) {
+            const loading = this.fetchModel(id);
+            this.models.set(id, loading);
+            loading.catch(() => this.models.delete(id));
+        }
+        return this.models.get(id);
+    }
+
+    async fetchModel(id) {
+        this.requireManifest();
+        const entry = (this.manifest.models || {})[id];
+        if (!entry) {
+            throw new ModelLoadError(`Unknown model ${id}`, id);
+        }
+        const info = this.describeModel(id, entry);
+        const details = { modelName: info.name, version: info.version };
+
+        if (entry.runtime === 'builtin') {
+            return { ...info, model: null };
+        }
+
+        let runtime;
+        try {
+            runtime = await this.loadRuntime(entry.runtime);
+        } catch (error) {
+            throw new ModelLoadError(`${info.name} ${info.version} needs ${error.modelName || entry.runtime}: ${error.message}`, id, { ...details, cause: error });
+        }
+
+        if (entry.runtime !== 'tfjs') {
+            return { ...info, model: runtime };
+        }
+
+        const files = entry.files || {};
+        const fileName = (url) => String(url).split('/').pop().split('?')[0];
+        this.checkIntegrity(files[fileName(entry.url)], id, details, entry.url);
+
+        try {
+            const model = await runtime.loadGraphModel(entry.url, {
+                fetchFunc: (url, init = {}) => {
+                    const integrity = files[fileName(url)];
+                    this.checkIntegrity(integrity, id, details, url);
+                    return this.fetch(url, { ...init, integrity });
+                }
+            });
+            return { ...info, model };
+        } catch (error) {
+            if (error instanceof ModelLoadError) throw error;
+            throw new ModelLoadError(`${info.name} ${info.version} failed to load: ${error.message}`, id, { ...details, cause: error });
+        }
+    }
+
+    // Nothing is loaded without a hash; a build that did not bundle the runtime leaves it empty
+    checkIntegrity(integrity, id, details, url) {
+        if (!/^sha(256|384|512)-[A-Za-z0-9+/]+={0,2}$/.test(integrity || '')) {
+            throw new ModelLoadError(`${details.modelName} ${details.version} has no integrity hash for ${url} - it is not bundled with this build`, id, details);
+        }
+    }
+}
+
+// Export for use in main application
+window.ModelLoader = ModelLoader;
+window.ModelLoadError = ModelLoadError;
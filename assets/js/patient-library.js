@@ -0,0 +1,411 @@
+// Patient and Case Library for Dental Photo Editor
+// Patients, visits, photo series and edited photos stored in IndexedDB
+
+class PatientLibrary {
+    constructor(dbName = 'dentalApp_patientLibrary') {
+        this.dbName = dbName;
+        this.version = 1;
+        this.db = null;
+        this.opening = null;
+
+        // Object stores and the parent ids each record is indexed by,
+        // so removing a patient, visit or series can cascade
+        this.stores = {
+            patients: [],
+            visits: ['patientId'],
+            series: ['patientId', 'visitId'],
+            photos: ['patientId', 'visitId', 'seriesId']
+        };
+
+        // Photo fields that describe how the original was edited
+        this.photoStateFields = ['recipe', 'annotations', 'measurements', 'detectionResults'];
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(this.stores).forEach(([name, indexes]) => {
+                        if (db.objectStoreNames.contains(name)) return;
+
+                        const store = db.createObjectStore(name, { keyPath: 'id' });
+                        indexes.forEach(index => store.createIndex(index, index));
+                    });
+                };
+
+                request.onsuccess = () => {
+                    this.db = request.result;
+
+                    // Let a newer version in another tab upgrade the schema
+                    this.db.onversionchange = () => this.close();
+                    resolve(this.db);
+                };
+
+                request.onerror = () => {
+                    this.opening = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.opening;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.opening = null;
+    }
+
+    // Queue requests in one transaction; resolves with queue()'s result once it commits
+    async run(storeNames, mode, queue) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = { value: undefined, error: null };
+
+            // queue() receives the stores plus a setter for values only known inside request callbacks
+            const stores = {};
+            [].concat(storeNames).forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+
+            const fail = (error) => {
+                result.error = error;
+                tx.abort();
+            };
+
+            const initial = queue(stores, (value) => { result.value = value; }, fail);
+            if (initial !== undefined) {
+                result.value = initial;
+            }
+
+            tx.oncomplete = () => {
+                const value = result.value;
+                resolve(value instanceof IDBRequest ? value.result : value);
+            };
+            tx.onabort = () => reject(result.error || tx.error || new Error('Library transaction was aborted'));
+        });
+    }
+
+    generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Collect every record whose index matches a value
+    getAllByIndex(store, indexName, value, onComplete) {
+        const records = [];
+        const request = store.index(indexName).openCursor(IDBKeyRange.only(value));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                records.push(cursor.value);
+                cursor.continue();
+            } else {
+                onComplete(records);
+            }
+        };
+    }
+
+    deleteByIndex(store, indexName, value) {
+        const request = store.index(indexName).openCursor(IDBKeyRange.only(value));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+
+    // Look a parent up inside the transaction and add the child record under it
+    addChild(storeNames, parentStore, parentId, buildRecord) {
+        const childStore = storeNames[storeNames.length - 1];
+
+        return this.run(storeNames, 'readwrite', (stores, setResult, fail) => {
+            const request = stores[parentStore].get(parentId);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    fail(new Error(`Record '${parentId}' not found in ${parentStore}`));
+                    return;
+                }
+
+                const record = buildRecord(request.result);
+                stores[childStore].add(record);
+                setResult(record);
+            };
+        });
+    }
+
+    // Merge changes into a stored record; ids and parent links never change
+    updateRecord(storeName, id, changes) {
+        return this.run(storeName, 'readwrite', (stores, setResult, fail) => {
+            const store = stores[storeName];
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    fail(new Error(`Record '${id}' not found in ${storeName}`));
+                    return;
+                }
+
+                const record = { ...request.result, ...changes, updatedAt: new Date().toISOString() };
+                record.id = id;
+                this.stores[storeName].forEach(parent => {
+                    record[parent] = request.result[parent];
+                });
+
+                store.put(record);
+                setResult(record);
+            };
+        });
+    }
+
+    getRecord(storeName, id) {
+        return this.run(storeName, 'readonly', (stores) => stores[storeName].get(id))
+            .then(record => record || null);
+    }
+
+    listRecords(storeName, indexName = null, value = null) {
+        return this.run(storeName, 'readonly', (stores, setResult) => {
+            if (!indexName) {
+                return stores[storeName].getAll();
+            }
+
+            this.getAllByIndex(stores[storeName], indexName, value, setResult);
+        });
+    }
+
+    // Patients
+    async createPatient(details = {}) {
+        const name = (details.name || '').trim();
+        if (!name) {
+            throw new Error('Patient name is required');
+        }
+
+        const now = new Date().toISOString();
+        const patient = {
+            id: this.generateId('patient'),
+            name,
+            chartNumber: details.chartNumber || null,
+            dateOfBirth: details.dateOfBirth || null,
+            notes: details.notes || '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.run('patients', 'readwrite', (stores) => stores.patients.add(patient));
+        return patient;
+    }
+
+    updatePatient(patientId, changes) {
+        return this.updateRecord('patients', patientId, changes);
+    }
+
+    getPatient(patientId) {
+        return this.getRecord('patients', patientId);
+    }
+
+    async listPatients() {
+        const patients = await this.listRecords('patients');
+        return patients.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    deletePatient(patientId) {
+        return this.run(['patients', 'visits', 'series', 'photos'], 'readwrite', (stores) => {
+            stores.patients.delete(patientId);
+            ['visits', 'series', 'photos'].forEach(name => this.deleteByIndex(stores[name], 'patientId', patientId));
+        });
+    }
+
+    // Visits
+    createVisit(patientId, details = {}) {
+        const now = new Date().toISOString();
+
+        return this.addChild(['patients', 'visits'], 'patients', patientId, () => ({
+            id: this.generateId('visit'),
+            patientId,
+            date: details.date || now.slice(0, 10),
+            reason: details.reason || '',
+            notes: details.notes || '',
+            createdAt: now,
+            updatedAt: now
+        }));
+    }
+
+    updateVisit(visitId, changes) {
+        return this.updateRecord('visits', visitId, changes);
+    }
+
+    getVisit(visitId) {
+        return this.getRecord('visits', visitId);
+    }
+
+    // Most recent visit first
+    async listVisits(patientId) {
+        const visits = await this.listRecords('visits', 'patientId', patientId);
+        return visits.sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+    }
+
+    deleteVisit(visitId) {
+        return this.run(['visits', 'series', 'photos'], 'readwrite', (stores) => {
+            stores.visits.delete(visitId);
+            ['series', 'photos'].forEach(name => this.deleteByIndex(stores[name], 'visitId', visitId));
+        });
+    }
+
+    // Photo series
+    createSeries(visitId, details = {}) {
+        const now = new Date().toISOString();
+
+        return this.addChild(['visits', 'series'], 'visits', visitId, (visit) => ({
+            id: this.generateId('series'),
+            patientId: visit.patientId,
+            visitId,
+            name: details.name || 'Photos',
+            protocol: details.protocol || null,
+            createdAt: now,
+            updatedAt: now
+        }));
+    }
+
+    updateSeries(seriesId, changes) {
+        return this.updateRecord('series', seriesId, changes);
+    }
+
+    getSeries(seriesId) {
+        return this.getRecord('series', seriesId);
+    }
+
+    async listSeries(visitId) {
+        const series = await this.listRecords('series', 'visitId', visitId);
+        return series.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    deleteSeries(seriesId) {
+        return this.run(['series', 'photos'], 'readwrite', (stores) => {
+            stores.series.delete(seriesId);
+            this.deleteByIndex(stores.photos, 'seriesId', seriesId);
+        });
+    }
+
+    // Photos keep the untouched original plus everything needed to rebuild the edit
+    async savePhoto(seriesId, photo) {
+        if (!(photo.blob instanceof Blob)) {
+            throw new Error('Photo original must be a Blob');
+        }
+
+        const now = new Date().toISOString();
+
+        return this.addChild(['series', 'photos'], 'series', seriesId, (series) => {
+            const record = {
+                id: this.generateId('photo'),
+                patientId: series.patientId,
+                visitId: series.visitId,
+                seriesId,
+                slot: photo.slot || null,
+                fileName: photo.fileName || 'photo',
+                mimeType: photo.blob.type || 'application/octet-stream',
+                size: photo.blob.size,
+                blob: photo.blob,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.photoStateFields.forEach(field => {
+                record[field] = photo[field] !== undefined ? photo[field] : null;
+            });
+
+            return record;
+        });
+    }
+
+    // Replace the edit state of a stored photo; the original blob is kept as captured
+    updatePhoto(photoId, changes) {
+        const allowed = {};
+        ['slot', 'fileName', ...this.photoStateFields].forEach(field => {
+            if (changes[field] !== undefined) allowed[field] = changes[field];
+        });
+
+        return this.updateRecord('photos', photoId, allowed);
+    }
+
+    getPhoto(photoId) {
+        return this.getRecord('photos', photoId);
+    }
+
+    async listPhotos(seriesId) {
+        const photos = await this.listRecords('photos', 'seriesId', seriesId);
+        return photos.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Every photo of a patient across visits and series, oldest first
+    async listPatientPhotos(patientId) {
+        const photos = await this.listRecords('photos', 'patientId', patientId);
+        return photos.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    deletePhoto(photoId) {
+        return this.run('photos', 'readwrite', (stores) => {
+            stores.photos.delete(photoId);
+        });
+    }
+
+    // Record counts and approximate bytes: photo blobs plus the JSON of every record
+    getUsage() {
+        const storeNames = Object.keys(this.stores);
+
+        return this.run(storeNames, 'readonly', (stores, setResult) => {
+            const usage = { bytes: 0, photoBytes: 0 };
+            let pending = storeNames.length;
+
+            storeNames.forEach(name => {
+                usage[name] = 0;
+                const request = stores[name].openCursor();
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        if (--pending === 0) setResult(usage);
+                        return;
+                    }
+
+                    const { blob, ...fields } = cursor.value;
+                    usage[name]++;
+                    usage.bytes += JSON.stringify(fields).length;
+                    if (blob) {
+                        usage.bytes += blob.size;
+                        usage.photoBytes += blob.size;
+                    }
+                    cursor.continue();
+                };
+            });
+        });
+    }
+}
+
+// Initialize patient library
+window.patientLibrary = new PatientLibrary();
+
+// Export for use in other modules
+window.PatientLibrary = PatientLibrary;
@@ -165,7 +165,8 @@ class MobilePerformanceOptimizer {
         return settings[level];
     }
 
-    // Optimize image processing
+    // Optimize image processing for interactive use. Exports skip it (optimizeSmartFunction
+    // with fullResolution), since downscaling loses clinical detail.
     optimizeImageProcessing(imageData) {
         const settings = this.performanceSettings;
         
@@ -411,9 +412,14 @@ class MobilePerformanceOptimizer {
 // Initialize performance optimizer
 window.mobilePerformanceOptimizer = new MobilePerformanceOptimizer();
 
-// Auto-optimization wrapper for smart functions
-function optimizeSmartFunction(originalFunction, optimizer) {
+// Auto-optimization wrapper for smart functions. options.fullResolution (exports) keeps the
+// input pixels and size as they are and lets the function take as long as it needs.
+function optimizeSmartFunction(originalFunction, optimizer, options = {}) {
     return async function(...args) {
+        if (options.fullResolution) {
+            return originalFunction.apply(this, args);
+        }
+        
         // Check if optimization is needed
         if (optimizer.frameRate < 30) {
             optimizer.optimizePerformance();
@@ -0,0 +1,187 @@
+// Clinical Photo Series for Dental Photo Editor
+// Standard documentation series with named slots, default framing and a completeness checklist
+
+class PhotoSeries {
+    constructor() {
+        // aspect is the long:short side ratio; orientation decides which side is long.
+        // flip undoes the reflection of views photographed through an intraoral mirror,
+        // and arch tells mirror-shot detection which way the incisors should face
+        this.protocols = {
+            'aacd-12': {
+                name: 'AACD 12-view series',
+                slots: [
+                    { id: 'full-face-smile', name: 'Full face smile', aspect: [3, 2], orientation: 'portrait', flip: null },
+                    { id: 'retracted-frontal', name: 'Retracted frontal 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'retracted-right', name: 'Retracted right lateral 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'retracted-left', name: 'Retracted left lateral 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'smile-frontal', name: 'Smile frontal 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'smile-right', name: 'Smile right lateral 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'smile-left', name: 'Smile left lateral 1:2', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'anterior-frontal', name: 'Retracted anterior 1:1', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'anterior-right', name: 'Retracted anterior right 1:1', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'anterior-left', name: 'Retracted anterior left 1:1', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'occlusal-upper', name: 'Maxillary occlusal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'vertical', arch: 'maxillary' },
+                    { id: 'occlusal-lower', name: 'Mandibular occlusal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'vertical', arch: 'mandibular' }
+                ]
+            },
+            'orthodontic-8': {
+                name: 'Orthodontic 8-view series',
+                slots: [
+                    { id: 'face-frontal', name: 'Extraoral frontal', aspect: [4, 3], orientation: 'portrait', flip: null },
+                    { id: 'face-smile', name: 'Extraoral smile', aspect: [4, 3], orientation: 'portrait', flip: null },
+                    { id: 'face-profile', name: 'Extraoral right profile', aspect: [4, 3], orientation: 'portrait', flip: null },
+                    { id: 'intraoral-frontal', name: 'Intraoral frontal', aspect: [3, 2], orientation: 'landscape', flip: null },
+                    { id: 'buccal-right', name: 'Right buccal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'horizontal' },
+                    { id: 'buccal-left', name: 'Left buccal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'horizontal' },
+                    { id: 'occlusal-upper', name: 'Maxillary occlusal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'vertical', arch: 'maxillary' },
+                    { id: 'occlusal-lower', name: 'Mandibular occlusal (mirror)', aspect: [3, 2], orientation: 'landscape', flip: 'vertical', arch: 'mandibular' }
+                ]
+            }
+        };
+
+        // Off-screen transform tools used to build each slot's default framing
+        this.transformTools = null;
+    }
+
+    getProtocol(protocolId) {
+        const protocol = this.protocols[protocolId];
+        if (!protocol) {
+            throw new Error(`Unknown photo series '${protocolId}'`);
+        }
+        return protocol;
+    }
+
+    getSlot(protocolId, slotId) {
+        const slot = this.getProtocol(protocolId).slots.find(item => item.id === slotId);
+        if (!slot) {
+            throw new Error(`Unknown slot '${slotId}' in ${this.protocols[protocolId].name}`);
+        }
+        return slot;
+    }
+
+    // Width:height of the slot's frame
+    getSlotAspect(slot) {
+        const [long, short] = slot.aspect;
+        return slot.orientation === 'portrait' ? short / long : long / short;
+    }
+
+    // Largest centered crop with the slot's aspect
+    getDefaultCrop(slot, width, height) {
+        const aspect = this.getSlotAspect(slot);
+        let cropWidth = width;
+        let cropHeight = width / aspect;
+
+        if (cropHeight > height) {
+            cropHeight = height;
+            cropWidth = height * aspect;
+        }
+
+        return {
+            x: (width - cropWidth) / 2,
+            y: (height - cropHeight) / 2,
+            width: cropWidth,
+            height: cropHeight
+        };
+    }
+
+    getTransformTools(width, height) {
+        if (!this.transformTools) {
+            const canvas = document.createElement('canvas');
+            this.transformTools = new ImageTransformTools(canvas, { keyboardShortcuts: false });
+        }
+
+        this.transformTools.canvas.width = width;
+        this.transformTools.canvas.height = height;
+        return this.transformTools;
+    }
+
+    // 'transform' edit step params giving a photo the slot's default flip and crop;
+    // a detected mirror correction replaces the default flip
+    createSlotTransform(slot, imageData, mirrorCorrection = null) {
+        const tools = this.getTransformTools(imageData.width, imageData.height);
+        tools.setOriginalImageData(imageData);
+
+        if (mirrorCorrection) {
+            tools.applyMirrorCorrection(mirrorCorrection);
+        } else if (slot.flip) {
+            tools.flipImage(slot.flip);
+        }
+        tools.cropArea = this.getDefaultCrop(slot, imageData.width, imageData.height);
+
+        return tools.getEditStepParams();
+    }
+
+    // Problems worth flagging on a filled slot
+    checkSlotPhoto(slot, photo) {
+        const warnings = [];
+        const source = photo.recipe && photo.recipe.source;
+
+        if (source && source.width && source.height) {
+            const orientation = source.width >= source.height ? 'landscape' : 'portrait';
+            if (orientation !== slot.orientation) {
+                warnings.push(`shot ${orientation}, expected ${slot.orientation}`);
+            }
+        }
+
+        return warnings;
+    }
+
+    // Slots in protocol order with their photo, plus what is still missing
+    getChecklist(protocolId, photos) {
+        const protocol = this.getProtocol(protocolId);
+
+        const slots = protocol.slots.map(slot => {
+            // The latest photo wins if a slot was filled more than once
+            const photo = photos
+                .filter(item => item.slot === slot.id)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+
+            return {
+                slot,
+                photo,
+                filled: photo !== null,
+                warnings: photo ? this.checkSlotPhoto(slot, photo) : []
+            };
+        });
+
+        const missing = slots.filter(entry => !entry.filled).map(entry => entry.slot);
+
+        return {
+            protocol: protocolId,
+            name: protocol.name,
+            slots,
+            filled: slots.length - missing.length,
+            total: slots.length,
+            missing,
+            complete: missing.length === 0
+        };
+    }
+
+    // Images for AdvancedExport.createPDFReport / batchExport, in slot order;
+    // renderPhoto(photo) resolves with the edited ImageData
+    async buildExportImages(checklist, renderPhoto) {
+        const images = [];
+
+        for (const entry of checklist.slots) {
+            if (!entry.filled) continue;
+
+            const { dimensions, smile, gingival } = entry.photo.measurements || {};
+            images.push({
+                filename: entry.slot.name,
+                slot: entry.slot.id,
+                data: await renderPhoto(entry.photo),
+                // Calibrated measurements and smile and gingival analyses stored with the photo, for the report
+                measurements: [
+                    ...(dimensions ? dimensions.report || [] : []),
+                    ...(smile ? smile.report || [] : []),
+                    ...(gingival ? gingival.report || [] : [])
+                ]
+            });
+        }
+
+        return images;
+    }
+}
+
+// Export for use in main application
+window.PhotoSeries = PhotoSeries;
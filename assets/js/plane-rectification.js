@@ -0,0 +1,203 @@
+// Planar Rectification for Dental Photo Editor
+// Four-point homography from a known rectangle, so measurements and images can be taken in the rectified plane
+
+class PlaneRectification {
+    constructor(options = {}) {
+        this.settings = {
+            maxMargin: 1,      // rectified images reach at most this many rectangle sizes past it
+            maxOutputSize: 4096,
+            ...options
+        };
+    }
+
+    // Rectification from the rectangle's corners clicked in order (top-left, top-right,
+    // bottom-right, bottom-left) and its size in mm; plain data so it can be stored with the photo
+    create(corners, width, height) {
+        if (corners.length !== 4) {
+            throw new Error('Mark all four corners of the rectangle');
+        }
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('The rectangle needs a width and height in mm');
+        }
+        this.checkQuadrilateral(corners);
+
+        const plane = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+
+        return {
+            corners: corners.map(point => ({ x: point.x, y: point.y })),
+            width,
+            height,
+            unit: 'mm',
+            // Image pixels to plane millimetres
+            matrix: this.computeHomography(corners, plane)
+        };
+    }
+
+    // Corners must go around a convex quadrilateral; a crossed order folds the plane
+    checkQuadrilateral(corners) {
+        const signs = corners.map((point, i) => {
+            const next = corners[(i + 1) % 4];
+            const after = corners[(i + 2) % 4];
+            return Math.sign((next.x - point.x) * (after.y - next.y) - (next.y - point.y) * (after.x - next.x));
+        });
+
+        if (signs.some(sign => sign === 0) || !signs.every(sign => sign === signs[0])) {
+            throw new Error('Mark the corners in order around the rectangle, with no three in a line');
+        }
+    }
+
+    // 3x3 homography (row-major, last entry 1) mapping each source point onto its target
+    computeHomography(source, target) {
+        const matrix = [];
+        const vector = [];
+
+        source.forEach(({ x, y }, i) => {
+            const { x: u, y: v } = target[i];
+            matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            vector.push(u);
+            matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            vector.push(v);
+        });
+
+        return [...this.solveLinearSystem(matrix, vector), 1];
+    }
+
+    // Gaussian elimination with partial pivoting
+    solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-12) {
+                throw new Error('Corners do not define a plane');
+            }
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k <= n; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = rows[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= rows[row][k] * solution[k];
+            }
+            solution[row] = sum / rows[row][row];
+        }
+        return solution;
+    }
+
+    apply(matrix, point) {
+        const w = matrix[6] * point.x + matrix[7] * point.y + matrix[8];
+        return {
+            x: (matrix[0] * point.x + matrix[1] * point.y + matrix[2]) / w,
+            y: (matrix[3] * point.x + matrix[4] * point.y + matrix[5]) / w
+        };
+    }
+
+    // Adjugate over determinant; apply() does not depend on the overall scale
+    invert(matrix) {
+        const [a, b, c, d, e, f, g, h, i] = matrix;
+        const adjugate = [
+            e * i - f * h, c * h - b * i, b * f - c * e,
+            f * g - d * i, a * i - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d
+        ];
+        const determinant = a * adjugate[0] + b * adjugate[3] + c * adjugate[6];
+        if (Math.abs(determinant) < 1e-12) {
+            throw new Error('Homography is not invertible');
+        }
+        return adjugate.map(value => value / determinant);
+    }
+
+    // The photo as seen square-on to the rectangle's plane. Resolution keeps the rectangle about as
+    // many pixels across as it had in the photo; the extent covers the photo, up to maxMargin
+    // rectangle sizes around it. Pixels outside the photo are transparent
+    rectifyImage(imageData, rectification, options = {}) {
+        const { width, height, matrix, corners } = rectification;
+        const inverse = this.invert(matrix);
+        const margin = options.maxMargin !== undefined ? options.maxMargin : this.settings.maxMargin;
+
+        const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+        const sidePixels = corners.reduce((sum, point, i) => sum + distance(point, corners[(i + 1) % 4]), 0);
+        let pixelsPerMm = options.pixelsPerMm || sidePixels / (2 * (width + height));
+
+        let minX = -margin * width, maxX = (1 + margin) * width;
+        let minY = -margin * height, maxY = (1 + margin) * height;
+        const imageCorners = [
+            { x: 0, y: 0 }, { x: imageData.width, y: 0 },
+            { x: imageData.width, y: imageData.height }, { x: 0, y: imageData.height }
+        ];
+        // A photo corner beyond the plane's horizon has no finite position, so keep the margin limits then
+        const depth = (point) => matrix[6] * point.x + matrix[7] * point.y + matrix[8];
+        const side = Math.sign(depth(corners[0]));
+        const inFront = imageCorners.every(point => Math.sign(depth(point)) === side);
+        if (inFront) {
+            const projected = imageCorners.map(point => this.apply(matrix, point));
+            minX = Math.max(minX, Math.min(...projected.map(point => point.x)));
+            maxX = Math.min(maxX, Math.max(...projected.map(point => point.x)));
+            minY = Math.max(minY, Math.min(...projected.map(point => point.y)));
+            maxY = Math.min(maxY, Math.max(...projected.map(point => point.y)));
+        }
+
+        const largest = Math.max(maxX - minX, maxY - minY) * pixelsPerMm;
+        if (largest > this.settings.maxOutputSize) {
+            pixelsPerMm *= this.settings.maxOutputSize / largest;
+        }
+
+        const outputWidth = Math.max(1, Math.round((maxX - minX) * pixelsPerMm));
+        const outputHeight = Math.max(1, Math.round((maxY - minY) * pixelsPerMm));
+        const output = new Uint8ClampedArray(outputWidth * outputHeight * 4);
+        const source = imageData.data;
+        const sourceWidth = imageData.width, sourceHeight = imageData.height;
+
+        for (let y = 0; y < outputHeight; y++) {
+            for (let x = 0; x < outputWidth; x++) {
+                const point = this.apply(inverse, {
+                    x: minX + (x + 0.5) / pixelsPerMm,
+                    y: minY + (y + 0.5) / pixelsPerMm
+                });
+                const sx = point.x - 0.5, sy = point.y - 0.5;
+                if (!(sx >= 0 && sy >= 0 && sx <= sourceWidth - 1 && sy <= sourceHeight - 1)) continue;
+
+                // Bilinear sample
+                const x0 = Math.floor(sx), y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, sourceWidth - 1), y1 = Math.min(y0 + 1, sourceHeight - 1);
+                const fx = sx - x0, fy = sy - y0;
+                const o = (y * outputWidth + x) * 4;
+
+                for (let channel = 0; channel < 4; channel++) {
+                    const top = source[(y0 * sourceWidth + x0) * 4 + channel] * (1 - fx) + source[(y0 * sourceWidth + x1) * 4 + channel] * fx;
+                    const bottom = source[(y1 * sourceWidth + x0) * 4 + channel] * (1 - fx) + source[(y1 * sourceWidth + x1) * 4 + channel] * fx;
+                    output[o + channel] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        return {
+            imageData: new ImageData(output, outputWidth, outputHeight),
+            pixelsPerMm,
+            // Plane position (mm) of the output's top-left corner
+            origin: { x: minX, y: minY }
+        };
+    }
+
+    describe(rectification) {
+        if (!rectification) {
+            return 'No plane rectification';
+        }
+        return `Rectified to the ${rectification.width} × ${rectification.height} ${rectification.unit} rectangle plane`;
+    }
+}
+
+// Export for use in main application
+window.PlaneRectification = PlaneRectification;
@@ -0,0 +1,755 @@
+// Shade Measurement Tool for Dental Photo Editor
+// Region-of-interest shade readings on the cervical, middle and incisal thirds of a tooth
+
+class ShadeMeasurementTool {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.shadeGuide = options.shadeGuide || new VITAShadeGuide(options.shadeSystem || 'classical');
+        this.colorScience = this.shadeGuide.colorScience;
+        this.toothNumbering = options.toothNumbering || null;
+        this.getSourceImageData = options.getSourceImageData ||
+            (() => this.canvas.getContext('2d').getImageData(0, 0, this.canvas.width, this.canvas.height));
+        this.onMeasurement = options.onMeasurement || null;
+        // Detected teeth ({ boundaries, width, height } from ToothDetector), used as outlines in auto mode
+        this.getDetectedTeeth = options.getDetectedTeeth || null;
+
+        // Overlay canvas stacked on top of the image
+        this.overlay = null;
+        this.overlayCtx = null;
+
+        // Interaction state
+        this.isActive = false;
+        this.mode = 'draw';
+        this.isDrawing = false;
+        this.currentOutline = [];
+        this.pendingToothNumber = null;
+
+        // Stored readings
+        this.measurements = [];
+        this.thirds = ['cervical', 'middle', 'incisal'];
+
+        this.settings = {
+            overlayOpacity: 0.35,
+            lineColor: '#0ea5e9',
+            lineWidth: 2,
+            fontSize: 12,
+            fontFamily: 'Arial',
+            autoToleranceDeltaE: 9,
+            maxAutoRegion: 0.25, // fraction of the image
+            minPixels: 30
+        };
+
+        this.thirdColors = {
+            cervical: '#f97316',
+            middle: '#22c55e',
+            incisal: '#3b82f6'
+        };
+
+        this.handlers = {
+            down: (e) => this.handlePointerDown(e),
+            move: (e) => this.handlePointerMove(e),
+            up: (e) => this.handlePointerUp(e)
+        };
+    }
+
+    // Start drawing ('draw') or tap-to-place ('auto') on the image
+    activate(mode = 'draw', toothNumber = null) {
+        this.mode = mode;
+        this.pendingToothNumber = toothNumber;
+
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+
+        this.syncOverlaySize();
+        this.overlay.style.pointerEvents = 'auto';
+        this.overlay.style.cursor = 'crosshair';
+
+        if (!this.isActive) {
+            this.overlay.addEventListener('pointerdown', this.handlers.down);
+            this.overlay.addEventListener('pointermove', this.handlers.move);
+            this.overlay.addEventListener('pointerup', this.handlers.up);
+            this.overlay.addEventListener('pointerleave', this.handlers.up);
+            this.isActive = true;
+        }
+
+        if (typeof showToast === 'function') {
+            showToast(mode === 'auto' ? 'Tap a tooth to place the outline' : 'Draw around the tooth outline');
+        }
+    }
+
+    deactivate() {
+        if (!this.overlay || !this.isActive) return;
+
+        this.overlay.removeEventListener('pointerdown', this.handlers.down);
+        this.overlay.removeEventListener('pointermove', this.handlers.move);
+        this.overlay.removeEventListener('pointerup', this.handlers.up);
+        this.overlay.removeEventListener('pointerleave', this.handlers.up);
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.cursor = '';
+
+        this.isActive = false;
+        this.isDrawing = false;
+        this.currentOutline = [];
+        this.render();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'shade-measurement-overlay';
+        this.overlay.style.position = 'absolute';
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.touchAction = 'none';
+        this.overlayCtx = this.overlay.getContext('2d');
+
+        this.canvas.parentNode.appendChild(this.overlay);
+    }
+
+    syncOverlaySize() {
+        if (!this.overlay) return;
+
+        this.overlay.width = this.canvas.width;
+        this.overlay.height = this.canvas.height;
+        this.overlay.style.left = `${this.canvas.offsetLeft}px`;
+        this.overlay.style.top = `${this.canvas.offsetTop}px`;
+        this.overlay.style.width = `${this.canvas.clientWidth}px`;
+        this.overlay.style.height = `${this.canvas.clientHeight}px`;
+        this.render();
+    }
+
+    getPointerPos(e) {
+        const rect = this.overlay.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.overlay.width / rect.width),
+            y: (e.clientY - rect.top) * (this.overlay.height / rect.height)
+        };
+    }
+
+    handlePointerDown(e) {
+        e.preventDefault();
+        const pos = this.getPointerPos(e);
+
+        if (this.mode === 'auto') {
+            const imageData = this.getSourceImageData();
+            const detected = this.findDetectedTooth(imageData, pos);
+            const outline = detected ? detected.outline : this.autoPlaceOutline(imageData, pos);
+
+            if (!outline) {
+                if (typeof showToast === 'function') {
+                    showToast('No tooth found at that point - try drawing the outline');
+                }
+                return;
+            }
+
+            this.completeOutline(outline, detected ? detected.toothNumber : null);
+            return;
+        }
+
+        this.isDrawing = true;
+        this.currentOutline = [pos];
+        this.overlay.setPointerCapture && this.overlay.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (!this.isDrawing) return;
+
+        const pos = this.getPointerPos(e);
+        const last = this.currentOutline[this.currentOutline.length - 1];
+
+        // Skip points closer than 2px to keep the outline light
+        if (Math.hypot(pos.x - last.x, pos.y - last.y) >= 2) {
+            this.currentOutline.push(pos);
+            this.render();
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.isDrawing) return;
+
+        this.isDrawing = false;
+        const outline = this.currentOutline;
+        this.currentOutline = [];
+
+        if (outline.length < 3) {
+            this.render();
+            return;
+        }
+
+        this.completeOutline(outline);
+    }
+
+    // A tooth number chosen before placing the outline wins over the detected one
+    completeOutline(outline, detectedToothNumber = null) {
+        try {
+            const record = this.measureOutline(this.getSourceImageData(), outline, {
+                toothNumber: this.pendingToothNumber !== null ? this.pendingToothNumber : detectedToothNumber
+            });
+            this.addMeasurement(record);
+
+            if (this.onMeasurement) {
+                this.onMeasurement(record);
+            }
+        } catch (error) {
+            console.error('Shade measurement failed:', error);
+            if (typeof showToast === 'function') {
+                showToast('Shade measurement failed: ' + error.message);
+            }
+        }
+
+        this.render();
+    }
+
+    // Detected tooth mask under the point, with its number in the chart's current system
+    findDetectedTooth(imageData, point) {
+        const teeth = this.getDetectedTeeth ? this.getDetectedTeeth() : null;
+        if (!teeth || !teeth.boundaries || teeth.width !== imageData.width || teeth.height !== imageData.height) {
+            return null;
+        }
+
+        for (const tooth of teeth.boundaries) {
+            const outline = tooth.points.map(([x, y]) => ({ x, y }));
+            if (outline.length < 3 || !this.pointInPolygon(point.x, point.y, outline)) continue;
+
+            let toothNumber = null;
+            if (tooth.fdi !== undefined) {
+                toothNumber = this.toothNumbering ? this.toothNumbering.getToothNumber(tooth.fdi, 'fdi') : tooth.fdi;
+            }
+            return { outline, toothNumber };
+        }
+
+        return null;
+    }
+
+    // Grow a tooth region from a seed point by CIELAB similarity and return its convex outline
+    autoPlaceOutline(imageData, seed = null) {
+        const { width, height, data } = imageData;
+        const start = seed ? { x: Math.round(seed.x), y: Math.round(seed.y) } : this.findToothSeed(imageData);
+
+        if (!start || start.x < 0 || start.y < 0 || start.x >= width || start.y >= height) {
+            return null;
+        }
+
+        const labAt = (index) => this.colorScience.rgbToLab(data[index * 4], data[index * 4 + 1], data[index * 4 + 2]);
+        const seedLab = this.averageLab(imageData, start.x, start.y, 2);
+
+        if (!this.isToothLab(seedLab)) {
+            return null;
+        }
+
+        const tolerance = this.settings.autoToleranceDeltaE;
+        const maxPixels = width * height * this.settings.maxAutoRegion;
+        const visited = new Uint8Array(width * height);
+        const stack = [start.y * width + start.x];
+        const region = [];
+        visited[stack[0]] = 1;
+
+        while (stack.length > 0 && region.length <= maxPixels) {
+            const index = stack.pop();
+            const lab = labAt(index);
+
+            if (!this.isToothLab(lab) || this.colorScience.deltaE2000(lab, seedLab) > tolerance) {
+                continue;
+            }
+
+            region.push(index);
+            const x = index % width;
+            const y = (index - x) / width;
+
+            if (x > 0 && !visited[index - 1]) { visited[index - 1] = 1; stack.push(index - 1); }
+            if (x < width - 1 && !visited[index + 1]) { visited[index + 1] = 1; stack.push(index + 1); }
+            if (y > 0 && !visited[index - width]) { visited[index - width] = 1; stack.push(index - width); }
+            if (y < height - 1 && !visited[index + width]) { visited[index + width] = 1; stack.push(index + width); }
+        }
+
+        // Too small to be a tooth, or leaked into the whole image
+        if (region.length < this.settings.minPixels || region.length > maxPixels) {
+            return null;
+        }
+
+        // Hull of the corners of boundary pixels, so the outline encloses whole pixels
+        const inRegion = new Uint8Array(width * height);
+        region.forEach(index => { inRegion[index] = 1; });
+
+        const corners = [];
+        region.forEach(index => {
+            const x = index % width;
+            const y = (index - x) / width;
+            const interior = x > 0 && x < width - 1 && y > 0 && y < height - 1 &&
+                inRegion[index - 1] && inRegion[index + 1] && inRegion[index - width] && inRegion[index + width];
+
+            if (!interior) {
+                corners.push({ x, y }, { x: x + 1, y }, { x, y: y + 1 }, { x: x + 1, y: y + 1 });
+            }
+        });
+
+        return this.convexHull(corners);
+    }
+
+    // Tooth-like pixel closest to the image center
+    findToothSeed(imageData) {
+        const { width, height, data } = imageData;
+        const cx = width / 2;
+        const cy = height / 2;
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let y = 0; y < height; y += 4) {
+            for (let x = 0; x < width; x += 4) {
+                const i = (y * width + x) * 4;
+                const lab = this.colorScience.rgbToLab(data[i], data[i + 1], data[i + 2]);
+                if (!this.isToothLab(lab)) continue;
+
+                const distance = Math.hypot(x - cx, y - cy);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = { x, y };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Light, low-chroma, yellowish colors
+    isToothLab(lab) {
+        const chroma = Math.hypot(lab.a, lab.b);
+        return lab.L >= 50 && chroma <= 40 && lab.b >= -5 && lab.a <= 15;
+    }
+
+    averageLab(imageData, cx, cy, radius) {
+        const { width, height, data } = imageData;
+        let sumR = 0, sumG = 0, sumB = 0, count = 0;
+
+        for (let y = Math.max(0, cy - radius); y <= Math.min(height - 1, cy + radius); y++) {
+            for (let x = Math.max(0, cx - radius); x <= Math.min(width - 1, cx + radius); x++) {
+                const i = (y * width + x) * 4;
+                sumR += data[i];
+                sumG += data[i + 1];
+                sumB += data[i + 2];
+                count++;
+            }
+        }
+
+        return this.colorScience.rgbToLab(sumR / count, sumG / count, sumB / count);
+    }
+
+    // Andrew's monotone chain
+    convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    // Pixel indices inside a polygon outline
+    rasterizeOutline(outline, width, height) {
+        const xs = outline.map(p => p.x);
+        const ys = outline.map(p => p.y);
+        const minX = Math.max(0, Math.floor(Math.min(...xs)));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(...xs)));
+        const minY = Math.max(0, Math.floor(Math.min(...ys)));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(...ys)));
+        const indices = [];
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                if (this.pointInPolygon(x + 0.5, y + 0.5, outline)) {
+                    indices.push(y * width + x);
+                }
+            }
+        }
+
+        return indices;
+    }
+
+    pointInPolygon(x, y, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    // Long axis of the region (principal component), oriented from cervical to incisal.
+    // Upper teeth have the gum above the crown, lower teeth below it.
+    computeToothAxis(indices, width, arch = 'maxillary') {
+        let sumX = 0, sumY = 0;
+        indices.forEach(index => {
+            sumX += index % width;
+            sumY += Math.floor(index / width);
+        });
+        const origin = { x: sumX / indices.length, y: sumY / indices.length };
+
+        let sxx = 0, syy = 0, sxy = 0;
+        indices.forEach(index => {
+            const dx = index % width - origin.x;
+            const dy = Math.floor(index / width) - origin.y;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        });
+
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        let direction = { x: Math.cos(angle), y: Math.sin(angle) };
+
+        // Crowns wider than tall (or nearly round) are split vertically
+        if (Math.abs(direction.y) < Math.abs(direction.x)) {
+            direction = { x: 0, y: 1 };
+        }
+
+        const incisalDown = arch !== 'mandibular';
+        if ((direction.y > 0) !== incisalDown) {
+            direction = { x: -direction.x, y: -direction.y };
+        }
+
+        let tMin = Infinity, tMax = -Infinity;
+        indices.forEach(index => {
+            const t = (index % width - origin.x) * direction.x + (Math.floor(index / width) - origin.y) * direction.y;
+            tMin = Math.min(tMin, t);
+            tMax = Math.max(tMax, t);
+        });
+
+        return { origin, direction, tMin, tMax };
+    }
+
+    // Measure mean L*a*b*, spread and closest shade for each third of an outline
+    measureOutline(imageData, outline, options = {}) {
+        const { width, height } = imageData;
+        const indices = this.rasterizeOutline(outline, width, height);
+
+        if (indices.length < this.settings.minPixels) {
+            throw new Error('Outline is too small to measure');
+        }
+
+        const toothNumber = this.normalizeToothNumber(options.toothNumber);
+        const arch = options.arch || this.getToothArch(toothNumber);
+        const axis = this.computeToothAxis(indices, width, arch);
+        const span = (axis.tMax - axis.tMin) || 1;
+
+        const groups = { cervical: [], middle: [], incisal: [] };
+        indices.forEach(index => {
+            const t = (index % width - axis.origin.x) * axis.direction.x +
+                      (Math.floor(index / width) - axis.origin.y) * axis.direction.y;
+            const third = Math.min(2, Math.floor(((t - axis.tMin) / span) * 3));
+            groups[this.thirds[third]].push(index);
+        });
+
+        const thirds = {};
+        this.thirds.forEach(name => {
+            thirds[name] = this.computeStatistics(imageData, groups[name]);
+        });
+
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            toothNumber,
+            numberingSystem: this.toothNumbering ? this.toothNumbering.currentSystem : null,
+            arch,
+            shadeSystem: this.shadeGuide.system,
+            outline: outline.map(p => ({ x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 })),
+            axis,
+            thirds,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    computeStatistics(imageData, indices) {
+        if (indices.length === 0) {
+            return { pixelCount: 0, lab: null, std: null, shade: null, deltaE: null, candidates: [] };
+        }
+
+        const data = imageData.data;
+        const sum = { L: 0, a: 0, b: 0 };
+        const sumSquares = { L: 0, a: 0, b: 0 };
+
+        indices.forEach(index => {
+            const i = index * 4;
+            const lab = this.colorScience.rgbToLab(data[i], data[i + 1], data[i + 2]);
+
+            for (const channel of ['L', 'a', 'b']) {
+                sum[channel] += lab[channel];
+                sumSquares[channel] += lab[channel] * lab[channel];
+            }
+        });
+
+        const count = indices.length;
+        const lab = {};
+        const std = {};
+        for (const channel of ['L', 'a', 'b']) {
+            lab[channel] = sum[channel] / count;
+            std[channel] = Math.sqrt(Math.max(0, sumSquares[channel] / count - lab[channel] * lab[channel]));
+        }
+
+        const candidates = this.shadeGuide.rankShades(lab, 3);
+
+        return {
+            pixelCount: count,
+            lab,
+            std,
+            shade: candidates[0].shade,
+            deltaE: candidates[0].deltaE,
+            candidates
+        };
+    }
+
+    normalizeToothNumber(toothNumber) {
+        if (toothNumber === null || toothNumber === undefined || toothNumber === '') return null;
+        return /^\d+$/.test(String(toothNumber)) ? parseInt(toothNumber, 10) : String(toothNumber);
+    }
+
+    // Arch of a tooth in the current numbering system
+    getToothArch(toothNumber) {
+        if (!this.toothNumbering || toothNumber === null) return 'maxillary';
+
+        const system = this.toothNumbering.systems[this.toothNumbering.currentSystem];
+        for (const dentition of ['adult', 'primary']) {
+            for (const [arch, sides] of Object.entries(system[dentition] || {})) {
+                for (const teeth of Object.values(sides)) {
+                    if (teeth.includes(toothNumber)) return arch;
+                }
+            }
+        }
+
+        return 'maxillary';
+    }
+
+    // Keep a reading and attach it to the tooth's annotation
+    addMeasurement(record) {
+        this.measurements.push(record);
+
+        if (this.toothNumbering && record.toothNumber !== null) {
+            const annotation = this.toothNumbering.addToothAnnotation(
+                record.toothNumber,
+                record.axis.origin,
+                this.describeMeasurement(record)
+            );
+            annotation.shadeMeasurementId = record.id;
+            annotation.shades = {};
+            this.thirds.forEach(name => {
+                annotation.shades[name] = record.thirds[name].shade;
+            });
+        }
+
+        return record;
+    }
+
+    removeMeasurement(id) {
+        this.measurements = this.measurements.filter(record => record.id !== id);
+
+        if (this.toothNumbering) {
+            this.toothNumbering.annotations = this.toothNumbering.annotations.filter(
+                annotation => annotation.shadeMeasurementId !== id
+            );
+        }
+
+        this.render();
+    }
+
+    clearMeasurements() {
+        const ids = new Set(this.measurements.map(record => record.id));
+        this.measurements = [];
+
+        if (this.toothNumbering) {
+            this.toothNumbering.annotations = this.toothNumbering.annotations.filter(
+                annotation => !ids.has(annotation.shadeMeasurementId)
+            );
+        }
+
+        this.render();
+    }
+
+    describeMeasurement(record) {
+        return this.thirds
+            .map(name => {
+                const third = record.thirds[name];
+                return third.shade ? `${name} ${third.shade} (ΔE ${third.deltaE.toFixed(1)})` : `${name} -`;
+            })
+            .join(', ');
+    }
+
+    render() {
+        if (!this.overlayCtx) return;
+
+        const ctx = this.overlayCtx;
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        this.drawShadeMap(ctx, this.measurements);
+
+        // Outline being drawn
+        if (this.currentOutline.length > 1) {
+            ctx.save();
+            ctx.strokeStyle = this.settings.lineColor;
+            ctx.lineWidth = this.settings.lineWidth;
+            ctx.setLineDash([6, 4]);
+            this.tracePath(ctx, this.currentOutline, false);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    tracePath(ctx, points, close = true) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        if (close) ctx.closePath();
+    }
+
+    // Thirds filled inside each outline, with the shade and ΔE labelled
+    drawShadeMap(ctx, records) {
+        records.forEach(record => {
+            const { origin, direction, tMin, tMax } = record.axis;
+            const normal = { x: -direction.y, y: direction.x };
+            const reach = Math.max(this.canvas.width, this.canvas.height);
+            const step = (tMax - tMin) / 3;
+
+            ctx.save();
+            this.tracePath(ctx, record.outline);
+            ctx.clip();
+
+            this.thirds.forEach((name, i) => {
+                const t0 = tMin + step * i;
+                const t1 = tMin + step * (i + 1);
+                const corner = (t, side) => ({
+                    x: origin.x + direction.x * t + normal.x * reach * side,
+                    y: origin.y + direction.y * t + normal.y * reach * side
+                });
+
+                ctx.globalAlpha = this.settings.overlayOpacity;
+                ctx.fillStyle = this.thirdColors[name];
+                this.tracePath(ctx, [corner(t0, -1), corner(t0, 1), corner(t1, 1), corner(t1, -1)]);
+                ctx.fill();
+            });
+            ctx.restore();
+
+            ctx.save();
+            ctx.strokeStyle = this.settings.lineColor;
+            ctx.lineWidth = this.settings.lineWidth;
+            this.tracePath(ctx, record.outline);
+            ctx.stroke();
+
+            ctx.font = `bold ${this.settings.fontSize}px ${this.settings.fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillStyle = '#ffffff';
+
+            this.thirds.forEach((name, i) => {
+                const third = record.thirds[name];
+                if (!third.shade) return;
+
+                const t = tMin + step * (i + 0.5);
+                const x = origin.x + direction.x * t;
+                const y = origin.y + direction.y * t;
+                const label = `${third.shade} ΔE${third.deltaE.toFixed(1)}`;
+                ctx.strokeText(label, x, y);
+                ctx.fillText(label, x, y);
+            });
+
+            if (record.toothNumber !== null) {
+                const top = record.outline.reduce((a, b) => (a.y < b.y ? a : b));
+                const label = `#${record.toothNumber}`;
+                ctx.strokeText(label, top.x, top.y - this.settings.fontSize);
+                ctx.fillText(label, top.x, top.y - this.settings.fontSize);
+            }
+
+            ctx.restore();
+        });
+    }
+
+    // Transparent shade map at image resolution
+    createShadeMapOverlay(width = this.canvas.width, height = this.canvas.height) {
+        const overlay = document.createElement('canvas');
+        overlay.width = width;
+        overlay.height = height;
+        this.drawShadeMap(overlay.getContext('2d'), this.measurements);
+        return overlay;
+    }
+
+    // PNG of the shade map, over the photo unless overlayOnly is set
+    async exportShadeMap(overlayOnly = false) {
+        const output = document.createElement('canvas');
+        output.width = this.canvas.width;
+        output.height = this.canvas.height;
+        const ctx = output.getContext('2d');
+
+        if (!overlayOnly) {
+            ctx.drawImage(this.canvas, 0, 0);
+        }
+        ctx.drawImage(this.createShadeMapOverlay(), 0, 0);
+
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create shade map')), 'image/png');
+        });
+    }
+
+    // Readings as plain data (for reports and persistence)
+    exportMeasurements() {
+        return {
+            shadeSystem: this.shadeGuide.system,
+            numberingSystem: this.toothNumbering ? this.toothNumbering.currentSystem : null,
+            measurements: this.measurements,
+            canvasWidth: this.canvas.width,
+            canvasHeight: this.canvas.height,
+            timestamp: Date.now()
+        };
+    }
+
+    // Restore readings, rescaling outlines when the photo is shown at a different size
+    importMeasurements(data) {
+        const scale = data.canvasWidth ? this.canvas.width / data.canvasWidth : 1;
+
+        this.clearMeasurements();
+        (data.measurements || []).forEach(record => {
+            if (scale !== 1) {
+                record = {
+                    ...record,
+                    outline: record.outline.map(p => ({ x: p.x * scale, y: p.y * scale })),
+                    axis: {
+                        ...record.axis,
+                        origin: { x: record.axis.origin.x * scale, y: record.axis.origin.y * scale },
+                        tMin: record.axis.tMin * scale,
+                        tMax: record.axis.tMax * scale
+                    }
+                };
+            }
+            this.addMeasurement(record);
+        });
+
+        // The shade map needs its overlay even if the tool was never activated
+        if (!this.overlay && this.measurements.length > 0 && this.canvas.parentNode) {
+            this.createOverlay();
+            this.syncOverlaySize();
+        }
+        this.render();
+    }
+}
+
+// Export for use in main application
+window.ShadeMeasurementTool = ShadeMeasurementTool;
@@ -2,8 +2,11 @@
 // AI-powered content-aware enhancement with professional dental standards
 
 class SmartEnhancementEngine {
-    constructor() {
+    constructor(shadeSystem = 'classical') {
         this.detectionResults = null;
+        // Label map rasterized from the detected tooth polygons, rebuilt when the results change
+        this.toothMask = null;
+        this.shadeGuide = new VITAShadeGuide(shadeSystem);
         this.vitaShades = this.loadVITAShades();
         this.enhancementSettings = {
             whitening: { strength: 0, preserveShades: true },
@@ -11,47 +14,108 @@ class SmartEnhancementEngine {
             noise: { adaptive: true, cameraProfile: null },
             specular: { smart: true, preserveDetails: true }
         };
+        // Reference-based correction from ColorCalibration, when one has been measured
+        this.colorCalibration = null;
+        this.calibrator = null;
+        // ImageWorkerPool that runs applySmartEnhancement off the main thread, when set
+        this.workerPool = null;
     }
 
+    // sRGB display values of the active shade system, derived from its L*a*b* references
     loadVITAShades() {
-        return {
-            // VITA Classical shades
-            A1: { r: 255, g: 248, b: 240, name: "A1 - Lightest" },
-            A2: { r: 255, g: 245, b: 230, name: "A2 - Light" },
-            A3: { r: 255, g: 240, b: 220, name: "A3 - Medium" },
-            A3.5: { r: 255, g: 235, b: 210, name: "A3.5 - Medium Dark" },
-            A4: { r: 255, g: 230, b: 200, name: "A4 - Dark" },
-            
-            B1: { r: 255, g: 248, b: 235, name: "B1 - Lightest" },
-            B2: { r: 255, g: 243, b: 225, name: "B2 - Light" },
-            B3: { r: 255, g: 238, b: 215, name: "B3 - Medium" },
-            B4: { r: 255, g: 233, b: 205, name: "B4 - Dark" },
-            
-            C1: { r: 255, g: 245, b: 220, name: "C1 - Lightest" },
-            C2: { r: 255, g: 240, b: 210, name: "C2 - Light" },
-            C3: { r: 255, g: 235, b: 200, name: "C3 - Medium" },
-            C4: { r: 255, g: 230, b: 190, name: "C4 - Dark" },
-            
-            D1: { r: 255, g: 243, b: 215, name: "D1 - Lightest" },
-            D2: { r: 255, g: 238, b: 205, name: "D2 - Light" },
-            D3: { r: 255, g: 233, b: 195, name: "D3 - Medium" },
-            D4: { r: 255, g: 228, b: 185, name: "D4 - Dark" }
-        };
+        const shades = {};
+
+        for (const [name, lab] of Object.entries(this.shadeGuide.getShades())) {
+            const rgb = this.shadeGuide.getShadeRGB(name);
+            shades[name] = { ...rgb, lab, name };
+        }
+
+        return shades;
+    }
+
+    // Switch between the classical, 3d_master and bleached guides
+    setShadeSystem(system) {
+        this.shadeGuide.setSystem(system);
+        this.vitaShades = this.loadVITAShades();
+    }
+
+    // Use a grey card / white target / shade tab calibration instead of the histogram guess
+    setColorCalibration(calibration) {
+        this.colorCalibration = calibration;
+        if (calibration && !this.calibrator) {
+            this.calibrator = new ColorCalibration(this.shadeGuide);
+        }
+    }
+
+    setWorkerPool(pool) {
+        this.workerPool = pool;
     }
 
     setDetectionResults(results) {
         this.detectionResults = results;
+        this.toothMask = null;
+    }
+
+    // Detected tooth masks for an image of this size, or null when there are none for it
+    // (not detected yet, or detected before a crop or resize)
+    getToothMask(width, height) {
+        const teeth = this.detectionResults && this.detectionResults.teeth;
+        if (!teeth || !teeth.boundaries || teeth.boundaries.length === 0 || typeof ToothSegmentation === 'undefined' ||
+            teeth.width !== width || teeth.height !== height) {
+            return null;
+        }
+
+        if (!this.toothMask) {
+            this.toothMask = new ToothSegmentation({ colorScience: this.shadeGuide.colorScience })
+                .rasterize(teeth.boundaries.map(tooth => tooth.points), width, height);
+        }
+        return this.toothMask;
+    }
+
+    // Tooth test for the pixels of imageData: the detected masks when there are any, else the HSV test
+    createToothTest(imageData) {
+        const mask = this.getToothMask(imageData.width, imageData.height);
+        return mask
+            ? (r, g, b, index) => mask[index] > 0
+            : (r, g, b) => this.isToothPixel(r, g, b);
     }
 
     async applySmartEnhancement(imageData, options = {}) {
-        const enhancedData = new ImageData(
-            new Uint8ClampedArray(imageData.data),
-            imageData.width,
-            imageData.height
-        );
+        // The worker gets its own copy of the pixels plus the engine state the enhancement reads;
+        // options.signal cancels it
+        if (this.workerPool && this.workerPool.threaded) {
+            const { signal, ...workerOptions } = options;
+            const teeth = this.detectionResults && this.detectionResults.teeth;
+            return this.workerPool.run('smart-enhancement', new ImageData(
+                new Uint8ClampedArray(imageData.data),
+                imageData.width,
+                imageData.height
+            ), {
+                shadeSystem: this.shadeGuide.system,
+                detectionResults: teeth ? { teeth } : null,
+                colorCalibration: this.colorCalibration,
+                options: workerOptions
+            }, { signal });
+        }
+
+        // Calibration comes first so every later step sees reference-corrected color
+        const calibration = options.colorCalibration || this.colorCalibration;
+        if (calibration && !this.calibrator) {
+            this.calibrator = new ColorCalibration(this.shadeGuide);
+        }
 
-        // Apply enhancements in order
-        if (options.smartWhitening || options.whitening > 0) {
+        const enhancedData = calibration
+            ? this.calibrator.applyCorrection(imageData, calibration.matrix)
+            : new ImageData(
+                new Uint8ClampedArray(imageData.data),
+                imageData.width,
+                imageData.height
+            );
+
+        // Apply enhancements in order; shade matching takes the teeth the whole step to the chosen tab
+        if (options.targetShade) {
+            this.applySmartWhitening(enhancedData, 100, options.targetShade);
+        } else if (options.smartWhitening || options.whitening > 0) {
             this.applySmartWhitening(enhancedData, options.whitening || 50);
         }
 
@@ -67,33 +131,44 @@ class SmartEnhancementEngine {
             this.applySmartSpecularControl(enhancedData, options.specular || -20);
         }
 
-        if (options.colorCorrection) {
+        if (options.colorCorrection && !calibration) {
             this.applyColorCorrection(enhancedData);
         }
 
         return enhancedData;
     }
 
-    applySmartWhitening(imageData, strength) {
+    // Whiten toward a lighter tab, or toward targetShade (a tab name) when one is given
+    applySmartWhitening(imageData, strength, targetShade = null) {
         const data = imageData.data;
         const factor = strength / 100;
+        const targetLab = targetShade ? this.getShadeLab(targetShade) : null;
+        if (targetShade && !targetLab) {
+            throw new Error(`Unknown shade '${targetShade}'`);
+        }
 
-        // Analyze current tooth shades
-        const currentShades = this.analyzeToothShades(imageData);
+        const isTooth = this.createToothTest(imageData);
+        // The new color depends only on the old one, so each distinct color is matched once
+        const shifted = new Map();
         
         for (let i = 0; i < data.length; i += 4) {
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
-            const a = data[i + 3];
 
             // Check if pixel is in tooth region
-            if (this.isToothPixel(r, g, b)) {
-                const closestShade = this.findClosestVITAShade(r, g, b);
-                const targetShade = this.getTargetWhitenedShade(closestShade, factor);
-                
-                // Apply shade-safe whitening
-                const newColor = this.interpolateColor(r, g, b, targetShade.r, targetShade.g, targetShade.b, factor);
+            if (isTooth(r, g, b, i / 4)) {
+                const key = (r << 16) | (g << 8) | b;
+                let newColor = shifted.get(key);
+                if (!newColor) {
+                    const closestShade = this.findClosestVITAShade(r, g, b);
+                    const toLab = targetLab || this.getTargetWhitenedShade(closestShade, factor).lab;
+
+                    // Apply shade-safe whitening as the L*a*b* step between the two tabs,
+                    // so the photo's exposure is kept rather than pulled to the tab color
+                    newColor = this.shiftByShadeDifference(r, g, b, closestShade.lab, toLab, factor);
+                    shifted.set(key, newColor);
+                }
                 
                 data[i] = newColor.r;
                 data[i + 1] = newColor.g;
@@ -105,13 +180,14 @@ class SmartEnhancementEngine {
     analyzeToothShades(imageData) {
         const data = imageData.data;
         const shadeCounts = {};
+        const isTooth = this.createToothTest(imageData);
         
         for (let i = 0; i < data.length; i += 4) {
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
-            if (this.isToothPixel(r, g, b)) {
+            if (isTooth(r, g, b, i / 4)) {
                 const shade = this.findClosestVITAShade(r, g, b);
                 shadeCounts[shade.name] = (shadeCounts[shade.name] || 0) + 1;
             }
@@ -157,28 +233,30 @@ class SmartEnhancementEngine {
     }
 
     findClosestVITAShade(r, g, b) {
-        let minDistance = Infinity;
-        let closestShade = null;
-        
-        for (const [shadeName, shade] of Object.entries(this.vitaShades)) {
-            const distance = Math.sqrt(
-                Math.pow(r - shade.r, 2) + 
-                Math.pow(g - shade.g, 2) + 
-                Math.pow(b - shade.b, 2)
-            );
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestShade = { ...shade, name: shadeName };
-            }
-        }
-        
-        return closestShade;
+        // Perceptual match: ΔE2000 in CIELAB rather than RGB distance
+        const match = this.shadeGuide.matchRGB(r, g, b);
+        return { ...this.vitaShades[match.shade], deltaE: match.deltaE };
+    }
+
+    // Top shade candidates with their ΔE2000 for an sRGB color
+    rankVITAShades(r, g, b, count = 3) {
+        const lab = this.shadeGuide.colorScience.rgbToLab(r, g, b);
+        return this.shadeGuide.rankShades(lab, count);
+    }
+
+    // Mean tooth color of the image ranked against the shade guide
+    measureToothShade(imageData, count = 3) {
+        return this.shadeGuide.measure(imageData, this.createToothTest(imageData), count);
+    }
+
+    // L*a*b* of a tab in the active guide, or in the classical guide the shade buttons name
+    getShadeLab(name) {
+        return this.shadeGuide.getShades()[name] || this.shadeGuide.getShades('classical')[name] || null;
     }
 
     getTargetWhitenedShade(currentShade, factor) {
         // Find appropriate whitened shade based on current shade and desired whitening level
-        const shadeOrder = ['A4', 'A3.5', 'A3', 'A2', 'A1', 'B4', 'B3', 'B2', 'B1', 'C4', 'C3', 'C2', 'C1', 'D4', 'D3', 'D2', 'D1'];
+        const shadeOrder = this.shadeGuide.getValueOrder();
         const currentIndex = shadeOrder.indexOf(currentShade.name);
         
         if (currentIndex === -1) return currentShade;
@@ -190,6 +268,17 @@ class SmartEnhancementEngine {
         return this.vitaShades[shadeOrder[targetIndex]];
     }
 
+    shiftByShadeDifference(r, g, b, fromLab, toLab, factor) {
+        const colorScience = this.shadeGuide.colorScience;
+        const lab = colorScience.rgbToLab(r, g, b);
+
+        return colorScience.labToRgb(
+            lab.L + (toLab.L - fromLab.L) * factor,
+            lab.a + (toLab.a - fromLab.a) * factor,
+            lab.b + (toLab.b - fromLab.b) * factor
+        );
+    }
+
     interpolateColor(r1, g1, b1, r2, g2, b2, factor) {
         return {
             r: Math.round(r1 + (r2 - r1) * factor),
@@ -381,7 +470,7 @@ class SmartEnhancementEngine {
             for (let i = 0; i < 256; i++) {
                 sum += hist[i] * i;
             }
-            return sum / (data.length / 4);
+            return sum / hist.reduce((total, count) => total + count, 0);
         };
         
         const grayR = findGrayPoint(histogram.r);
@@ -7,6 +7,7 @@ class SmartFilters {
         this.smartEnhancement = null;
         this.cameraProfiles = this.loadCameraProfiles();
         this.professionalPresets = this.loadProfessionalPresets();
+        this.loadRegisteredProfiles();
     }
 
     initialize(mlIntegration, smartEnhancement) {
@@ -14,6 +15,8 @@ class SmartFilters {
         this.smartEnhancement = smartEnhancement;
     }
 
+    // Profile "exif" rules are case-insensitive regular expressions tested against
+    // the EXIF Make, Model and LensModel tags
     loadCameraProfiles() {
         return {
             // Mobile phone profiles
@@ -26,6 +29,10 @@ class SmartFilters {
                     noise: 60,
                     contrast: 20,
                     specular: -25
+                },
+                exif: {
+                    make: ['^apple'],
+                    model: ['^iphone 13 pro']
                 }
             },
             'iphone-14-pro': {
@@ -37,6 +44,10 @@ class SmartFilters {
                     noise: 50,
                     contrast: 25,
                     specular: -20
+                },
+                exif: {
+                    make: ['^apple'],
+                    model: ['^iphone 14 pro']
                 }
             },
             'samsung-s23': {
@@ -48,6 +59,10 @@ class SmartFilters {
                     noise: 55,
                     contrast: 30,
                     specular: -30
+                },
+                exif: {
+                    make: ['^samsung'],
+                    model: ['^SM-S91[168]', 'galaxy s23']
                 }
             },
             'google-pixel': {
@@ -59,6 +74,10 @@ class SmartFilters {
                     noise: 45,
                     contrast: 15,
                     specular: -15
+                },
+                exif: {
+                    make: ['^google'],
+                    model: ['^pixel']
                 }
             },
             
@@ -72,6 +91,10 @@ class SmartFilters {
                     noise: 30,
                     contrast: 10,
                     specular: -10
+                },
+                exif: {
+                    make: ['^canon'],
+                    model: ['eos']
                 }
             },
             'nikon-z': {
@@ -83,6 +106,10 @@ class SmartFilters {
                     noise: 25,
                     contrast: 12,
                     specular: -8
+                },
+                exif: {
+                    make: ['^nikon'],
+                    model: ['^nikon z', '^z ?\\d']
                 }
             },
             'sony-alpha': {
@@ -94,6 +121,10 @@ class SmartFilters {
                     noise: 35,
                     contrast: 18,
                     specular: -12
+                },
+                exif: {
+                    make: ['^sony'],
+                    model: ['^ilce-', 'alpha']
                 }
             },
             
@@ -107,6 +138,9 @@ class SmartFilters {
                     noise: 70,
                     contrast: 35,
                     specular: -40
+                },
+                exif: {
+                    make: ['dexis', 'kavo']
                 }
             },
             'planmeca': {
@@ -118,6 +152,9 @@ class SmartFilters {
                     noise: 65,
                     contrast: 30,
                     specular: -35
+                },
+                exif: {
+                    make: ['planmeca']
                 }
             },
             'mikroscan': {
@@ -129,6 +166,9 @@ class SmartFilters {
                     noise: 60,
                     contrast: 32,
                     specular: -38
+                },
+                exif: {
+                    make: ['mikroscan']
                 }
             }
         };
@@ -293,24 +333,30 @@ class SmartFilters {
         return await this.smartEnhancement.applyDentalMode(imageData);
     }
 
-    async applyCameraProfile(imageData, profileName) {
-        const profile = this.cameraProfiles[profileName];
+    // options.signal cancels the enhancement
+    async applyCameraProfile(imageData, profileName, options = {}) {
+        const profile = Object.prototype.hasOwnProperty.call(this.cameraProfiles, profileName)
+            ? this.cameraProfiles[profileName]
+            : null;
         if (!profile) {
             throw new Error(`Camera profile '${profileName}' not found`);
         }
 
         // Apply camera-specific optimizations
-        const options = {
+        const enhancement = {
             adaptiveNoise: true,
             noise: profile.optimizations.noise,
             adaptiveContrast: true,
             contrast: profile.optimizations.contrast,
             smartSpecular: true,
             specular: profile.optimizations.specular,
-            colorCorrection: true
+            colorCorrection: true,
+            // Chart-calibrated profiles carry their own color matrix
+            colorCalibration: profile.colorCalibration || null,
+            signal: options.signal || null
         };
 
-        return await this.smartEnhancement.applySmartEnhancement(imageData, options);
+        return await this.smartEnhancement.applySmartEnhancement(imageData, enhancement);
     }
 
     async applyProfessionalPreset(imageData, presetName) {
@@ -327,37 +373,308 @@ class SmartFilters {
         return await this.smartEnhancement.applySmartEnhancement(imageData, preset.settings);
     }
 
-    detectCameraProfile(imageData) {
-        // Simple camera profile detection based on image characteristics
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        
-        // Analyze noise patterns
-        const noiseLevel = this.analyzeNoisePattern(data, width, height);
-        
-        // Analyze color characteristics
-        const colorProfile = this.analyzeColorProfile(data);
-        
-        // Analyze specular tendencies
-        const specularTendency = this.analyzeSpecularTendency(data);
-        
-        // Match to best profile
+    // Register profiles given in loadCameraProfiles() format (object or JSON text)
+    registerCameraProfiles(definitions, persist = true) {
+        const profiles = typeof definitions === 'string' ? JSON.parse(definitions) : definitions;
+
+        if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+            throw new Error('Camera profiles must be an object keyed by profile id');
+        }
+
+        const errors = [];
+        for (const [profileId, profile] of Object.entries(profiles)) {
+            errors.push(...this.validateCameraProfile(profileId, profile));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid camera profiles: ${errors.join('; ')}`);
+        }
+
+        Object.assign(this.cameraProfiles, profiles);
+
+        if (persist && window.dataPersistenceManager) {
+            window.dataPersistenceManager.saveCameraProfiles(profiles);
+        }
+
+        return Object.keys(profiles);
+    }
+
+    // Register a color checker calibration as a custom profile, keeping the
+    // noise/contrast/specular tuning of the camera it was shot with. Only the latest
+    // one is kept, so repeated chart shots do not pile up in the saved settings.
+    registerCalibratedProfile(calibration, baseProfileId = null, name = null) {
+        const base = this.cameraProfiles[baseProfileId] || {
+            noisePattern: 'balanced',
+            specularTendency: 'medium',
+            optimizations: { noise: 30, contrast: 15, specular: -15 }
+        };
+        const profileId = `color-checker-${Date.parse(calibration.createdAt)}`;
+
+        Object.keys(this.cameraProfiles)
+            .filter(id => id.startsWith('color-checker-') && id !== profileId)
+            .forEach(id => this.removeCameraProfile(id));
+
+        this.registerCameraProfiles({
+            [profileId]: {
+                name: name || `Color Checker ${calibration.createdAt.slice(0, 16).replace('T', ' ')}`,
+                noisePattern: base.noisePattern,
+                colorProfile: 'chart-calibrated',
+                specularTendency: base.specularTendency,
+                optimizations: { ...base.optimizations },
+                category: 'custom',
+                colorCalibration: calibration
+            }
+        });
+
+        return profileId;
+    }
+
+    removeCameraProfile(profileId) {
+        delete this.cameraProfiles[profileId];
+        if (window.dataPersistenceManager) {
+            window.dataPersistenceManager.deleteCameraProfile(profileId);
+        }
+    }
+
+    // Register profiles from a user-selected JSON file
+    async importCameraProfiles(file) {
+        const text = await file.text();
+        return this.registerCameraProfiles(text);
+    }
+
+    loadRegisteredProfiles() {
+        if (!window.dataPersistenceManager) return;
+
+        try {
+            Object.assign(this.cameraProfiles, window.dataPersistenceManager.getCameraProfiles());
+        } catch (error) {
+            console.warn('Failed to load registered camera profiles:', error);
+        }
+    }
+
+    validateCameraProfile(profileId, profile) {
+        const errors = [];
+
+        // Ids are merged into cameraProfiles as keys, so none may reach Object.prototype
+        if (SmartFilters.RESERVED_PROFILE_IDS.includes(profileId)) {
+            return [`${profileId}: reserved profile id`];
+        }
+
+        if (!profile || typeof profile !== 'object') {
+            return [`${profileId}: profile must be an object`];
+        }
+
+        ['name', 'noisePattern', 'colorProfile', 'specularTendency'].forEach(field => {
+            if (typeof profile[field] !== 'string') {
+                errors.push(`${profileId}: "${field}" must be a string`);
+            }
+        });
+
+        const optimizations = profile.optimizations || {};
+        ['noise', 'contrast', 'specular'].forEach(field => {
+            if (typeof optimizations[field] !== 'number') {
+                errors.push(`${profileId}: "optimizations.${field}" must be a number`);
+            }
+        });
+
+        if (profile.colorCalibration) {
+            const matrix = profile.colorCalibration.matrix;
+            const valid = Array.isArray(matrix) && matrix.length === 3 && matrix.every(row =>
+                Array.isArray(row) && (row.length === 3 || row.length === 6) &&
+                row.length === matrix[0].length && row.every(value => typeof value === 'number' && isFinite(value)));
+
+            if (!valid) {
+                errors.push(`${profileId}: "colorCalibration.matrix" must be 3 rows of 3 or 6 numbers`);
+            }
+        }
+
+        if (profile.exif) {
+            ['make', 'model', 'lens'].forEach(field => {
+                const patterns = profile.exif[field];
+                if (patterns === undefined) return;
+
+                if (!Array.isArray(patterns)) {
+                    errors.push(`${profileId}: "exif.${field}" must be an array of patterns`);
+                    return;
+                }
+
+                patterns.forEach(pattern => {
+                    try {
+                        new RegExp(pattern, 'i');
+                    } catch (error) {
+                        errors.push(`${profileId}: invalid pattern "${pattern}" in exif.${field}`);
+                    }
+                });
+            });
+        }
+
+        return errors;
+    }
+
+    // Identify the camera profile from EXIF tags, falling back to image statistics.
+    // Returns the profile with a 0-1 confidence and the signals that led to it.
+    identifyCameraProfile(imageData, metadata = null) {
+        const exif = (metadata && metadata.exif) || {};
+        const exifMatch = this.matchProfileByExif(exif);
+
+        if (exifMatch && exifMatch.modelMatched) {
+            return this.createProfileResult(exifMatch.profileId, exifMatch.confidence, 'exif', exifMatch.signals);
+        }
+
+        // Make matched but no model rule did: let image statistics pick among that maker's profiles
+        if (exifMatch && exifMatch.makeMatched) {
+            const statistics = this.matchProfileByStatistics(imageData, exifMatch.candidates);
+            const confidence = 0.4 + 0.2 * statistics.score;
+
+            return this.createProfileResult(statistics.profileId, confidence, 'exif+heuristic', [
+                ...exifMatch.signals,
+                ...statistics.signals
+            ]);
+        }
+
+        // Chart-calibrated profiles describe one session's lighting, not a camera, so never guess them
+        const cameraProfileIds = Object.keys(this.cameraProfiles)
+            .filter(profileId => !this.cameraProfiles[profileId].colorCalibration);
+        const statistics = this.matchProfileByStatistics(imageData, cameraProfileIds);
+        const signals = [...statistics.signals];
+
+        if (exif.make || exif.model) {
+            signals.unshift({
+                source: 'exif',
+                tag: 'Make/Model',
+                value: [exif.make, exif.model].filter(Boolean).join(' '),
+                matched: false
+            });
+        }
+
+        return this.createProfileResult(statistics.profileId, 0.5 * statistics.score, 'heuristic', signals);
+    }
+
+    matchProfileByExif(exif) {
+        if (!exif.make && !exif.model) return null;
+
+        let best = null;
+        const makeCandidates = [];
+
+        for (const [profileId, profile] of Object.entries(this.cameraProfiles)) {
+            const rules = profile.exif;
+            if (!rules) continue;
+
+            const make = this.matchExifPatterns(exif.make, rules.make);
+            const model = this.matchExifPatterns(exif.model, rules.model);
+            const lens = this.matchExifPatterns(exif.lensModel, rules.lens);
+
+            if (rules.make && !make) continue;
+            if (!rules.make && !model) continue;
+
+            const signals = [];
+            if (make) signals.push({ source: 'exif', tag: 'Make', value: exif.make, pattern: make, matched: true });
+            if (model) signals.push({ source: 'exif', tag: 'Model', value: exif.model, pattern: model, matched: true });
+            if (lens) signals.push({ source: 'exif', tag: 'LensModel', value: exif.lensModel, pattern: lens, matched: true });
+
+            let confidence;
+            let modelMatched = true;
+
+            if (model) {
+                confidence = lens ? 0.98 : (make ? 0.9 : 0.85);
+            } else if (!rules.model) {
+                // Profile covers every model of this maker
+                confidence = lens ? 0.85 : 0.75;
+            } else {
+                makeCandidates.push(profileId);
+                modelMatched = false;
+                confidence = 0.5;
+            }
+
+            // Longer matched patterns are more specific ("iphone 15 pro" over "iphone 15")
+            const specificity = (model || '').length + (lens || '').length;
+
+            if (!best || confidence > best.confidence ||
+                (confidence === best.confidence && specificity > best.specificity)) {
+                best = { profileId, confidence, signals, modelMatched, makeMatched: !!make, specificity };
+            }
+        }
+
+        if (best) {
+            best.candidates = makeCandidates;
+        }
+
+        return best;
+    }
+
+    matchExifPatterns(value, patterns) {
+        if (!value || !Array.isArray(patterns)) return null;
+
+        return patterns.find(pattern => new RegExp(pattern, 'i').test(value)) || null;
+    }
+
+    matchProfileByStatistics(imageData, profileIds) {
+        const noiseLevel = this.analyzeNoisePattern(imageData.data, imageData.width, imageData.height);
+        const colorProfile = this.analyzeColorProfile(imageData.data);
+        const specularTendency = this.analyzeSpecularTendency(imageData.data);
+
         let bestMatch = null;
         let bestScore = 0;
-        
-        for (const [profileId, profile] of Object.entries(this.cameraProfiles)) {
+
+        for (const profileId of profileIds) {
             const score = this.calculateProfileMatch(
-                noiseLevel, colorProfile, specularTendency, profile
+                noiseLevel, colorProfile, specularTendency, this.cameraProfiles[profileId]
             );
-            
+
             if (score > bestScore) {
                 bestScore = score;
                 bestMatch = profileId;
             }
         }
-        
-        return bestMatch;
+
+        return {
+            profileId: bestMatch,
+            score: bestScore,
+            signals: [
+                { source: 'image', tag: 'noiseLevel', value: Math.round(noiseLevel * 10) / 10, matched: true },
+                { source: 'image', tag: 'colorBalance', value: colorProfile.r >= colorProfile.b ? 'warm' : 'cool', matched: true },
+                { source: 'image', tag: 'specularRatio', value: Math.round(specularTendency * 100) / 100, matched: true }
+            ]
+        };
+    }
+
+    createProfileResult(profileId, confidence, method, signals) {
+        const profile = profileId ? this.cameraProfiles[profileId] : null;
+
+        return {
+            profileId,
+            profileName: profile ? profile.name : null,
+            confidence: Math.round(confidence * 100) / 100,
+            method,
+            signals,
+            explanation: this.explainProfileMatch(profile, method, signals)
+        };
+    }
+
+    explainProfileMatch(profile, method, signals) {
+        if (!profile) {
+            return 'No camera profile matched';
+        }
+
+        const exifMatches = signals
+            .filter(signal => signal.source === 'exif' && signal.matched)
+            .map(signal => `${signal.tag} "${signal.value}"`);
+        const unmatched = signals.find(signal => signal.source === 'exif' && !signal.matched);
+
+        if (method === 'exif') {
+            return `${profile.name}: EXIF ${exifMatches.join(', ')} matched the profile`;
+        }
+
+        if (method === 'exif+heuristic') {
+            return `${profile.name}: EXIF ${exifMatches.join(', ')} matched, model chosen from noise, color and specular statistics`;
+        }
+
+        const prefix = unmatched ? `Camera "${unmatched.value}" has no profile; ` : 'No EXIF camera tags; ';
+        return `${prefix}${profile.name} estimated from noise, color and specular statistics`;
+    }
+
+    detectCameraProfile(imageData, metadata = null) {
+        return this.identifyCameraProfile(imageData, metadata).profileId;
     }
 
     analyzeNoisePattern(data, width, height) {
@@ -497,6 +814,11 @@ class SmartFilters {
     }
 
     getProfileCategory(profileId) {
+        const profile = this.cameraProfiles[profileId];
+        if (profile && profile.category) {
+            return profile.category;
+        }
+
         if (profileId.includes('iphone') || profileId.includes('samsung') || profileId.includes('pixel')) {
             return 'mobile';
         } else if (profileId.includes('canon') || profileId.includes('nikon') || profileId.includes('sony')) {
@@ -518,5 +840,8 @@ class SmartFilters {
     }
 }
 
+// Profile ids that would write to an object's prototype chain when merged
+SmartFilters.RESERVED_PROFILE_IDS = ['__proto__', 'constructor', 'prototype'];
+
 // Export for use in main application
 window.SmartFilters = SmartFilters;
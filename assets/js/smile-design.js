@@ -0,0 +1,603 @@
+// Smile Design Analysis for Dental Photo Editor
+// Facial and dental reference lines from placed landmarks, with the anterior proportions measured against their targets
+
+class SmileDesign {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        // Distances come out in the measurement tools' units (rectified plane, calibrated mm or pixels)
+        this.measurementTools = options.measurementTools || null;
+        // Guides are DrawingTools annotations, so they can be flattened like any other annotation step
+        this.drawingTools = options.drawingTools || new DrawingTools();
+        this.toothNumbering = options.toothNumbering || null;
+        this.onChange = options.onChange || null;
+
+        // Overlay canvas stacked on top of the image
+        this.overlay = null;
+        this.overlayCtx = null;
+        this.isActive = false;
+        this.visible = true;
+
+        this.settings = {
+            goldenProportion: 0.618,
+            redProportion: 0.7,          // recurring esthetic dental proportion
+            widthLengthRatio: 0.78,      // maxillary central incisor width / length
+            widthLengthRange: [0.75, 0.8],
+            consonantArc: 0.5,           // incisal curve at least this share of the lower lip curve
+            guideColor: '#f59e0b',
+            arcColor: '#ec4899',
+            lipColor: '#a855f7',
+            toothColor: '#22c55e',
+            lineWidth: 2,
+            fontSize: 12,
+            fontFamily: 'Arial',
+            ...options.settings
+        };
+
+        // Maxillary anterior teeth (FDI) as they appear from the patient's right, left of a frontal photo
+        this.teeth = [13, 12, 11, 21, 22, 23];
+        this.landmarkSequence = this.createLandmarkSequence();
+        this.landmarks = {};
+
+        this.handlers = {
+            down: (e) => this.handlePointerDown(e)
+        };
+    }
+
+    // Landmarks in placement order; contacts bound each tooth's apparent width
+    createLandmarkSequence() {
+        const tooth = (fdi) => this.formatTooth(fdi);
+        const contacts = this.teeth.map((fdi, i) => ({
+            id: `contact-${i}`,
+            name: i === 0 ? `Distal contact of ${tooth(fdi)}` : `${tooth(this.teeth[i - 1])}/${tooth(fdi)} contact`
+        }));
+        contacts.push({ id: `contact-${this.teeth.length}`, name: `Distal contact of ${tooth(this.teeth[this.teeth.length - 1])}` });
+
+        return [
+            { id: 'pupilRight', name: "Patient's right pupil" },
+            { id: 'pupilLeft', name: "Patient's left pupil" },
+            { id: 'glabella', name: 'Glabella (between the brows)' },
+            { id: 'philtrum', name: 'Philtrum (centre of the upper lip)' },
+            ...contacts,
+            ...this.teeth.map(fdi => ({
+                id: `incisal-${fdi}`,
+                name: fdi % 10 === 3 ? `Cusp tip of ${tooth(fdi)}` : `Incisal edge of ${tooth(fdi)}`
+            })),
+            { id: 'zenith-11', name: `Gingival zenith of ${tooth(11)}` },
+            { id: 'zenith-21', name: `Gingival zenith of ${tooth(21)}` },
+            { id: 'lipRight', name: `Lower lip below ${tooth(13)}` },
+            { id: 'lipCenter', name: 'Lower lip at the midline' },
+            { id: 'lipLeft', name: `Lower lip below ${tooth(23)}` }
+        ];
+    }
+
+    // Tooth label in the chart's numbering system
+    formatTooth(fdi) {
+        if (this.toothNumbering && this.toothNumbering.currentSystem !== 'fdi') {
+            return `#${this.toothNumbering.convertToothNumber(fdi, 'fdi', this.toothNumbering.currentSystem)}`;
+        }
+        return `#${fdi}`;
+    }
+
+    // Place the remaining landmarks one click at a time
+    activate() {
+        this.visible = true;
+        this.syncOverlaySize();
+        this.overlay.style.pointerEvents = 'auto';
+        this.overlay.style.cursor = 'crosshair';
+
+        if (!this.isActive) {
+            this.overlay.addEventListener('pointerdown', this.handlers.down);
+            this.isActive = true;
+        }
+        this.promptNextLandmark();
+    }
+
+    deactivate() {
+        if (!this.overlay || !this.isActive) return;
+
+        this.overlay.removeEventListener('pointerdown', this.handlers.down);
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.cursor = '';
+        this.isActive = false;
+        this.render();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'smile-design-overlay';
+        this.overlay.style.position = 'absolute';
+        this.overlay.style.pointerEvents = 'none';
+        this.overlay.style.touchAction = 'none';
+        this.overlayCtx = this.overlay.getContext('2d');
+
+        this.canvas.parentNode.appendChild(this.overlay);
+    }
+
+    // Also brings the overlay up for results that arrive without activate(), e.g. a reopened photo
+    syncOverlaySize() {
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+
+        this.overlay.width = this.canvas.width;
+        this.overlay.height = this.canvas.height;
+        this.overlay.style.left = `${this.canvas.offsetLeft}px`;
+        this.overlay.style.top = `${this.canvas.offsetTop}px`;
+        this.overlay.style.width = `${this.canvas.clientWidth}px`;
+        this.overlay.style.height = `${this.canvas.clientHeight}px`;
+        this.render();
+    }
+
+    getPointerPos(e) {
+        const rect = this.overlay.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.overlay.width / rect.width),
+            y: (e.clientY - rect.top) * (this.overlay.height / rect.height)
+        };
+    }
+
+    handlePointerDown(e) {
+        e.preventDefault();
+        const landmark = this.getNextLandmark();
+        if (!landmark) return;
+
+        this.setLandmark(landmark.id, this.getPointerPos(e));
+        if (this.getNextLandmark()) {
+            this.promptNextLandmark();
+        } else {
+            this.deactivate();
+        }
+    }
+
+    // First landmark neither placed nor skipped
+    getNextLandmark() {
+        return this.landmarkSequence.find(landmark => !(landmark.id in this.landmarks)) || null;
+    }
+
+    promptNextLandmark() {
+        const landmark = this.getNextLandmark();
+        if (landmark && typeof showToast === 'function') {
+            showToast(`Click the ${landmark.name.charAt(0).toLowerCase()}${landmark.name.slice(1)}`);
+        }
+    }
+
+    setLandmark(id, point) {
+        this.landmarks[id] = point ? { x: point.x, y: point.y } : null;
+        this.render();
+        this.notifyChange();
+    }
+
+    // Leave the next landmark out; the analyses that need it are left out too
+    skipLandmark() {
+        const landmark = this.getNextLandmark();
+        if (!landmark) return;
+
+        this.setLandmark(landmark.id, null);
+        if (this.getNextLandmark()) {
+            this.promptNextLandmark();
+        } else {
+            this.deactivate();
+        }
+    }
+
+    removeLastLandmark() {
+        const placed = this.landmarkSequence.filter(landmark => landmark.id in this.landmarks);
+        if (placed.length === 0) return;
+
+        delete this.landmarks[placed[placed.length - 1].id];
+        this.render();
+        this.notifyChange();
+        if (this.isActive) {
+            this.promptNextLandmark();
+        }
+    }
+
+    clear() {
+        this.landmarks = {};
+        this.render();
+        this.notifyChange();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.render();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    // Landmark position in measurement units, or null when it is not placed
+    measurePoint(id) {
+        const point = this.landmarks[id];
+        if (!point) return null;
+        return this.measurementTools ? this.measurementTools.toMeasurementUnits(point) : point;
+    }
+
+    // Horizontal along the interpupillary line (towards the patient's left), vertical pointing down;
+    // the image axes when the pupils are not marked
+    createFrame(right, left) {
+        let axis = { x: 1, y: 0 };
+        if (right && left) {
+            const length = Math.hypot(left.x - right.x, left.y - right.y);
+            if (length > 0) {
+                axis = { x: (left.x - right.x) / length, y: (left.y - right.y) / length };
+            }
+        }
+        const origin = right && left ? { x: (right.x + left.x) / 2, y: (right.y + left.y) / 2 } : { x: 0, y: 0 };
+        const normal = { x: -axis.y, y: axis.x };
+
+        return {
+            axis,
+            normal,
+            toFrame: (p) => ({
+                x: (p.x - origin.x) * axis.x + (p.y - origin.y) * axis.y,
+                y: (p.x - origin.x) * normal.x + (p.y - origin.y) * normal.y
+            }),
+            fromFrame: (p) => ({
+                x: origin.x + p.x * axis.x + p.y * normal.x,
+                y: origin.y + p.x * axis.y + p.y * normal.y
+            })
+        };
+    }
+
+    // Signed angle in degrees from the frame's horizontal to the line a -> b
+    lineAngle(frame, a, b) {
+        const p = frame.toFrame(a);
+        const q = frame.toFrame(b);
+        return Math.atan2(q.y - p.y, q.x - p.x) * 180 / Math.PI;
+    }
+
+    ratio(name, value, target, range = null) {
+        const deviation = (value - target) / target * 100;
+        return {
+            name,
+            value,
+            target,
+            deviation,
+            withinRange: range ? value >= range[0] && value <= range[1] : null
+        };
+    }
+
+    // Everything the landmarks allow: widths, lengths, proportions, midline, cant and smile arc
+    analyze() {
+        const unit = this.measurementTools ? this.measurementTools.getLengthUnit() : 'px';
+        const frame = this.createFrame(this.measurePoint('pupilRight'), this.measurePoint('pupilLeft'));
+        const analysis = { unit, widths: {}, lengths: {}, ratios: [], midline: null, incisalPlane: null, smileArc: null };
+
+        // Apparent widths, as seen from the front along the interpupillary line
+        this.teeth.forEach((fdi, i) => {
+            const mesial = this.measurePoint(`contact-${i}`);
+            const distal = this.measurePoint(`contact-${i + 1}`);
+            if (mesial && distal) {
+                analysis.widths[fdi] = Math.abs(frame.toFrame(distal).x - frame.toFrame(mesial).x);
+            }
+        });
+
+        [11, 21].forEach(fdi => {
+            const zenith = this.measurePoint(`zenith-${fdi}`);
+            const incisal = this.measurePoint(`incisal-${fdi}`);
+            if (zenith && incisal) {
+                analysis.lengths[fdi] = Math.hypot(incisal.x - zenith.x, incisal.y - zenith.y);
+            }
+        });
+
+        // Each side from the midline: central -> lateral -> canine
+        const { widths, lengths } = analysis;
+        [[11, 12, 13], [21, 22, 23]].forEach(([central, lateral, canine]) => {
+            const side = `${this.formatTooth(lateral)}/${this.formatTooth(central)}`;
+            const outer = `${this.formatTooth(canine)}/${this.formatTooth(lateral)}`;
+            if (widths[central] && widths[lateral]) {
+                analysis.ratios.push({ kind: 'golden', ...this.ratio(`Golden proportion ${side}`, widths[lateral] / widths[central], this.settings.goldenProportion) });
+            }
+            if (widths[lateral] && widths[canine]) {
+                analysis.ratios.push({ kind: 'golden', ...this.ratio(`Golden proportion ${outer}`, widths[canine] / widths[lateral], this.settings.goldenProportion) });
+            }
+            if (widths[central] && widths[lateral]) {
+                analysis.ratios.push({ kind: 'red', ...this.ratio(`RED proportion ${side}`, widths[lateral] / widths[central], this.settings.redProportion) });
+            }
+            if (widths[lateral] && widths[canine]) {
+                analysis.ratios.push({ kind: 'red', ...this.ratio(`RED proportion ${outer}`, widths[canine] / widths[lateral], this.settings.redProportion) });
+            }
+        });
+
+        // Width/length uses the central's own width, which faces the camera
+        [11, 21].forEach(fdi => {
+            if (widths[fdi] && lengths[fdi]) {
+                analysis.ratios.push({
+                    kind: 'width-length',
+                    ...this.ratio(`W/L ${this.formatTooth(fdi)}`, widths[fdi] / lengths[fdi], this.settings.widthLengthRatio, this.settings.widthLengthRange)
+                });
+            }
+        });
+
+        // Dental midline (central contact) against the facial midline; positive towards the patient's left
+        const glabella = this.measurePoint('glabella');
+        const philtrum = this.measurePoint('philtrum');
+        const dentalMidline = this.measurePoint(`contact-${this.teeth.indexOf(21)}`);
+        if (glabella && philtrum) {
+            const top = frame.toFrame(glabella);
+            const bottom = frame.toFrame(philtrum);
+            analysis.midline = {
+                // Tilt from perpendicular to the interpupillary line
+                tilt: Math.atan2(bottom.x - top.x, bottom.y - top.y) * 180 / Math.PI,
+                offset: null
+            };
+            if (dentalMidline && bottom.y !== top.y) {
+                const point = frame.toFrame(dentalMidline);
+                const x = top.x + (bottom.x - top.x) * (point.y - top.y) / (bottom.y - top.y);
+                analysis.midline.offset = point.x - x;
+            }
+        }
+
+        // Incisal plane through the canine tips, against the interpupillary line
+        const canineRight = this.measurePoint('incisal-13');
+        const canineLeft = this.measurePoint('incisal-23');
+        if (canineRight && canineLeft) {
+            analysis.incisalPlane = { cant: this.lineAngle(frame, canineRight, canineLeft) };
+        }
+
+        analysis.smileArc = this.analyzeSmileArc(frame);
+        return analysis;
+    }
+
+    // Depth of the incisal curve (centrals below the canines) against the lower lip's curve
+    analyzeSmileArc(frame) {
+        const y = (id) => {
+            const point = this.measurePoint(id);
+            return point ? frame.toFrame(point).y : null;
+        };
+        const [centralRight, centralLeft, canineRight, canineLeft] = ['incisal-11', 'incisal-21', 'incisal-13', 'incisal-23'].map(y);
+        if ([centralRight, centralLeft, canineRight, canineLeft].includes(null)) {
+            return null;
+        }
+
+        const incisalDepth = (centralRight + centralLeft) / 2 - (canineRight + canineLeft) / 2;
+        const [lipRight, lipCenter, lipLeft] = ['lipRight', 'lipCenter', 'lipLeft'].map(y);
+        const lipDepth = [lipRight, lipCenter, lipLeft].includes(null) ? null : lipCenter - (lipRight + lipLeft) / 2;
+
+        let classification = incisalDepth > 0 ? 'consonant' : incisalDepth < 0 ? 'reverse' : 'flat';
+        let consonance = null;
+        if (lipDepth !== null && lipDepth > 0) {
+            consonance = incisalDepth / lipDepth;
+            classification = consonance >= this.settings.consonantArc ? 'consonant' : consonance >= 0 ? 'flat' : 'reverse';
+        }
+
+        return { incisalDepth, lipDepth, consonance, classification };
+    }
+
+    // Report rows in the same shape as MeasurementTools.getMeasurementReport
+    getReport(analysis = this.analyze()) {
+        const { unit } = analysis;
+        const rows = [];
+        const length = (value) => `${value.toFixed(2)} ${unit}`;
+        const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+        this.teeth.forEach(fdi => {
+            if (analysis.widths[fdi]) {
+                rows.push({ label: `Width ${this.formatTooth(fdi)}`, type: 'width', value: analysis.widths[fdi], unit, text: length(analysis.widths[fdi]) });
+            }
+        });
+        Object.entries(analysis.lengths).forEach(([fdi, value]) => {
+            rows.push({ label: `Length ${this.formatTooth(Number(fdi))}`, type: 'length', value, unit, text: length(value) });
+        });
+
+        analysis.ratios.forEach(ratio => {
+            const range = ratio.withinRange === null ? '' : ratio.withinRange ? ', within range' : ', outside range';
+            rows.push({
+                label: ratio.name,
+                type: ratio.kind,
+                value: ratio.value,
+                target: ratio.target,
+                deviation: ratio.deviation,
+                text: `${ratio.value.toFixed(2)} (target ${ratio.target.toFixed(2)}, ${signed(ratio.deviation)}%${range})`
+            });
+        });
+
+        if (analysis.midline) {
+            rows.push({ label: 'Facial midline tilt', type: 'midline', value: analysis.midline.tilt, unit: '°', text: `${signed(analysis.midline.tilt)}°` });
+            if (analysis.midline.offset !== null) {
+                const side = analysis.midline.offset === 0 ? '' : analysis.midline.offset > 0 ? " to the patient's left" : " to the patient's right";
+                rows.push({
+                    label: 'Dental midline offset',
+                    type: 'midline',
+                    value: analysis.midline.offset,
+                    unit,
+                    text: `${Math.abs(analysis.midline.offset).toFixed(2)} ${unit}${side}`
+                });
+            }
+        }
+
+        if (analysis.incisalPlane) {
+            rows.push({ label: 'Incisal plane cant', type: 'cant', value: analysis.incisalPlane.cant, unit: '°', text: `${signed(analysis.incisalPlane.cant)}°` });
+        }
+
+        if (analysis.smileArc) {
+            const { classification, consonance } = analysis.smileArc;
+            rows.push({
+                label: 'Smile arc',
+                type: 'smile-arc',
+                value: consonance,
+                text: consonance === null ? classification : `${classification} (${Math.round(consonance * 100)}% of the lower lip curve)`
+            });
+        }
+
+        return rows;
+    }
+
+    // Guide lines and curves in image coordinates, as DrawingTools annotations
+    getGuideAnnotations() {
+        const { guideColor, arcColor, lipColor, toothColor, lineWidth, fontSize, fontFamily } = this.settings;
+        const point = (id) => this.landmarks[id] || null;
+        const frame = this.createFrame(point('pupilRight'), point('pupilLeft'));
+        const reach = Math.hypot(this.canvas.width, this.canvas.height);
+        const annotations = [];
+
+        const line = (a, b, color) => annotations.push({ tool: 'line', color, strokeWidth: lineWidth, points: [a, b] });
+        // Line through a and b, long enough to cross the whole image
+        const guide = (a, b, color) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) return;
+            const dx = (b.x - a.x) / length * reach;
+            const dy = (b.y - a.y) / length * reach;
+            line({ x: a.x - dx, y: a.y - dy }, { x: a.x + dx, y: a.y + dy }, color);
+        };
+        const label = (text, at, color) => annotations.push({ tool: 'text', color, text, x: at.x, y: at.y, fontSize, fontFamily });
+        // Parabola through the points in the frame, sampled as a pen stroke
+        const curve = (points, color) => {
+            const local = points.map(frame.toFrame);
+            const fit = this.fitParabola(local);
+            if (!fit) return;
+            const xs = local.map(p => p.x);
+            const from = Math.min(...xs), to = Math.max(...xs);
+            const samples = [];
+            for (let i = 0; i <= 24; i++) {
+                const x = from + (to - from) * i / 24;
+                samples.push(frame.fromFrame({ x, y: fit.a * x * x + fit.b * x + fit.c }));
+            }
+            annotations.push({ tool: 'pen', color, strokeWidth: lineWidth, points: samples });
+        };
+
+        if (point('pupilRight') && point('pupilLeft')) {
+            guide(point('pupilRight'), point('pupilLeft'), guideColor);
+        }
+        if (point('glabella') && point('philtrum')) {
+            guide(point('glabella'), point('philtrum'), guideColor);
+        }
+        if (point('incisal-13') && point('incisal-23')) {
+            guide(point('incisal-13'), point('incisal-23'), toothColor);
+        }
+
+        const incisal = this.teeth.map(fdi => point(`incisal-${fdi}`)).filter(Boolean);
+        if (incisal.length >= 3) {
+            curve(incisal, arcColor);
+        }
+        const lip = ['lipRight', 'lipCenter', 'lipLeft'].map(point).filter(Boolean);
+        if (lip.length === 3) {
+            curve(lip, lipColor);
+        }
+
+        // Contact markers across the teeth with each width labelled above its tooth
+        const widths = this.analyze().widths;
+        const contacts = this.teeth.map((fdi, i) => point(`contact-${i}`)).concat(point(`contact-${this.teeth.length}`));
+        const centralContact = contacts[this.teeth.indexOf(21)];
+        const markerLength = reach * 0.03;
+        contacts.forEach(contact => {
+            if (!contact) return;
+            line(
+                { x: contact.x - frame.normal.x * markerLength, y: contact.y - frame.normal.y * markerLength },
+                { x: contact.x + frame.normal.x * markerLength, y: contact.y + frame.normal.y * markerLength },
+                contact === centralContact ? guideColor : toothColor
+            );
+        });
+        this.teeth.forEach((fdi, i) => {
+            const [mesial, distal] = [contacts[i], contacts[i + 1]];
+            if (!mesial || !distal || !widths[fdi]) return;
+            const middle = { x: (mesial.x + distal.x) / 2, y: (mesial.y + distal.y) / 2 };
+            label(widths[fdi].toFixed(1), {
+                x: middle.x - frame.normal.x * markerLength * 1.4 - fontSize,
+                y: middle.y - frame.normal.y * markerLength * 1.4
+            }, toothColor);
+        });
+
+        // Landmarks as small filled dots
+        Object.values(this.landmarks).forEach(landmark => {
+            if (!landmark) return;
+            annotations.push({
+                tool: 'circle',
+                color: '#ffffff',
+                strokeWidth: 1,
+                fillColor: guideColor,
+                points: [landmark, { x: landmark.x + 3, y: landmark.y }]
+            });
+        });
+
+        return annotations;
+    }
+
+    // Least-squares y = a x² + b x + c; a straight line when only two distinct x remain
+    fitParabola(points) {
+        if (points.length < 2) return null;
+
+        const sums = new Array(5).fill(0);
+        const rhs = [0, 0, 0];
+        points.forEach(({ x, y }) => {
+            for (let k = 0; k < 5; k++) sums[k] += x ** k;
+            for (let k = 0; k < 3; k++) rhs[k] += y * x ** k;
+        });
+
+        // Normal equations for [c, b, a]
+        const matrix = [
+            [sums[0], sums[1], sums[2]],
+            [sums[1], sums[2], sums[3]],
+            [sums[2], sums[3], sums[4]]
+        ];
+        const solve = (size) => {
+            const rows = matrix.slice(0, size).map((row, i) => [...row.slice(0, size), rhs[i]]);
+            for (let column = 0; column < size; column++) {
+                let pivot = column;
+                for (let row = column + 1; row < size; row++) {
+                    if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+                }
+                if (Math.abs(rows[pivot][column]) < 1e-9) return null;
+                [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+                for (let row = 0; row < size; row++) {
+                    if (row === column) continue;
+                    const factor = rows[row][column] / rows[column][column];
+                    for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+                }
+            }
+            return rows.map((row, i) => row[size] / row[i]);
+        };
+
+        const quadratic = points.length >= 3 ? solve(3) : null;
+        if (quadratic) {
+            return { c: quadratic[0], b: quadratic[1], a: quadratic[2] };
+        }
+        const linear = solve(2);
+        return linear ? { c: linear[0], b: linear[1], a: 0 } : null;
+    }
+
+    render() {
+        if (!this.overlayCtx) return;
+
+        this.overlayCtx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        if (this.visible) {
+            this.drawingTools.drawAnnotationsTo(this.overlayCtx, this.getGuideAnnotations());
+        }
+    }
+
+    // Parameters for an 'annotations' edit stack step that flattens the guides into the photo
+    getEditStepParams() {
+        return {
+            annotations: this.getGuideAnnotations(),
+            sourceWidth: this.canvas.width,
+            sourceHeight: this.canvas.height
+        };
+    }
+
+    exportDesign() {
+        return {
+            landmarks: this.landmarks,
+            settings: {
+                goldenProportion: this.settings.goldenProportion,
+                redProportion: this.settings.redProportion,
+                widthLengthRatio: this.settings.widthLengthRatio,
+                widthLengthRange: this.settings.widthLengthRange
+            },
+            report: this.getReport(),
+            timestamp: Date.now()
+        };
+    }
+
+    importDesign(data) {
+        this.landmarks = { ...(data && data.landmarks) };
+        this.settings = { ...this.settings, ...(data && data.settings) };
+        this.render();
+    }
+}
+
+// Export for use in main application
+window.SmileDesign = SmileDesign;
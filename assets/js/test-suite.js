@@ -8,13 +8,13 @@ class SmartFeaturesTestSuite {
         this.isRunning = false;
     }
 
-    // Add test to suite
-    addTest(name, testFunction, category = 'general') {
+    // Add test to suite; timeout is in ms
+    addTest(name, testFunction, category = 'general', timeout = 5000) {
         this.tests.push({
             name: name,
             test: testFunction,
             category: category,
-            timeout: 5000
+            timeout: timeout
         });
     }
 
@@ -163,6 +163,215 @@ function createTestSuite() {
         }
     }, 'ml-integration');
 
+    suite.addTest('Teeth Segmented Into Numbered Polygon Masks', async () => {
+        // Six upper and four lower teeth on a dark oral cavity; the upper centrals touch,
+        // parted only by a shaded interproximal line
+        const width = 240, height = 150;
+        const imageData = new ImageData(width, height);
+        const upper = [[20, 52], [56, 86], [90, 119], [120, 150], [154, 184], [188, 220]];
+        const lower = [[62, 90], [94, 119], [121, 146], [150, 178]];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let color = [40, 20, 25];
+                if (y < 20) color = [200, 100, 90];
+                else if (y < 75 && upper.some(([start, end]) => x >= start && x < end)) color = [235, 228, 215];
+                else if (y >= 90 && y < 130 && lower.some(([start, end]) => x >= start && x < end)) color = [230, 225, 210];
+                if (y >= 20 && y < 75 && x === 119) color = [150, 140, 128];
+                imageData.data.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+
+        const detected = await new ToothDetector().detect(imageData);
+        const order = detected.boundaries.map(tooth => tooth.fdi).join();
+        if (order !== '13,12,11,21,22,23,42,41,31,32') {
+            throw new Error(`Teeth should be numbered by arch from the patient's right: ${order}`);
+        }
+
+        // Each mask outlines its crown: 29 x 55 px for 11, plus at most the interproximal line
+        const central = detected.boundaries.find(tooth => tooth.fdi === 11);
+        if (central.area < 29 * 55 || central.area > 30 * 55) {
+            throw new Error(`Central incisor mask area off: ${central.area}`);
+        }
+
+        // Shade readings follow the masks, not the colour test
+        const engine = new SmartEnhancementEngine();
+        engine.setDetectionResults({ teeth: detected });
+        const mask = engine.getToothMask(width, height);
+        if (!mask[40 * width + 100] || mask[40 * width + 100] === mask[40 * width + 130] || mask[10 * width + 100] || mask[80 * width + 100]) {
+            throw new Error('Tooth mask should cover each crown separately but not the gingiva');
+        }
+        if (engine.measureToothShade(imageData).pixelCount !== mask.reduce((sum, label) => sum + (label > 0), 0)) {
+            throw new Error('Shade should be measured over the masked pixels');
+        }
+    }, 'ml-integration');
+
+    suite.addTest('Model Registry Pins Versions And Names Failed Model', async () => {
+        const manifest = {
+            format: 'dental-ml-manifest',
+            version: 1,
+            runtimes: {
+                tfjs: { name: 'TensorFlow.js', version: '4.17.0', url: '/ml/runtimes/tfjs/4.17.0/tf.min.js', global: 'tf', integrity: null }
+            },
+            models: {
+                'tooth-segmentation': { name: 'Tooth segmentation', version: '1.0.0', runtime: 'builtin', inputSize: [480, 480], labels: ['background', 'tooth'] },
+                'caries': { name: 'Caries detection', version: '0.3.1', runtime: 'tfjs', url: '/ml/models/caries/0.3.1/model.json', inputSize: [256, 256], labels: ['caries'] }
+            }
+        };
+        const serve = (body) => async () => ({ ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(body)) });
+
+        const loader = new ModelLoader({ fetch: serve(manifest) });
+        await loader.loadManifest();
+        const segmentation = await loader.loadModel('tooth-segmentation');
+        if (segmentation.version !== '1.0.0' || segmentation.inputSize[0] !== 480 || segmentation.labels[1] !== 'tooth') {
+            throw new Error('Registry should describe the built-in segmentation model');
+        }
+
+        // A runtime without an integrity hash is never injected, and the error names the model
+        let failure = null;
+        try {
+            await loader.loadModel('caries');
+        } catch (error) {
+            failure = error;
+        }
+        if (!(failure instanceof ModelLoadError) || failure.modelId !== 'caries' || document.querySelector('script[src*="tf.min.js"]')) {
+            throw new Error('Unverified runtime should not load');
+        }
+        const report = new SmartFeaturesErrorHandler().handleMLError(failure);
+        if (!report.model || report.model.id !== 'caries' || !report.message.includes('Caries detection 0.3.1')) {
+            throw new Error(`Error report should name the failed model: ${report.message}`);
+        }
+
+        // Floating versions are rejected up front
+        manifest.runtimes.tfjs.version = 'latest';
+        try {
+            await new ModelLoader({ fetch: serve(manifest) }).loadManifest();
+        } catch (error) {
+            if (error.modelId === 'tfjs') return;
+        }
+        throw new Error('An unpinned runtime version should be rejected');
+    }, 'ml-integration');
+
+    suite.addTest('Detector Plugins Run In Parallel With Timeouts', async () => {
+        const registry = new DetectorRegistry();
+        registry.register({
+            id: 'caries',
+            version: '1.0.0',
+            outputs: { areas: 'array', confidence: 'number' },
+            detect: async (imageData, { onProgress }) => {
+                onProgress(0.5);
+                return { areas: [{ x: 1, y: 2 }], confidence: 0.9 };
+            }
+        });
+        // Ignores its signal and never finishes
+        registry.register({
+            id: 'brackets',
+            version: '0.1.0',
+            timeout: 50,
+            outputs: { areas: 'array' },
+            detect: () => new Promise(() => {})
+        });
+        registry.register({
+            id: 'fractures',
+            version: '1.0.0',
+            outputs: { lines: 'array', confidence: 'number' },
+            detect: async () => ({ lines: [], confidence: 'high' })
+        });
+
+        let rejected = false;
+        try {
+            registry.register({ id: 'caries', version: '2.0.0', outputs: {}, detect: async () => ({}) });
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('A duplicate detector id should be rejected');
+        }
+
+        const modelLoader = {
+            loadManifest: async () => {},
+            registerServiceWorker: () => {},
+            loadModel: async () => ({ model: null }),
+            getModel: () => null
+        };
+        const integration = new MLIntegration({ modelLoader, detectorRegistry: registry });
+        await integration.initialize();
+
+        const updates = [];
+        const started = performance.now();
+        const results = await integration.detectDentalFeatures(new ImageData(4, 4), { onProgress: (update) => updates.push(update) });
+        if (performance.now() - started > 1000) {
+            throw new Error('The stuck detector should be abandoned at its timeout');
+        }
+
+        const statuses = ['caries', 'brackets', 'fractures'].map(id => results.detectors[id].status).join();
+        if (statuses !== 'ok,timeout,error' || results.caries.areas.length !== 1 || results.brackets !== null) {
+            throw new Error(`Unexpected detector outcomes: ${statuses}`);
+        }
+        if (!updates.some(update => update.detector === 'caries' && update.progress === 0.5)) {
+            throw new Error('Detector progress should be reported');
+        }
+
+        const controller = new AbortController();
+        controller.abort();
+        try {
+            await integration.detectDentalFeatures(new ImageData(4, 4), { signal: controller.signal });
+        } catch (error) {
+            return;
+        }
+        throw new Error('A cancelled detection should reject');
+    }, 'ml-integration');
+
+    suite.addTest('Slow Pixel Detectors Stop At Their Timeout', async () => {
+        const registry = new DetectorRegistry();
+        let rowsVisited = 0;
+        // About 2 s of synchronous work if it ran to the end
+        registry.register({
+            id: 'slowScan',
+            version: '1.0.0',
+            timeout: 50,
+            outputs: { rows: 'number' },
+            detect: async (imageData, { signal }) => {
+                await DetectorRegistry.scanRows(400, 1, () => {
+                    const until = performance.now() + 5;
+                    while (performance.now() < until) { /* busy row */ }
+                    rowsVisited++;
+                }, { signal });
+                return { rows: rowsVisited };
+            }
+        });
+        registry.register({
+            id: 'gums',
+            version: '1.0.0',
+            outputs: { line: 'object?', confidence: 'number' },
+            detect: (imageData, options) => new GumDetector().detect(imageData, options)
+        });
+
+        const modelLoader = {
+            loadManifest: async () => {},
+            registerServiceWorker: () => {},
+            loadModel: async () => ({ model: null }),
+            getModel: () => null
+        };
+        const integration = new MLIntegration({ modelLoader, detectorRegistry: registry });
+        await integration.initialize();
+
+        const started = performance.now();
+        const results = await integration.detectDentalFeatures(new ImageData(64, 64));
+        if (performance.now() - started > 1000) {
+            throw new Error('The slow detector should be cut off at its timeout');
+        }
+        if (results.detectors.slowScan.status !== 'timeout' || results.detectors.gums.status !== 'ok') {
+            throw new Error('Only the slow detector should time out');
+        }
+
+        // The abandoned scan stops at its next chunk instead of running on in the background
+        const stoppedAt = rowsVisited;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        if (rowsVisited >= 400 || rowsVisited - stoppedAt > 5) {
+            throw new Error('The timed-out detector kept scanning');
+        }
+    }, 'ml-integration');
+
     // Smart Enhancement Tests
     suite.addTest('Smart Enhancement Class Exists', () => {
         if (typeof SmartEnhancementEngine === 'undefined') {
@@ -180,8 +389,8 @@ function createTestSuite() {
             throw new Error('VITA shades database not loaded');
         }
         
-        // Check for essential shades
-        const essentialShades = ['A1', 'A2', 'B1', 'C1', 'D1'];
+        // Check for essential shades (the classical guide has no D1 tab)
+        const essentialShades = ['A1', 'A2', 'B1', 'C1', 'D2'];
         for (const shade of essentialShades) {
             if (!shades[shade]) {
                 throw new Error(`Essential VITA shade ${shade} missing`);
@@ -189,6 +398,342 @@ function createTestSuite() {
         }
     }, 'smart-enhancement');
 
+    suite.addTest('CIEDE2000 Matches Reference Data', async () => {
+        const colorScience = new ColorScience();
+
+        // Sharma, Wu & Dalal (2005) test pairs
+        const pairs = [
+            [{ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 }, 2.0425],
+            [{ L: 50, a: 2.5, b: 0 }, { L: 73, a: 25, b: -18 }, 27.1492],
+            [{ L: 60.2574, a: -34.0099, b: 36.2677 }, { L: 60.4626, a: -34.1751, b: 39.4387 }, 1.2644]
+        ];
+
+        for (const [lab1, lab2, expected] of pairs) {
+            const deltaE = colorScience.deltaE2000(lab1, lab2);
+            if (Math.abs(deltaE - expected) > 0.0001) {
+                throw new Error(`ΔE2000 ${deltaE.toFixed(4)} does not match ${expected}`);
+            }
+        }
+    }, 'smart-enhancement');
+
+    suite.addTest('VITA Shades Ranked By Delta E', async () => {
+        const guide = new VITAShadeGuide('3d_master');
+        const reference = guide.getShadeRGB('2M2');
+        const lab = guide.colorScience.rgbToLab(reference.r, reference.g, reference.b);
+        const candidates = guide.rankShades(lab);
+
+        if (candidates.length !== 3 || candidates[0].shade !== '2M2') {
+            throw new Error('Reference tab color should rank its own shade first');
+        }
+
+        if (candidates[0].deltaE > candidates[1].deltaE || candidates[1].deltaE > candidates[2].deltaE) {
+            throw new Error('Candidates not sorted by ΔE');
+        }
+    }, 'smart-enhancement');
+
+    suite.addTest('Shade Measured Per Tooth Third', async () => {
+        const guide = new VITAShadeGuide('classical');
+        const bands = ['A3', 'A2', 'B1'].map(shade => guide.getShadeRGB(shade));
+        const imageData = new ImageData(20, 30);
+
+        // Top third A3, middle A2, bottom B1
+        for (let i = 0; i < 20 * 30; i++) {
+            const band = bands[Math.floor(Math.floor(i / 20) / 10)];
+            imageData.data.set([band.r, band.g, band.b, 255], i * 4);
+        }
+
+        const tool = new ShadeMeasurementTool(document.createElement('canvas'), { shadeGuide: guide });
+        const outline = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 30 }, { x: 0, y: 30 }];
+        const upper = tool.measureOutline(imageData, outline, { arch: 'maxillary' });
+        const lower = tool.measureOutline(imageData, outline, { arch: 'mandibular' });
+
+        if (upper.thirds.cervical.shade !== 'A3' || upper.thirds.incisal.shade !== 'B1') {
+            throw new Error('Upper tooth thirds should run cervical (top) to incisal (bottom)');
+        }
+
+        if (lower.thirds.cervical.shade !== 'B1' || upper.thirds.middle.deltaE > 1) {
+            throw new Error('Lower tooth thirds or middle third ΔE incorrect');
+        }
+    }, 'smart-enhancement');
+
+    suite.addTest('Shade Match Moves Teeth To The Chosen Tab', async () => {
+        const engine = new SmartEnhancementEngine('classical');
+        const a3 = engine.shadeGuide.getShadeRGB('A3');
+        const imageData = new ImageData(20, 20);
+        for (let i = 0; i < 20 * 20; i++) {
+            imageData.data.set([a3.r, a3.g, a3.b, 255], i * 4);
+        }
+        engine.setDetectionResults({
+            teeth: { boundaries: [{ points: [[0, 0], [20, 0], [20, 20], [0, 20]] }], width: 20, height: 20 }
+        });
+
+        const matched = await engine.applySmartEnhancement(imageData, { smartWhitening: true, whitening: 0, targetShade: 'B1' });
+        const [r, g, b] = matched.data;
+        if (engine.shadeGuide.matchRGB(r, g, b).shade !== 'B1') {
+            throw new Error('Tooth color should move to the B1 tab');
+        }
+        if (matched.data[20 * 20 * 4 - 4] !== r || imageData.data[0] !== a3.r) {
+            throw new Error('Every tooth pixel should get the same shift, leaving the source untouched');
+        }
+
+        try {
+            await engine.applySmartEnhancement(imageData, { targetShade: 'Z9' });
+        } catch (error) {
+            return;
+        }
+        throw new Error('An unknown target shade should be rejected');
+    }, 'smart-enhancement');
+
+    suite.addTest('Grey Card And Shade Tab Calibration', async () => {
+        const calibrator = new ColorCalibration(new VITAShadeGuide('classical'));
+        const imageData = new ImageData(20, 20);
+
+        // Warm, underexposed cast over the whole frame
+        for (let i = 0; i < imageData.data.length; i += 4) {
+            imageData.data.set([110, 90, 70, 255], i);
+        }
+
+        const grey = calibrator.computeCalibration(imageData, { x: 10, y: 10 }, 'grey-card');
+        const corrected = calibrator.applyCorrection(imageData, grey.matrix).data;
+        if (Math.abs(corrected[0] - 118) > 1 || Math.abs(corrected[1] - 118) > 1 || Math.abs(corrected[2] - 118) > 1) {
+            throw new Error('Grey card should map to neutral 18% grey (sRGB 118)');
+        }
+
+        const tab = calibrator.computeCalibration(imageData, { x: 10, y: 10 }, 'shade-tab', { shade: 'A2' });
+        const [r, g, b] = calibrator.applyCorrection(imageData, tab.matrix).data;
+        const lab = calibrator.colorScience.rgbToLab(r, g, b);
+        if (calibrator.shadeGuide.rankShades(lab, 1)[0].shade !== 'A2') {
+            throw new Error('Shade tab calibration should reproduce the tab shade');
+        }
+    }, 'smart-enhancement');
+
+    suite.addTest('Measurement Scale Fitted From References With Uncertainty', async () => {
+        const tools = new MeasurementTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        const line = (x, length) => [{ x, y: 0 }, { x: x + length, y: 0 }];
+
+        // 10 px per mm: a 10 mm probe span and an 8.6 mm central incisor (population mean)
+        tools.addCalibrationReference(tools.calibrator.createReference('probe', line(0, 100)));
+        tools.addCalibrationReference(tools.calibrator.createReference('crown-width', line(200, 86), { toothNumber: 11 }));
+        const { scale, scaleUncertainty, consistency } = tools.calibration;
+        if (Math.abs(scale - 10) > 0.01 || consistency > 0.01) {
+            throw new Error(`Scale should fit both references: ${scale}`);
+        }
+        if (!(scaleUncertainty > 0 && scaleUncertainty < 0.2)) {
+            throw new Error(`Unexpected scale uncertainty: ${scaleUncertainty}`);
+        }
+
+        const distance = { type: 'distance', startPoint: { x: 0, y: 0 }, endPoint: { x: 50, y: 0 }, points: [] };
+        const area = { type: 'area', polygon: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }], points: [] };
+        [distance, area].forEach(measurement => {
+            tools.updateMeasurementValues(measurement);
+            tools.measurements.push(measurement);
+        });
+        if (Math.abs(distance.realValue - 5) > 0.01 || distance.unit !== 'mm' || !(distance.uncertainty > 0)) {
+            throw new Error('Distance should be 5 mm with an uncertainty');
+        }
+        if (Math.abs(area.realValue - 100) > 0.1 || area.unit !== 'mm²') {
+            throw new Error('Area should scale with the square of the scale');
+        }
+
+        // The calibration travels with the exported measurements
+        const reopened = new MeasurementTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        const exported = JSON.parse(JSON.stringify(tools.exportMeasurements()));
+        reopened.importMeasurements(exported);
+        if (!reopened.calibration.isCalibrated || Math.abs(reopened.measurements[0].realValue - 5) > 0.01) {
+            throw new Error('Reopened measurements should keep their calibration');
+        }
+        if (!/^5\.00 ± \d+\.\d\d mm$/.test(exported.report[0].text)) {
+            throw new Error(`Report rows should carry the uncertainty: ${exported.report[0].text}`);
+        }
+    }, 'measurements');
+
+    suite.addTest('Measurements Taken In Four-Point Rectified Plane', async () => {
+        const tools = new MeasurementTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        const rectifier = tools.rectifier;
+
+        // A 20 x 10 mm rectangle photographed at an angle: its far side is foreshortened
+        const plane = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 0, y: 10 }];
+        const corners = [{ x: 40, y: 30 }, { x: 160, y: 40 }, { x: 190, y: 120 }, { x: 20, y: 110 }];
+        const toImage = rectifier.computeHomography(plane, corners);
+        const project = (x, y) => rectifier.apply(toImage, { x, y });
+
+        tools.setRectification(rectifier.create(corners, 20, 10));
+
+        const distance = { type: 'distance', startPoint: project(2, 2), endPoint: project(17, 8), points: [] };
+        const area = { type: 'area', polygon: [project(5, 2), project(15, 2), project(15, 8), project(5, 8)], points: [] };
+        const angle = { type: 'angle', points: [project(10, 0), project(0, 0), project(0, 10)] };
+        [distance, area, angle].forEach(measurement => tools.updateMeasurementValues(measurement));
+
+        if (Math.abs(distance.realValue - Math.hypot(15, 6)) > 0.01 || distance.unit !== 'mm' || !(distance.uncertainty > 0)) {
+            throw new Error(`Distance should be measured in the plane: ${distance.realValue}`);
+        }
+        if (Math.abs(area.realValue - 60) > 0.05 || area.unit !== 'mm²') {
+            throw new Error(`Area should be measured in the plane: ${area.realValue}`);
+        }
+        if (Math.abs(angle.realValue - 90) > 0.01) {
+            throw new Error(`The rectangle corner should be square in the plane: ${angle.realValue}`);
+        }
+
+        // Crossed corners fold the plane
+        try {
+            rectifier.create([corners[0], corners[2], corners[1], corners[3]], 20, 10);
+            throw new Error('Crossed corners should be rejected');
+        } catch (error) {
+            if (!/in order/.test(error.message)) throw error;
+        }
+
+        const rectified = rectifier.rectifyImage(new ImageData(200, 150), tools.rectification, { pixelsPerMm: 4, maxMargin: 0 });
+        if (rectified.imageData.width !== 80 || rectified.imageData.height !== 40) {
+            throw new Error(`Rectified image should span the rectangle: ${rectified.imageData.width}x${rectified.imageData.height}`);
+        }
+
+        tools.clearRectification();
+        tools.updateMeasurementValues(distance);
+        if (distance.unit !== 'px') {
+            throw new Error('Clearing the plane should return to photo pixels');
+        }
+    }, 'measurements');
+
+    suite.addTest('Smile Design Proportions Measured Against Targets', async () => {
+        const tools = new MeasurementTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        tools.addCalibrationReference(tools.calibrator.createReference('ruler', [{ x: 0, y: 0 }, { x: 100, y: 0 }]));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 800;
+        canvas.height = 600;
+        const design = new SmileDesign(canvas, { measurementTools: tools });
+
+        // 10 px/mm: golden widths 3.82 / 6.18 / 10 mm, dental midline 2 mm to the patient's left
+        const contacts = [220, 258.2, 320, 420, 520, 581.8, 620];
+        const points = {
+            pupilRight: { x: 300, y: 100 }, pupilLeft: { x: 500, y: 100 },
+            glabella: { x: 400, y: 80 }, philtrum: { x: 400, y: 300 },
+            'incisal-13': { x: 240, y: 470 }, 'incisal-12': { x: 290, y: 480 }, 'incisal-11': { x: 370, y: 488 },
+            'incisal-21': { x: 470, y: 488 }, 'incisal-22': { x: 550, y: 480 }, 'incisal-23': { x: 600, y: 470 },
+            'zenith-11': { x: 370, y: 360 }, 'zenith-21': { x: 470, y: 360 },
+            lipRight: { x: 240, y: 500 }, lipCenter: { x: 420, y: 520 }, lipLeft: { x: 600, y: 500 }
+        };
+        contacts.forEach((x, i) => { points[`contact-${i}`] = { x, y: 480 }; });
+        design.landmarkSequence.forEach(landmark => design.setLandmark(landmark.id, points[landmark.id]));
+
+        const analysis = design.analyze();
+        if (analysis.unit !== 'mm' || Math.abs(analysis.widths[11] - 10) > 0.01 || Math.abs(analysis.lengths[11] - 12.8) > 0.01) {
+            throw new Error('Widths and lengths should be in calibrated mm');
+        }
+        const golden = analysis.ratios.filter(ratio => ratio.kind === 'golden');
+        if (golden.length !== 4 || golden.some(ratio => Math.abs(ratio.deviation) > 0.5)) {
+            throw new Error('Golden widths should match the golden proportion');
+        }
+        const red = analysis.ratios.find(ratio => ratio.kind === 'red');
+        if (Math.abs(red.deviation - (0.618 / 0.7 - 1) * 100) > 0.5) {
+            throw new Error(`RED deviation should be against 70%: ${red.deviation}`);
+        }
+        const widthLength = analysis.ratios.find(ratio => ratio.kind === 'width-length');
+        if (Math.abs(widthLength.value - 10 / 12.8) > 0.001 || !widthLength.withinRange) {
+            throw new Error(`Central W/L should be 0.78: ${widthLength.value}`);
+        }
+        if (Math.abs(analysis.midline.offset - 2) > 0.01 || Math.abs(analysis.midline.tilt) > 0.01) {
+            throw new Error(`Dental midline should be 2 mm left of the facial midline: ${analysis.midline.offset}`);
+        }
+        if (Math.abs(analysis.incisalPlane.cant) > 0.01 || analysis.smileArc.classification !== 'consonant') {
+            throw new Error('Level incisal plane with a consonant smile arc expected');
+        }
+
+        // Guides are plain DrawingTools annotations and the report travels with the photo
+        const annotations = design.getGuideAnnotations();
+        if (!annotations.some(annotation => annotation.tool === 'pen') || annotations.some(annotation => !design.drawingTools.tools[annotation.tool])) {
+            throw new Error('Guides should be drawable annotations including the smile arc');
+        }
+        const reopened = new SmileDesign(canvas, { measurementTools: tools });
+        reopened.importDesign(JSON.parse(JSON.stringify(design.exportDesign())));
+        if (reopened.getNextLandmark() !== null || reopened.getReport().length !== design.getReport().length) {
+            throw new Error('Reopened design should keep its landmarks');
+        }
+    }, 'measurements');
+
+    suite.addTest('Gingival Margins Traced Per Tooth With Display And Asymmetry', async () => {
+        const tools = new MeasurementTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        tools.addCalibrationReference(tools.calibrator.createReference('ruler', [{ x: 0, y: 0 }, { x: 50, y: 0 }]));
+
+        // Skin, upper lip, gingiva scalloped over six teeth (13 to 23), dark oral cavity; 5 px/mm
+        const width = 200, height = 120;
+        const imageData = new ImageData(width, height);
+        const teeth = [];
+        let start = 12;
+        [[25, 50], [28, 54], [35, 50], [35, 53], [28, 54], [25, 50]].forEach(([toothWidth, zenith]) => {
+            teeth.push({ start, end: start + toothWidth, zenith });
+            start += toothWidth;
+        });
+        for (let x = 0; x < width; x++) {
+            const tooth = teeth.find(t => x >= t.start && x < t.end);
+            const margin = tooth
+                ? Math.round(tooth.zenith + (62 - tooth.zenith) * ((x - (tooth.start + tooth.end) / 2) / ((tooth.end - tooth.start) / 2)) ** 2)
+                : 70;
+            for (let y = 0; y < height; y++) {
+                let color = [30, 20, 20];
+                if (y < 20) color = [220, 170, 140];
+                else if (y < 35) color = [150, 40, 50];
+                else if (y < margin) color = [200, 100, 90];
+                else if (tooth && y < 100) color = [235, 230, 220];
+                imageData.data.set([...color, 255], (y * width + x) * 4);
+            }
+        }
+
+        const analysis = new GingivalAnalysis(document.createElement('canvas'), { measurementTools: tools });
+        analysis.analyze(imageData);
+        const table = analysis.getTable();
+
+        if (table.map(row => row.fdi).join() !== '13,12,11,21,22,23') {
+            throw new Error(`Teeth should be numbered from the patient's right: ${table.map(row => row.fdi)}`);
+        }
+        const central = table.find(row => row.fdi === 11);
+        if (Math.abs(central.display - 3) > 0.25 || central.unit !== 'mm') {
+            throw new Error(`Display above 11 should be 3 mm: ${central.display}`);
+        }
+        // 21's zenith sits 0.6 mm lower than 11's; the laterals and canines match
+        if (!central.asymmetric || table.find(row => row.fdi === 12).asymmetric) {
+            throw new Error('Only the centrals should be flagged as asymmetric');
+        }
+
+        // A marked lip line replaces the detected border
+        analysis.setLipLine([{ x: 0, y: 30 }, { x: 200, y: 30 }]);
+        if (Math.abs(analysis.getTable()[2].display - 4) > 0.25) {
+            throw new Error('Display should follow the marked lip');
+        }
+    }, 'measurements');
+
+    suite.addTest('Color Checker Detected And Matrix Solved', async () => {
+        const chart = new ColorCheckerChart();
+        const cs = chart.colorScience;
+        const imageData = new ImageData(160, 120);
+
+        // 6x4 chart of 16px patches on a black frame, shot under a warm cast
+        for (let y = 0; y < 120; y++) {
+            for (let x = 0; x < 160; x++) {
+                const u = x - 18, v = y - 22;
+                const column = Math.floor(u / 20), row = Math.floor(v / 20);
+                const inPatch = u >= 0 && v >= 0 && column < 6 && row < 4 && u % 20 < 16 && v % 20 < 16;
+                const rgb = inPatch ? chart.patches[row * 6 + column].rgb : [25, 25, 25];
+                const gains = [1.15, 1.0, 0.75];
+
+                imageData.data.set([
+                    ...rgb.map((value, channel) => cs.linearToSrgb(cs.srgbToLinear(value) * gains[channel] * 0.8)),
+                    255
+                ], (y * 160 + x) * 4);
+            }
+        }
+
+        const detection = chart.detect(imageData);
+        if (!detection || detection.mirrored) {
+            throw new Error('Chart should be detected in its unmirrored orientation');
+        }
+
+        const calibration = chart.calibrate(imageData, detection.corners, 'root-polynomial');
+        if (calibration.patchCount < 20 || calibration.error.mean > 1) {
+            throw new Error(`Chart fit too poor: mean ΔE ${calibration.error.mean}`);
+        }
+    }, 'smart-enhancement');
+
     // Smart Filters Tests
     suite.addTest('Smart Filters Class Exists', () => {
         if (typeof SmartFilters === 'undefined') {
@@ -234,6 +779,96 @@ function createTestSuite() {
         }
     }, 'smart-filters');
 
+    suite.addTest('Camera Profile Detected From EXIF', async () => {
+        const filters = new SmartFilters();
+        filters.registerCameraProfiles({
+            'test-phone': {
+                name: 'Test Phone',
+                noisePattern: 'computational-photo',
+                colorProfile: 'test-natural',
+                specularTendency: 'medium',
+                optimizations: { noise: 40, contrast: 15, specular: -15 },
+                exif: { make: ['^testmaker'], model: ['^tp-1'] }
+            }
+        }, false);
+
+        const imageData = new ImageData(32, 32);
+        const result = filters.identifyCameraProfile(imageData, {
+            exif: { make: 'TestMaker', model: 'TP-1 Max' }
+        });
+
+        if (result.profileId !== 'test-phone' || result.method !== 'exif') {
+            throw new Error('Registered profile not matched from EXIF');
+        }
+
+        if (result.confidence < 0.8 || result.signals.length === 0) {
+            throw new Error('EXIF match should report high confidence and signals');
+        }
+
+        const fallback = filters.identifyCameraProfile(imageData, null);
+        if (fallback.method !== 'heuristic' || fallback.confidence > 0.5) {
+            throw new Error('Heuristic fallback should report low confidence');
+        }
+    }, 'smart-filters');
+
+    suite.addTest('Only The Latest Chart Profile Is Kept', async () => {
+        const filters = new SmartFilters();
+        const matrix = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+        const first = filters.registerCalibratedProfile({ createdAt: '2024-01-01T10:00:00.000Z', matrix }, 'canon-eos');
+        const second = filters.registerCalibratedProfile({ createdAt: '2024-01-01T11:00:00.000Z', matrix }, 'canon-eos');
+
+        const stored = window.dataPersistenceManager ? window.dataPersistenceManager.getCameraProfiles() : {};
+        filters.removeCameraProfile(second);
+
+        const kept = Object.keys(filters.cameraProfiles).filter(id => id.startsWith('color-checker-'));
+        if (filters.cameraProfiles[first] || stored[first] || kept.length > 0) {
+            throw new Error('Earlier chart profiles should be pruned');
+        }
+        if (window.dataPersistenceManager && !stored[second]) {
+            throw new Error('The latest chart profile should be saved');
+        }
+    }, 'smart-filters');
+
+    suite.addTest('Camera Profiles Reject Prototype Keys', async () => {
+        const filters = new SmartFilters();
+        const profile = '{"name":"X","noisePattern":"x","colorProfile":"x","specularTendency":"x","optimizations":{"noise":1,"contrast":1,"specular":1}}';
+
+        for (const key of ['__proto__', 'constructor']) {
+            let rejected = false;
+            try {
+                filters.registerCameraProfiles(`{"${key}":${profile}}`, false);
+            } catch (error) {
+                rejected = true;
+            }
+            if (!rejected) {
+                throw new Error(`Profile id ${key} should be rejected`);
+            }
+        }
+
+        if (Object.getPrototypeOf(filters.cameraProfiles) !== Object.prototype || ({}).optimizations !== undefined) {
+            throw new Error('Profile registration reached the prototype chain');
+        }
+
+        // The applied profile passes its own optimizations to the enhancement engine
+        let received = null;
+        filters.initialize(null, { applySmartEnhancement: async (imageData, options) => { received = options; return imageData; } });
+        await filters.applyCameraProfile(new ImageData(4, 4), 'canon-eos');
+        const expected = filters.cameraProfiles['canon-eos'].optimizations;
+        if (!received || received.noise !== expected.noise || received.contrast !== expected.contrast) {
+            throw new Error('Camera profile optimizations not applied');
+        }
+
+        let missing = false;
+        try {
+            await filters.applyCameraProfile(new ImageData(4, 4), 'constructor');
+        } catch (error) {
+            missing = true;
+        }
+        if (!missing) {
+            throw new Error('Inherited keys should not resolve to a profile');
+        }
+    }, 'smart-filters');
+
     // Error Handling Tests
     suite.addTest('Error Handler Class Exists', () => {
         if (typeof SmartFeaturesErrorHandler === 'undefined') {
@@ -273,6 +908,133 @@ function createTestSuite() {
         }
     }, 'performance');
 
+    suite.addTest('Image Workers Match Main Thread And Cancel Stale Jobs', async () => {
+        const width = 800;
+        const height = 700;
+        const source = new ImageData(width, height);
+        for (let i = 0; i < source.data.length; i += 4) {
+            const pixel = i / 4;
+            source.data.set([pixel % 251, (pixel * 7) % 253, 180 + pixel % 70, 255], i);
+        }
+        const copy = () => new ImageData(new Uint8ClampedArray(source.data), width, height);
+        const steps = [['brightnessContrast', 10, 20], ['noiseReduction', 40], ['specularControl', 30], ['shadeSafeWhitening', 50]];
+
+        const expected = new ImageFilters().run(copy(), steps);
+        const pool = new ImageWorkerPool({ size: 2 });
+        const input = copy();
+        let preview = null;
+
+        try {
+            const result = await pool.run('pipeline', input, { steps }, { onPreview: (image) => { preview = image; } });
+            if (result.width !== width || result.data.some((value, index) => value !== expected.data[index])) {
+                throw new Error('Worker output should match the main-thread filters');
+            }
+            if (pool.threaded && (input.data.length !== 0 || !preview || preview.width * preview.height > pool.previewPixels)) {
+                throw new Error('Pixels should be transferred and a small preview posted first');
+            }
+
+            // A job abandoned for a newer one is rejected, not left to finish, on workers or not
+            for (const runner of [pool, new ImageWorkerPool({ threaded: false })]) {
+                const controller = new AbortController();
+                const stale = runner.run('pipeline', copy(), { steps }, { signal: controller.signal });
+                controller.abort();
+                try {
+                    await stale;
+                    throw new Error('A cancelled job should reject');
+                } catch (error) {
+                    if (error.name !== 'AbortError') throw error;
+                }
+            }
+
+            // A render superseded while a camera profile enhances it gives up its worker job
+            const filters = new SmartFilters();
+            const engine = new SmartEnhancementEngine('classical');
+            engine.setWorkerPool(pool);
+            filters.initialize(null, engine);
+            const stack = new EditStack();
+            stack.registerOperation('smart-enhancement', {
+                apply: (imageData, params, context) => filters.applyCameraProfile(imageData, params.profileId, { signal: context.signal })
+            });
+            stack.setOriginal(copy());
+            stack.addStep('smart-enhancement', { action: 'camera-profile', profileId: 'canon-eos' });
+
+            const controller = new AbortController();
+            const superseded = stack.render({ signal: controller.signal }).then(() => null, (error) => error);
+            controller.abort();
+            const latest = await stack.render();
+            const error = await superseded;
+            if (pool.threaded && (!error || error.name !== 'AbortError')) {
+                throw new Error('The superseded render should cancel its smart enhancement job');
+            }
+            if (latest.width !== width || pool.queue.length > 0 || pool.workers.some(slot => slot.job)) {
+                throw new Error('The latest render should finish with no stale job left in the pool');
+            }
+        } finally {
+            pool.terminate();
+        }
+    }, 'performance');
+
+    suite.addTest('Tiled Processing Matches Whole Image Within Memory Limit', async () => {
+        const width = 301;
+        const height = 203;
+        const source = new ImageData(width, height);
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            source.data.set([(i * 13) % 256, (i * 29) % 256, 200 + i % 56, 255], i * 4);
+            mask[i] = (i % width) > 100 && (i % width) < 200 ? 1 : 0;
+        }
+        const steps = [['brightnessContrast', 5, 15], ['noiseReduction', 60], ['noiseReduction', 40], ['shadeSafeWhitening', 50]];
+
+        const filters = new ImageFilters();
+        const expected = filters.run(new ImageData(new Uint8ClampedArray(source.data), width, height), steps, mask);
+
+        // About 52 KB: far less than the image, so it must be tiled
+        const processor = new TiledProcessor({ memoryLimit: 0.05 });
+        const output = new ImageData(width, height);
+        let largestRead = 0;
+        const tileCount = await processor.process(processor.createImageDataTarget(source, output), (tile, region) => {
+            largestRead = Math.max(largestRead, region.readWidth * region.readHeight);
+            const tileMask = filters.resampleMask(mask, width, height, width, height, {
+                x: region.readX, y: region.readY, width: region.readWidth, height: region.readHeight
+            });
+            return filters.run(tile, steps, tileMask);
+        }, { halo: filters.getHalo(steps) });
+
+        if (tileCount < 4 || largestRead * processor.bytesPerTilePixel > processor.memoryLimit) {
+            throw new Error(`Tiles should stay within the memory limit (${tileCount} tiles, ${largestRead} px read)`);
+        }
+        if (output.data.some((value, index) => value !== expected.data[index])) {
+            throw new Error('Stitched tiles should match the whole-image result, halos included');
+        }
+
+        let rejected = false;
+        try {
+            new TiledProcessor({ memoryLimit: 0.001 }).planTiles(width, height, { halo: 2 });
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('A limit too small for any tile should be reported');
+        }
+
+        // The transform drawn from the full-resolution source lands where the edit stack puts it
+        const stack = new EditStack();
+        const params = { rotation: 90, flipHorizontal: true, crop: { x: 0.1, y: 0.2, width: 0.5, height: 0.6 } };
+        const geometry = stack.getTransformGeometry(params, width, height);
+        const transformed = stack.transformImageData(source, params);
+        if (geometry.width !== transformed.width || geometry.height !== transformed.height) {
+            throw new Error('Transform geometry size should match the transformed image');
+        }
+        const [a, b, c, d, e, f] = geometry.matrix;
+        for (const [sx, sy] of [[150, 100], [120, 60], [200, 110]]) {
+            const x = Math.floor(a * (sx + 0.5) + c * (sy + 0.5) + e);
+            const y = Math.floor(b * (sx + 0.5) + d * (sy + 0.5) + f);
+            if (transformed.data[(y * transformed.width + x) * 4] !== source.data[(sy * width + sx) * 4]) {
+                throw new Error(`Source pixel ${sx},${sy} should map to ${x},${y}`);
+            }
+        }
+    }, 'performance');
+
     // Data Persistence Tests
     suite.addTest('Data Persistence Class Exists', () => {
         if (typeof DataPersistenceManager === 'undefined') {
@@ -290,6 +1052,50 @@ function createTestSuite() {
         }
     }, 'data-persistence');
 
+    suite.addTest('Patient Library Stores And Reopens Photo', async () => {
+        if (typeof PatientLibrary === 'undefined') {
+            throw new Error('PatientLibrary class not defined');
+        }
+
+        const library = new PatientLibrary('dentalApp_patientLibrary_test');
+        try {
+            const patient = await library.createPatient({ name: 'Test Patient', chartNumber: 'T-1' });
+            const visit = await library.createVisit(patient.id, { date: '2024-03-01' });
+            const series = await library.createSeries(visit.id, { name: 'Retracted' });
+
+            const recipe = { format: 'dental-edit-recipe', version: 1, steps: [{ type: 'filters', enabled: true, params: { brightness: 10 } }] };
+            const photo = await library.savePhoto(series.id, {
+                blob: new Blob([new Uint8Array([1, 2, 3, 4])], { type: 'image/jpeg' }),
+                fileName: 'test.jpg',
+                recipe,
+                measurements: { shade: null },
+                detectionResults: { teeth: { count: 8 } }
+            });
+
+            const stored = await library.getPhoto(photo.id);
+            if (stored.patientId !== patient.id || stored.visitId !== visit.id || stored.blob.size !== 4) {
+                throw new Error('Photo not stored under its series');
+            }
+            if (stored.recipe.steps[0].params.brightness !== 10 || stored.detectionResults.teeth.count !== 8) {
+                throw new Error('Photo edit state not stored');
+            }
+
+            const usage = await library.getUsage();
+            if (usage.photos !== 1 || usage.photoBytes !== 4) {
+                throw new Error(`Unexpected library usage: ${JSON.stringify(usage)}`);
+            }
+
+            // Removing the patient removes everything recorded under it
+            await library.deletePatient(patient.id);
+            if (await library.getPhoto(photo.id) || (await library.listVisits(patient.id)).length !== 0) {
+                throw new Error('Patient deletion did not cascade');
+            }
+        } finally {
+            library.close();
+            indexedDB.deleteDatabase('dentalApp_patientLibrary_test');
+        }
+    }, 'data-persistence');
+
     // Accessibility Tests
     suite.addTest('Accessibility Manager Class Exists', () => {
         if (typeof AccessibilityManager === 'undefined') {
@@ -342,6 +1148,501 @@ function createTestSuite() {
         }
     }, 'analytics');
 
+    // DICOM Tests
+    suite.addTest('DICOM Writer Produces Part 10 File', async () => {
+        if (typeof DICOMWriter === 'undefined') {
+            throw new Error('DICOMWriter class not defined');
+        }
+
+        const imageData = new ImageData(2, 2);
+        const result = new DICOMWriter().encode(imageData, { patientName: 'Test^Patient' });
+        const bytes = new Uint8Array(result.buffer);
+        const prefix = String.fromCharCode(bytes[128], bytes[129], bytes[130], bytes[131]);
+
+        if (prefix !== 'DICM') {
+            throw new Error('DICM prefix missing after preamble');
+        }
+
+        if (!result.sopInstanceUID.startsWith('2.25.')) {
+            throw new Error('SOP Instance UID not generated');
+        }
+    }, 'dicom');
+
+    suite.addTest('DICOM Parser Round Trip', async () => {
+        if (typeof DICOMParser === 'undefined') {
+            throw new Error('DICOMParser class not defined');
+        }
+
+        const imageData = new ImageData(2, 1);
+        imageData.data.set([10, 20, 30, 255, 40, 50, 60, 255]);
+
+        const written = new DICOMWriter().encode(imageData, { patientID: 'RT-1' });
+        const parsed = new DICOMParser().parse(written.buffer);
+
+        if (parsed.width !== 2 || parsed.height !== 1) {
+            throw new Error('Parsed dimensions do not match');
+        }
+
+        if (parsed.imageData.data[4] !== 40 || parsed.study.patientID !== 'RT-1') {
+            throw new Error('Parsed pixels or study tags do not match');
+        }
+
+        if (parsed.study.studyInstanceUID !== written.studyInstanceUID) {
+            throw new Error('Study Instance UID not preserved');
+        }
+    }, 'dicom');
+
+    // Image Encoder Tests
+    suite.addTest('TIFF Encoder Writes Multi-Page File', async () => {
+        if (typeof TIFFEncoder === 'undefined') {
+            throw new Error('TIFFEncoder class not defined');
+        }
+
+        const page = new ImageData(4, 4);
+        const buffer = await new TIFFEncoder().encode([page, page], { compression: 'lzw', dpi: 600 });
+        const view = new DataView(buffer);
+
+        if (view.getUint16(0, true) !== 0x4949 || view.getUint16(2, true) !== 42) {
+            throw new Error('Invalid TIFF header');
+        }
+
+        const firstIFD = view.getUint32(4, true);
+        const entryCount = view.getUint16(firstIFD, true);
+        const nextIFD = view.getUint32(firstIFD + 2 + entryCount * 12, true);
+
+        if (nextIFD === 0) {
+            throw new Error('Second TIFF page missing');
+        }
+    }, 'image-encoders');
+
+    suite.addTest('BMP Encoder Writes 24-bit Bitmap', async () => {
+        if (typeof BMPEncoder === 'undefined') {
+            throw new Error('BMPEncoder class not defined');
+        }
+
+        const buffer = new BMPEncoder().encode(new ImageData(3, 2), { dpi: 300 });
+        const view = new DataView(buffer);
+
+        if (view.getUint16(0) !== 0x424D || view.getUint16(28, true) !== 24) {
+            throw new Error('Invalid BMP header');
+        }
+
+        // 3 pixels * 3 bytes padded to 12-byte rows
+        if (buffer.byteLength !== 54 + 12 * 2) {
+            throw new Error('BMP rows not padded to 4 bytes');
+        }
+    }, 'image-encoders');
+
+    suite.addTest('GIF And APNG Encoders Write Timeline Frames', async () => {
+        // Three visits of a small gradient, each a little brighter
+        const frames = [0, 1, 2].map(visit => {
+            const imageData = new ImageData(16, 8);
+            for (let i = 0; i < imageData.data.length; i += 4) {
+                imageData.data.set([(i / 4) * 8 % 256, 60 + visit * 60, 120, 255], i);
+            }
+            return { imageData, delay: 500 };
+        });
+
+        const gif = new GIFEncoder().encode(frames);
+        const text = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+        if (text(gif, 0, 6) !== 'GIF89a' || gif[gif.length - 1] !== 0x3B) {
+            throw new Error('Invalid GIF header or trailer');
+        }
+        if (text(gif, 784, 11) !== 'NETSCAPE2.0') {
+            throw new Error('GIF should loop');
+        }
+
+        const apng = await new APNGEncoder().encode(frames);
+        const view = new DataView(apng.buffer, apng.byteOffset, apng.byteLength);
+        const chunks = [];
+        for (let offset = 8; offset < apng.length; offset += 12 + view.getUint32(offset)) {
+            chunks.push(text(apng, offset + 4, 4));
+        }
+        if (chunks[1] !== 'acTL' || view.getUint32(8 + 12 + 13 + 8) !== 3) {
+            throw new Error('APNG should announce 3 frames');
+        }
+        if (chunks.filter(type => type === 'fcTL').length !== 3 || chunks.filter(type => type === 'fdAT').length !== 2) {
+            throw new Error(`Unexpected APNG chunks: ${chunks.join(', ')}`);
+        }
+    }, 'image-encoders');
+
+    // Image Metadata Tests
+    suite.addTest('Metadata Round Trip With Anonymize', async () => {
+        if (typeof ImageMetadataWriter === 'undefined' || typeof ImageMetadataReader === 'undefined') {
+            throw new Error('Image metadata classes not defined');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 2;
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+        const source = {
+            exif: { make: 'Apple', model: 'iPhone 15', bodySerialNumber: 'SERIAL-1' },
+            gps: { latitude: 48.1, longitude: 11.5 }
+        };
+        const tagged = await new ImageMetadataWriter().embed(png, source, {
+            anonymize: true,
+            clinical: { toothNumbers: ['11'], vitaShade: 'A2' }
+        });
+        const metadata = await new ImageMetadataReader().readFile(tagged);
+
+        if (metadata.exif.model !== 'iPhone 15') {
+            throw new Error('Camera model not preserved');
+        }
+
+        if (metadata.gps || metadata.exif.bodySerialNumber) {
+            throw new Error('GPS or serial number not stripped');
+        }
+
+        if (!metadata.clinical || metadata.clinical.vitaShade !== 'A2') {
+            throw new Error('Clinical XMP not written');
+        }
+    }, 'image-metadata');
+
+    suite.addTest('Oversized Recipe Keeps The Rest Of The JPEG Metadata', async () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 2;
+        const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+
+        const recipe = { version: 1, steps: [{ type: 'notes', params: { text: 'x'.repeat(100000) } }] };
+        const tagged = await new ImageMetadataWriter().embed(jpeg, {
+            exif: { model: 'EOS R5', exposureTime: 1 / 8000 }
+        }, {
+            clinical: { vitaShade: 'A2', shadeSystem: 'classical', enhancementRecipe: recipe }
+        });
+        const metadata = await new ImageMetadataReader().readFile(tagged);
+
+        if (metadata.exif.model !== 'EOS R5' || !metadata.clinical || metadata.clinical.vitaShade !== 'A2') {
+            throw new Error('Exif and clinical XMP should survive an oversized recipe');
+        }
+        if (metadata.clinical.enhancementRecipe) {
+            throw new Error('A recipe too large for the XMP segment should be left out');
+        }
+        if (Math.abs(metadata.exif.exposureTime - 1 / 8000) > 1e-9) {
+            throw new Error(`Exposure time written as ${metadata.exif.exposureTime}, not 1/8000`);
+        }
+    }, 'image-metadata');
+
+    // Edit Stack Tests
+    suite.addTest('Edit Stack Renders And Replays Recipe', async () => {
+        const stack = new EditStack();
+        stack.registerOperation('filters', {
+            single: true,
+            apply: (imageData, params) => {
+                for (let i = 0; i < imageData.data.length; i += 4) imageData.data[i] += params.brightness;
+            }
+        });
+
+        const original = new ImageData(4, 2);
+        stack.setOriginal(original);
+        stack.setStep('filters', { brightness: 10 });
+        stack.addStep('transform', { rotation: 90 });
+
+        // Transform is ordered ahead of filters whatever the order steps were added in
+        if (stack.steps[0].type !== 'transform') {
+            throw new Error('Transform step should come first');
+        }
+
+        const rendered = await stack.render();
+        if (rendered.width !== 2 || rendered.height !== 4 || rendered.data[0] !== 10 || original.data[0] !== 0) {
+            throw new Error('Stack should render rotated, filtered pixels without touching the original');
+        }
+
+        stack.toggleStep(stack.findStep('filters').id);
+        if ((await stack.render()).data[0] !== 0) {
+            throw new Error('Disabled step should be skipped');
+        }
+
+        const replayed = await stack.replay(stack.exportRecipe(), new ImageData(6, 3));
+        if (replayed.width !== 3 || replayed.height !== 6) {
+            throw new Error('Recipe should replay on another image');
+        }
+
+        stack.undo();
+        if (!stack.findStep('filters').enabled) {
+            throw new Error('Undo should restore the toggled step');
+        }
+    }, 'edit-stack');
+
+    suite.addTest('Edit Stack Keeps Checkpoints, Not A Copy Per Step', async () => {
+        const stack = new EditStack();
+        const runs = [];
+        stack.registerOperation('add', {
+            apply: (imageData, params, context) => {
+                runs.push(context.step.id);
+                for (let i = 0; i < imageData.data.length; i += 4) imageData.data[i] += params.amount;
+            }
+        });
+        stack.setOriginal(new ImageData(4, 4));
+        const steps = [1, 2, 3, 4, 5, 6].map(amount => stack.addStep('add', { amount }));
+        await stack.render();
+        if (stack.checkpoints.length > 3) {
+            throw new Error(`${stack.checkpoints.length} renders kept for ${steps.length} steps`);
+        }
+
+        // Dragging step 4 re-renders from the checkpoint just before it
+        for (const amount of [10, 20]) {
+            stack.updateStep(steps[3].id, { amount });
+            runs.length = 0;
+            const result = await stack.render();
+            if (result.data[0] !== 1 + 2 + 3 + amount + 5 + 6) {
+                throw new Error('Render from a checkpoint gave the wrong pixels');
+            }
+        }
+        if (runs.join() !== [steps[3].id, steps[4].id, steps[5].id].join() || stack.checkpoints.length > 3) {
+            throw new Error(`Re-render should start at the edited step, ran steps ${runs.join()}`);
+        }
+
+        stack.addStep('annotations', { annotations: [{ type: 'freehand', points: [[1, 1], [2, 2]] }] });
+        const recipe = stack.toRecipe({ annotations: false });
+        if (recipe.steps.some(step => step.type === 'annotations') || recipe.omittedAnnotations !== 1 || recipe.steps.length !== 6) {
+            throw new Error('Annotation geometry should be left out of the recipe on request');
+        }
+    }, 'edit-stack');
+
+    suite.addTest('Replayed Smart Enhancement Keeps Full Resolution', async () => {
+        // A device below high end, whose optimizer downscales interactive smart enhancement
+        const optimizer = new MobilePerformanceOptimizer();
+        optimizer.deviceProfile.optimizationLevel = 'low';
+        optimizer.performanceSettings = optimizer.getOptimalSettings();
+
+        const sizes = [];
+        const stack = new EditStack();
+        stack.registerOperation('smart-enhancement', {
+            apply: (imageData, params, context) => optimizeSmartFunction((input) => {
+                sizes.push(`${input.width}x${input.height}`);
+                return input;
+            }, optimizer, { fullResolution: context.fullResolution })(imageData)
+        });
+        stack.setOriginal(new ImageData(120, 80));
+        stack.addStep('smart-enhancement', { action: 'smart-enhance' });
+
+        const interactive = await stack.render();
+        if (interactive.width !== 60 || sizes[0] !== '60x40') {
+            throw new Error(`The view should render at the optimizer's resolution, got ${interactive.width}x${interactive.height}`);
+        }
+
+        const exported = await stack.replay(stack.toRecipe(), new ImageData(480, 320));
+        if (exported.width !== 480 || exported.height !== 320 || sizes[1] !== '480x320') {
+            throw new Error(`A replay for export should keep full resolution, got ${exported.width}x${exported.height}`);
+        }
+    }, 'edit-stack');
+
+    // Photo Series Tests
+    suite.addTest('Photo Series Checklist And Slot Framing', async () => {
+        const series = new PhotoSeries();
+        if (series.getProtocol('aacd-12').slots.length !== 12) {
+            throw new Error('AACD series should have 12 slots');
+        }
+
+        const occlusal = series.getSlot('aacd-12', 'occlusal-upper');
+        const params = series.createSlotTransform(occlusal, new ImageData(300, 100));
+        if (!params.flipVertical || params.flipHorizontal) {
+            throw new Error('Occlusal mirror shot should be flipped vertically');
+        }
+
+        // 3:2 landscape crop centered in a 3:1 frame
+        const crop = params.crop;
+        if (Math.abs(crop.width - 0.5) > 1e-6 || Math.abs(crop.height - 1) > 1e-6 || Math.abs(crop.x - 0.25) > 1e-6) {
+            throw new Error(`Unexpected slot crop: ${JSON.stringify(crop)}`);
+        }
+
+        const photos = [
+            { slot: 'full-face-smile', updatedAt: '2024-01-01', recipe: { source: { width: 300, height: 200 } } },
+            { slot: 'occlusal-upper', updatedAt: '2024-01-01', recipe: null }
+        ];
+        const checklist = series.getChecklist('aacd-12', photos);
+        if (checklist.filled !== 2 || checklist.missing.length !== 10 || checklist.complete) {
+            throw new Error('Checklist should flag the 10 missing views');
+        }
+        if (checklist.slots[0].warnings.length !== 1) {
+            throw new Error('Landscape full-face shot should be flagged');
+        }
+
+        const images = await series.buildExportImages(checklist, async (photo) => photo.slot);
+        if (images.length !== 2 || images[1].data !== 'occlusal-upper' || images[1].filename !== occlusal.name) {
+            throw new Error('Export images should follow slot order');
+        }
+    }, 'photo-series');
+
+    // Mirror Shot Tests
+    suite.addTest('Mirror Shot Detected And Correction Suggested', async () => {
+        // Raw maxillary occlusal: tooth-colored arch with its incisors at the bottom, dark mirror rim on top
+        const width = 400, height = 300;
+        const image = new ImageData(width, height);
+        const paint = (x, y, color) => {
+            const i = (y * width + x) * 4;
+            image.data.set([...color, 255], i);
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                paint(x, y, y < height * 0.15 ? [60, 60, 65] : [170, 70, 80]);
+            }
+        }
+        for (let k = 0; k < 14; k++) {
+            const t = -1 + 2 * k / 13;
+            const cx = Math.round(width * (0.5 + 0.35 * t));
+            const cy = Math.round(height * (0.25 + 0.55 * (1 - t * t)));
+            for (let y = -7; y <= 7; y++) {
+                for (let x = -7; x <= 7; x++) {
+                    if (x * x + y * y <= 49 && cy + y < height) paint(cx + x, cy + y, [235, 225, 200]);
+                }
+            }
+        }
+
+        const detector = new MirrorShotDetector();
+        const result = await detector.analyze(image);
+        if (!result.isMirrorShot || result.view !== 'occlusal') {
+            throw new Error(`Occlusal mirror shot not detected: ${detector.describe(result)}`);
+        }
+        if (result.suggestion.rotation !== 180) {
+            throw new Error('Raw occlusal shot should need a vertical flip');
+        }
+        if (detector.getCorrection(result.suggestion, { flipVertical: true }) !== null) {
+            throw new Error('A vertically flipped photo needs no further correction');
+        }
+
+        const tools = new ImageTransformTools(document.createElement('canvas'), { keyboardShortcuts: false });
+        tools.canvas.width = width;
+        tools.canvas.height = height;
+        tools.setOriginalImageData(image);
+        tools.setEditStepParams({});
+        tools.applyMirrorCorrection(detector.getCorrection(result.suggestion, {}));
+        const params = tools.getEditStepParams();
+        if (params.rotation !== 180 || !params.flipHorizontal) {
+            throw new Error('Correction should mirror and turn the photo');
+        }
+        if (tools.history[tools.historyStep].label !== 'Mirror shot correction') {
+            throw new Error('Correction should be recorded in the transform history');
+        }
+    }, 'mirror-detection');
+
+    // Registration Tests
+    suite.addTest('Before After Registration Recovers Alignment', async () => {
+        const registration = new ImageRegistration();
+        // "after" pixels onto "before": 6° rotation, 1.1x scale and a shift
+        const angle = 6 * Math.PI / 180;
+        const truth = {
+            a: 1.1 * Math.cos(angle), b: 1.1 * Math.sin(angle),
+            c: -1.1 * Math.sin(angle), d: 1.1 * Math.cos(angle),
+            e: -15, f: 10
+        };
+
+        // Textured scene of colored discs, photographed twice
+        let seed = 7;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const discs = Array.from({ length: 80 }, () => [random() * 400, random() * 300, 4 + random() * 14, random() * 255, random() * 255]);
+        const render = (width, height, mapping) => {
+            const image = new ImageData(width, height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = mapping({ x, y });
+                    let color = [120 + 40 * Math.sin(p.x / 30), 100, 90];
+                    discs.forEach(([cx, cy, r, red, green]) => {
+                        if ((p.x - cx) ** 2 + (p.y - cy) ** 2 < r * r) color = [red, green, 120];
+                    });
+                    image.data.set([...color, 255], (y * width + x) * 4);
+                }
+            }
+            return image;
+        };
+        const before = render(400, 300, p => p);
+        const after = render(340, 260, p => registration.apply(truth, p));
+
+        // Two slightly misplaced landmarks, as a user would click them
+        const inverse = registration.invert(truth);
+        const landmarks = [{ x: 100, y: 80 }, { x: 300, y: 220 }].map(point => ({
+            before: { x: point.x + 2, y: point.y - 2 },
+            after: registration.apply(inverse, point)
+        }));
+
+        const maxError = (transform) => Math.max(...[[0, 0], [340, 0], [0, 260], [340, 260]].map(([x, y]) => {
+            const found = registration.apply(transform, { x, y });
+            const expected = registration.apply(truth, { x, y });
+            return Math.hypot(found.x - expected.x, found.y - expected.y);
+        }));
+
+        const landmarksOnly = await registration.register(before, after, { landmarks, refine: false });
+        const refined = await registration.register(before, after, { landmarks });
+        if (refined.matches < 10) {
+            throw new Error(`Too few feature matches: ${refined.matches}`);
+        }
+        if (maxError(refined.transform) > 1.5 || maxError(refined.transform) >= maxError(landmarksOnly.transform)) {
+            throw new Error(`Feature refinement should tighten the fit (${maxError(landmarksOnly.transform).toFixed(2)} -> ${maxError(refined.transform).toFixed(2)} px)`);
+        }
+
+        try {
+            registration.solve(landmarks, 'affine');
+            throw new Error('Affine fit from two landmarks should be rejected');
+        } catch (error) {
+            if (!error.message.includes('at least 3')) throw error;
+        }
+    }, 'registration', 15000);
+
+    suite.addTest('Treatment Timeline Orders Visits And Renders Frames', async () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 80;
+        canvas.height = 60;
+        const view = new ComparisonView(canvas, { keyboardShortcuts: false });
+
+        const photo = () => new ImageData(40, 30);
+        const frames = await view.setTimeline([
+            { image: photo(), date: '2024-03-01' },
+            { image: photo(), date: '2024-01-01' },
+            { image: photo(), date: '2024-06-01' }
+        ], { register: false });
+
+        if (frames.map(frame => frame.label).join() !== '2024-01-01,2024-03-01,2024-06-01') {
+            throw new Error('Timeline should be ordered by visit date');
+        }
+        if (view.getCurrentMode() !== 'timeline') {
+            throw new Error('Loading a timeline should switch to timeline mode');
+        }
+
+        // Held frames for the three visits plus cross-fades between them
+        const rendered = view.renderTimelineFrames({ width: 40, fps: 10, frameDuration: 1000, transition: 0.3 });
+        if (rendered.length !== 3 + 2 * 2 || rendered[0].imageData.width !== 40) {
+            throw new Error(`Unexpected timeline frames: ${rendered.length}`);
+        }
+        if (view.getTimelinePlaybackPosition(1850) <= 1 || view.getTimelinePlaybackPosition(1500) !== 1) {
+            throw new Error('Playback should hold each visit, then cross-fade');
+        }
+    }, 'timeline');
+
+    suite.addTest('Slider Sweep Animation Encodes With Octree Palette', async () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 80;
+        canvas.height = 60;
+        const view = new ComparisonView(canvas, { keyboardShortcuts: false });
+        view.setImages(new ImageData(40, 30), new ImageData(40, 30));
+        view.setMode('slider');
+
+        const frames = view.renderAnimation({ animation: 'slider', duration: 2000, fps: 10, width: 40, labels: { before: 'Before', after: 'After' } });
+        if (frames.length !== 20 || frames[0].imageData.width !== 40 || frames[0].imageData.height !== 30 || frames[0].delay !== 100) {
+            throw new Error(`Unexpected animation frames: ${frames.length}`);
+        }
+        if (view.sliderPosition !== 0.5 || view.settings.labels.before !== 'Original') {
+            throw new Error('Rendering an animation should leave the view as it was');
+        }
+
+        // Two flat colors need exactly two octree leaves
+        const pixels = new Uint8Array(300);
+        for (let p = 0; p < 100; p++) {
+            pixels.set(p < 50 ? [200, 180, 150] : [20, 40, 60], p * 3);
+        }
+        const palette = new GIFEncoder().quantize([pixels], { quantizer: 'octree', colors: 16, sampleLimit: 1000 });
+        if (palette.length !== 2 || palette.map(color => color.join()).sort().join(' ') !== '20,40,60 200,180,150') {
+            throw new Error(`Unexpected octree palette: ${JSON.stringify(palette)}`);
+        }
+
+        const gif = new GIFEncoder({ quantizer: 'octree' }).encode(frames);
+        if (gif[0] !== 0x47 || gif[gif.length - 1] !== 0x3B) {
+            throw new Error('Invalid GIF');
+        }
+    }, 'timeline');
+
     // Integration Tests
     suite.addTest('Smart Features Integration', () => {
         const requiredComponents = [
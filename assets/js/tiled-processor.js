@@ -0,0 +1,117 @@
+// Tiled Processor for Dental Photo Editor
+// Processes full-resolution images as overlapping tiles so exports keep every pixel while
+// peak memory stays under the configured memory limit
+
+class TiledProcessor {
+    constructor(options = {}) {
+        // memory_limit from the site config, in MB
+        this.memoryLimit = (options.memoryLimit || 512) * 1024 * 1024;
+        this.maxTileSize = options.maxTileSize || 2048;
+        this.minTileSize = options.minTileSize || 16;
+        // Buffers alive per tile pixel while it is processed: the read, the step's working
+        // copy, a filter's scratch copy and the result, 4 bytes each, plus a 2-byte mask
+        this.bytesPerTilePixel = options.bytesPerTilePixel || 18;
+    }
+
+    // Split width x height into tiles. Each tile's core is written back; its read area adds
+    // halo pixels on every side (clipped at the image edge) for neighbourhood filters.
+    // reservedBytes is memory already spoken for, such as the source and output images.
+    planTiles(width, height, options = {}) {
+        const { halo = 0, concurrency = 1, reservedBytes = 0 } = options;
+        const budget = this.memoryLimit - reservedBytes;
+        const readSide = Math.floor(Math.sqrt(Math.max(0, budget) / (concurrency * this.bytesPerTilePixel)));
+        const side = Math.min(this.maxTileSize, readSide - 2 * halo);
+
+        if (side < this.minTileSize) {
+            throw new Error(`A ${width}x${height} image does not fit the ${Math.round(this.memoryLimit / 1048576)} MB memory limit`);
+        }
+
+        const tiles = [];
+        for (let y = 0; y < height; y += side) {
+            for (let x = 0; x < width; x += side) {
+                const tile = {
+                    x,
+                    y,
+                    width: Math.min(side, width - x),
+                    height: Math.min(side, height - y),
+                    readX: Math.max(0, x - halo),
+                    readY: Math.max(0, y - halo)
+                };
+                tile.readWidth = Math.min(width, x + tile.width + halo) - tile.readX;
+                tile.readHeight = Math.min(height, y + tile.height + halo) - tile.readY;
+                tiles.push(tile);
+            }
+        }
+        return tiles;
+    }
+
+    // Run processTile(imageData, tile) over every tile of target, concurrency tiles at a time.
+    // target: { width, height, read(x, y, width, height) -> ImageData, write(imageData, tile) }
+    // processTile returns the processed read area, or modifies it in place.
+    // options: { halo, concurrency, reservedBytes, signal, onProgress(fraction) }
+    async process(target, processTile, options = {}) {
+        const { signal = null, onProgress = null } = options;
+        const concurrency = Math.max(1, options.concurrency || 1);
+        const tiles = this.planTiles(target.width, target.height, { ...options, concurrency });
+        let next = 0;
+        let done = 0;
+
+        const runTiles = async () => {
+            while (next < tiles.length) {
+                if (signal && signal.aborted) {
+                    const error = new Error('Tiled processing cancelled');
+                    error.name = 'AbortError';
+                    throw error;
+                }
+
+                const tile = tiles[next++];
+                const input = await target.read(tile.readX, tile.readY, tile.readWidth, tile.readHeight);
+                const output = (await processTile(input, tile)) || input;
+                await target.write(output, tile);
+
+                done++;
+                if (onProgress) onProgress(done / tiles.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, tiles.length) }, runTiles));
+        return tiles.length;
+    }
+
+    // Core of a processed tile, without its halo
+    cropTile(imageData, tile) {
+        const offsetX = tile.x - tile.readX;
+        const offsetY = tile.y - tile.readY;
+        if (offsetX === 0 && offsetY === 0 && imageData.width === tile.width && imageData.height === tile.height) {
+            return imageData;
+        }
+
+        const output = new ImageData(tile.width, tile.height);
+        for (let y = 0; y < tile.height; y++) {
+            const start = ((offsetY + y) * imageData.width + offsetX) * 4;
+            output.data.set(imageData.data.subarray(start, start + tile.width * 4), y * tile.width * 4);
+        }
+        return output;
+    }
+
+    // Target reading tiles from one ImageData and writing them into another of the same size
+    createImageDataTarget(source, output) {
+        return {
+            width: source.width,
+            height: source.height,
+            read: (x, y, width, height) => this.cropTile(source, { x, y, width, height, readX: 0, readY: 0 }),
+            write: (imageData, tile) => {
+                const core = this.cropTile(imageData, tile);
+                for (let y = 0; y < tile.height; y++) {
+                    output.data.set(
+                        core.data.subarray(y * tile.width * 4, (y + 1) * tile.width * 4),
+                        ((tile.y + y) * output.width + tile.x) * 4
+                    );
+                }
+            }
+        };
+    }
+}
+
+// Export for use in main application
+window.TiledProcessor = TiledProcessor;
@@ -537,8 +537,10 @@ class ToothNumberingSystem {
         for (const dentition of ['adult', 'primary']) {
             if (systemData[dentition]) {
                 for (const arch of Object.values(systemData[dentition])) {
-                    if (Array.isArray(arch) && arch.includes(number)) {
-                        return true;
+                    for (const side of Object.values(arch)) {
+                        if (Array.isArray(side) && side.includes(number)) {
+                            return true;
+                        }
                     }
                 }
             }
@@ -0,0 +1,589 @@
+// Tooth Segmentation for Dental Photo Editor
+// Per-tooth polygon masks from colour, edges and a marker-controlled watershed, numbered by arch position
+
+class ToothSegmentation {
+    constructor(options = {}) {
+        this.colorScience = options.colorScience || new ColorScience();
+        this.toothNumbering = options.toothNumbering || null;
+        // Optional local model: segment(imageData) resolving to { labels, width, height }, one
+        // label per tooth and 0 elsewhere, at the size of the image it was given
+        this.model = options.model || null;
+
+        this.settings = {
+            workingSize: 480,         // longest side segmented, px; polygons are scaled back to the photo
+            minLightness: 50,         // tooth pixels: light, low-chroma, yellowish (as the shade tool's test)
+            maxChroma: 40,
+            maxRedness: 15,
+            minYellowness: -5,
+            edgeStrength: 12,         // L* per px; interproximal edges stronger than this separate teeth
+            splitDepth: 0.35,         // a tooth core must rise this fraction of its radius above the contact
+            minCoreRadius: 3,         // working px
+            minToothArea: 0.002,      // fraction of the working image
+            simplifyTolerance: 1,     // working px
+            rowGap: 0.6,              // tooth heights between the maxillary and mandibular rows
+            ...options.settings
+        };
+    }
+
+    // Segment imageData into teeth. options.midlineX puts the centrals either side of a known dental
+    // midline; options.arch ('maxillary' or 'mandibular') numbers a single row of teeth.
+    // options.onProgress receives 0..1 between stages and options.signal stops it there
+    async segment(imageData, options = {}) {
+        const stage = async (progress) => {
+            if (options.onProgress) options.onProgress(progress);
+            // Let a timeout or cancellation in before the next stage
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (options.signal && options.signal.aborted) {
+                throw new Error('Segmentation cancelled');
+            }
+        };
+
+        const scale = Math.min(1, this.settings.workingSize / Math.max(imageData.width, imageData.height));
+        const working = scale < 1 ? this.downsample(imageData, scale) : imageData;
+        const { width, height } = working;
+        await stage(0.1);
+
+        let labels;
+        let method;
+        if (this.model) {
+            const result = await this.model.segment(working);
+            if (result.width !== width || result.height !== height) {
+                throw new Error('Segmentation model returned a label map of the wrong size');
+            }
+            labels = Int32Array.from(result.labels);
+            method = 'model';
+        } else {
+            const { toothMask, gradient } = this.classifyPixels(working);
+            await stage(0.35);
+            const distance = this.distanceTransform(toothMask, gradient, width, height);
+            const markers = this.findMarkers(distance, width, height);
+            await stage(0.55);
+            labels = this.watershed(toothMask, gradient, distance, markers, width, height);
+            method = 'watershed';
+        }
+        await stage(0.8);
+
+        const minArea = this.settings.minToothArea * width * height;
+        const teeth = this.extractRegions(labels, width, height)
+            .filter(region => region.area >= minArea)
+            .map(region => this.toTooth(region, labels, width, height, scale));
+
+        const midlineX = options.midlineX !== undefined ? options.midlineX : imageData.width / 2;
+        const numbered = this.numberTeeth(teeth, midlineX, options.arch);
+
+        return {
+            teeth: numbered,
+            count: numbered.length,
+            confidence: numbered.length > 0
+                ? numbered.reduce((sum, tooth) => sum + tooth.confidence, 0) / numbered.length
+                : 0,
+            method,
+            width: imageData.width,
+            height: imageData.height
+        };
+    }
+
+    // Box-filtered copy at the working scale
+    downsample(imageData, scale) {
+        const width = Math.max(1, Math.round(imageData.width * scale));
+        const height = Math.max(1, Math.round(imageData.height * scale));
+        const output = new Uint8ClampedArray(width * height * 4);
+        const source = imageData.data;
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.floor(y / scale);
+            const y1 = Math.max(y0 + 1, Math.min(imageData.height, Math.floor((y + 1) / scale)));
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.floor(x / scale);
+                const x1 = Math.max(x0 + 1, Math.min(imageData.width, Math.floor((x + 1) / scale)));
+                const sum = [0, 0, 0, 0];
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const i = (sy * imageData.width + sx) * 4;
+                        sum[0] += source[i];
+                        sum[1] += source[i + 1];
+                        sum[2] += source[i + 2];
+                        sum[3] += source[i + 3];
+                    }
+                }
+                const count = (y1 - y0) * (x1 - x0);
+                const o = (y * width + x) * 4;
+                for (let channel = 0; channel < 4; channel++) {
+                    output[o + channel] = sum[channel] / count;
+                }
+            }
+        }
+
+        return new ImageData(output, width, height);
+    }
+
+    // Tooth-coloured pixels (opened to drop specks) and the Sobel gradient of L*, in L* per px
+    classifyPixels(imageData) {
+        const { width, height, data } = imageData;
+        const s = this.settings;
+        const lightness = new Float32Array(width * height);
+        const raw = new Uint8Array(width * height);
+
+        for (let i = 0; i < width * height; i++) {
+            const lab = this.colorScience.rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            lightness[i] = lab.L;
+            raw[i] = lab.L >= s.minLightness && Math.hypot(lab.a, lab.b) <= s.maxChroma &&
+                lab.a <= s.maxRedness && lab.b >= s.minYellowness ? 1 : 0;
+        }
+
+        const toothMask = this.dilate(this.erode(raw, width, height), width, height);
+
+        const gradient = new Float32Array(width * height);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = lightness[i - width + 1] + 2 * lightness[i + 1] + lightness[i + width + 1] -
+                    lightness[i - width - 1] - 2 * lightness[i - 1] - lightness[i + width - 1];
+                const gy = lightness[i + width - 1] + 2 * lightness[i + width] + lightness[i + width + 1] -
+                    lightness[i - width - 1] - 2 * lightness[i - width] - lightness[i - width + 1];
+                gradient[i] = Math.hypot(gx, gy) / 4;
+            }
+        }
+
+        return { toothMask, gradient };
+    }
+
+    erode(mask, width, height) {
+        return this.morph(mask, width, height, (count) => count === 9);
+    }
+
+    dilate(mask, width, height) {
+        return this.morph(mask, width, height, (count) => count > 0);
+    }
+
+    // 3x3 neighbourhood test; pixels past the border count as unset
+    morph(mask, width, height, keep) {
+        const output = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx, ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[ny * width + nx]) count++;
+                    }
+                }
+                output[y * width + x] = keep(count) ? 1 : 0;
+            }
+        }
+        return output;
+    }
+
+    // Chamfer (3-4) distance, in px, from each tooth pixel to the nearest non-tooth or edge pixel
+    distanceTransform(toothMask, gradient, width, height) {
+        const edge = this.settings.edgeStrength;
+        const distance = new Float32Array(width * height);
+        const far = 1e9;
+
+        for (let i = 0; i < width * height; i++) {
+            distance[i] = toothMask[i] && gradient[i] < edge ? far : 0;
+        }
+
+        const relax = (i, x, y, dx, dy, cost) => {
+            const nx = x + dx, ny = y + dy;
+            const neighbour = nx >= 0 && ny >= 0 && nx < width && ny < height ? distance[ny * width + nx] : 0;
+            if (neighbour + cost < distance[i]) distance[i] = neighbour + cost;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (distance[i] === 0) continue;
+                relax(i, x, y, -1, 0, 3);
+                relax(i, x, y, 0, -1, 3);
+                relax(i, x, y, -1, -1, 4);
+                relax(i, x, y, 1, -1, 4);
+            }
+        }
+        for (let y = height - 1; y >= 0; y--) {
+            for (let x = width - 1; x >= 0; x--) {
+                const i = y * width + x;
+                if (distance[i] === 0) continue;
+                relax(i, x, y, 1, 0, 3);
+                relax(i, x, y, 0, 1, 3);
+                relax(i, x, y, 1, 1, 4);
+                relax(i, x, y, -1, 1, 4);
+            }
+        }
+
+        for (let i = 0; i < width * height; i++) {
+            distance[i] /= 3;
+        }
+        return distance;
+    }
+
+    // One marker per tooth core: maxima of the distance map that stay apart until the level
+    // falls splitDepth of their radius, so a narrow contact splits two teeth but noise does not
+    findMarkers(distance, width, height) {
+        const { splitDepth, minCoreRadius } = this.settings;
+        const order = [];
+        for (let i = 0; i < width * height; i++) {
+            if (distance[i] > 0) order.push(i);
+        }
+        order.sort((a, b) => distance[b] - distance[a]);
+
+        const parent = new Int32Array(width * height).fill(-1);
+        const peak = new Int32Array(width * height);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        const markers = [];
+        const keep = (root, level) => {
+            const radius = distance[peak[root]];
+            if (radius >= minCoreRadius && radius - level >= splitDepth * radius) {
+                markers.push(peak[root]);
+            }
+        };
+
+        for (const i of order) {
+            parent[i] = i;
+            peak[i] = i;
+            const x = i % width;
+            const neighbours = [
+                x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1,
+                i >= width ? i - width : -1, i + width < width * height ? i + width : -1
+            ];
+            for (const n of neighbours) {
+                if (n < 0 || parent[n] === -1) continue;
+                const a = find(i), b = find(n);
+                if (a === b) continue;
+                // The lower core ends here; it is a tooth of its own if it rose far enough
+                const [high, low] = distance[peak[a]] >= distance[peak[b]] ? [a, b] : [b, a];
+                keep(low, distance[i]);
+                parent[low] = high;
+            }
+        }
+
+        order.forEach(i => {
+            if (find(i) === i) keep(i, 0);
+        });
+
+        return markers;
+    }
+
+    // Flood the tooth mask from the markers, lowest first on a landscape of distance-map depth
+    // plus edge strength, so regions meet at narrow contacts and along interproximal edges
+    watershed(toothMask, gradient, distance, markers, width, height) {
+        const labels = new Int32Array(width * height);
+        let maxDistance = 0;
+        for (let i = 0; i < width * height; i++) {
+            if (distance[i] > maxDistance) maxDistance = distance[i];
+        }
+        const cost = (i) => (maxDistance > 0 ? 1 - distance[i] / maxDistance : 0) +
+            Math.min(1, gradient[i] / this.settings.edgeStrength);
+
+        const queue = new PixelQueue();
+        markers.forEach((index, i) => queue.push(index, -1, i + 1));
+
+        while (queue.size > 0) {
+            const { index, label } = queue.pop();
+            if (labels[index]) continue;
+            labels[index] = label;
+
+            const x = index % width;
+            const neighbours = [
+                x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1,
+                index >= width ? index - width : -1, index + width < width * height ? index + width : -1
+            ];
+            for (const n of neighbours) {
+                if (n >= 0 && toothMask[n] && !labels[n]) {
+                    queue.push(n, cost(n), label);
+                }
+            }
+        }
+
+        return labels;
+    }
+
+    // Area, bounds and first pixel (raster order) of each label
+    extractRegions(labels, width, height) {
+        const regions = new Map();
+        for (let i = 0; i < width * height; i++) {
+            const label = labels[i];
+            if (!label) continue;
+            const x = i % width, y = (i - x) / width;
+            let region = regions.get(label);
+            if (!region) {
+                region = { label, area: 0, start: i, minX: x, maxX: x, minY: y, maxY: y, sumX: 0, sumY: 0 };
+                regions.set(label, region);
+            }
+            region.area++;
+            region.sumX += x + 0.5;
+            region.sumY += y + 0.5;
+            if (x < region.minX) region.minX = x;
+            if (x > region.maxX) region.maxX = x;
+            if (y > region.maxY) region.maxY = y;
+        }
+        return [...regions.values()];
+    }
+
+    toTooth(region, labels, width, height, scale) {
+        const outline = this.simplify(this.traceBoundary(labels, width, height, region.label, region.start));
+        const polygon = outline.map(point => ({ x: point.x / scale, y: point.y / scale }));
+        const area = this.polygonArea(polygon);
+        const hullArea = this.polygonArea(this.convexHull(polygon));
+
+        return {
+            polygon,
+            boundingBox: {
+                minX: region.minX / scale,
+                maxX: (region.maxX + 1) / scale,
+                minY: region.minY / scale,
+                maxY: (region.maxY + 1) / scale
+            },
+            center: { x: region.sumX / region.area / scale, y: region.sumY / region.area / scale },
+            area,
+            // Crowns are nearly convex; ragged or merged regions are not
+            confidence: hullArea > 0 ? Math.min(1, area / hullArea) : 0
+        };
+    }
+
+    // Outline along pixel edges, clockwise with the region on the right, from the top-left corner of
+    // the region's first pixel; only the corners where the direction changes are kept
+    traceBoundary(labels, width, height, label, start) {
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+        const startX = start % width, startY = (start - startX) / width;
+        const directions = [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 0, y: -1 }];
+        const points = [];
+
+        let x = startX, y = startY, d = 0;
+        do {
+            const v = directions[d];
+            // Pixels ahead on the left and right of the current edge direction
+            const leftX = Math.floor(x + 0.5 * v.x + 0.5 * v.y), leftY = Math.floor(y + 0.5 * v.y - 0.5 * v.x);
+            const rightX = Math.floor(x + 0.5 * v.x - 0.5 * v.y), rightY = Math.floor(y + 0.5 * v.y + 0.5 * v.x);
+
+            let next;
+            if (inside(leftX, leftY)) next = (d + 3) % 4;
+            else if (inside(rightX, rightY)) next = d;
+            else next = (d + 1) % 4;
+
+            if (next !== d || points.length === 0) points.push({ x, y });
+            d = next;
+            x += directions[d].x;
+            y += directions[d].y;
+        } while (x !== startX || y !== startY);
+
+        return points;
+    }
+
+    // Douglas-Peucker on the closed outline, split at the point farthest from the first
+    simplify(points) {
+        const tolerance = this.settings.simplifyTolerance;
+        if (points.length <= 4) return points;
+
+        let far = 0;
+        let farDistance = -1;
+        points.forEach((point, i) => {
+            const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+            if (distance > farDistance) {
+                farDistance = distance;
+                far = i;
+            }
+        });
+
+        const reduce = (chain) => {
+            const first = chain[0], last = chain[chain.length - 1];
+            const length = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+            let index = 0;
+            let maxDistance = 0;
+            for (let i = 1; i < chain.length - 1; i++) {
+                const distance = Math.abs((last.x - first.x) * (first.y - chain[i].y) - (first.x - chain[i].x) * (last.y - first.y)) / length;
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+            if (maxDistance <= tolerance) return [first];
+            return [...reduce(chain.slice(0, index + 1)), ...reduce(chain.slice(index))];
+        };
+
+        return [
+            ...reduce(points.slice(0, far + 1)),
+            ...reduce([...points.slice(far), points[0]])
+        ];
+    }
+
+    polygonArea(polygon) {
+        let area = 0;
+        polygon.forEach((point, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        return Math.abs(area) / 2;
+    }
+
+    // Andrew's monotone chain
+    convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const hull = [];
+            for (const point of list) {
+                while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                    hull.pop();
+                }
+                hull.push(point);
+            }
+            hull.pop();
+            return hull;
+        };
+        return [...half(sorted), ...half(sorted.slice().reverse())];
+    }
+
+    // Split into maxillary and mandibular rows when the tooth centres leave a gap of rowGap tooth
+    // heights, then number each row outwards from the midline. Frontal view: the patient's right is
+    // on the image left
+    numberTeeth(teeth, midlineX, arch = 'maxillary') {
+        if (teeth.length === 0) return [];
+
+        const heights = teeth.map(tooth => tooth.boundingBox.maxY - tooth.boundingBox.minY).sort((a, b) => a - b);
+        const medianHeight = heights[Math.floor(heights.length / 2)];
+        const byHeight = teeth.slice().sort((a, b) => a.center.y - b.center.y);
+
+        let split = -1;
+        let widest = this.settings.rowGap * medianHeight;
+        for (let i = 1; i < byHeight.length; i++) {
+            const gap = byHeight[i].center.y - byHeight[i - 1].center.y;
+            if (gap > widest) {
+                widest = gap;
+                split = i;
+            }
+        }
+
+        const rows = split > 0
+            ? [{ teeth: byHeight.slice(0, split), quadrants: [1, 2] }, { teeth: byHeight.slice(split), quadrants: [4, 3] }]
+            : [{ teeth: byHeight, quadrants: arch === 'mandibular' ? [4, 3] : [1, 2] }];
+
+        return rows.flatMap(row => this.numberRow(row.teeth, midlineX, row.quadrants));
+    }
+
+    // The midline is the gap nearest midlineX, favouring a wide pair of teeth either side as the centrals
+    numberRow(teeth, midlineX, [rightQuadrant, leftQuadrant]) {
+        const sorted = teeth.slice().sort((a, b) => a.center.x - b.center.x);
+        const span = sorted[sorted.length - 1].boundingBox.maxX - sorted[0].boundingBox.minX;
+        const halfSpan = Math.max(1, span / 2);
+        const toothWidth = (tooth) => tooth.boundingBox.maxX - tooth.boundingBox.minX;
+
+        let midline = sorted[0].center.x < midlineX ? 1 : 0;
+        let best = -Infinity;
+        for (let i = 1; i < sorted.length; i++) {
+            const gap = (sorted[i - 1].boundingBox.maxX + sorted[i].boundingBox.minX) / 2;
+            const score = (toothWidth(sorted[i - 1]) + toothWidth(sorted[i])) *
+                (1 - 0.5 * Math.min(1, Math.abs(gap - midlineX) / halfSpan));
+            if (score > best) {
+                best = score;
+                midline = i;
+            }
+        }
+
+        return sorted
+            .map((tooth, i) => {
+                const fdi = i < midline ? rightQuadrant * 10 + (midline - i) : leftQuadrant * 10 + (i - midline + 1);
+                return { ...tooth, fdi, toothNumber: this.formatToothNumber(fdi) };
+            })
+            .filter(tooth => tooth.fdi % 10 <= 8);
+    }
+
+    formatToothNumber(fdi) {
+        if (this.toothNumbering && this.toothNumbering.currentSystem !== 'fdi') {
+            return this.toothNumbering.convertToothNumber(fdi, 'fdi', this.toothNumbering.currentSystem);
+        }
+        return fdi;
+    }
+
+    // Label map (tooth index + 1, 0 elsewhere) of polygons given as [x, y] pairs or {x, y} points,
+    // filled at pixel centres with the even-odd rule
+    rasterize(polygons, width, height) {
+        const labels = new Uint8Array(width * height);
+
+        polygons.forEach((polygon, index) => {
+            const points = polygon.map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : point));
+            const minY = Math.max(0, Math.floor(Math.min(...points.map(point => point.y))));
+            const maxY = Math.min(height - 1, Math.ceil(Math.max(...points.map(point => point.y))));
+
+            for (let y = minY; y <= maxY; y++) {
+                const cy = y + 0.5;
+                const crossings = [];
+                points.forEach((point, i) => {
+                    const next = points[(i + 1) % points.length];
+                    if ((point.y <= cy) !== (next.y <= cy)) {
+                        crossings.push(point.x + (cy - point.y) / (next.y - point.y) * (next.x - point.x));
+                    }
+                });
+                crossings.sort((a, b) => a - b);
+
+                for (let k = 0; k + 1 < crossings.length; k += 2) {
+                    const from = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                    const to = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+                    for (let x = from; x <= to; x++) {
+                        labels[y * width + x] = index + 1;
+                    }
+                }
+            }
+        });
+
+        return labels;
+    }
+}
+
+// Binary min-heap of pixels for the watershed flood; equal costs come out in insertion order
+class PixelQueue {
+    constructor() {
+        this.heap = [];
+        this.counter = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(index, cost, label) {
+        const heap = this.heap;
+        heap.push({ index, cost, label, order: this.counter++ });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1, right = left + 1;
+                let smallest = i;
+                if (left < heap.length && this.less(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && this.less(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    less(a, b) {
+        return a.cost < b.cost || (a.cost === b.cost && a.order < b.order);
+    }
+}
+
+// Export for use in main application
+window.ToothSegmentation = ToothSegmentation;
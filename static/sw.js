@@ -0,0 +1,62 @@
+// Service worker for the Dental Photo Editor
+// Keeps the pinned ML runtimes and model files under /ml/ available offline
+
+const ML_CACHE = 'dental-ml-v1';
+const ML_PATH = '/ml/';
+const MANIFEST_PATH = '/ml/manifest.json';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('dental-ml-') && key !== ML_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || !url.pathname.startsWith(ML_PATH)) {
+        return;
+    }
+
+    event.respondWith(url.pathname === MANIFEST_PATH ? networkFirst(event.request) : cacheFirst(event.request));
+});
+
+// Runtime and model paths carry their version, so a cached copy never goes stale
+async function cacheFirst(request) {
+    const cache = await caches.open(ML_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The manifest names the current versions; the last copy seen serves while offline
+async function networkFirst(request) {
+    const cache = await caches.open(ML_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}